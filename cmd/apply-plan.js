@@ -0,0 +1,142 @@
+/**
+ * Apply Plan - Replay a recorded edit plan against wikibase.world
+ *
+ * Takes a plan file produced by running any script in plan mode (see README)
+ * and replays each entry through world.queueWork on the serialized queues.one:
+ * 1. Each entry is checked against the current revision of its entity, expecting the changes of earlier entries on it
+ * 2. Entries that are already satisfied are skipped
+ * 3. Entries whose entity changed since the plan was made are reported as conflicts
+ * 4. Everything else is applied, in plan order
+ * 5. Edits that fail or are not made are reported as failed, and only the rest count as applied
+ *
+ * Usage:
+ *   node cmd/apply-plan.js <plan-file> [handler]
+ *
+ *   handler - Optional handler name to only apply entries from (e.g. processor:url-normalizer)
+ */
+
+import fs from 'fs';
+import { world } from '../src/world.js';
+import { queues } from '../src/general.js';
+import { isPlanMode, readPlan, isFromHandler } from '../src/edits/plan.js';
+import { checkPlanEntry, noteAppliedEntry } from '../src/edits/apply.js';
+import process from 'process';
+
+const planFile = process.argv[2];
+const handlerFilter = process.argv[3];
+
+if (!planFile || !fs.existsSync(planFile)) {
+    console.log('Usage: node cmd/apply-plan.js <plan-file> [handler]');
+    process.exit(1);
+}
+if (isPlanMode()) {
+    console.log('❌ Refusing to apply a plan while plan mode is enabled, unset WORLD_PLAN and drop --dry-run');
+    process.exit(1);
+}
+
+// Statistics
+const stats = {
+    total: 0,
+    applied: 0,
+    satisfied: 0,
+    conflicts: 0,
+    failed: 0,
+};
+const conflicts = [];
+const failures = [];
+
+/**
+ * Print final statistics
+ */
+function printStats() {
+    console.log('');
+    console.log('📊 Apply Statistics:');
+    console.log(`   Entries:          ${stats.total}`);
+    console.log(`   Applied:          ${stats.applied}`);
+    console.log(`   Already satisfied: ${stats.satisfied}`);
+    console.log(`   Conflicts:        ${stats.conflicts}`);
+    console.log(`   Failed:           ${stats.failed}`);
+    printEntries('⚠️ Conflicts (not applied):', conflicts);
+    printEntries('❌ Failed:', failures);
+}
+
+/**
+ * Print plan entries that were not applied, with why
+ * @param {string} heading
+ * @param {Array<{ entry: Object, reason: string }>} list
+ */
+function printEntries(heading, list) {
+    if (list.length === 0) return;
+    console.log('');
+    console.log(heading);
+    for (const { entry, reason } of list) {
+        console.log(`   ${entry.action} ${entry.id}${entry.property ? ' ' + entry.property : ''}: ${reason}`);
+        console.log(`      ${entry.summary}`);
+    }
+}
+
+/**
+ * Main
+ */
+async function main() {
+    console.log(`📝 Applying plan ${planFile}`);
+    console.log('');
+
+    let entries = readPlan(planFile);
+    if (handlerFilter !== undefined) {
+        entries = entries.filter(entry => isFromHandler(entry, handlerFilter));
+        console.log(`   Filtered to ${entries.length} entries from ${handlerFilter}`);
+    }
+    stats.total = entries.length;
+
+    // Known wikis are only needed to check planned item creations
+    let wikiIndex;
+    if (entries.some(entry => entry.action === 'itemCreate')) {
+        wikiIndex = await world.wikiIndex();
+    }
+    /** @type {import('../src/edits/apply.js').PlanProgress} */
+    const progress = new Map();
+
+    for (const entry of entries) {
+        if (typeof world.queueWork[entry.action] !== 'function') {
+            conflicts.push({ entry, reason: `unknown action ${entry.action}` });
+            stats.conflicts++;
+            continue;
+        }
+
+        // Check against the latest revision, after any edits from earlier entries have been made
+        const entity = entry.id ? await world.getEntity(entry.id) : null;
+        const { status, reason } = checkPlanEntry(entry, entity, { wikiIndex, progress });
+
+        if (status === 'satisfied') {
+            console.log(`   ⏭️ ${entry.action} ${entry.id || ''}: ${reason}`);
+            stats.satisfied++;
+            continue;
+        }
+        if (status === 'conflict') {
+            console.log(`   ⚠️ ${entry.action} ${entry.id || ''}: ${reason}`);
+            conflicts.push({ entry, reason });
+            stats.conflicts++;
+            continue;
+        }
+
+        // Only an edit that was made counts as applied
+        try {
+            const response = await world.queueWork[entry.action](queues.one, entry.data, { summary: entry.summary });
+            if (!response) throw new Error('the edit was not made');
+            noteAppliedEntry(progress, entry, entity, response);
+            stats.applied++;
+        } catch (error) {
+            console.log(`   ❌ ${entry.action} ${entry.id || ''}: ${error.message}`);
+            failures.push({ entry, reason: error.message });
+            stats.failed++;
+        }
+    }
+
+    printStats();
+    console.log('');
+    console.log('✅ All processing complete!');
+    process.exit(0);
+}
+
+main();
@@ -0,0 +1,100 @@
+/**
+ * Find Duplicates - List wiki items that are probably about the same wiki
+ *
+ * Every wiki item on wikibase.world is compared by its canonical URLs, wikibase.cloud ID, wikibase
+ * metadata ID and siteinfo identity recorded by tidy-world (see src/duplicates.js). With --siteinfo,
+ * the siteinfo server of each wiki is fetched via its action API (P6) and compared too.
+ *
+ * Probable duplicate pairs are written most probable first, with the evidence for each, as text or JSON
+ * (to stdout after the progress logs, or to a file with --out).
+ * With --proposals, merge proposals are also written as a wikitext list, to be reviewed before merging.
+ *
+ * Usage:
+ *   node cmd/find-duplicates.js [--siteinfo] [--min-score=<n>] [--format=text|json] [--out=<file>] [--proposals=<file>]
+ *
+ *   min-score - Only pairs scoring at least this, e.g. 80 to leave out pairs with only a shared sitename and wikiid
+ */
+
+import fs from 'fs';
+import process from 'process';
+import { world } from '../src/world.js';
+import { fetchuc, logHostStats } from '../src/fetch.js';
+import { queues, HEADERS } from '../src/general.js';
+import { stateFor } from '../src/state.js';
+import { fetchSiteInfo } from '../src/jobs/fetchers/siteinfo.js';
+import { wikiFacts, findDuplicates, mergeProposals } from '../src/duplicates.js';
+import { P } from '../src/registry.js';
+
+const args = process.argv.slice(2);
+const argValue = (name) => args.find(a => a.startsWith(`--${name}=`))?.split('=').slice(1).join('=');
+const withSiteinfo = args.includes('--siteinfo');
+const minScore = Number(argValue('min-score') || 0);
+const format = argValue('format') || 'text';
+const out = argValue('out');
+const proposals = argValue('proposals');
+
+if (!['text', 'json'].includes(format) || Number.isNaN(minScore)) {
+    console.log('Usage: node cmd/find-duplicates.js [--siteinfo] [--min-score=<n>] [--format=text|json] [--out=<file>] [--proposals=<file>]');
+    process.exit(1);
+}
+
+/**
+ * Load the claims of the wiki items, 50 at a time
+ * @param {string[]} ids
+ * @returns {Promise<Object[]>}
+ */
+async function loadEntities(ids) {
+    const entities = [];
+    for (const url of world.sdk.getManyEntities({ ids, props: ['claims'] })) {
+        const response = await fetchuc(url, { headers: HEADERS });
+        const json = await response?.json().catch(() => null);
+        if (!json?.entities) {
+            console.log(`❌ Failed to load entities from ${url}`);
+            continue;
+        }
+        entities.push(...Object.values(json.entities).filter(entity => entity.missing === undefined));
+    }
+    return entities;
+}
+
+async function main() {
+    console.log('🔍 Find Duplicates');
+    const ids = [...new Set((await world.sparql.wikisAll()).map(wiki => wiki.item))];
+    console.log(`   Loading ${ids.length} wiki items...`);
+    const entities = await loadEntities(ids);
+    const wikis = entities.map(entity => ({
+        ...wikiFacts(entity, { url: P.url, wikibaseCloudId: P.wikibaseCloudId, wikibaseMetadataId: P.wikibaseMetadataId }),
+        identity: stateFor(entity.id).identity?.hash || null,
+    }));
+
+    if (withSiteinfo) {
+        console.log(`   Fetching siteinfo of ${wikis.length} wikis...`);
+        entities.forEach((entity, i) => {
+            const actionApi = entity.claims?.[P.actionApi]?.[0]?.mainsnak.datavalue?.value;
+            if (!actionApi) return;
+            queues.many.add(async () => {
+                wikis[i].server = (await fetchSiteInfo(actionApi))?.general.server || null;
+            }, { jobName: `siteinfo:${entity.id}` });
+        });
+        await queues.many.onIdle();
+    }
+
+    const pairs = findDuplicates(wikis).filter(pair => pair.score >= minScore);
+    const output = format === 'json'
+        ? JSON.stringify(pairs, null, 2) + '\n'
+        : pairs.map(({ items, score, evidence }) => `${items.join(' ')}\t${Math.round(score)}\t${evidence.join('; ')}\n`).join('');
+
+    if (out) {
+        fs.writeFileSync(out, output);
+    } else {
+        process.stdout.write(output);
+    }
+    if (proposals) {
+        fs.writeFileSync(proposals, mergeProposals(pairs));
+        console.log(`📝 Wrote ${pairs.length} merge proposals to ${proposals}`);
+    }
+    console.log(`✅ Found ${pairs.length} probable duplicate pairs among ${wikis.length} wikis`);
+    logHostStats();
+}
+
+main();
@@ -1,17 +1,28 @@
-import fetch from 'node-fetch';
 import fs from 'fs';
 import process from 'process';
-import { world } from './../src/world.js';
-import { queues, HEADERS } from './../src/general.js';
+import { queues, HEADERS, runInScope } from './../src/general.js';
+import { isPlanMode, enablePlanMode } from './../src/edits/plan.js';
+import { enableCheckpoints, wasProcessed, finishCheckpoints } from './../src/checkpoint.js';
+import { fetchuc, crawlPermission } from '../src/fetch.js';
+import { P, Q } from '../src/registry.js';
+import { parseWikiUrl, wikiKey } from '../src/wiki-url.js';
 
 // Usage:
 //   node cmd/import-list.js urls.txt
 //   node cmd/import-list.js https://example.org https://other.example
 // Optional: pass a host QID as second argument to set P2 for all imports
+// Wikis already in wikibase.world are not created again, but get the host, main page and aliases they are missing
+// Pass --resume to continue an interrupted import, skipping the sites it already processed
+//
+// Structured mode, for a .csv, .json or .jsonl file of records with more than the URL of each wiki:
+//   node cmd/import-list.js wikis.csv [hostQid] [--mapping=mapping.json] [--dry-run] [--resume]
+// The mapping says which columns hold labels, descriptions, aliases and claims (see src/importers/records.js).
+// Each wiki is checked before its item is created, or its existing item gets what it is missing.
 
 // Support a --dry-run flag and optional --concurrency=N. Remove them from args for normal processing.
+// --dry-run enables plan mode, so intended edits are recorded to a plan file instead of being made
 const rawArgs = process.argv.slice(2);
-const dryRun = rawArgs.includes('--dry-run');
+if (rawArgs.includes('--dry-run')) enablePlanMode();
 let concurrency = 4;
 const concArg = rawArgs.find(a => a.startsWith('--concurrency='));
 if (concArg) {
@@ -19,35 +30,38 @@ if (concArg) {
     const v = parseInt(parts[1], 10);
     if (!Number.isNaN(v) && v > 0) concurrency = v;
 }
-const args = rawArgs.filter(a => a !== '--dry-run' && !a.startsWith('--concurrency='));
+const resume = rawArgs.includes('--resume');
+const mappingFile = rawArgs.find(a => a.startsWith('--mapping='))?.split('=').slice(1).join('=');
+const args = rawArgs.filter(a => a !== '--dry-run' && a !== '--resume' && !a.startsWith('--concurrency=') && !a.startsWith('--mapping='));
 if (args.length === 0) {
-    console.log('Usage: node cmd/import-list.js <file-or-urls...> [hostQid] [--dry-run] [--concurrency=N]');
+    console.log('Usage: node cmd/import-list.js <file-or-urls...> [hostQid] [--dry-run] [--concurrency=N] [--resume] [--mapping=<file>]');
     process.exit(1);
 }
 
+// Loaded once plan mode is known, as src/world.js requires credentials unless edits are only planned
+const { world } = await import('./../src/world.js');
+const { runImport, enrichExisting, waitForQueues } = await import('../src/importer.js');
+const { recordsSource } = await import('../src/importers/records.js');
+
+if (/\.(csv|json|jsonl|ndjson)$/i.test(args[0]) && fs.existsSync(args[0])) {
+    const source = recordsSource({
+        file: args[0],
+        mapping: mappingFile ? JSON.parse(fs.readFileSync(mappingFile, 'utf8')) : undefined,
+        hostQid: /^Q\d+$/.test(args[1] || '') ? args[1] : undefined,
+    });
+    await runImport(source, { resume });
+    process.exit(0);
+}
+
 let hostQid = args[args.length - 1];
 let maybeFile = args[0];
 let inputURLs = [];
 
-// Simple fetch with timeout using AbortController
-async function fetchWithTimeout(url, opts = {}, timeoutMs = 10000) {
-    const controller = new AbortController();
-    const id = setTimeout(() => controller.abort(), timeoutMs);
-    try {
-        const res = await fetch(url, { ...opts, signal: controller.signal });
-        clearTimeout(id);
-        return res;
-    } catch (e) {
-        clearTimeout(id);
-        throw e;
-    }
-}
-
 // If the first arg is an HTTP(S) URL, try to fetch it and parse lines as input URLs.
 // If the fetched payload contains multiple non-empty lines, treat it as a list.
 async function tryFetchListFromUrl(url) {
     try {
-        const res = await fetchWithTimeout(url, { headers: HEADERS, redirect: 'follow' }, 15000);
+        const res = await fetchuc(url, { headers: HEADERS });
         if (!res) return null;
         const text = await res.text();
         const lines = text.split(/\r?\n/).map(l => l.trim()).filter(Boolean);
@@ -99,42 +113,25 @@ if (maybeFile && maybeFile.startsWith('http')) {
 }
 
 // Normalize lines: if a line is a bare domain, ensure it has scheme
+// The page itself is fetched, as the root of its host may not be the wiki. Which wiki it is comes from wikiKey.
 function normalizeToUrl(s) {
-    if (!s) return null;
+    if (!parseWikiUrl(s)) return null;
     s = s.trim();
-    if (!s) return null;
-    if (!s.startsWith('http://') && !s.startsWith('https://')) {
-        s = 'https://' + s;
-    }
-    try {
-        const u = new URL(s);
-        return u.href.replace(/\/$/, '');
-    } catch {
-        return null;
+    if (!/^https?:\/\//i.test(s)) {
+        s = 'https://' + s.replace(/^\/\//, '');
     }
+    return new URL(s).href.replace(/\/$/, '');
 }
 
-// // Simple status detection (copied from import-miraheze heuristics)
-// async function getWikiStatusByUrl(url) {
-//     try {
-//         const response = await fetchWithTimeout(url, { headers: HEADERS }, 10000);
-//         const text = await response.text();
-//         if (text.includes('<title>Wiki deleted</title>') || text.includes('<h1><b>Wiki deleted</b></h1>')) {
-//             return 'Q57';
-//         }
-//         // Treat an explicit "Wiki deleted" marker as permanently offline.
-//         // Otherwise, use HTTP success (200) or 404-with-no-text as active; default to active.
-//         return 'Q54';
-//     } catch {
-//         return 'Q54';
-//     }
-// }
-
+// Follow the redirects of a site, unless the opt-out list or its robots.txt does not allow it
 async function resolveFinal(url) {
+    const { allowed, reason } = await crawlPermission(url);
+    if (!allowed) return { skipped: reason };
+    const res = await fetchuc(url, { headers: HEADERS });
+    if (!res) return null;
     try {
-        const res = await fetchWithTimeout(url, { headers: HEADERS, redirect: 'follow' }, 15000);
         const html = await res.text();
-        return { url: res.url, html };
+        return { url: res.url || url, html };
     } catch {
         return null;
     }
@@ -142,32 +139,25 @@ async function resolveFinal(url) {
 
 async function main() {
     console.log('📥 Import list — queuing sites for import');
-    const worldWikis = await world.sparql.wikisAll();
-    // Build a map of existing host -> item for fast exact hostname lookup
-    const existingHostToItem = new Map();
-    for (const w of worldWikis) {
-        try {
-            const host = new URL(w.site).hostname.toLowerCase();
-            if (!existingHostToItem.has(host)) existingHostToItem.set(host, w.item);
-        } catch {
-            void 0;
-        }
-    }
+    const pending = enableCheckpoints('import-list', { resume });
+    await world.resumeJobs(pending, queues.one);
+    const knownWikis = await world.wikiIndex();
 
-    // Deduplicate inputURLs by normalized hostname to avoid duplicate work
-    const normalizedInputs = inputURLs.map(normalizeToUrl).filter(Boolean);
-    const hostSeen = new Map();
-    for (const u of normalizedInputs) {
-        try {
-            const host = new URL(u).hostname.toLowerCase();
-            if (!hostSeen.has(host)) hostSeen.set(host, u);
-        } catch {
-            void 0;
-        }
+    // Deduplicate inputURLs by wiki to avoid duplicate work
+    const keySeen = new Map();
+    for (const u of inputURLs.map(normalizeToUrl).filter(Boolean)) {
+        const key = wikiKey(u);
+        if (!keySeen.has(key)) keySeen.set(key, u);
+    }
+    inputURLs = Array.from(keySeen.values());
+    if (resume) {
+        const unprocessed = inputURLs.filter(u => !wasProcessed(u));
+        console.log(`Skipping ${inputURLs.length - unprocessed.length} sites processed by the interrupted import`);
+        inputURLs = unprocessed;
     }
-    inputURLs = Array.from(hostSeen.values());
 
-    // Track domains currently being processed to prevent duplicate creations across workers
+    // Track wikis being processed or queued to prevent duplicate creations across workers
+    // (they stay marked, so later lines that redirect to a queued wiki are skipped too)
     const inProgressDomains = new Set();
 
     // Process inputURLs with limited concurrency
@@ -185,6 +175,10 @@ async function main() {
             console.log(`Failed to fetch ${normalized}`);
             return;
         }
+        if (r.skipped) {
+            console.log(`🚫 Skipping ${normalized} (${r.skipped})`);
+            return;
+        }
 
         // Only proceed if page mentions "Wikibase" somewhere (simple heuristic)
         if (!r.html.includes('wikibase') && !r.html.includes('Wikibase')) {
@@ -193,20 +187,30 @@ async function main() {
         }
 
         const domain = new URL(r.url).hostname.toLowerCase();
+        const key = wikiKey(r.url);
 
-        // If already in world, skip — use exact hostname lookup
-        if (existingHostToItem.has(domain)) {
-            const existingItem = existingHostToItem.get(domain);
-            console.log(`Skipping existing item ${existingItem} (${domain}) — already in wikibase.world`);
+        // If already in world, only add what its item is missing — by the wiki before or after redirects
+        const existingItem = knownWikis.find(r.url, normalized);
+        if (existingItem) {
+            const changes = await enrichExisting({
+                item: existingItem,
+                site: parseWikiUrl(r.url).url,
+                otherSites: [normalized],
+                facts: { host: hostQid },
+                from: 'a list of wikis',
+            });
+            console.log(changes > 0
+                ? `Enriched existing item ${existingItem} (${domain}) with ${changes} changes`
+                : `Skipping existing item ${existingItem} (${domain}) — already in wikibase.world`);
             return;
         }
 
-        // If another worker is already processing this domain, skip to avoid duplicates
-        if (inProgressDomains.has(domain)) {
+        // If another worker is already processing this wiki, skip to avoid duplicates
+        if (inProgressDomains.has(key)) {
             console.log(`Skipping ${domain} — already being processed by another worker`);
             return;
         }
-        inProgressDomains.add(domain);
+        inProgressDomains.add(key);
 
         // Prepare labels/aliases and claims
         const labels = { en: domain };
@@ -219,21 +223,14 @@ async function main() {
         }
 
         const claims = {
-            P1: r.url,
-            P3: 'Q10'
+            [P.url]: r.url,
+            [P.instanceOf]: Q.wikibaseSite
         };
-        if (hostQid) claims.P2 = hostQid;
+        if (hostQid) claims[P.host] = hostQid;
 
         // Do not set activity (P13) here — keep imports minimal
-        if (dryRun) {
-            console.log(`DRY-RUN: would create item for ${domain} with claims: ${JSON.stringify(claims)}`);
-        } else {
-            world.queueWork.itemCreate(queues.one, { labels, ...(Object.keys(aliases).length > 0 && { aliases }), claims }, { summary: `Importing site ${domain} from list` });
-            console.log(`Queued import: ${domain} (${r.url})`);
-        }
-
-        // Done processing domain — release lock
-        inProgressDomains.delete(domain);
+        world.queueWork.itemCreate(queues.one, { labels, ...(Object.keys(aliases).length > 0 && { aliases }), claims }, { summary: `Importing site ${domain} from list` });
+        console.log(`${isPlanMode() ? 'Planned' : 'Queued'} import: ${domain} (${r.url})`);
     }
 
     const workers = Array.from({ length: concurrency }, async () => {
@@ -241,7 +238,7 @@ async function main() {
             const i = idx++;
             if (i >= inputURLs.length) break;
             try {
-                await processLine(inputURLs[i]);
+                await runInScope(inputURLs[i], () => processLine(inputURLs[i]));
             } catch (e) {
                 console.log(`Error processing ${inputURLs[i]}: ${e.message}`);
             }
@@ -249,17 +246,9 @@ async function main() {
     });
 
     await Promise.all(workers);
+    await waitForQueues();
 
-    // Wait for queues to settle (simple loop)
-    let lastSize = -1;
-    let stable = 0;
-    while (stable < 3) {
-        const currentSize = queues.many.size + queues.many.pending + queues.four.size + queues.four.pending + queues.one.size + queues.one.pending;
-        if (currentSize === 0 && lastSize === 0) stable++; else stable = 0;
-        lastSize = currentSize;
-        await new Promise(r => setTimeout(r, 500));
-    }
-
+    finishCheckpoints();
     console.log('✅ All queued work submitted');
     process.exit(0);
 }
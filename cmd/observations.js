@@ -0,0 +1,50 @@
+/**
+ * Observations - Export the time series of wiki statistics recorded by tidy-world
+ *
+ * Writes observations as JSON or CSV to stdout, or to a file with --out:
+ * - per wiki: every observation, optionally for one item and metric
+ * - with --aggregate: totals across wikis per day, month or year, each wiki counting with its latest value
+ *
+ * Usage:
+ *   node cmd/observations.js [--item=<Q>] [--metric=<metric>] [--since=<date>] [--until=<date>]
+ *                            [--aggregate=day|month|year] [--format=json|csv] [--out=<file>] [--file=<observations>]
+ *
+ *   metric - pages, edits, users, activeusers, property-count, max-item-id or mediawiki-version
+ *   date - An ISO date, e.g. 2025-01-01
+ */
+
+import fs from 'fs';
+import process from 'process';
+import { queryObservations, aggregateObservations, toCsv, getObservationsFile } from '../src/observations.js';
+
+const args = process.argv.slice(2);
+const argValue = (name) => args.find(a => a.startsWith(`--${name}=`))?.split('=').slice(1).join('=');
+const format = argValue('format') || 'json';
+const aggregate = argValue('aggregate');
+const out = argValue('out');
+const file = argValue('file') || getObservationsFile();
+
+if (!['json', 'csv'].includes(format) || (aggregate !== undefined && !['day', 'month', 'year'].includes(aggregate))) {
+    console.log('Usage: node cmd/observations.js [--item=<Q>] [--metric=<metric>] [--since=<date>] [--until=<date>] [--aggregate=day|month|year] [--format=json|csv] [--out=<file>] [--file=<observations>]');
+    process.exit(1);
+}
+if (!fs.existsSync(file)) {
+    console.log(`❌ No observations in ${file}, they are recorded by tidy-world`);
+    process.exit(1);
+}
+
+const observations = queryObservations({
+    item: argValue('item'),
+    metric: argValue('metric'),
+    since: argValue('since'),
+    until: argValue('until'),
+}, file);
+const rows = aggregate ? aggregateObservations(observations, aggregate) : observations;
+const output = format === 'csv' ? toCsv(rows) : JSON.stringify(rows, null, 2) + '\n';
+
+if (out) {
+    fs.writeFileSync(out, output);
+    console.log(`📈 Wrote ${rows.length} ${aggregate ? `${aggregate} totals` : 'observations'} to ${out}`);
+} else {
+    process.stdout.write(output);
+}
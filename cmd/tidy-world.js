@@ -6,28 +6,68 @@
  * 2. Processors listen to events and produce edits
  * 3. The main script orchestrates the flow
  * 
+ * Changes for each item are collected during the run and made as one edit per item
+ * at the end (see src/edits/batch.js). Set WORLD_BATCH=0 to edit as changes are queued.
+ * Set WORLD_PLAN to record the edits to a plan file instead of making them (see src/edits/plan.js).
+ * 
+ * Each check is recorded in the local state store (see src/state.js). With --stale-after only wikis
+ * not checked within that time are processed, never checked wikis first, so a run cut short by a
+ * time limit is picked up by the next one.
+ * 
+ * Queued edits and processed wikis are checkpointed (see src/checkpoint.js). With --resume an interrupted
+ * run continues where it stopped, rather than checking every wiki again.
+ * 
+ * Failed checks are kept in a failure history (see src/failures.js), so wikis that keep failing are
+ * marked indefinitely offline. Those wikis are still checked, and marked active when they are back.
+ * 
  * Usage:
- *   node cmd/tidy-world-v2.js [filter]
+ *   node cmd/tidy-world-v2.js [filter] [--stale-after=<duration>] [--resume]
  *   
  *   filter - Optional substring to filter wikis by URL
+ *   duration - e.g. 7d, 12h or 30m
  */
 
 import { simplifyClaims } from 'wikibase-sdk';
-import { fetchuc, fetchc } from '../src/fetch.js';
+import { fetchuc, fetchc, logHostStats, crawlPermission } from '../src/fetch.js';
 import { world } from '../src/world.js';
-import { queues, HEADERS } from '../src/general.js';
+import { queues, HEADERS, runInScope } from '../src/general.js';
 import { eventBus, Events } from '../src/events/bus.js';
 import { registerAllFetchers } from '../src/jobs/fetchers/index.js';
 import { registerAllProcessors } from '../src/jobs/processors/index.js';
 import { fetchReverseDNS } from '../src/jobs/fetchers/reverse-dns.js';
 import { metadatalookup } from '../src/metadata.js';
+import { actionApiFromPage } from '../src/site.js';
+import { wikiDomain } from '../src/wiki-url.js';
+import { enableBatchMode } from '../src/edits/batch.js';
+import { enableStatisticsHistoryFromEnv } from '../src/claims/history.js';
+import { registry, P } from '../src/registry.js';
+import { recordCheck, recordFetch, selectStaleWikis, compactState, parseDuration } from '../src/state.js';
+import { compactFailures } from '../src/failures.js';
+import { enableCheckpoints, wasProcessed, finishCheckpoints } from '../src/checkpoint.js';
 import process from 'process';
 
 // Configuration
-const scriptFilter = process.argv[2];
+const args = process.argv.slice(2);
+const scriptFilter = args.find(a => !a.startsWith('--'));
 if (scriptFilter !== undefined) {
     console.log(`🚀 Running with script filter: ${scriptFilter}`);
 }
+const staleAfterArg = args.find(a => a.startsWith('--stale-after='))?.split('=')[1];
+const staleAfter = staleAfterArg !== undefined ? parseDuration(staleAfterArg) : null;
+if (staleAfterArg !== undefined && staleAfter === null) {
+    console.log(`❌ Invalid --stale-after duration: ${staleAfterArg} (expected e.g. 7d, 12h or 30m)`);
+    process.exit(1);
+}
+const resume = args.includes('--resume');
+if (process.env.WORLD_BATCH !== '0') {
+    enableBatchMode();
+}
+try {
+    enableStatisticsHistoryFromEnv();
+} catch (e) {
+    console.log(`❌ ${e.message}`);
+    process.exit(1);
+}
 
 // World context (shared data about known wikis)
 let worldContext = {
@@ -35,20 +75,23 @@ let worldContext = {
     worldWikiURLs: [],
     worldWikiDomains: [],
     worldWikiItems: [],
+    // Every wiki item, including offline ones, so moved wikis are not moved onto another item's domain
+    wikiIndex: null,
 };
 
-// Known world properties
-const WIKIBASE_METADATA_PROPERTY = 'P53';
+// Known world properties, by name in the registry config
+const WIKIBASE_METADATA_PROPERTY = P.wikibaseMetadataId;
 
 /**
  * Initialize world context by querying known wikis
  */
 async function initializeWorldContext() {
-    console.log('🌍 Loading world context...');
+    console.log(`🌍 Loading world context from ${registry.name}...`);
     worldContext.worldWikis = await world.sparql.wikis();
     worldContext.worldWikiURLs = worldContext.worldWikis.map(wiki => wiki.site);
-    worldContext.worldWikiDomains = worldContext.worldWikiURLs.map(url => new URL(url).hostname);
+    worldContext.worldWikiDomains = worldContext.worldWikiURLs.map(wikiDomain);
     worldContext.worldWikiItems = worldContext.worldWikis.map(wiki => wiki.item);
+    worldContext.wikiIndex = await world.wikiIndex();
     console.log(`   Found ${worldContext.worldWikis.length} known wikis`);
 }
 
@@ -60,11 +103,18 @@ function setupEventFlow() {
     eventBus.register(Events.WIKI_DISCOVERED, 'core:check-alive', (wiki) => {
         queues.many.add(async () => {
             try {
+                // Wikis that opted out or disallow us are skipped, rather than looking dead
+                const { allowed, reason } = await crawlPermission(wiki.site);
+                if (!allowed) {
+                    eventBus.emit(Events.WIKI_SKIPPED, { wiki, reason });
+                    return;
+                }
+
                 const response = await fetchc(wiki.site, { headers: HEADERS });
                 const responseText = await response?.text();
                 
                 if (!response || !responseText) {
-                    eventBus.emit(Events.WIKI_DEAD, { wiki, reason: 'No response' });
+                    eventBus.emit(Events.WIKI_DEAD, { wiki, reason: 'No response', queues });
                     return;
                 }
                 
@@ -73,7 +123,7 @@ function setupEventFlow() {
                 
                 // Check for domain redirect
                 if (new URL(finalUrl).hostname !== new URL(wiki.site).hostname) {
-                    console.log(`❌ The URL ${wiki.site} redirected to a different domain: ${finalUrl}`);
+                    eventBus.emit(Events.WIKI_REDIRECTED, { wiki, finalUrl, responseText, worldContext, queues });
                     return;
                 }
                 
@@ -90,11 +140,11 @@ function setupEventFlow() {
                 if (is200 || is404WithNoText) {
                     eventBus.emit(Events.WIKI_ALIVE, { wiki, response });
                 } else {
-                    eventBus.emit(Events.WIKI_DEAD, { wiki, reason: `HTTP ${response.status}` });
+                    eventBus.emit(Events.WIKI_DEAD, { wiki, reason: `HTTP ${response.status}`, queues });
                 }
             } catch (e) {
                 console.log(`❌ Failed to check ${wiki.site}: ${e.message}`);
-                eventBus.emit(Events.WIKI_DEAD, { wiki, reason: e.message });
+                eventBus.emit(Events.WIKI_DEAD, { wiki, reason: e.message, queues });
             }
         }, { jobName: `check-wiki:${wiki.item}` });
     });
@@ -104,6 +154,30 @@ function setupEventFlow() {
         console.log(`❌ Wiki ${wiki.site} appears dead: ${reason}`);
     });
     
+    // Handle wikis that moved
+    eventBus.register(Events.WIKI_REDIRECTED, 'core:log-redirected', ({ wiki, finalUrl }) => {
+        console.log(`🔀 The URL ${wiki.site} redirected to a different domain: ${finalUrl}`);
+    });
+    
+    // Handle wikis we must not crawl
+    eventBus.register(Events.WIKI_SKIPPED, 'core:log-skipped', ({ wiki, reason }) => {
+        console.log(`🚫 Skipping ${wiki.site}: ${reason}`);
+    });
+    
+    // Record the outcome of each check in the state store
+    eventBus.register(Events.WIKI_ALIVE, 'core:record-alive', ({ wiki, response }) => {
+        recordCheck(wiki.item, 'alive', 'alive', response.loadedText);
+    });
+    eventBus.register(Events.WIKI_DEAD, 'core:record-dead', ({ wiki, reason }) => {
+        recordCheck(wiki.item, 'alive', 'dead', reason);
+    });
+    eventBus.register(Events.WIKI_REDIRECTED, 'core:record-redirected', ({ wiki, finalUrl }) => {
+        recordCheck(wiki.item, 'alive', 'redirected', finalUrl);
+    });
+    eventBus.register(Events.WIKI_SKIPPED, 'core:record-skipped', ({ wiki, reason }) => {
+        recordCheck(wiki.item, 'alive', 'skipped', reason);
+    });
+    
     // Build wiki context when alive - wrap in queue to ensure proper tracking
     eventBus.register(Events.WIKI_ALIVE, 'core:build-context', ({ wiki, response }) => {
         queues.many.add(async () => {
@@ -132,13 +206,14 @@ function setupEventFlow() {
 async function buildWikiContext(wiki, response) {
     wiki.url = wiki.site;
     wiki.responseText = response.loadedText;
-    wiki.domain = wiki.site.replace('https://', '').replace('http://', '').split('/')[0];
+    wiki.domain = wikiDomain(wiki.site);
     
     // Perform reverse DNS lookup
     wiki.reverseDNS = await fetchReverseDNS(wiki.domain);
+    recordFetch(wiki.item, 'reverse-dns', wiki.reverseDNS);
     
     // Extract action API from EditURI
-    wiki.actionApi = extractActionApi(wiki.responseText);
+    wiki.actionApi = actionApiFromPage(wiki.responseText);
     wiki.restApi = wiki.actionApi?.replace('/api.php', '/rest.php') || null;
     
     // Extract page meta data
@@ -157,20 +232,6 @@ async function buildWikiContext(wiki, response) {
     }
 }
 
-/**
- * Extract action API URL from response text
- */
-function extractActionApi(responseText) {
-    const matches = responseText.match(/<link rel="EditURI" type="application\/rsd\+xml" href="(.+?)"/);
-    if (!matches) return null;
-    
-    let apiUrl = matches[1].replace('?action=rsd', '');
-    if (apiUrl.startsWith('//')) {
-        apiUrl = 'https:' + apiUrl;
-    }
-    return apiUrl;
-}
-
 /**
  * Extract page meta data from response text
  */
@@ -262,13 +323,35 @@ async function startTidy() {
     eventBus.logRegistrations();
     console.log('');
     
+    // Queue the edits an interrupted run did not get to
+    const pending = enableCheckpoints('tidy-world', { resume });
+    await world.resumeJobs(pending, queues.one);
+    
     // Trigger initial wiki discovery
     console.log('🔍 Discovering wikis...');
     queues.many.add(async () => {
         let results = await world.sparql.wikis();
         
-        // Shuffle for randomness
-        results.sort(() => Math.random() - 0.5);
+        // Wikis marked offline are checked too, so they are marked active again when they come back
+        const offline = await world.sparql.offlineWikis();
+        offline.forEach(wiki => wiki.offline = true);
+        results = [...results, ...offline];
+        
+        if (resume) {
+            const unprocessed = results.filter(wiki => !wasProcessed(wiki.item));
+            console.log(`   Skipping ${results.length - unprocessed.length} wikis processed by the interrupted run`);
+            results = unprocessed;
+        }
+        
+        if (staleAfter !== null) {
+            // Only wikis not checked recently, never checked first and then the oldest
+            const { stale, fresh, neverChecked } = selectStaleWikis(results, staleAfter);
+            console.log(`   ${stale.length} wikis not checked within ${staleAfterArg} (${neverChecked} never checked), skipping ${fresh.length}`);
+            results = stale;
+        } else {
+            // Shuffle for randomness
+            results.sort(() => Math.random() - 0.5);
+        }
         
         // Apply filter if provided
         if (scriptFilter !== undefined) {
@@ -282,9 +365,9 @@ async function startTidy() {
             }
         }
         
-        // Emit discovery event for each wiki
+        // Emit discovery event for each wiki, which is processed once all jobs that follow from it finish
         for (const wiki of results) {
-            eventBus.emit(Events.WIKI_DISCOVERED, wiki);
+            runInScope(wiki.item, () => eventBus.emit(Events.WIKI_DISCOVERED, wiki));
         }
         
         console.log(`   Queued ${results.length} wikis for processing`);
@@ -292,6 +375,14 @@ async function startTidy() {
     
     // Wait for all work to complete
     await waitForQueues();
+    
+    // Make the batched changes, one edit per item
+    await world.flushBatches(queues.one);
+    await waitForQueues();
+    finishCheckpoints();
+    compactState();
+    compactFailures();
+    logHostStats();
     console.log('');
     console.log('✅ All processing complete!');
     process.exit(0);
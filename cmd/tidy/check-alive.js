@@ -7,16 +7,19 @@
  * - Verifying it's still MediaWiki
  * - Extracting MW version from meta generator
  * - Setting activity status (P13)
+ * - Moving wikis that redirect to a new domain (see the redirect processor)
  * 
  * Usage:
  *   node cmd/tidy/check-alive.js [filter]
  */
 
 import { simplifyClaims } from 'wikibase-sdk';
-import { fetchuc, fetchc } from '../../src/fetch.js';
+import { fetchuc, fetchc, logHostStats, crawlPermission } from '../../src/fetch.js';
 import { world } from '../../src/world.js';
 import { queues, HEADERS } from '../../src/general.js';
 import process from 'process';
+import { P, Q } from '../../src/registry.js';
+import redirectProcessor from '../../src/jobs/processors/wiki/redirect.js';
 
 // Script filter (optional)
 const scriptFilter = process.argv[2];
@@ -29,6 +32,7 @@ const stats = {
     total: 0,
     alive: 0,
     dead: 0,
+    skipped: 0,
     redirected: 0,
     notMediaWiki: 0,
     failed: 0,
@@ -52,9 +56,19 @@ function isMediaWiki(responseText) {
 
 /**
  * Process a single wiki
+ * @param {Object} wiki - { item, site }
+ * @param {Object} worldContext - { wikiIndex }, shared by the whole run
  */
-async function processWiki(wiki) {
+async function processWiki(wiki, worldContext) {
     try {
+        // Wikis that opted out or disallow us are skipped, rather than counted as dead
+        const { allowed, reason } = await crawlPermission(wiki.site);
+        if (!allowed) {
+            console.log(`   🚫 ${wiki.site}: Skipped (${reason})`);
+            stats.skipped++;
+            return;
+        }
+
         const response = await fetchc(wiki.site, { headers: HEADERS });
         const responseText = await response?.text();
         
@@ -72,6 +86,7 @@ async function processWiki(wiki) {
         if (finalDomain !== originalDomain) {
             console.log(`   🔀 ${wiki.site} → ${finalUrl}`);
             stats.redirected++;
+            redirectProcessor.process({ wiki, finalUrl, responseText, worldContext, queues });
             return;
         }
         
@@ -100,13 +115,13 @@ async function processWiki(wiki) {
                 
                 if (entities?.[wiki.item]) {
                     const simpleClaims = simplifyClaims(entities[wiki.item].claims);
-                    const currentVersion = simpleClaims.P57?.[0];
+                    const currentVersion = simpleClaims[P.mediawikiVersion]?.[0];
                     
                     if (currentVersion !== mwVersion) {
                         world.queueWork.claimEnsure(
                             queues.one,
-                            { id: wiki.item, property: 'P57', value: mwVersion },
-                            { summary: `Update [[Property:P57]] to ${mwVersion} from main page meta` }
+                            { id: wiki.item, property: P.mediawikiVersion, value: mwVersion },
+                            { summary: `Update [[Property:${P.mediawikiVersion}]] to ${mwVersion} from main page meta` }
                         );
                         console.log(`   ✅ ${wiki.site}: MW ${mwVersion} (was: ${currentVersion || 'unset'})`);
                         stats.mwVersionUpdated++;
@@ -121,8 +136,8 @@ async function processWiki(wiki) {
             // Ensure activity status is active
             world.queueWork.claimEnsure(
                 queues.one,
-                { id: wiki.item, property: 'P13', value: 'Q54' },
-                { summary: `Set [[Property:P13]] to [[Item:Q54]] (active) - responds with MediaWiki` }
+                { id: wiki.item, property: P.activityStatus, value: Q.active },
+                { summary: `Set [[Property:${P.activityStatus}]] to [[Item:${Q.active}]] (active) - responds with MediaWiki` }
             );
         } else {
             console.log(`   ❌ ${wiki.site}: HTTP ${response.status}`);
@@ -166,6 +181,7 @@ function printStats() {
     console.log(`   Total:            ${stats.total}`);
     console.log(`   Alive:            ${stats.alive}`);
     console.log(`   Dead:             ${stats.dead}`);
+    console.log(`   Skipped:          ${stats.skipped}`);
     console.log(`   Redirected:       ${stats.redirected}`);
     console.log(`   Not MediaWiki:    ${stats.notMediaWiki}`);
     console.log(`   Failed:           ${stats.failed}`);
@@ -181,6 +197,8 @@ async function main() {
     
     console.log('🌍 Loading wikis from wikibase.world...');
     let wikis = await world.sparql.wikis();
+    // One index for the run, so wikis moving to a domain already in use are caught
+    const worldContext = { wikiIndex: await world.wikiIndex() };
     
     // Shuffle for randomness
     wikis.sort(() => Math.random() - 0.5);
@@ -197,13 +215,14 @@ async function main() {
     
     // Queue all wiki checks
     for (const wiki of wikis) {
-        queues.many.add(() => processWiki(wiki), { jobName: `check:${wiki.item}` });
+        queues.many.add(() => processWiki(wiki, worldContext), { jobName: `check:${wiki.item}` });
     }
     
     // Wait for completion
     await waitForQueues();
     
     printStats();
+    logHostStats();
     console.log('');
     console.log('✅ All processing complete!');
     process.exit(0);
@@ -9,10 +9,11 @@
  */
 
 import { simplifyClaims } from 'wikibase-sdk';
-import { fetchuc } from '../../src/fetch.js';
+import { fetchuc, logHostStats } from '../../src/fetch.js';
 import { world } from '../../src/world.js';
 import { queues, HEADERS } from '../../src/general.js';
 import process from 'process';
+import { P } from '../../src/registry.js';
 
 // Script filter (optional)
 const scriptFilter = process.argv[2];
@@ -114,7 +115,7 @@ async function processWiki(wiki) {
         const simpleClaims = simplifyClaims(entities[wiki.item].claims);
         
         // Get action API
-        let actionApi = simpleClaims.P6?.[0];
+        let actionApi = simpleClaims[P.actionApi]?.[0];
         if (!actionApi) {
             const siteUrl = wiki.site.replace(/\/$/, '');
             actionApi = `${siteUrl}/w/api.php`;
@@ -131,15 +132,15 @@ async function processWiki(wiki) {
                 // Create link from this wiki to linked wiki (P55)
                 world.queueWork.claimEnsure(
                     queues.one,
-                    { id: wiki.item, property: 'P55', value: linkedWiki.item },
-                    { summary: `Add [[Property:P55]] to [[Item:${linkedWiki.item}]] from external links` }
+                    { id: wiki.item, property: P.linksTo, value: linkedWiki.item },
+                    { summary: `Add [[Property:${P.linksTo}]] to [[Item:${linkedWiki.item}]] from external links` }
                 );
                 
                 // Create reverse link (P56)
                 world.queueWork.claimEnsure(
                     queues.one,
-                    { id: linkedWiki.item, property: 'P56', value: wiki.item },
-                    { summary: `Add [[Property:P56]] from [[Item:${wiki.item}]] via external links` }
+                    { id: linkedWiki.item, property: P.linkedFrom, value: wiki.item },
+                    { summary: `Add [[Property:${P.linkedFrom}]] from [[Item:${wiki.item}]] via external links` }
                 );
                 
                 linksCreated++;
@@ -225,6 +226,7 @@ async function main() {
     await waitForQueues();
     
     printStats();
+    logHostStats();
     console.log('');
     console.log('✅ All processing complete!');
     process.exit(0);
@@ -9,10 +9,11 @@
  */
 
 import { simplifyClaims } from 'wikibase-sdk';
-import { fetchuc } from '../../src/fetch.js';
+import { fetchuc, logHostStats } from '../../src/fetch.js';
 import { world } from '../../src/world.js';
 import { queues, HEADERS } from '../../src/general.js';
 import process from 'process';
+import { P } from '../../src/registry.js';
 
 // Script filter (optional)
 const scriptFilter = process.argv[2];
@@ -42,12 +43,12 @@ async function getWikiData(wiki) {
     wiki.simpleClaims = simplifyClaims(wiki.entity.claims);
     
     // Check if already has inception
-    if (wiki.simpleClaims.P5?.length > 0) {
+    if (wiki.simpleClaims[P.inception]?.length > 0) {
         return { hasInception: true };
     }
     
     // Get action API
-    let actionApi = wiki.simpleClaims.P6?.[0];
+    let actionApi = wiki.simpleClaims[P.actionApi]?.[0];
     if (!actionApi) {
         const siteUrl = wiki.site.replace(/\/$/, '');
         actionApi = `${siteUrl}/w/api.php`;
@@ -109,11 +110,11 @@ async function processWiki(wiki) {
             queues.one,
             { 
                 id: wiki.item, 
-                property: 'P5', 
+                property: P.inception, 
                 value: result.date,
                 references: { P21: result.logApiUrl, P22: today }
             },
-            { summary: `Set [[Property:P5]] to ${result.date} from first log entry` }
+            { summary: `Set [[Property:${P.inception}]] to ${result.date} from first log entry` }
         );
         
         console.log(`   ✅ ${wiki.site}: Inception ${result.date}`);
@@ -192,6 +193,7 @@ async function main() {
     await waitForQueues();
     
     printStats();
+    logHostStats();
     console.log('');
     console.log('✅ All processing complete!');
     process.exit(0);
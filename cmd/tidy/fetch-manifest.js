@@ -11,10 +11,11 @@
  */
 
 import { simplifyClaims } from 'wikibase-sdk';
-import { fetchuc } from '../../src/fetch.js';
+import { fetchuc, logHostStats } from '../../src/fetch.js';
 import { world } from '../../src/world.js';
 import { queues, HEADERS } from '../../src/general.js';
 import process from 'process';
+import { P } from '../../src/registry.js';
 
 // Script filter (optional)
 const scriptFilter = process.argv[2];
@@ -47,9 +48,9 @@ async function getWikiData(wiki) {
     wiki.simpleClaims = simplifyClaims(wiki.entity.claims);
     
     // Get REST API (P8 or infer from action API)
-    let restApi = wiki.simpleClaims.P8?.[0];
+    let restApi = wiki.simpleClaims[P.sparqlEndpoint]?.[0];
     if (!restApi) {
-        let actionApi = wiki.simpleClaims.P6?.[0];
+        let actionApi = wiki.simpleClaims[P.actionApi]?.[0];
         if (!actionApi) {
             const siteUrl = wiki.site.replace(/\/$/, '');
             actionApi = `${siteUrl}/w/api.php`;
@@ -136,12 +137,12 @@ async function processWiki(wiki) {
         // Get property count
         const propertyCount = await fetchPropertyCount(wikiData.restApi);
         if (propertyCount !== null) {
-            const current = wikiData.simpleClaims.P58?.[0];
+            const current = wikiData.simpleClaims[P.propertyCount]?.[0];
             if (current !== propertyCount) {
                 world.queueWork.claimEnsure(
                     queues.one,
-                    { id: wiki.item, property: 'P58', value: propertyCount },
-                    { summary: `Set [[Property:P58]] to ${propertyCount} from REST API` }
+                    { id: wiki.item, property: P.propertyCount, value: propertyCount },
+                    { summary: `Set [[Property:${P.propertyCount}]] to ${propertyCount} from REST API` }
                 );
                 updates.push(`Properties: ${propertyCount}`);
                 stats.updated.propertyCount++;
@@ -151,12 +152,12 @@ async function processWiki(wiki) {
         // Get max item ID
         const maxItemId = await fetchMaxItemId(wikiData.restApi);
         if (maxItemId !== null) {
-            const current = wikiData.simpleClaims.P67?.[0];
+            const current = wikiData.simpleClaims[P.maxItemId]?.[0];
             if (current !== maxItemId) {
                 world.queueWork.claimEnsure(
                     queues.one,
-                    { id: wiki.item, property: 'P67', value: maxItemId },
-                    { summary: `Set [[Property:P67]] to ${maxItemId} from REST API` }
+                    { id: wiki.item, property: P.maxItemId, value: maxItemId },
+                    { summary: `Set [[Property:${P.maxItemId}]] to ${maxItemId} from REST API` }
                 );
                 updates.push(`Max Item: Q${maxItemId}`);
                 stats.updated.maxItemId++;
@@ -245,6 +246,7 @@ async function main() {
     await waitForQueues();
     
     printStats();
+    logHostStats();
     console.log('');
     console.log('✅ All processing complete!');
     process.exit(0);
@@ -9,12 +9,13 @@
  */
 
 import { simplifyClaims } from 'wikibase-sdk';
-import { fetchuc } from '../../src/fetch.js';
+import { fetchuc, logHostStats } from '../../src/fetch.js';
 import { world } from '../../src/world.js';
 import { queues, HEADERS } from '../../src/general.js';
 import dns from 'dns';
 import { promisify } from 'util';
 import process from 'process';
+import { P, Q } from '../../src/registry.js';
 
 const reverseLookup = promisify(dns.reverse);
 const lookup = promisify(dns.lookup);
@@ -27,12 +28,12 @@ if (scriptFilter !== undefined) {
 
 // Host detection patterns
 const HOST_PATTERNS = {
-    'wikibase.cloud': 'Q8',
-    'professional.wiki': 'Q7',
-    'miraheze.org': 'Q118',
-    'toolforge.org': 'Q6',
-    'wmflabs.org': 'Q6',
-    'wikimedia.org': 'Q6',
+    'wikibase.cloud': Q.hostWikibaseCloud,
+    'professional.wiki': Q.hostProfessionalWiki,
+    'miraheze.org': Q.hostMiraheze,
+    'toolforge.org': Q.hostWmfLabs,
+    'wmflabs.org': Q.hostWmfLabs,
+    'wikimedia.org': Q.hostWmfLabs,
 };
 
 // Statistics
@@ -97,7 +98,7 @@ async function processWiki(wiki) {
         const simpleClaims = simplifyClaims(entities[wiki.item].claims);
         
         // Check if host already set
-        if (simpleClaims.P2?.length > 0) {
+        if (simpleClaims[P.host]?.length > 0) {
             stats.alreadySet++;
             return;
         }
@@ -110,8 +111,8 @@ async function processWiki(wiki) {
         if (host) {
             world.queueWork.claimEnsure(
                 queues.one,
-                { id: wiki.item, property: 'P2', value: host.qid },
-                { summary: `Set [[Property:P2]] to [[Item:${host.qid}]] (${host.reason})` }
+                { id: wiki.item, property: P.host, value: host.qid },
+                { summary: `Set [[Property:${P.host}]] to [[Item:${host.qid}]] (${host.reason})` }
             );
             
             console.log(`   ✅ ${wiki.site}: Host ${host.qid} (${host.reason})`);
@@ -194,6 +195,7 @@ async function main() {
     await waitForQueues();
     
     printStats();
+    logHostStats();
     console.log('');
     console.log('✅ All processing complete!');
     process.exit(0);
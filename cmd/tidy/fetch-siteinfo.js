@@ -12,10 +12,11 @@
  */
 
 import { simplifyClaims } from 'wikibase-sdk';
-import { fetchuc } from '../../src/fetch.js';
+import { fetchuc, logHostStats } from '../../src/fetch.js';
 import { world } from '../../src/world.js';
 import { queues, HEADERS } from '../../src/general.js';
 import process from 'process';
+import { P } from '../../src/registry.js';
 
 // Script filter (optional)
 const scriptFilter = process.argv[2];
@@ -51,8 +52,8 @@ async function getActionApi(wiki) {
     wiki.simpleClaims = simplifyClaims(wiki.entity.claims);
     
     // Try P6 (action API) first
-    if (wiki.simpleClaims.P6?.[0]) {
-        return wiki.simpleClaims.P6[0];
+    if (wiki.simpleClaims[P.actionApi]?.[0]) {
+        return wiki.simpleClaims[P.actionApi][0];
     }
     
     // Infer from site URL
@@ -102,8 +103,8 @@ async function processWiki(wiki) {
         if (general.phpversion) {
             world.queueWork.claimEnsure(
                 queues.one,
-                { id: wiki.item, property: 'P68', value: general.phpversion },
-                { summary: `Set [[Property:P68]] to ${general.phpversion} from siteinfo` }
+                { id: wiki.item, property: P.phpVersion, value: general.phpversion },
+                { summary: `Set [[Property:${P.phpVersion}]] to ${general.phpversion} from siteinfo` }
             );
             updates.push(`PHP ${general.phpversion}`);
             stats.updated.phpVersion++;
@@ -113,8 +114,8 @@ async function processWiki(wiki) {
         if (general.dbtype) {
             world.queueWork.claimEnsure(
                 queues.one,
-                { id: wiki.item, property: 'P69', value: general.dbtype },
-                { summary: `Set [[Property:P69]] to ${general.dbtype} from siteinfo` }
+                { id: wiki.item, property: P.databaseType, value: general.dbtype },
+                { summary: `Set [[Property:${P.databaseType}]] to ${general.dbtype} from siteinfo` }
             );
             updates.push(`DB: ${general.dbtype}`);
             stats.updated.dbType++;
@@ -124,8 +125,8 @@ async function processWiki(wiki) {
         if (general.dbversion) {
             world.queueWork.claimEnsure(
                 queues.one,
-                { id: wiki.item, property: 'P70', value: general.dbversion },
-                { summary: `Set [[Property:P70]] to ${general.dbversion} from siteinfo` }
+                { id: wiki.item, property: P.databaseVersion, value: general.dbversion },
+                { summary: `Set [[Property:${P.databaseVersion}]] to ${general.dbversion} from siteinfo` }
             );
             updates.push(`DB v${general.dbversion}`);
             stats.updated.dbVersion++;
@@ -143,48 +144,48 @@ async function processWiki(wiki) {
         };
         
         if (statistics.edits !== undefined) {
-            const current = wiki.simpleClaims?.P59?.[0];
+            const current = wiki.simpleClaims?.[P.editCount]?.[0];
             if (shouldUpdateNumeric(current, statistics.edits)) {
                 world.queueWork.claimEnsure(
                     queues.one,
-                    { id: wiki.item, property: 'P59', value: { amount: `+${statistics.edits}`, unit: '1' } },
-                    { summary: `Update [[Property:P59]] to ${statistics.edits} from siteinfo` }
+                    { id: wiki.item, property: P.editCount, value: { amount: `+${statistics.edits}`, unit: '1' } },
+                    { summary: `Update [[Property:${P.editCount}]] to ${statistics.edits} from siteinfo` }
                 );
                 stats.updated.statistics++;
             }
         }
         
         if (statistics.users !== undefined) {
-            const current = wiki.simpleClaims?.P60?.[0];
+            const current = wiki.simpleClaims?.[P.userCount]?.[0];
             if (shouldUpdateNumeric(current, statistics.users)) {
                 world.queueWork.claimEnsure(
                     queues.one,
-                    { id: wiki.item, property: 'P60', value: { amount: `+${statistics.users}`, unit: '1' } },
-                    { summary: `Update [[Property:P60]] to ${statistics.users} from siteinfo` }
+                    { id: wiki.item, property: P.userCount, value: { amount: `+${statistics.users}`, unit: '1' } },
+                    { summary: `Update [[Property:${P.userCount}]] to ${statistics.users} from siteinfo` }
                 );
                 stats.updated.statistics++;
             }
         }
         
         if (statistics.activeusers !== undefined) {
-            const current = wiki.simpleClaims?.P61?.[0];
+            const current = wiki.simpleClaims?.[P.activeUserCount]?.[0];
             if (shouldUpdateNumeric(current, statistics.activeusers)) {
                 world.queueWork.claimEnsure(
                     queues.one,
-                    { id: wiki.item, property: 'P61', value: { amount: `+${statistics.activeusers}`, unit: '1' } },
-                    { summary: `Update [[Property:P61]] to ${statistics.activeusers} from siteinfo` }
+                    { id: wiki.item, property: P.activeUserCount, value: { amount: `+${statistics.activeusers}`, unit: '1' } },
+                    { summary: `Update [[Property:${P.activeUserCount}]] to ${statistics.activeusers} from siteinfo` }
                 );
                 stats.updated.statistics++;
             }
         }
         
         if (statistics.pages !== undefined) {
-            const current = wiki.simpleClaims?.P62?.[0];
+            const current = wiki.simpleClaims?.[P.pageCount]?.[0];
             if (shouldUpdateNumeric(current, statistics.pages)) {
                 world.queueWork.claimEnsure(
                     queues.one,
-                    { id: wiki.item, property: 'P62', value: { amount: `+${statistics.pages}`, unit: '1' } },
-                    { summary: `Update [[Property:P62]] to ${statistics.pages} from siteinfo` }
+                    { id: wiki.item, property: P.pageCount, value: { amount: `+${statistics.pages}`, unit: '1' } },
+                    { summary: `Update [[Property:${P.pageCount}]] to ${statistics.pages} from siteinfo` }
                 );
                 stats.updated.statistics++;
             }
@@ -270,6 +271,7 @@ async function main() {
     await waitForQueues();
     
     printStats();
+    logHostStats();
     console.log('');
     console.log('✅ All processing complete!');
     process.exit(0);
@@ -0,0 +1,143 @@
+/**
+ * Undo - Revert edits recorded in the edit journal
+ *
+ * Reverts all journaled edits from one run, or from one handler, in reverse order:
+ * 1. Each journal entry is turned into the edit that reverts it
+ * 2. The reverting edit is checked against the current revision of the entity
+ * 3. Already reverted edits are skipped, and edits changed by someone else since are reported as conflicts
+ * 4. Everything else is reverted via world.queueWork on the serialized queues.one
+ * 5. Reverting edits that fail or are not made are reported as failed, and only the rest count as reverted
+ *
+ * Item creations are not reverted automatically, they are listed for manual deletion.
+ * Running with WORLD_PLAN set records the reverting edits as a plan instead.
+ *
+ * Usage:
+ *   node cmd/undo.js --run=<run-id> [--journal=<file>]
+ *   node cmd/undo.js --handler=<handler> [--journal=<file>]
+ *
+ *   handler - e.g. processor:url-normalizer or processor:host:professional-wiki
+ */
+
+import { world } from '../src/world.js';
+import { queues } from '../src/general.js';
+import { readJournal, getJournalFile, inverseOfJournalEntry } from '../src/edits/journal.js';
+import { checkPlanEntry } from '../src/edits/apply.js';
+import { isFromHandler, isPlanMode } from '../src/edits/plan.js';
+import process from 'process';
+
+const args = process.argv.slice(2);
+const argValue = (name) => args.find(a => a.startsWith(`--${name}=`))?.split('=').slice(1).join('=');
+const runFilter = argValue('run');
+const handlerFilter = argValue('handler');
+const journalFile = argValue('journal') || getJournalFile();
+
+if (!runFilter && !handlerFilter) {
+    console.log('Usage: node cmd/undo.js --run=<run-id>|--handler=<handler> [--journal=<file>]');
+    process.exit(1);
+}
+
+// Statistics
+const stats = {
+    selected: 0,
+    reverted: 0,
+    alreadyReverted: 0,
+    conflicts: 0,
+    manual: 0,
+    failed: 0,
+};
+const conflicts = [];
+const failures = [];
+const manual = [];
+
+/**
+ * Print final statistics
+ */
+function printStats() {
+    console.log('');
+    console.log('📊 Undo Statistics:');
+    console.log(`   Journal entries:  ${stats.selected}`);
+    console.log(`   Reverted:         ${stats.reverted}`);
+    console.log(`   Already reverted: ${stats.alreadyReverted}`);
+    console.log(`   Conflicts:        ${stats.conflicts}`);
+    console.log(`   Needs manual fix: ${stats.manual}`);
+    console.log(`   Failed:           ${stats.failed}`);
+    printEntries('⚠️ Conflicts (changed since, not reverted):', conflicts);
+    printEntries('❌ Failed (not reverted):', failures);
+    if (manual.length > 0) {
+        console.log('');
+        console.log('✋ Not reverted automatically:');
+        for (const entry of manual) {
+            console.log(`   ${entry.action} ${entry.id} r${entry.revision}: ${entry.summary}`);
+        }
+    }
+}
+
+/**
+ * Print journal entries that were not reverted, with why
+ * @param {string} heading
+ * @param {Array<{ entry: Object, reason: string }>} list
+ */
+function printEntries(heading, list) {
+    if (list.length === 0) return;
+    console.log('');
+    console.log(heading);
+    for (const { entry, reason } of list) {
+        console.log(`   ${entry.action} ${entry.id} r${entry.revision}: ${reason}`);
+    }
+}
+
+/**
+ * Main
+ */
+async function main() {
+    console.log(`↩️ Undoing edits from ${runFilter ? `run ${runFilter}` : `handler ${handlerFilter}`} using ${journalFile}`);
+    console.log('');
+
+    const entries = readJournal(journalFile)
+        .filter(entry => runFilter === undefined || entry.run === runFilter)
+        .filter(entry => handlerFilter === undefined || isFromHandler(entry, handlerFilter))
+        .reverse();
+    stats.selected = entries.length;
+
+    for (const entry of entries) {
+        const inverse = inverseOfJournalEntry(entry);
+        if (!inverse) {
+            manual.push(entry);
+            stats.manual++;
+            continue;
+        }
+
+        const entity = await world.getEntity(inverse.id);
+        const { status, reason } = checkPlanEntry(inverse, entity);
+
+        if (status === 'satisfied') {
+            console.log(`   ⏭️ ${entry.action} ${entry.id} r${entry.revision}: ${reason}`);
+            stats.alreadyReverted++;
+            continue;
+        }
+        if (status === 'conflict') {
+            console.log(`   ⚠️ ${entry.action} ${entry.id} r${entry.revision}: ${reason}`);
+            conflicts.push({ entry, reason });
+            stats.conflicts++;
+            continue;
+        }
+
+        // Only a reverting edit that was made counts, or in plan mode one that was recorded
+        try {
+            const response = await world.queueWork[inverse.action](queues.one, inverse.data, { summary: inverse.summary });
+            if (!response && !isPlanMode()) throw new Error('the edit was not made');
+            stats.reverted++;
+        } catch (error) {
+            console.log(`   ❌ ${entry.action} ${entry.id} r${entry.revision}: ${error.message}`);
+            failures.push({ entry, reason: error.message });
+            stats.failed++;
+        }
+    }
+
+    printStats();
+    console.log('');
+    console.log('✅ All processing complete!');
+    process.exit(0);
+}
+
+main();
@@ -0,0 +1,156 @@
+/**
+ * Checkpoints - Persist pending edits and processed markers, so an interrupted run can be resumed
+ *
+ * While checkpoints are enabled, a run appends to .data/checkpoints/<name>.jsonl:
+ * - job: an edit or batched change queued via world.queueWork, with what is needed to queue it again
+ * - done: a job that finished, or was handed on to a later job (e.g. batched changes to their entity edit)
+ * - processed: a scope (e.g. a wiki item) whose jobs all finished, see runInScope in general.js
+ *
+ * A run that completes removes its checkpoint. After a crash or a CI timeout the checkpoint remains,
+ * and the next run with --resume skips the processed scopes and queues the pending jobs again via
+ * world.resumeJobs, which checks each edit against wikibase.world first so none is made twice.
+ * Without --resume, an old checkpoint is discarded.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { appendJsonLine, readJsonLines } from './jsonl.js';
+import { DATA_DIR, RUN_ID, setCheckpointer } from './general.js';
+
+/**
+ * @typedef {Object} CheckpointJob
+ * @property {string} id
+ * @property {'edit'|'batch'} kind - An edit queued on a queue, or a change collected in batch mode
+ * @property {string} action - The world.queueWork function name
+ * @property {Object} data - The data passed to world.queueWork
+ * @property {string} summary - The edit summary
+ * @property {string|null} handler - The event handler that queued the job
+ */
+
+let checkpointFile = null;
+let nextJob = 0;
+// Job IDs must not clash with those carried over from the run being resumed, which may share its run ID
+const processToken = Math.random().toString(36).slice(2, 6);
+const processed = new Set();
+
+/**
+ * @param {string} name - The script name, e.g. 'tidy-world'
+ * @returns {string} The checkpoint file for a script
+ */
+export function checkpointFileFor(name) {
+    return path.join(DATA_DIR, 'checkpoints', `${name}.jsonl`);
+}
+
+/**
+ * Read a checkpoint file
+ * @param {string} file
+ * @returns {{ pending: CheckpointJob[], processed: string[] }} Jobs that never finished, and processed scopes
+ */
+export function readCheckpoint(file) {
+    const jobs = new Map();
+    const scopes = new Set();
+    for (const record of readJsonLines(file)) {
+        if (record.type === 'job') jobs.set(record.id, record);
+        if (record.type === 'done') jobs.delete(record.id);
+        if (record.type === 'processed') scopes.add(record.scope);
+    }
+    const pending = [...jobs.values()].map(record => {
+        const job = { ...record };
+        delete job.type;
+        return job;
+    });
+    return { pending, processed: [...scopes] };
+}
+
+/**
+ * Start checkpointing this run
+ * @param {string} name - The script name, e.g. 'tidy-world'
+ * @param {Object} [options]
+ * @param {boolean} [options.resume=false] - Continue from the checkpoint of an interrupted run
+ * @param {string} [options.file] - Use another checkpoint file (for tests)
+ * @returns {CheckpointJob[]} Jobs from the interrupted run to queue again, see world.resumeJobs
+ */
+export function enableCheckpoints(name, { resume = false, file = checkpointFileFor(name) } = {}) {
+    checkpointFile = file;
+    nextJob = 0;
+    processed.clear();
+    let pending = [];
+
+    if (fs.existsSync(checkpointFile)) {
+        if (resume) {
+            const previous = readCheckpoint(checkpointFile);
+            pending = previous.pending;
+            previous.processed.forEach(scope => processed.add(scope));
+            console.log(`⏯️ Resuming from ${checkpointFile}: ${processed.size} already processed, ${pending.length} pending edits`);
+        } else {
+            console.log(`🗑️ Discarding the checkpoint of an earlier run in ${checkpointFile} (use --resume to continue it)`);
+        }
+        fs.rmSync(checkpointFile);
+    } else if (resume) {
+        console.log(`⏯️ No checkpoint to resume in ${checkpointFile}, starting from the beginning`);
+    }
+
+    // Carry over what is still relevant, so the file stays small across several resumes
+    appendJsonLine(checkpointFile, { type: 'start', run: RUN_ID, time: new Date().toISOString(), resumed: resume });
+    for (const scope of processed) appendJsonLine(checkpointFile, { type: 'processed', scope });
+    for (const job of pending) appendJsonLine(checkpointFile, { type: 'job', ...job });
+
+    setCheckpointer({ jobQueued: recordJob, jobDone: completeJob, scopeDone: markProcessed });
+    return pending;
+}
+
+/**
+ * @returns {boolean} True if this run is checkpointed
+ */
+export function isCheckpointing() {
+    return checkpointFile !== null;
+}
+
+/**
+ * Record a job that must be done if the run is resumed
+ * @param {Omit<CheckpointJob, 'id'>} job
+ * @returns {string|null} The job ID, or null when not checkpointing
+ */
+export function recordJob(job) {
+    if (!checkpointFile) return null;
+    const id = `${RUN_ID}-${processToken}-${nextJob++}`;
+    appendJsonLine(checkpointFile, { type: 'job', id, ...job });
+    return id;
+}
+
+/**
+ * Record that a job finished
+ * @param {string|null} id
+ */
+export function completeJob(id) {
+    if (!checkpointFile || id === null || id === undefined) return;
+    appendJsonLine(checkpointFile, { type: 'done', id });
+}
+
+/**
+ * Record that a scope was processed, so a resumed run skips it
+ * @param {string} scope
+ */
+export function markProcessed(scope) {
+    if (!checkpointFile || processed.has(scope)) return;
+    processed.add(scope);
+    appendJsonLine(checkpointFile, { type: 'processed', scope });
+}
+
+/**
+ * @param {string} scope
+ * @returns {boolean} True if an interrupted run being resumed already processed the scope
+ */
+export function wasProcessed(scope) {
+    return processed.has(scope);
+}
+
+/**
+ * The run completed, so there is nothing to resume: remove the checkpoint
+ */
+export function finishCheckpoints() {
+    if (!checkpointFile) return;
+    setCheckpointer(null);
+    fs.rmSync(checkpointFile, { force: true });
+    checkpointFile = null;
+}
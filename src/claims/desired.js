@@ -0,0 +1,375 @@
+/**
+ * Desired State - Plan the minimal claim edits that bring an item to a declared state
+ *
+ * Processors declare what an item should look like per property, rather than deciding
+ * themselves whether to create, update or remove values from a snapshot of the item:
+ *
+ *   {
+ *     P68: { values: [{ value: '8.1.2' }], summaryAdd: '...', summaryUpdate: 'from {old} to {new}' },
+ *     P37: { mode: 'include', values: [{ value: 'Q287', qualifiers: { P1: 'https://.../tools/cradle' } }] },
+ *   }
+ *
+ * The planner diffs declarations against the full entity, including qualifiers, references and
+ * ranks, and produces entity.edit claims that only touch what differs:
+ * - Declared values already present are kept, with declared qualifiers, references and ranks added to them
+ * - Values declared with a source get a reference to it (reference URL and retrieved date). When the value
+ *   is unchanged only an outdated retrieved date is refreshed, see the reference policy in helpers.js
+ * - In 'exact' mode (the default) other values are replaced in place (keeping their GUIDs) or removed.
+ *   A property that already has more than one value is left alone and reported instead, as several
+ *   values are usually curated by hand, unless the declaration opts in with removeOthers
+ * - In 'include' mode other values are left alone
+ * - In 'ifEmpty' mode values are only added if the property has no values at all
+ * - In 'history' mode the value is dated, and added as the newest of the property's statements
+ *   unless the newest already has it (see history.js)
+ *
+ * Several declarations for one property are merged: values declared by any of them are wanted.
+ * If 'exact' declarations disagree, the one already satisfied wins, otherwise the first by handler
+ * name, and the others are dropped and reported.
+ */
+
+import { claimValueFrom, formatValue, valuesMatch, comparableValue, simplifyClaimForEdit, shouldUpdateNumericClaim } from './values.js';
+import { THINNING_PERIODS } from './history.js';
+import { P } from '../registry.js';
+
+/**
+ * @typedef {Object} DesiredValue
+ * @property {*} value - The value, as passed to wikibase-edit
+ * @property {Object} [qualifiers] - Qualifier values by property; declared qualifier properties are made to match exactly, others are left alone
+ * @property {Object[]} [references] - References (snak values by property) that must be present on the claim
+ * @property {Source} [source] - Where the value was retrieved from, referenced following the reference policy
+ * @property {string} [rank] - The rank the claim should have
+ * @property {number} [threshold] - For numeric values, existing values within this log10 difference are kept
+ */
+
+/**
+ * @typedef {Object} Source
+ * @property {string} url - Referenced with the reference URL property
+ * @property {string} retrieved - The date it was retrieved, YYYY-MM-DD
+ * @property {number} refreshDays - A reference to the URL retrieved longer ago than this gets the new date
+ */
+
+/**
+ * @typedef {Object} DesiredProperty
+ * @property {DesiredValue[]} values - The wanted values
+ * @property {'exact'|'include'|'ifEmpty'|'history'} [mode='exact'] - Whether values that are not declared are removed, kept,
+ *   or stop anything being added, or whether the property is a history of dated values
+ * @property {string} [pointInTime] - For history mode, the qualifier property that dates each value
+ * @property {string} [thinning='month'] - For history mode, older statements are thinned to one per day, month, year or none
+ * @property {boolean} [removeOthers=false] - For exact mode, replace or remove other values even when the property has several
+ * @property {string} [summaryAdd] - Summary for adding values ({new} is replaced)
+ * @property {string} [summaryUpdate] - Summary for replacing values ({old}, {new} and {delta} are replaced)
+ * @property {string} [summaryRemove] - Summary for removing values ({old} is replaced)
+ */
+
+/**
+ * @typedef {Object} DesiredDeclaration
+ * @property {Object<string, DesiredProperty>} claims - Desired state by property ID
+ * @property {string} summary - Summary used when a property has no more specific one
+ * @property {string|null} [handler] - The event handler that made the declaration
+ */
+
+const asList = (value) => Array.isArray(value) ? value : [value];
+const sameValues = (a, b) => {
+    const fa = a.map(comparableValue).sort();
+    const fb = b.map(comparableValue).sort();
+    return fa.length === fb.length && fa.every((v, i) => v === fb[i]);
+};
+const fill = (template, replacements) => Object.entries(replacements)
+    .reduce((text, [key, value]) => text.replace(`{${key}}`, formatValue(value)), template);
+
+/**
+ * Check whether an existing claim value satisfies a desired value
+ * @param {*} existing - Value as returned by claimValueFrom
+ * @param {DesiredValue} desired
+ * @returns {boolean}
+ */
+function satisfies(existing, desired) {
+    if (desired.threshold !== undefined && existing && typeof existing === 'object' && 'amount' in existing) {
+        return !shouldUpdateNumericClaim(parseFloat(existing.amount), Number(desired.value), desired.threshold);
+    }
+    return valuesMatch(existing, desired.value);
+}
+
+const referenceContains = (reference, desired) => Object.entries(desired).every(([property, values]) =>
+    asList(values).every(value => (reference[property] || []).some(v => comparableValue(v) === comparableValue(value)))
+);
+
+/**
+ * @param {Source} source
+ * @returns {Object} A reference to the source
+ */
+const sourceReference = (source) => ({ [P.referenceUrl]: source.url, [P.retrieved]: source.retrieved });
+
+/**
+ * Apply the reference policy to simplified references: a reference to the source is added if there is none,
+ * and its retrieved date refreshed once it is older than source.refreshDays. Other references are left alone.
+ * @param {Object[]} references - References as returned by simplifyClaimForEdit
+ * @param {Source} source
+ * @returns {Object[]|null} The new references, or null if nothing differs
+ */
+function referencesWithSource(references, source) {
+    const index = references.findIndex(r => (r[P.referenceUrl] || []).some(url => comparableValue(url) === source.url));
+    if (index === -1) return [...references, sourceReference(source)];
+    const retrieved = (references[index][P.retrieved] || []).map(comparableValue).sort().pop();
+    if (retrieved && Date.parse(source.retrieved) - Date.parse(retrieved) < source.refreshDays * 86400 * 1000) return null;
+    return references.map((r, i) => i === index ? { ...r, [P.retrieved]: [source.retrieved] } : r);
+}
+
+/**
+ * Bring a simplified claim in line with a desired value
+ * @param {Object} claim - Claim as returned by simplifyClaimForEdit
+ * @param {DesiredValue} desired
+ * @param {boolean} replaceValue - Whether the main value is replaced
+ * @returns {Object|null} The changed claim for entity.edit, or null if nothing differs
+ */
+function alignClaim(claim, desired, replaceValue) {
+    const aligned = { ...claim, qualifiers: { ...claim.qualifiers }, references: [...(claim.references || [])] };
+    let changed = false;
+    if (replaceValue) {
+        aligned.value = desired.value;
+        changed = true;
+    }
+    if (desired.rank && desired.rank !== claim.rank) {
+        aligned.rank = desired.rank;
+        changed = true;
+    }
+    for (const [property, values] of Object.entries(desired.qualifiers || {})) {
+        if (!sameValues(claim.qualifiers?.[property] || [], asList(values))) {
+            aligned.qualifiers[property] = asList(values);
+            changed = true;
+        }
+    }
+    for (const reference of desired.references || []) {
+        if (!aligned.references.some(r => referenceContains(r, reference))) {
+            aligned.references.push(reference);
+            changed = true;
+        }
+    }
+    const sourced = desired.source && referencesWithSource(aligned.references, desired.source);
+    if (sourced) {
+        aligned.references = sourced;
+        changed = true;
+    }
+    return changed ? aligned : null;
+}
+
+/**
+ * Merge several declarations for one property into one
+ * @param {Object} entity - The current entity
+ * @param {string} property - The property ID
+ * @param {Array<{ spec: DesiredProperty, declaration: DesiredDeclaration }>} declared
+ * @returns {{ spec: DesiredProperty, dropped: Array<{ declaration: DesiredDeclaration, reason: string }> }}
+ */
+function mergeDeclarations(entity, property, declared) {
+    const sorted = [...declared].sort((a, b) => (a.declaration.handler || '').localeCompare(b.declaration.handler || ''));
+    const history = sorted.find(d => d.spec.mode === 'history');
+    if (history) {
+        // A history takes one dated value at a time, so any other declaration loses
+        const reason = `${property} is kept as a history by ${history.declaration.handler}`;
+        return { spec: history.spec, dropped: sorted.filter(d => d !== history).map(d => ({ declaration: d.declaration, reason })) };
+    }
+    const existing = (entity.claims?.[property] || []).map(claimValueFrom);
+    const isSatisfied = (spec) => spec.values.every(d => existing.some(e => satisfies(e, d)));
+    const exact = sorted.filter(d => (d.spec.mode || 'exact') === 'exact');
+    const dropped = [];
+
+    let base = null;
+    if (exact.length > 0) {
+        base = exact.find(d => isSatisfied(d.spec)) || exact[0];
+        for (const other of exact.filter(d => d !== base)) {
+            if (!sameValues(other.spec.values.map(v => v.value), base.spec.values.map(v => v.value))) {
+                dropped.push({ declaration: other.declaration, reason: `conflicts with [${base.spec.values.map(v => formatValue(v.value)).join(', ')}] from ${base.declaration.handler}` });
+            }
+        }
+    }
+    const kept = sorted.filter(d => !dropped.some(x => x.declaration === d.declaration));
+    const first = base || kept[0];
+
+    const values = [];
+    for (const { spec } of [first, ...kept.filter(d => d !== first)]) {
+        for (const desired of spec.values) {
+            const same = values.find(v => valuesMatch(v.value, desired.value));
+            if (!same) {
+                values.push({ ...desired });
+                continue;
+            }
+            // Combine qualifiers and references declared for the same value, first declaration wins
+            same.qualifiers = { ...desired.qualifiers, ...same.qualifiers };
+            same.references = [...(same.references || []), ...(desired.references || [])];
+            same.rank = same.rank || desired.rank;
+            same.source = same.source || desired.source;
+        }
+    }
+    const mode = base ? 'exact' : (kept.every(d => d.spec.mode === 'ifEmpty') ? 'ifEmpty' : 'include');
+    return { spec: { ...first.spec, mode, values }, dropped };
+}
+
+/**
+ * Plan the claims for one property
+ * @param {Object} entity - The current entity
+ * @param {string} property - The property ID
+ * @param {DesiredProperty} spec - The merged desired state
+ * @param {string} summary - Summary used when the spec has no more specific one
+ * @returns {{ claims: Object[], summaries: string[], skipped?: string }} With why nothing was planned, if the property was skipped
+ */
+function planProperty(entity, property, spec, summary) {
+    if (spec.mode === 'history') return planHistory(entity, property, spec, summary);
+    const existing = (entity.claims?.[property] || []).map(raw => ({ raw, value: claimValueFrom(raw) }));
+    if (spec.mode === 'ifEmpty' && existing.length > 0) {
+        // Values already present only get their source referenced
+        const claims = spec.values.filter(d => d.source).flatMap(desired => {
+            const match = existing.find(e => satisfies(e.value, desired));
+            return match ? [alignClaim(simplifyClaimForEdit(match.raw), { value: desired.value, source: desired.source }, false)].filter(Boolean) : [];
+        });
+        return { claims, summaries: claims.map(() => summary) };
+    }
+    const claimed = new Set();
+    const matched = [];
+    const missing = [];
+    for (const desired of spec.values) {
+        const match = existing.find(e => !claimed.has(e) && satisfies(e.value, desired));
+        if (match) {
+            claimed.add(match);
+            matched.push([match, desired]);
+        } else {
+            missing.push(desired);
+        }
+    }
+    const leftover = existing.filter(e => !claimed.has(e));
+    if ((spec.mode || 'exact') === 'exact' && leftover.length > 0 && existing.length > 1 && !spec.removeOthers) {
+        return { claims: [], summaries: [], skipped: `has ${existing.length} claims, which are left alone without removeOthers` };
+    }
+
+    const claims = [];
+    const summaries = [];
+    for (const [existingClaim, desired] of matched) {
+        const aligned = alignClaim(simplifyClaimForEdit(existingClaim.raw), desired, false);
+        if (aligned) {
+            claims.push(aligned);
+            summaries.push(summary);
+        }
+    }
+    if ((spec.mode || 'exact') === 'exact') {
+        // Reuse claims that are no longer wanted for the missing values, keeping their GUIDs
+        while (missing.length > 0 && leftover.length > 0) {
+            const existingClaim = leftover.shift();
+            const desired = missing.shift();
+            claims.push(alignClaim(simplifyClaimForEdit(existingClaim.raw), desired, true));
+            const old = comparableValue(existingClaim.value);
+            summaries.push(spec.summaryUpdate
+                ? fill(spec.summaryUpdate, { old, new: desired.value, delta: Number(desired.value) - Number(old) })
+                : summary);
+        }
+        for (const existingClaim of leftover) {
+            claims.push({ id: existingClaim.raw.id, remove: true });
+            summaries.push(spec.summaryRemove ? fill(spec.summaryRemove, { old: comparableValue(existingClaim.value) }) : summary);
+        }
+    }
+    for (const desired of missing) {
+        const { value, qualifiers, rank, source } = desired;
+        const references = source ? [...(desired.references || []), sourceReference(source)] : desired.references;
+        claims.push({ value, ...(qualifiers && { qualifiers }), ...(references && { references }), ...(rank && { rank }) });
+        summaries.push(spec.summaryAdd ? fill(spec.summaryAdd, { new: value }) : summary);
+    }
+    return { claims, summaries };
+}
+
+/**
+ * Plan the claims for a property kept as a history of dated values
+ * The declared value is added as a new preferred statement, or replaces the newest statement if that
+ * is dated in the same period. Older statements get normal rank, and are thinned to the latest per period.
+ * @param {Object} entity - The current entity
+ * @param {string} property - The property ID
+ * @param {DesiredProperty} spec - A history declaration with one value, dated by its pointInTime qualifier
+ * @param {string} summary - Summary used when the spec has no more specific one
+ * @returns {{ claims: Object[], summaries: string[] }}
+ */
+function planHistory(entity, property, spec, summary) {
+    const [desired] = spec.values;
+    const periodOf = THINNING_PERIODS[spec.thinning || 'month'];
+    const dateOf = (raw) => {
+        const snak = raw.qualifiers?.[spec.pointInTime]?.[0];
+        return snak?.datavalue ? comparableValue(snak.datavalue.value) : null;
+    };
+    const date = comparableValue(asList(desired.qualifiers[spec.pointInTime])[0]);
+    // Newest first, undated statements (from before history mode) last
+    const existing = (entity.claims?.[property] || [])
+        .map(raw => ({ raw, value: claimValueFrom(raw), date: dateOf(raw) }))
+        .sort((a, b) => (b.date || '').localeCompare(a.date || ''));
+
+    const claims = [];
+    const summaries = [];
+    const newest = existing[0]?.date ? existing[0] : null;
+    // The newest statement stays the newest if it is newer than the value, or already has it
+    const kept = newest && (newest.date > date || valuesMatch(newest.value, desired.value)) ? newest : null;
+    // Otherwise one statement per period: the value replaces a newest statement from earlier in the period
+    const replaced = !kept && newest && periodOf(newest.date) === periodOf(date) ? newest : null;
+    const references = desired.source ? [...(desired.references || []), sourceReference(desired.source)] : desired.references;
+    if (kept) {
+        const aligned = alignClaim(simplifyClaimForEdit(kept.raw), { value: kept.value, rank: 'preferred', source: desired.source }, false);
+        if (aligned) {
+            claims.push(aligned);
+            summaries.push(summary);
+        }
+    } else if (replaced) {
+        const claim = simplifyClaimForEdit(replaced.raw);
+        const old = comparableValue(replaced.value);
+        claims.push({ ...claim, value: desired.value, qualifiers: { ...claim.qualifiers, [spec.pointInTime]: [date] }, references: references || [], rank: 'preferred' });
+        summaries.push(spec.summaryUpdate ? fill(spec.summaryUpdate, { old, new: desired.value, delta: Number(desired.value) - Number(old) }) : summary);
+    } else {
+        const { value, qualifiers } = desired;
+        claims.push({ value, qualifiers, ...(references && { references }), rank: 'preferred' });
+        summaries.push(spec.summaryAdd ? fill(spec.summaryAdd, { new: value }) : summary);
+    }
+
+    const current = kept || replaced;
+    const keptPeriods = new Set([periodOf(current ? current.date : date)]);
+    for (const statement of existing) {
+        if (statement === current) continue;
+        if (statement.date && keptPeriods.has(periodOf(statement.date))) {
+            claims.push({ id: statement.raw.id, remove: true });
+            summaries.push(spec.summaryRemove ? fill(spec.summaryRemove, { old: comparableValue(statement.value) }) : summary);
+            continue;
+        }
+        if (statement.date) keptPeriods.add(periodOf(statement.date));
+        if (statement.raw.rank === 'preferred') {
+            claims.push({ ...simplifyClaimForEdit(statement.raw), rank: 'normal' });
+            summaries.push(summary);
+        }
+    }
+    return { claims, summaries };
+}
+
+/**
+ * Plan the minimal entity.edit claims that bring an entity to the declared state
+ * @param {Object} entity - The current entity
+ * @param {DesiredDeclaration[]} declarations - Declarations from one or more handlers
+ * @returns {{ claims: Object<string, Object[]>, summaries: string[], declarations: DesiredDeclaration[], dropped: Array<{ declaration: DesiredDeclaration, property: string, reason: string }> }}
+ *   entity.edit claims by property, summaries of the changes, the declarations that caused changes, and declarations that were dropped
+ */
+export function planDesiredState(entity, declarations) {
+    const byProperty = new Map();
+    for (const declaration of declarations) {
+        for (const [property, spec] of Object.entries(declaration.claims)) {
+            if (!byProperty.has(property)) byProperty.set(property, []);
+            byProperty.get(property).push({ spec, declaration });
+        }
+    }
+
+    const claims = {};
+    const summaries = [];
+    const used = new Set();
+    const dropped = [];
+    for (const [property, declared] of byProperty) {
+        const merged = mergeDeclarations(entity, property, declared);
+        merged.dropped.forEach(d => dropped.push({ ...d, property }));
+        const kept = declared.filter(d => !merged.dropped.some(x => x.declaration === d.declaration));
+        const planned = planProperty(entity, property, merged.spec, kept[0].declaration.summary);
+        if (planned.skipped) kept.forEach(d => dropped.push({ declaration: d.declaration, property, reason: planned.skipped }));
+        if (planned.claims.length === 0) continue;
+        claims[property] = planned.claims;
+        summaries.push(...planned.summaries);
+        kept.forEach(d => used.add(d.declaration));
+    }
+    return { claims, summaries, declarations: declarations.filter(d => used.has(d)), dropped };
+}
@@ -4,25 +4,57 @@
  * These helpers encapsulate common patterns for:
  * - Ensuring a claim exists (add if missing)
  * - Updating a claim if it differs
- * - Handling single-value properties with proper error logging
+ * - Handling single-value properties, skipping (and logging) items that have more than one value
  * - Comparing numeric values with logarithmic thresholds
+ *
+ * They declare the desired state of the property (see desired.js) and leave deciding
+ * what to create, update or remove to the planner, which works on the entity as it is
+ * when the edit is made. The wiki.simpleClaims snapshot is only used to skip declaring
+ * anything when the property already looks right.
+ *
+ * Reference policy: helpers given a sourceUrl (where the value was retrieved from) make sure the
+ * claim has a reference with that reference URL and a retrieved date. When the value is unchanged
+ * the claim is left alone, unless the retrieved date is older than WORLD_REFERENCE_REFRESH_DAYS
+ * (90 by default), in which case only the retrieved date is updated.
  */
 
+import process from 'process';
 import { world } from '../world.js';
+import { P } from '../registry.js';
+import { shouldUpdateNumericClaim, claimValueFrom, valuesMatch } from './values.js';
+import { isStatisticsHistoryMode, statisticsThinning } from './history.js';
+
+export { shouldUpdateNumericClaim };
+
+export const REFERENCE_REFRESH_DAYS = Number(process.env.WORLD_REFERENCE_REFRESH_DAYS || 90);
 
 /**
- * Check if a numeric value should be updated based on logarithmic difference
- * @param {number} oldValue - The current value
- * @param {number} newValue - The new value
- * @param {number} threshold - The log10 threshold (default 0.5 = ~3x change)
- * @returns {boolean} True if the value should be updated
+ * The source of a value retrieved today, as declared to the planner
+ * @param {string} url - Where the value was retrieved from
+ * @returns {{ url: string, retrieved: string, refreshDays: number }}
  */
-export function shouldUpdateNumericClaim(oldValue, newValue, threshold = 0.5) {
-    if (oldValue === 0 || newValue === 0) {
-        return oldValue !== newValue;
-    }
-    const logDifference = Math.abs(Math.log10(newValue) - Math.log10(oldValue));
-    return logDifference >= threshold;
+export function sourceFor(url) {
+    return { url, retrieved: new Date().toISOString().split('T')[0], refreshDays: REFERENCE_REFRESH_DAYS };
+}
+
+/**
+ * Whether the claims of the property already reference the URL with a recent enough retrieved date
+ * Without the full entity in the wiki context this can't be told, so the planner decides
+ * @param {Object} wiki - Wiki context with item and entity
+ * @param {string} property
+ * @param {string} url
+ * @param {*} [value] - Only check the claims with this value
+ * @returns {boolean}
+ */
+function hasFreshSource(wiki, property, url, value) {
+    const claims = (wiki.entity?.claims?.[property] || []).filter(claim => value === undefined || valuesMatch(claimValueFrom(claim), value));
+    if (!claims.length) return false;
+    const oldest = Date.now() - REFERENCE_REFRESH_DAYS * 86400 * 1000;
+    return claims.every(claim => (claim.references || []).some(reference => {
+        const urls = (reference.snaks[P.referenceUrl] || []).map(snak => snak.datavalue?.value);
+        const retrieved = (reference.snaks[P.retrieved] || []).map(snak => Date.parse(snak.datavalue?.value.time.replace(/^\+/, '')));
+        return urls.includes(url) && retrieved.some(time => time >= oldest);
+    }));
 }
 
 /**
@@ -37,31 +69,31 @@ export function shouldUpdateNumericClaim(oldValue, newValue, threshold = 0.5) {
  * @param {string} options.summaryUpdate - Summary template for updating (use {old} and {new} placeholders)
  * @param {Object} [options.qualifiers] - Optional qualifiers
  * @param {Object} [options.references] - Optional references
+ * @param {string} [options.sourceUrl] - Where the value was retrieved from, referenced following the reference policy
  */
-export function ensureStringClaim({ queue, wiki, property, value, summaryAdd, summaryUpdate, qualifiers, references }) {
-    if (!wiki.simpleClaims[property]) {
-        const data = { id: wiki.item, property, value };
-        if (qualifiers) data.qualifiers = qualifiers;
-        if (references) data.references = references;
-        world.queueWork.claimEnsure(queue, data, { summary: summaryAdd });
-    } else if (wiki.simpleClaims[property].length > 1) {
+export function ensureStringClaim({ queue, wiki, property, value, summaryAdd, summaryUpdate, qualifiers, references, sourceUrl }) {
+    const current = wiki.simpleClaims[property];
+    if (current?.length > 1) {
         console.log(`❌ The item ${wiki.item} has more than 1 ${property} claim`);
-    } else if (wiki.simpleClaims[property][0] !== value) {
-        const summary = summaryUpdate
-            .replace('{old}', wiki.simpleClaims[property][0])
-            .replace('{new}', value);
-        world.queueWork.claimUpdate(queue, {
-            id: wiki.item,
-            property,
-            oldValue: wiki.simpleClaims[property][0],
-            newValue: value
-        }, { summary });
+        return;
     }
-    // If the value is the same, do nothing
+    if (current?.length === 1 && current[0] === value && !qualifiers && !references && (!sourceUrl || hasFreshSource(wiki, property, sourceUrl))) {
+        return;
+    }
+    const desired = { value };
+    if (qualifiers) desired.qualifiers = qualifiers;
+    if (references) desired.references = asReferenceList(references);
+    if (sourceUrl) desired.source = sourceFor(sourceUrl);
+    world.queueWork.desiredState(queue, {
+        id: wiki.item,
+        claims: { [property]: { values: [desired], summaryAdd, summaryUpdate } },
+    }, { summary: summaryAdd });
 }
 
 /**
  * Helper to ensure or update a single-value numeric claim with logarithmic threshold
+ * In statistics history mode (see history.js) the value is instead added as a new dated statement
+ * whenever it changed
  * 
  * @param {Object} options
  * @param {Object} options.queue - The queue to add the work to
@@ -71,25 +103,37 @@ export function ensureStringClaim({ queue, wiki, property, value, summaryAdd, su
  * @param {string} options.summaryAdd - Summary for adding the claim
  * @param {string} options.summaryUpdate - Summary template for updating (use {old}, {new}, {delta} placeholders)
  * @param {number} [options.threshold=0.5] - Logarithmic threshold for updates
+ * @param {string} [options.sourceUrl] - Where the value was retrieved from, referenced following the reference policy
  */
-export function ensureNumericClaim({ queue, wiki, property, value, summaryAdd, summaryUpdate, threshold = 0.5 }) {
-    if (!wiki.simpleClaims[property]) {
-        world.queueWork.claimEnsure(queue, { id: wiki.item, property, value }, { summary: summaryAdd });
-    } else if (wiki.simpleClaims[property].length > 1) {
-        console.log(`❌ The item ${wiki.item} has more than 1 ${property} claim`);
-    } else if (shouldUpdateNumericClaim(wiki.simpleClaims[property][0], value, threshold)) {
-        const delta = value - wiki.simpleClaims[property][0];
-        const summary = summaryUpdate
-            .replace('{old}', wiki.simpleClaims[property][0])
-            .replace('{new}', value)
-            .replace('{delta}', delta);
-        world.queueWork.claimUpdate(queue, {
+export function ensureNumericClaim({ queue, wiki, property, value, summaryAdd, summaryUpdate, threshold = 0.5, sourceUrl }) {
+    const current = wiki.simpleClaims[property];
+    if (isStatisticsHistoryMode()) {
+        // Only the preferred, newest statement is in the simplified claims
+        if (current?.length === 1 && Number(current[0]) === value) {
+            return;
+        }
+        const today = new Date().toISOString().split('T')[0];
+        const desired = { value, qualifiers: { [P.pointInTime]: today } };
+        if (sourceUrl) desired.source = sourceFor(sourceUrl);
+        world.queueWork.desiredState(queue, {
             id: wiki.item,
-            property,
-            oldValue: wiki.simpleClaims[property][0],
-            newValue: value
-        }, { summary });
+            claims: { [property]: { mode: 'history', pointInTime: P.pointInTime, thinning: statisticsThinning(), values: [desired], summaryAdd, summaryUpdate } },
+        }, { summary: summaryAdd });
+        return;
+    }
+    if (current?.length > 1) {
+        console.log(`❌ The item ${wiki.item} has more than 1 ${property} claim`);
+        return;
+    }
+    if (current?.length === 1 && !shouldUpdateNumericClaim(current[0], value, threshold) && (!sourceUrl || hasFreshSource(wiki, property, sourceUrl))) {
+        return;
     }
+    const desired = { value, threshold };
+    if (sourceUrl) desired.source = sourceFor(sourceUrl);
+    world.queueWork.desiredState(queue, {
+        id: wiki.item,
+        claims: { [property]: { values: [desired], summaryAdd, summaryUpdate } },
+    }, { summary: summaryAdd });
 }
 
 /**
@@ -103,13 +147,19 @@ export function ensureNumericClaim({ queue, wiki, property, value, summaryAdd, s
  * @param {string} options.summary - Summary for adding the claim
  * @param {Object} [options.qualifiers] - Optional qualifiers
  * @param {Object} [options.references] - Optional references
+ * @param {string} [options.sourceUrl] - Where the value was retrieved from, referenced following the reference policy
  */
-export function ensureClaimExists({ queue, wiki, property, value, summary, qualifiers, references }) {
-    if (!wiki.simpleClaims[property]) {
-        const data = { id: wiki.item, property, value };
-        if (qualifiers) data.qualifiers = qualifiers;
-        if (references) data.references = references;
-        world.queueWork.claimEnsure(queue, data, { summary });
+export function ensureClaimExists({ queue, wiki, property, value, summary, qualifiers, references, sourceUrl }) {
+    const current = wiki.simpleClaims[property];
+    if (!current || (sourceUrl && !hasFreshSource(wiki, property, sourceUrl, value))) {
+        const desired = { value };
+        if (qualifiers) desired.qualifiers = qualifiers;
+        if (references) desired.references = asReferenceList(references);
+        if (sourceUrl) desired.source = sourceFor(sourceUrl);
+        world.queueWork.desiredState(queue, {
+            id: wiki.item,
+            claims: { [property]: { mode: 'ifEmpty', values: [desired] } },
+        }, { summary });
     }
 }
 
@@ -123,15 +173,23 @@ export function ensureClaimExists({ queue, wiki, property, value, summary, quali
  * @param {string|number} options.value - The value to ensure is present
  * @param {string} options.summary - Summary for adding the claim
  * @param {Object} [options.qualifiers] - Optional qualifiers
+ * @param {string} [options.sourceUrl] - Where the value was retrieved from, referenced following the reference policy
  */
-export function ensureClaimIncludes({ queue, wiki, property, value, summary, qualifiers }) {
-    if (!wiki.simpleClaims[property] || !wiki.simpleClaims[property].includes(value)) {
-        const data = { id: wiki.item, property, value };
-        if (qualifiers) data.qualifiers = qualifiers;
-        world.queueWork.claimEnsure(queue, data, { summary });
+export function ensureClaimIncludes({ queue, wiki, property, value, summary, qualifiers, sourceUrl }) {
+    if (!wiki.simpleClaims[property] || !wiki.simpleClaims[property].includes(value) || (sourceUrl && !hasFreshSource(wiki, property, sourceUrl, value))) {
+        const desired = { value };
+        if (qualifiers) desired.qualifiers = qualifiers;
+        if (sourceUrl) desired.source = sourceFor(sourceUrl);
+        world.queueWork.desiredState(queue, {
+            id: wiki.item,
+            claims: { [property]: { mode: 'include', values: [desired] } },
+        }, { summary });
     }
 }
 
+// wikibase-edit accepts a single reference object as well as a list of them
+const asReferenceList = (references) => Array.isArray(references) ? references : [references];
+
 /**
  * Create a standardized processor function that handles a specific property from siteinfo
  * 
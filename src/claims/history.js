@@ -0,0 +1,71 @@
+/**
+ * Statistics History - Keep numeric statistics as dated statements rather than one value
+ *
+ * By default statistics such as the number of pages are a single value, replaced when it changes a lot.
+ * In history mode each new value is added as a statement with a point in time qualifier and a reference
+ * (the API URL and retrieval date). The newest statement gets preferred rank and older ones normal rank.
+ * Older statements are thinned to one per period, the latest in each, so the history stays readable:
+ * - month (the default), day or year
+ * - none, to keep every statement
+ *
+ * History mode is enabled from a cmd script by:
+ * - enableStatisticsHistoryFromEnv(), for the WORLD_STATISTICS_HISTORY environment variable, set to "1" or to the thinning period
+ * - enableStatisticsHistory()
+ *
+ * It needs the pointInTime, referenceUrl and retrieved properties in the registry config.
+ */
+
+import process from 'process';
+import { registry, registryFile } from '../registry.js';
+
+export const THINNING_PERIODS = {
+    day: (date) => date.slice(0, 10),
+    month: (date) => date.slice(0, 7),
+    year: (date) => date.slice(0, 4),
+    none: (date) => date,
+};
+
+// The registry properties the dated statements and their references are made with
+export const HISTORY_PROPERTIES = ['pointInTime', 'referenceUrl', 'retrieved'];
+
+let thinning = null;
+
+/**
+ * @returns {boolean} True if statistics are written as dated statements
+ */
+export function isStatisticsHistoryMode() {
+    return thinning !== null;
+}
+
+/**
+ * @returns {string|null} The thinning period, or null when history mode is off
+ */
+export function statisticsThinning() {
+    return thinning;
+}
+
+/**
+ * Enable history mode for the rest of this process
+ * @param {'day'|'month'|'year'|'none'} [period='month'] - Keep one older statement per period
+ */
+export function enableStatisticsHistory(period = 'month') {
+    if (!THINNING_PERIODS[period]) {
+        throw new Error(`Unknown statistics thinning period ${period}, expected one of ${Object.keys(THINNING_PERIODS).join(', ')}`);
+    }
+    const missing = HISTORY_PROPERTIES.filter(name => !(name in registry.properties));
+    if (missing.length > 0) {
+        throw new Error(`Statistics history needs properties missing from the ${registry.name} registry config (${registryFile}): ${missing.join(', ')}`);
+    }
+    thinning = period;
+    console.log(`📈 Statistics history enabled, new values are added as dated statements (keeping one per ${period === 'none' ? 'observation' : period})`);
+}
+
+/**
+ * Enable history mode if the WORLD_STATISTICS_HISTORY environment variable asks for it
+ * Throws if the period is unknown or the registry config lacks the properties, so cmd scripts can stop before doing anything
+ */
+export function enableStatisticsHistoryFromEnv() {
+    const value = process.env.WORLD_STATISTICS_HISTORY;
+    if (!value || value === '0') return;
+    enableStatisticsHistory(value === '1' ? 'month' : value);
+}
@@ -0,0 +1,104 @@
+/**
+ * Claim Values - Helpers for reading and comparing values of raw Wikibase claims
+ */
+
+import { simplifyClaim } from 'wikibase-sdk'
+
+/**
+ * Extract a comparable value from a claim mainsnak
+ * @param {Object} claim - A raw claim from a Wikibase entity
+ * @returns {*} Entity ID for item values, the raw datavalue value otherwise, or null
+ */
+export function claimValueFrom(claim) {
+    try {
+        const dv = claim.mainsnak && claim.mainsnak.datavalue
+        if (!dv) return null
+        if (dv.type === 'wikibase-entityid') return dv.value && dv.value.id
+        return dv.value
+    } catch {
+        return null
+    }
+}
+
+/**
+ * Format a claim value for log output and summaries
+ * @param {*} v - The value
+ * @returns {string}
+ */
+export function formatValue(v) {
+    if (v === null || v === undefined) return 'null'
+    if (typeof v === 'object') {
+        // Quantity objects have amount and unit
+        if ('amount' in v) return `${v.amount}`
+        // Time objects have a time string
+        if ('time' in v) return `${v.time}`
+        // datavalue objects or other objects - stringify minimally
+        try { return JSON.stringify(v) } catch { return String(v) }
+    }
+    return String(v)
+}
+
+/**
+ * Check whether an existing claim value matches a desired value as passed to wikibase-edit
+ * @param {*} existing - Value as returned by claimValueFrom
+ * @param {*} desired - Value as passed to world.queueWork
+ * @returns {boolean}
+ */
+export function valuesMatch(existing, desired) {
+    try {
+        if (typeof existing === 'object' && existing !== null && 'amount' in existing) {
+            // quantity object - compare numeric values
+            const a = parseInt(String(existing.amount).replace('+',''), 10)
+            const b = typeof desired === 'object' && desired !== null && 'amount' in desired
+                ? parseInt(String(desired.amount).replace('+',''), 10)
+                : parseInt(String(desired), 10)
+            return a === b
+        }
+        if (typeof existing === 'object' && existing !== null && 'time' in existing) {
+            // time object - compare on the date part only
+            const a = String(existing.time).replace(/^\+/, '').split('T')[0]
+            const b = String(typeof desired === 'object' && desired !== null ? desired.time : desired).replace(/^\+/, '').split('T')[0]
+            return a === b
+        }
+        return existing === desired
+    } catch {
+        return false
+    }
+}
+
+/**
+ * Turn a value as simplified from an entity, or as passed to wikibase-edit, into one comparable string
+ * @param {*} v - The value
+ * @returns {string}
+ */
+export function comparableValue(v) {
+    return formatValue(v).replace(/^\+/, '').replace(/T00:00:00Z$/, '')
+}
+
+/**
+ * Simplify a raw claim into the form entity.edit accepts, keeping its ID, rank, qualifiers and references
+ * Rich values are kept so that time precision and quantity units survive re-sending the claim
+ * @param {Object} claim - A raw claim from a Wikibase entity
+ * @returns {Object}
+ */
+export function simplifyClaimForEdit(claim) {
+    return {
+        id: claim.id,
+        ...simplifyClaim(claim, { keepQualifiers: true, keepReferences: true, keepRanks: true, keepRichValues: true, timeConverter: 'simple-day' }),
+    }
+}
+
+/**
+ * Check if a numeric value should be updated based on logarithmic difference
+ * @param {number} oldValue - The current value
+ * @param {number} newValue - The new value
+ * @param {number} threshold - The log10 threshold (default 0.5 = ~3x change)
+ * @returns {boolean} True if the value should be updated
+ */
+export function shouldUpdateNumericClaim(oldValue, newValue, threshold = 0.5) {
+    if (oldValue === 0 || newValue === 0) {
+        return oldValue !== newValue;
+    }
+    const logDifference = Math.abs(Math.log10(newValue) - Math.log10(oldValue));
+    return logDifference >= threshold;
+}
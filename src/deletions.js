@@ -0,0 +1,157 @@
+/**
+ * Deletion History - When hosting farms reported each wiki deleted, so one bad response does not mark it
+ *
+ * Importers of hosted wikis report the wikis their source says are gone, such as those the wikibase.cloud
+ * API no longer lists, or those with a Miraheze "Wiki deleted" or dormancy closed banner. Each report is
+ * appended to a JSONL file as a sighting, and a wiki that is there after all ends its sightings, as does
+ * marking it. The sightings since then are a wiki's current streak, counted per source.
+ *
+ * Two checks keep a truncated or failed response from marking wikis deleted, with the deletion policy of
+ * config/wiki-lifecycle.json (or the file in WORLD_WIKI_LIFECYCLE):
+ * - Grace period - a wiki is only marked once it was reported enough times over enough days, see deletionDue
+ * - Sanity cap - a run that reports too many of a source's wikis at once records none of them, see exceedsCap
+ *
+ * The file defaults to .data/deletions.jsonl and can be moved with WORLD_DELETIONS.
+ */
+
+import path from 'path';
+import process from 'process';
+import { appendJsonLine, readJsonLines } from './jsonl.js';
+import { DATA_DIR, RUN_ID } from './general.js';
+import { thresholds } from './failures.js';
+
+/**
+ * @typedef {Object} DeletionRecord
+ * @property {string} item - The wikibase.world item ID
+ * @property {string} site - The wiki URL
+ * @property {string} source - The importer that reported it, e.g. cloud
+ * @property {string} status - The activity status item it would be marked with, or 'present' or 'marked', which end a streak
+ * @property {string|null} reason - Why it looks deleted
+ * @property {string} checked - ISO timestamp of the report
+ * @property {string} run - The run ID that made the report
+ */
+
+/**
+ * @typedef {Object} DeletionStreak
+ * @property {number} sightings - Reports since the streak began
+ * @property {string|null} since - ISO timestamp of the first report
+ * @property {string|null} last - ISO timestamp of the latest report
+ * @property {string|null} status - The status of the latest report
+ */
+
+let deletionsFile = process.env.WORLD_DELETIONS || path.join(DATA_DIR, 'deletions.jsonl');
+
+// Records of the current streaks, by source and item, loaded on first use
+let streaks = null;
+
+const streakKey = (source, item) => `${source}\u0000${item}`;
+
+/**
+ * @returns {string} The deletions file path
+ */
+export function getDeletionsFile() {
+    return deletionsFile;
+}
+
+/**
+ * Use another deletions file, read again on next use (for tests)
+ * @param {string} file
+ */
+export function setDeletionsFile(file) {
+    deletionsFile = file;
+    streaks = null;
+}
+
+/**
+ * Read the records of each current streak from a deletions file
+ * @param {string} [file]
+ * @returns {Map<string, DeletionRecord[]>} By source and item
+ */
+export function loadDeletions(file = deletionsFile) {
+    const current = new Map();
+    for (const record of readJsonLines(file)) {
+        const key = streakKey(record.source, record.item);
+        if (record.status === 'present' || record.status === 'marked') current.delete(key);
+        else current.set(key, [...(current.get(key) || []), record]);
+    }
+    return current;
+}
+
+const currentStreaks = () => {
+    if (streaks === null) streaks = loadDeletions();
+    return streaks;
+};
+
+/**
+ * Record that a source reports a wiki deleted
+ * @param {{ item: string, site: string }} wiki
+ * @param {string} source
+ * @param {string} status - The activity status item it would be marked with
+ * @param {string} reason
+ * @returns {DeletionStreak} The streak including this report
+ */
+export function recordDeleted(wiki, source, status, reason) {
+    /** @type {DeletionRecord} */
+    const record = { item: wiki.item, site: wiki.site, source, status, reason, checked: new Date().toISOString(), run: RUN_ID };
+    // Loaded before appending, so the record is not read back in as well
+    const current = currentStreaks();
+    appendJsonLine(deletionsFile, record);
+    const key = streakKey(source, wiki.item);
+    current.set(key, [...(current.get(key) || []), record]);
+    return deletionStreak(wiki.item, source);
+}
+
+/**
+ * End the streak of a wiki, as it is there after all or was marked
+ * Nothing is written for a wiki without a streak, so the file only grows with reports
+ * @param {{ item: string, site: string }} wiki
+ * @param {string} source
+ * @param {'present'|'marked'} status
+ * @returns {boolean} Whether the wiki had a streak
+ */
+export function endDeletionStreak(wiki, source, status) {
+    const key = streakKey(source, wiki.item);
+    const current = currentStreaks();
+    if (!current.has(key)) return false;
+    appendJsonLine(deletionsFile, { item: wiki.item, site: wiki.site, source, status, reason: null, checked: new Date().toISOString(), run: RUN_ID });
+    current.delete(key);
+    return true;
+}
+
+/**
+ * Get the current streak of reports of a wiki from a source
+ * @param {string} item
+ * @param {string} source
+ * @returns {DeletionStreak}
+ */
+export function deletionStreak(item, source) {
+    const records = currentStreaks().get(streakKey(source, item)) || [];
+    return {
+        sightings: records.length,
+        since: records[0]?.checked ?? null,
+        last: records[records.length - 1]?.checked ?? null,
+        status: records[records.length - 1]?.status ?? null,
+    };
+}
+
+/**
+ * Check whether a wiki was reported deleted for long enough to mark it
+ * @param {DeletionStreak} streak
+ * @param {import('./failures.js').DeletionPolicy} [policy]
+ * @returns {boolean}
+ */
+export function deletionDue(streak, policy = thresholds.deletion) {
+    return streak.sightings >= policy.sightings
+        && Date.parse(streak.last) - Date.parse(streak.since) >= policy.graceDays * 86400 * 1000;
+}
+
+/**
+ * Check whether too many wikis were reported deleted at once to believe it
+ * @param {number} count - Wikis reported deleted in this run
+ * @param {number} total - Wikis of the source
+ * @param {import('./failures.js').DeletionPolicy} [policy]
+ * @returns {boolean}
+ */
+export function exceedsCap(count, total, policy = thresholds.deletion) {
+    return count > Math.max(policy.minCap, total * policy.maxPercent / 100);
+}
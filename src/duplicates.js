@@ -0,0 +1,117 @@
+/**
+ * Duplicates - Find wiki items that are probably about the same wiki
+ *
+ * Each wiki item is reduced to facts that identify a wiki, and items sharing a fact are paired:
+ * - Canonical URL - the key of every P1 value, see src/wiki-url.js
+ * - wikibase.cloud ID (P54) and wikibase metadata ID (P53)
+ * - siteinfo server, when fetched
+ * - siteinfo identity (sitename and wikiid), as recorded in the state store
+ *
+ * Each pair gets the score of its strongest fact plus a little for every other one, and the facts
+ * found as evidence. Identities and servers shared by more than two wikis (such as a default
+ * "my_wiki") are not evidence of anything.
+ */
+
+import { wikiKey } from './wiki-url.js';
+
+/**
+ * @typedef {Object} WikiFacts
+ * @property {string} item - The wikibase.world item ID
+ * @property {string[]} urls - The P1 values
+ * @property {string[]} [cloudIds] - P54 values
+ * @property {string[]} [metadataIds] - P53 values
+ * @property {string|null} [server] - The siteinfo server
+ * @property {string|null} [identity] - A hash of the siteinfo identity, see siteIdentity
+ */
+
+/**
+ * @typedef {Object} DuplicatePair
+ * @property {string[]} items - The two item IDs, lowest first
+ * @property {number} score - Higher is more probable
+ * @property {string[]} evidence - The facts the items share
+ */
+
+const SCORES = {
+    url: 100,
+    cloudId: 90,
+    metadataId: 90,
+    server: 80,
+    identity: 40,
+};
+
+/**
+ * Get the facts identifying a wiki from its item
+ * @param {Object} entity - A raw wiki item
+ * @param {{ url: string, wikibaseCloudId: string, wikibaseMetadataId: string }} properties - Property IDs by name
+ * @returns {WikiFacts}
+ */
+export function wikiFacts(entity, properties) {
+    const values = (property) => (entity.claims?.[property] || [])
+        .filter(claim => claim.rank !== 'deprecated')
+        .map(claim => claim.mainsnak.datavalue?.value)
+        .filter(value => typeof value === 'string');
+    return {
+        item: entity.id,
+        urls: values(properties.url),
+        cloudIds: values(properties.wikibaseCloudId),
+        metadataIds: values(properties.wikibaseMetadataId),
+    };
+}
+
+/**
+ * Pair the wikis that share a fact
+ * @param {WikiFacts[]} wikis
+ * @returns {DuplicatePair[]} Most probable first
+ */
+export function findDuplicates(wikis) {
+    // fact key → items
+    const index = new Map();
+    const add = (kind, value, item) => {
+        if (!value) return;
+        const key = `${kind}\u0000${value}`;
+        if (!index.has(key)) index.set(key, new Set());
+        index.get(key).add(item);
+    };
+    for (const wiki of wikis) {
+        (wiki.urls || []).forEach(url => add('url', wikiKey(url), wiki.item));
+        (wiki.cloudIds || []).forEach(id => add('cloudId', id, wiki.item));
+        (wiki.metadataIds || []).forEach(id => add('metadataId', id, wiki.item));
+        add('server', wiki.server && wikiKey(wiki.server), wiki.item);
+        add('identity', wiki.identity, wiki.item);
+    }
+
+    const pairs = new Map();
+    for (const [key, items] of index) {
+        const [kind, value] = key.split('\u0000');
+        if (items.size < 2) continue;
+        if ((kind === 'server' || kind === 'identity') && items.size > 2) continue;
+        const sorted = [...items].sort((a, b) => Number(a.slice(1)) - Number(b.slice(1)));
+        for (let i = 0; i < sorted.length; i++) {
+            for (let j = i + 1; j < sorted.length; j++) {
+                const pairKey = `${sorted[i]}-${sorted[j]}`;
+                if (!pairs.has(pairKey)) pairs.set(pairKey, { items: [sorted[i], sorted[j]], facts: [] });
+                pairs.get(pairKey).facts.push({ kind, value });
+            }
+        }
+    }
+
+    return [...pairs.values()].map(({ items, facts }) => {
+        const scores = facts.map(fact => SCORES[fact.kind]).sort((a, b) => b - a);
+        return {
+            items,
+            score: scores[0] + scores.slice(1).reduce((sum, score) => sum + score / 10, 0),
+            evidence: facts.map(fact => fact.kind === 'identity' ? 'same sitename and wikiid' : `same ${fact.kind} ${fact.value}`),
+        };
+    }).sort((a, b) => b.score - a.score || a.items[0].localeCompare(b.items[0], undefined, { numeric: true }));
+}
+
+/**
+ * Format pairs as a wikitext list of merge proposals for review, merging into the older (lower) item
+ * @param {DuplicatePair[]} pairs
+ * @returns {string}
+ */
+export function mergeProposals(pairs) {
+    return pairs.map(({ items: [into, from], score, evidence }) =>
+        `* Merge [[Item:${from}]] into [[Item:${into}]] (score ${Math.round(score)}): ${evidence.join(', ')}\n`
+    ).join('');
+}
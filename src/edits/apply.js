@@ -0,0 +1,210 @@
+/**
+ * Plan Apply Checks - Decide whether a recorded plan entry still needs applying
+ *
+ * Each plan entry is compared against the current revision of its entity:
+ * - satisfied: the entity already has the planned result, nothing to do
+ * - pending: the entity is as it was when planned (or the change is still safe), apply it
+ * - conflict: the relevant part of the entity changed since the plan was made
+ *
+ * Entries are planned against the entity as it was before the run, so later entries on an entity are checked
+ * with the changes of the earlier ones that were applied discounted, see noteAppliedEntry.
+ */
+
+import { claimValueFrom, formatValue, valuesMatch } from '../claims/values.js';
+import { touchedState, sameState } from './batch.js';
+import { WikiIndex } from '../wiki-url.js';
+import { P } from '../registry.js';
+import { revisionFromResponse } from './journal.js';
+
+/**
+ * @typedef {Object} PlanEntryCheck
+ * @property {'satisfied'|'pending'|'conflict'} status
+ * @property {string} reason - Human readable explanation
+ */
+
+/**
+ * What the entries applied so far from one plan changed, by entity ID
+ * @typedef {Map<string, { baseRevision: number|null, revision: number|null, removed: Object<string, Array>, added: Object<string, Array> }>} PlanProgress
+ */
+
+const asList = (value) => Array.isArray(value) ? value : [value];
+const sameValues = (a, b) => {
+    const fa = (a || []).map(formatValue).sort();
+    const fb = (b || []).map(formatValue).sort();
+    return fa.length === fb.length && fa.every((v, i) => v === fb[i]);
+};
+const findClaim = (entity, guid) => {
+    for (const claims of Object.values(entity.claims || {})) {
+        const claim = claims.find(c => c.id === guid);
+        if (claim) return claim;
+    }
+    return null;
+};
+
+/**
+ * Check whether a reference contains all of the given simplified snaks
+ * @param {Object} reference - A raw reference from a claim
+ * @param {Object} snaks - Simplified snaks, e.g. { P21: 'https://...', P22: '2024-01-01' }
+ * @returns {boolean}
+ */
+export function referenceHasSnaks(reference, snaks) {
+    return Object.entries(snaks).every(([property, values]) => asList(values).every(value =>
+        (reference.snaks?.[property] || []).some(snak => valuesMatch(claimValueFrom({ mainsnak: snak }), value))
+    ));
+}
+
+/**
+ * Note the changes of a plan entry that was applied, so later entries of the plan on the same entity expect them
+ * @param {PlanProgress} progress
+ * @param {import('./plan.js').PlanEntry} entry - The plan entry that was applied
+ * @param {Object|null} entity - The entity as it was before the entry was applied
+ * @param {Object} response - The wikibase-edit response
+ */
+export function noteAppliedEntry(progress, entry, entity, response) {
+    if (!entry.id) return;
+    if (!progress.has(entry.id)) progress.set(entry.id, { baseRevision: entry.baseRevision, revision: null, removed: {}, added: {} });
+    const applied = progress.get(entry.id);
+    // Claim creates and updates give no revision, after which the revision the plan's own edits reached is unknown
+    applied.revision = revisionFromResponse(response);
+    const note = (kind, property, value) => {
+        applied[kind][property] = [...(applied[kind][property] || []), value];
+    };
+
+    const { action, data } = entry;
+    if (action === 'claimCreate') note('added', data.property, data.value);
+    if (action === 'claimUpdate') {
+        note('removed', data.property, data.oldValue);
+        note('added', data.property, data.newValue);
+    }
+    if (action === 'claimRemove') {
+        const claim = data.claim ? findClaim(entity || {}, data.claim) : null;
+        if (claim) note('removed', claim.mainsnak.property, claimValueFrom(claim));
+        else if (data.property && data.value !== undefined) note('removed', data.property, data.value);
+    }
+}
+
+/**
+ * The values of a property an entry expects, given what earlier entries of its plan changed
+ * @param {Array} before - The values the entry was planned against
+ * @param {string} property
+ * @param {Object|undefined} applied - The progress of the entry's entity, see PlanProgress
+ * @returns {Array}
+ */
+const expectedValues = (before, property, applied) => {
+    const expected = [...before];
+    for (const value of applied?.removed[property] || []) {
+        const index = expected.findIndex(v => valuesMatch(v, value));
+        if (index !== -1) expected.splice(index, 1);
+    }
+    return [...expected, ...(applied?.added[property] || [])];
+};
+
+/**
+ * Check a plan entry against the current state of wikibase.world
+ * @param {import('./plan.js').PlanEntry} entry - The plan entry
+ * @param {Object|null} entity - The current entity (null for itemCreate, or if missing)
+ * @param {Object} [context]
+ * @param {WikiIndex} [context.wikiIndex] - Known wikis (see world.wikiIndex), used for itemCreate
+ * @param {PlanProgress} [context.progress] - What the entries of the same plan applied before this one changed
+ * @returns {PlanEntryCheck}
+ */
+export function checkPlanEntry(entry, entity, { wikiIndex = new WikiIndex(), progress = new Map() } = {}) {
+    const { action, data } = entry;
+
+    if (action === 'itemCreate') {
+        const sites = data.claims?.[P.url] ? asList(data.claims[P.url]) : [];
+        const existing = wikiIndex.find(...sites);
+        if (existing) {
+            return { status: 'satisfied', reason: `an item for ${sites[0]} already exists (${existing})` };
+        }
+        return { status: 'pending', reason: 'item does not exist yet' };
+    }
+
+    if (!entity) {
+        return { status: 'conflict', reason: `entity ${entry.id} no longer exists` };
+    }
+
+    // Either no edit was made since the plan, or only the plan's own edits were
+    const applied = progress.get(entry.id);
+    const unchanged = entry.baseRevision !== null && (entity.lastrevid === entry.baseRevision
+        || (applied?.baseRevision === entry.baseRevision && applied.revision !== null && entity.lastrevid === applied.revision));
+    const changedSincePlan = (reason) => unchanged
+        ? { status: 'pending', reason: 'entity unchanged since plan' }
+        : { status: 'conflict', reason: `${reason} (revision ${entry.baseRevision} → ${entity.lastrevid})` };
+
+    switch (action) {
+        case 'labelSet':
+        case 'descriptionSet': {
+            const type = action === 'labelSet' ? 'labels' : 'descriptions';
+            // An empty value removes the term
+            const current = entity[type]?.[data.language]?.value ?? '';
+            if (current === (data.value ?? '')) return { status: 'satisfied', reason: `${type} already set` };
+            if (current === (entry.before ?? '')) return { status: 'pending', reason: `${type} unchanged since plan` };
+            return changedSincePlan(`${data.language} ${type} is now "${current}"`);
+        }
+        case 'aliasAdd': {
+            const current = (entity.aliases?.[data.language] || []).map(a => a.value);
+            if (asList(data.value).every(v => current.includes(v))) return { status: 'satisfied', reason: 'aliases already present' };
+            return { status: 'pending', reason: 'aliases missing' };
+        }
+        case 'aliasRemove': {
+            const current = (entity.aliases?.[data.language] || []).map(a => a.value);
+            if (!asList(data.value).some(v => current.includes(v))) return { status: 'satisfied', reason: 'aliases already absent' };
+            return { status: 'pending', reason: 'aliases still present' };
+        }
+        case 'claimCreate':
+        case 'claimEnsure': {
+            const current = (entity.claims?.[data.property] || []).map(claimValueFrom);
+            const present = current.some(v => valuesMatch(v, data.value));
+            if (present && (action === 'claimCreate' || current.length === 1)) {
+                return { status: 'satisfied', reason: `${data.property} already has ${formatValue(data.value)}` };
+            }
+            // A null before means the entry has no expectation of the existing values
+            if (entry.before === null || sameValues(current, expectedValues(entry.before, data.property, applied))) return { status: 'pending', reason: `${data.property} unchanged since plan` };
+            return changedSincePlan(`${data.property} is now [${current.map(formatValue).join(', ')}]`);
+        }
+        case 'claimUpdate': {
+            const current = (entity.claims?.[data.property] || []).map(claimValueFrom);
+            const hasOld = current.some(v => valuesMatch(v, data.oldValue));
+            const hasNew = current.some(v => valuesMatch(v, data.newValue));
+            if (hasNew && !hasOld) return { status: 'satisfied', reason: `${data.property} already has ${formatValue(data.newValue)}` };
+            if (hasOld) return { status: 'pending', reason: `${data.property} still has ${formatValue(data.oldValue)}` };
+            return changedSincePlan(`${data.property} no longer has ${formatValue(data.oldValue)}`);
+        }
+        case 'claimRemove': {
+            if (data.claim) {
+                const claim = findClaim(entity, data.claim);
+                if (!claim) return { status: 'satisfied', reason: `claim ${data.claim} already removed` };
+                if (valuesMatch(claimValueFrom(claim), entry.before)) return { status: 'pending', reason: 'claim unchanged since plan' };
+                return changedSincePlan(`claim ${data.claim} is now ${formatValue(claimValueFrom(claim))}`);
+            }
+            const current = (entity.claims?.[data.property] || []).map(claimValueFrom);
+            if (!current.some(v => valuesMatch(v, data.value))) return { status: 'satisfied', reason: `${data.property} no longer has ${formatValue(data.value)}` };
+            return { status: 'pending', reason: `${data.property} still has ${formatValue(data.value)}` };
+        }
+        case 'referenceSet': {
+            const claim = findClaim(entity, data.guid);
+            if (!claim) return { status: 'conflict', reason: `claim ${data.guid} no longer exists` };
+            if ((claim.references || []).some(reference => referenceHasSnaks(reference, data.snaks))) {
+                return { status: 'satisfied', reason: 'reference already present' };
+            }
+            return { status: 'pending', reason: 'reference missing' };
+        }
+        case 'referenceRemove': {
+            const claim = findClaim(entity, data.guid);
+            const hashes = asList(data.hash);
+            if (!claim || !(claim.references || []).some(reference => hashes.includes(reference.hash))) {
+                return { status: 'satisfied', reason: 'reference already removed' };
+            }
+            return { status: 'pending', reason: 'reference still present' };
+        }
+        case 'entityEdit': {
+            const current = touchedState(entity, entry.data);
+            if (sameState(current, entry.after)) return { status: 'satisfied', reason: 'entity already has the batched changes' };
+            if (sameState(current, entry.before, { exact: true })) return { status: 'pending', reason: 'touched terms and claims unchanged since plan' };
+            return changedSincePlan('touched terms or claims changed since plan');
+        }
+        default:
+            return { status: 'conflict', reason: `unknown action ${action}` };
+    }
+}
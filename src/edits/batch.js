@@ -0,0 +1,412 @@
+/**
+ * Edit Batching - Combine all changes queued for one entity into a single wbeditentity edit
+ *
+ * When batch mode is enabled, the term and claim functions of world.queueWork do not
+ * edit straight away. Their changes are collected per entity for the whole run, and
+ * world.flushBatches() then makes one entity.edit per entity with a combined summary.
+ *
+ * Changes are resolved against the entity as it is at flush time, per property:
+ * 1. claimRemove
+ * 2. claimUpdate
+ * 3. claimEnsure (single value)
+ * 4. claimInclude / claimCreate (add the value if it is missing)
+ *
+ * desiredState declarations (see src/claims/desired.js) are planned together, and take over
+ * the properties they declare from the other claim changes.
+ *
+ * Conflicting claimEnsure values for one property (or labelSet / descriptionSet values
+ * for one language) are resolved deterministically: the value already on the entity wins,
+ * otherwise the first by handler name and then value. The other changes are dropped and reported.
+ *
+ * Batch mode is process-wide and enabled with enableBatchMode() (e.g. by tidy-world.js).
+ */
+
+import { claimValueFrom, formatValue, valuesMatch, comparableValue, simplifyClaimForEdit } from '../claims/values.js';
+import { planDesiredState } from '../claims/desired.js';
+
+/**
+ * @typedef {Object} BatchedChange
+ * @property {string} action - The world.queueWork function (e.g. 'claimEnsure')
+ * @property {Object} data - The data passed to world.queueWork
+ * @property {string} summary - The edit summary the change was queued with
+ * @property {string|null} handler - The event handler that queued the change
+ * @property {string|null} checkpointId - The checkpoint job of the change, see src/checkpoint.js
+ */
+
+const BATCHABLE_ACTIONS = ['labelSet', 'descriptionSet', 'aliasAdd', 'aliasRemove', 'claimRemove', 'claimUpdate', 'claimEnsure', 'claimInclude', 'claimCreate', 'desiredState'];
+// MediaWiki cuts edit summaries at 500 characters
+const MAX_SUMMARY_LENGTH = 500;
+const MAX_DESCRIPTION_LENGTH = 250;
+
+let batchMode = false;
+const batches = new Map();
+
+/**
+ * @returns {boolean} True if changes should be collected rather than made
+ */
+export function isBatchMode() {
+    return batchMode;
+}
+
+/**
+ * Enable batch mode for the rest of this process
+ */
+export function enableBatchMode() {
+    batchMode = true;
+    console.log('📦 Batch mode enabled, changes will be made as one edit per entity');
+}
+
+/**
+ * @param {string} action - The world.queueWork function name
+ * @returns {boolean} True if the action can be collected into a batch
+ */
+export function isBatchable(action) {
+    return BATCHABLE_ACTIONS.includes(action);
+}
+
+/**
+ * Collect a change for its entity
+ * @param {Object} options
+ * @param {string} options.action - The world.queueWork function name
+ * @param {Object} options.data - The data passed to world.queueWork
+ * @param {Object} options.requestConfig - The request config passed to world.queueWork
+ * @param {string|null} [options.handler] - The event handler that queued the change
+ * @param {string|null} [options.checkpointId] - The checkpoint job of the change
+ */
+export function addToBatch({ action, data, requestConfig, handler = null, checkpointId = null }) {
+    if (!batches.has(data.id)) batches.set(data.id, []);
+    batches.get(data.id).push({ action, data, summary: requestConfig.summary, handler, checkpointId });
+}
+
+/**
+ * Take all collected changes, leaving the batches empty
+ * @returns {Array<[string, BatchedChange[]]>} Entity IDs with their changes, ordered by ID
+ */
+export function takeBatches() {
+    const taken = [...batches.entries()].sort(([a], [b]) => a.localeCompare(b, undefined, { numeric: true }));
+    batches.clear();
+    return taken;
+}
+
+const asList = (value) => Array.isArray(value) ? value : [value];
+const groupBy = (list, keyOf) => {
+    const groups = new Map();
+    for (const item of list) {
+        const key = keyOf(item);
+        if (!groups.has(key)) groups.set(key, []);
+        groups.get(key).push(item);
+    }
+    return groups;
+};
+const propertyOfGuid = (entity, guid) => Object.keys(entity.claims || {})
+    .find(property => entity.claims[property].some(c => c.id === guid)) ?? null;
+
+/**
+ * Pick one value out of several changes that set the same thing
+ * @param {BatchedChange[]} changes - The competing changes
+ * @param {Function} valueOf - Gets the value a change sets
+ * @param {Function} isCurrent - True if a value is already on the entity
+ * @returns {{ winners: BatchedChange[], losers: BatchedChange[] }} Changes agreeing with the picked value, and the rest
+ */
+function resolveConflict(changes, valueOf, isCurrent) {
+    const sorted = [...changes].sort((a, b) =>
+        (a.handler || '').localeCompare(b.handler || '') || formatValue(valueOf(a)).localeCompare(formatValue(valueOf(b)))
+    );
+    const picked = sorted.find(c => isCurrent(valueOf(c))) || sorted[0];
+    return {
+        winners: sorted.filter(c => valuesMatch(valueOf(c), valueOf(picked))),
+        losers: sorted.filter(c => !valuesMatch(valueOf(c), valueOf(picked))),
+    };
+}
+
+/**
+ * Combine edit summaries, dropping duplicates and keeping within the MediaWiki limit
+ * @param {string[]} summaries
+ * @returns {string}
+ */
+export function combineSummaries(summaries) {
+    const unique = [...new Set(summaries)];
+    let summary = '';
+    for (let i = 0; i < unique.length; i++) {
+        const next = summary ? `${summary}; ${unique[i]}` : unique[i];
+        const remaining = unique.length - i - 1;
+        const suffix = remaining > 0 ? ` (+${remaining} more)` : '';
+        if (summary && next.length + suffix.length > MAX_SUMMARY_LENGTH) {
+            return `${summary} (+${unique.length - i} more)`;
+        }
+        summary = next;
+    }
+    return summary;
+}
+
+/**
+ * Build the claim changes for one property
+ * @param {Object} entity - The current entity
+ * @param {string} property - The property ID
+ * @param {BatchedChange[]} group - The claim changes for the property
+ * @param {Function} use - Marks a change as contributing to the edit
+ * @param {Function} drop - Marks a change as dropped, with a reason
+ * @returns {Object[]} Claims for entity.edit
+ */
+function buildPropertyEdit(entity, property, group, use, drop) {
+    const existing = (entity.claims?.[property] || []).map(raw => ({ raw, value: claimValueFrom(raw), removed: false, newValue: undefined }));
+    const added = [];
+    const valueOf = (c) => c.newValue !== undefined ? c.newValue : c.value;
+    const current = () => existing.filter(c => !c.removed);
+    const hasValue = (value) => current().some(c => valuesMatch(valueOf(c), value)) || added.some(a => valuesMatch(a.value, value));
+    const ofAction = (...actions) => group.filter(c => actions.includes(c.action));
+
+    for (const change of ofAction('claimRemove')) {
+        const targets = change.data.claim
+            ? current().filter(c => c.raw.id === change.data.claim)
+            : current().filter(c => valuesMatch(c.value, change.data.value));
+        targets.forEach(c => { c.removed = true; });
+        if (targets.length > 0) use(change);
+    }
+
+    for (const change of ofAction('claimUpdate')) {
+        const { oldValue, newValue } = change.data;
+        const target = current().find(c => valuesMatch(valueOf(c), oldValue));
+        if (!target) {
+            if (!hasValue(newValue)) drop(change, `${property} no longer has ${formatValue(oldValue)}`);
+            continue;
+        }
+        target.newValue = newValue;
+        use(change);
+    }
+
+    const ensures = ofAction('claimEnsure');
+    if (ensures.length > 0) {
+        const { winners, losers } = resolveConflict(ensures, c => c.data.value, hasValue);
+        const desired = winners[0].data;
+        losers.forEach(c => drop(c, `conflicts with ${formatValue(desired.value)} from ${winners[0].handler}`));
+
+        const claims = current();
+        const keep = claims.find(c => valuesMatch(valueOf(c), desired.value));
+        if (keep) {
+            // Keep one claim with the desired value, remove any others (including duplicates)
+            const others = claims.filter(c => c !== keep);
+            others.forEach(c => { c.removed = true; });
+            if (others.length > 0) winners.forEach(c => use(c));
+        } else if (claims.length === 1) {
+            // Replace the single existing claim, keeping its qualifiers and references
+            claims[0].newValue = desired.value;
+            winners.forEach(c => use(c));
+        } else {
+            claims.forEach(c => { c.removed = true; });
+            added.push(desired);
+            winners.forEach(c => use(c));
+        }
+    }
+
+    for (const change of ofAction('claimInclude', 'claimCreate')) {
+        if (hasValue(change.data.value)) continue;
+        added.push(change.data);
+        use(change);
+    }
+
+    return [
+        ...existing.filter(c => c.removed).map(c => ({ id: c.raw.id, remove: true })),
+        ...existing.filter(c => !c.removed && c.newValue !== undefined).map(c => ({ ...simplifyClaimForEdit(c.raw), value: c.newValue })),
+        ...added.map(({ value, qualifiers, references }) => ({ value, ...(qualifiers && { qualifiers }), ...(references && { references }) })),
+    ];
+}
+
+/**
+ * Build a single entity.edit from all changes collected for an entity
+ * @param {Object} entity - The current entity
+ * @param {BatchedChange[]} changes - The collected changes
+ * @returns {{ data: Object, summary: string, changes: BatchedChange[], dropped: Array<{change: BatchedChange, reason: string}> }}
+ *   The entity.edit data, its combined summary, the changes it makes and the changes that were dropped
+ */
+export function buildEntityEdit(entity, changes) {
+    const data = { id: entity.id };
+    const used = new Set();
+    const summaries = [];
+    const dropped = [];
+    const use = (change, changeSummaries = [change.summary]) => {
+        used.add(change);
+        summaries.push(...changeSummaries);
+    };
+    const drop = (change, reason) => dropped.push({ change, reason });
+    const setIn = (section, key, value) => { data[section] = { ...data[section], [key]: value }; };
+
+    // Labels and descriptions, where an empty value removes the term
+    for (const [action, type] of [['labelSet', 'labels'], ['descriptionSet', 'descriptions']]) {
+        for (const [language, group] of groupBy(changes.filter(c => c.action === action), c => c.data.language)) {
+            const valid = group.filter(c => {
+                if (type === 'descriptions' && (c.data.value ?? '').length > MAX_DESCRIPTION_LENGTH) {
+                    drop(c, `description is too long (${c.data.value.length} characters)`);
+                    return false;
+                }
+                return true;
+            });
+            if (valid.length === 0) continue;
+            const current = entity[type]?.[language]?.value ?? '';
+            const { winners, losers } = resolveConflict(valid, c => c.data.value ?? '', v => v === current);
+            const value = winners[0].data.value ?? '';
+            losers.forEach(c => drop(c, `conflicts with "${value}" from ${winners[0].handler}`));
+            if (value === current) continue;
+            setIn(type, language, value === '' ? null : value);
+            winners.forEach(c => use(c));
+        }
+    }
+
+    // Aliases are added and removed individually, so other aliases are left alone
+    for (const [language, group] of groupBy(changes.filter(c => c.action === 'aliasAdd' || c.action === 'aliasRemove'), c => c.data.language)) {
+        const current = (entity.aliases?.[language] || []).map(a => a.value);
+        const aliasEdits = [];
+        for (const change of group) {
+            const adding = change.action === 'aliasAdd';
+            for (const value of asList(change.data.value)) {
+                if (adding === current.includes(value)) continue;
+                if (aliasEdits.some(a => a.value === value)) {
+                    drop(change, `alias "${value}" is also ${adding ? 'removed' : 'added'} by another change`);
+                    continue;
+                }
+                aliasEdits.push(adding ? { value, add: true } : { value, remove: true });
+                use(change);
+            }
+        }
+        if (aliasEdits.length > 0) setIn('aliases', language, aliasEdits);
+    }
+
+    // Desired state declarations, planned together
+    const declarations = changes.filter(c => c.action === 'desiredState');
+    const declaredProperties = new Set(declarations.flatMap(c => Object.keys(c.data.claims)));
+    if (declarations.length > 0) {
+        const planned = planDesiredState(entity, declarations.map(change => ({ claims: change.data.claims, summary: change.summary, handler: change.handler, change })));
+        planned.dropped.forEach(({ declaration, property, reason }) => drop(declaration.change, `${property} ${reason}`));
+        Object.entries(planned.claims).forEach(([property, claims]) => setIn('claims', property, claims));
+        summaries.push(...planned.summaries);
+        planned.declarations.forEach(declaration => use(declaration.change, []));
+    }
+
+    // Other claim changes, per property
+    const claimChanges = changes.filter(c => c.action.startsWith('claim'));
+    const propertyOf = (c) => c.data.property ?? (c.data.claim ? propertyOfGuid(entity, c.data.claim) : null);
+    for (const [property, group] of groupBy(claimChanges, propertyOf)) {
+        // A claim GUID that is no longer on the entity has nothing left to remove
+        if (property === null) continue;
+        if (declaredProperties.has(property)) {
+            group.forEach(c => drop(c, `${property} is declared by a desiredState change`));
+            continue;
+        }
+        const claims = buildPropertyEdit(entity, property, group, use, drop);
+        if (claims.length > 0) setIn('claims', property, claims);
+    }
+
+    const made = changes.filter(c => used.has(c));
+    return { data, summary: combineSummaries(summaries), changes: made, dropped };
+}
+
+/**
+ * Get the parts of an entity an entity.edit touches (terms by language, claims by property)
+ * The state is used to check plan entries and to undo batched edits
+ * @param {Object|null} entity - The entity
+ * @param {Object} scope - An entity.edit, or another state, whose languages and properties to read
+ * @returns {Object} Labels, descriptions and aliases as plain values, and claims simplified with their IDs
+ */
+export function touchedState(entity, scope) {
+    const state = {};
+    for (const type of ['labels', 'descriptions']) {
+        for (const language of Object.keys(scope[type] || {})) {
+            state[type] = { ...state[type], [language]: entity?.[type]?.[language]?.value ?? null };
+        }
+    }
+    for (const language of Object.keys(scope.aliases || {})) {
+        state.aliases = { ...state.aliases, [language]: (entity?.aliases?.[language] || []).map(a => a.value) };
+    }
+    for (const property of Object.keys(scope.claims || {})) {
+        state.claims = { ...state.claims, [property]: (entity?.claims?.[property] || []).map(simplifyClaimForEdit) };
+    }
+    return state;
+}
+
+/**
+ * Predict the state after an entity.edit is made
+ * @param {Object} state - The touched state before the edit
+ * @param {Object} edit - The entity.edit data
+ * @returns {Object} The touched state after the edit
+ */
+export function applyEditToState(state, edit) {
+    const after = structuredClone(state);
+    for (const type of ['labels', 'descriptions']) {
+        for (const [language, value] of Object.entries(edit[type] || {})) {
+            after[type][language] = value;
+        }
+    }
+    for (const [language, aliases] of Object.entries(edit.aliases || {})) {
+        for (const alias of asList(aliases)) {
+            const { value, remove } = typeof alias === 'string' ? { value: alias } : alias;
+            const list = after.aliases[language];
+            if (remove) after.aliases[language] = list.filter(v => v !== value);
+            else if (!list.includes(value)) list.push(value);
+        }
+    }
+    for (const [property, claims] of Object.entries(edit.claims || {})) {
+        for (const claim of claims) {
+            const list = after.claims[property];
+            if (claim.remove) after.claims[property] = list.filter(c => c.id !== claim.id);
+            else if (claim.id) after.claims[property] = list.map(c => c.id === claim.id ? claim : c);
+            else list.push(claim);
+        }
+    }
+    return after;
+}
+
+/**
+ * Compare two touched states
+ * @param {Object} a
+ * @param {Object} b
+ * @param {Object} [options]
+ * @param {boolean} [options.exact=false] - Also compare claim IDs, not just the values present
+ * @returns {boolean}
+ */
+export function sameState(a, b, { exact = false } = {}) {
+    const normalize = (state) => {
+        const sorted = (obj, fn) => Object.keys(obj || {}).sort().map(key => [key, fn(obj[key])]);
+        return JSON.stringify([
+            sorted(state.labels, v => v),
+            sorted(state.descriptions, v => v),
+            sorted(state.aliases, list => [...list].sort()),
+            sorted(state.claims, list => list.map(c => (exact ? `${c.id}=` : '') + comparableValue(c.value)).sort()),
+        ]);
+    };
+    return normalize(a) === normalize(b);
+}
+
+/**
+ * Build the entity.edit that takes touched parts of an entity from one state back to another
+ * @param {Object} before - The state to restore
+ * @param {Object} after - The state as it is now
+ * @returns {Object} entity.edit data without the entity ID (empty if nothing differs)
+ */
+export function inverseEntityEdit(before, after) {
+    const edit = {};
+    const setIn = (section, key, value) => { edit[section] = { ...edit[section], [key]: value }; };
+    for (const type of ['labels', 'descriptions']) {
+        for (const [language, value] of Object.entries(before[type] || {})) {
+            if (value !== (after[type]?.[language] ?? null)) setIn(type, language, value);
+        }
+    }
+    for (const [language, values] of Object.entries(before.aliases || {})) {
+        const now = after.aliases?.[language] || [];
+        const aliasEdits = [
+            ...now.filter(v => !values.includes(v)).map(value => ({ value, remove: true })),
+            ...values.filter(v => !now.includes(v)).map(value => ({ value, add: true })),
+        ];
+        if (aliasEdits.length > 0) setIn('aliases', language, aliasEdits);
+    }
+    for (const [property, claims] of Object.entries(before.claims || {})) {
+        const now = after.claims?.[property] || [];
+        const claimEdits = [
+            ...now.filter(c => !claims.some(o => o.id === c.id)).map(c => ({ id: c.id, remove: true })),
+            // Removed claims come back as new claims, with new IDs
+            ...claims.filter(c => !now.some(n => n.id === c.id)).map(c => { const restored = { ...c }; delete restored.id; return restored; }),
+            ...claims.filter(c => now.some(n => n.id === c.id && JSON.stringify(n) !== JSON.stringify(c))),
+        ];
+        if (claimEdits.length > 0) setIn('claims', property, claimEdits);
+    }
+    return edit;
+}
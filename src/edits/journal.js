@@ -0,0 +1,180 @@
+/**
+ * Edit Journal - Durable record of every edit made to wikibase.world
+ *
+ * Every edit made via world.queueWork is appended to a JSONL journal with the
+ * entity ID, the revision ID it produced, the action, old and new values, the
+ * summary, the run ID and the handler that queued it (e.g. 'processor:url-normalizer').
+ *
+ * The journal defaults to .data/journal.jsonl and can be moved with WORLD_JOURNAL.
+ * cmd/undo.js uses it to revert all edits from one run or one handler.
+ */
+
+import path from 'path';
+import process from 'process';
+import { simplifyClaim } from 'wikibase-sdk';
+import { appendJsonLine, readJsonLines } from '../jsonl.js';
+import { describeChange, entityIdForEdit } from './plan.js';
+import { inverseEntityEdit } from './batch.js';
+import { DATA_DIR, RUN_ID } from '../general.js';
+
+/**
+ * @typedef {Object} JournalEntry
+ * @property {string} run - The run ID that made the edit
+ * @property {string} time - ISO timestamp of the edit
+ * @property {string} action - The world.queueWork function (e.g. 'claimUpdate')
+ * @property {string|null} id - The entity ID that was edited
+ * @property {string} [property] - The property ID for claim edits
+ * @property {number|null} revision - The revision ID the edit produced
+ * @property {*} before - The relevant value(s) before the edit
+ * @property {*} after - The relevant value(s) after the edit
+ * @property {string} summary - The edit summary
+ * @property {string|null} handler - The event handler that queued the edit
+ * @property {Object} data - The data passed to world.queueWork
+ * @property {Object} [created] - IDs created by the edit ({ id } for items, { guid } for claims, { hash } for references)
+ * @property {Object} [removedClaim] - The full claim removed by a claimRemove, for restoring it
+ */
+
+const journalFile = process.env.WORLD_JOURNAL || path.join(DATA_DIR, 'journal.jsonl');
+
+/**
+ * @returns {string} The journal file path
+ */
+export function getJournalFile() {
+    return journalFile;
+}
+
+/**
+ * Get the revision ID from a wikibase-edit response
+ * Claim create and update responses do not include one, so this can return null
+ * @param {Object} response - The wikibase-edit response
+ * @returns {number|null}
+ */
+export function revisionFromResponse(response) {
+    return response?.entity?.lastrevid ?? response?.pageinfo?.lastrevid ?? null;
+}
+
+/**
+ * Get the IDs created by an edit from its wikibase-edit response
+ * @param {string} action - The world.queueWork function name
+ * @param {Object} response - The wikibase-edit response
+ * @returns {Object|undefined}
+ */
+function createdFromResponse(action, response) {
+    if (action === 'itemCreate' && response?.entity?.id) return { id: response.entity.id };
+    if (action === 'claimCreate' && response?.claim?.id) return { guid: response.claim.id };
+    if (action === 'referenceSet' && response?.reference?.hash) return { hash: response.reference.hash };
+    return undefined;
+}
+
+/**
+ * Record a completed edit to the journal
+ * @param {Object} options
+ * @param {string} options.action - The world.queueWork function name
+ * @param {Object} options.data - The data passed to world.queueWork
+ * @param {Object} options.requestConfig - The request config passed to world.queueWork
+ * @param {Object|null} options.entity - The entity as it was before the edit
+ * @param {Object|null} [options.entityAfter] - The entity after the edit, needed for entityEdit
+ * @param {Object} options.response - The wikibase-edit response
+ * @param {number|null} options.revision - The revision ID the edit produced
+ * @param {string|null} [options.handler] - The event handler that queued the edit
+ * @returns {JournalEntry}
+ */
+export function recordJournalEntry({ action, data, requestConfig, entity, entityAfter = null, response, revision, handler = null }) {
+    const created = createdFromResponse(action, response);
+    const entry = {
+        run: RUN_ID,
+        time: new Date().toISOString(),
+        action,
+        id: entityIdForEdit(action, data) || created?.id || null,
+        ...(data.property && { property: data.property }),
+        revision,
+        ...describeChange(action, data, entity, entityAfter),
+        summary: requestConfig.summary,
+        handler,
+        data,
+        ...(created && { created }),
+    };
+    if (action === 'claimRemove' && data.claim && entity) {
+        const removedClaim = Object.values(entity.claims || {}).flat().find(c => c.id === data.claim);
+        if (removedClaim) entry.removedClaim = removedClaim;
+    }
+    appendJsonLine(journalFile, entry);
+    return entry;
+}
+
+/**
+ * Read all entries from a journal file
+ * @param {string} [file] - The journal file path
+ * @returns {JournalEntry[]}
+ */
+export function readJournal(file = journalFile) {
+    return readJsonLines(file);
+}
+
+/**
+ * Build the edit that reverts a journal entry, as a plan entry that can be checked and applied
+ * @param {JournalEntry} entry - The journal entry to revert
+ * @returns {import('./plan.js').PlanEntry|null} The reverting edit, or null if it cannot be reverted automatically
+ */
+export function inverseOfJournalEntry(entry) {
+    const { action, data } = entry;
+    const inverse = (inverseAction, inverseData, before) => ({
+        action: inverseAction,
+        id: entry.id,
+        ...(inverseData.property && { property: inverseData.property }),
+        data: inverseData,
+        summary: entry.revision
+            ? `Undo [[Special:Diff/${entry.revision}]] (${entry.action}) from run ${entry.run}`
+            // Some edit responses carry no revision, so there is no diff to link to
+            : `Undo ${entry.action} on ${entry.id} from run ${entry.run}`,
+        before,
+        baseRevision: entry.revision ?? null,
+    });
+
+    switch (action) {
+        case 'labelSet':
+        case 'descriptionSet':
+            return inverse(action, { id: entry.id, language: data.language, value: entry.before ?? '' }, entry.after);
+        case 'aliasAdd': {
+            const added = (entry.after || []).filter(v => !(entry.before || []).includes(v));
+            if (added.length === 0) return null;
+            return inverse('aliasRemove', { id: entry.id, language: data.language, value: added }, entry.after);
+        }
+        case 'aliasRemove': {
+            const removed = (entry.before || []).filter(v => !(entry.after || []).includes(v));
+            if (removed.length === 0) return null;
+            return inverse('aliasAdd', { id: entry.id, language: data.language, value: removed }, entry.after);
+        }
+        case 'claimCreate':
+            if (!entry.created?.guid) return null;
+            return inverse('claimRemove', { id: entry.id, claim: entry.created.guid }, data.value);
+        case 'claimUpdate':
+            return inverse('claimUpdate', { id: entry.id, property: data.property, oldValue: data.newValue, newValue: data.oldValue }, data.newValue);
+        case 'claimRemove': {
+            if (entry.removedClaim) {
+                const { value, qualifiers, references } = simplifyClaim(entry.removedClaim, { keepQualifiers: true, keepReferences: true });
+                const property = entry.removedClaim.mainsnak.property;
+                const restored = { id: entry.id, property, value };
+                if (Object.keys(qualifiers || {}).length > 0) restored.qualifiers = qualifiers;
+                if (references?.length > 0) restored.references = references;
+                return inverse('claimCreate', restored, null);
+            }
+            if (data.property && data.value !== undefined) {
+                return inverse('claimCreate', { id: entry.id, property: data.property, value: data.value }, null);
+            }
+            return null;
+        }
+        case 'referenceSet':
+            if (!entry.created?.hash) return null;
+            return inverse('referenceRemove', { guid: data.guid, hash: entry.created.hash }, null);
+        case 'entityEdit': {
+            const restore = inverseEntityEdit(entry.before, entry.after);
+            if (Object.keys(restore).length === 0) return null;
+            return { ...inverse('entityEdit', { id: entry.id, ...restore }, entry.after), after: entry.before };
+        }
+        case 'referenceRemove':
+        case 'itemCreate':
+        default:
+            return null;
+    }
+}
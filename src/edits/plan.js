@@ -0,0 +1,211 @@
+/**
+ * Edit Plan - Record intended wikibase.world edits instead of making them
+ *
+ * When plan mode is enabled, every edit queued via world.queueWork is appended
+ * to a JSONL plan file (one entry per edit, with its summary and before/after
+ * values) and wikibase-edit is never called.
+ *
+ * Plan mode is process-wide and can be enabled with:
+ * - The WORLD_PLAN environment variable, set to the plan file path
+ *   (or to "1" / "true" for a default file under the data directory)
+ * - enablePlanMode() from a cmd script, before src/world.js loads (e.g. for the --dry-run argument of import-list.js)
+ */
+
+import path from 'path';
+import process from 'process';
+import { appendJsonLine, readJsonLines } from '../jsonl.js';
+import { claimValueFrom } from '../claims/values.js';
+import { touchedState, applyEditToState } from './batch.js';
+import { DATA_DIR, RUN_ID } from '../general.js';
+
+/**
+ * @typedef {Object} PlanEntry
+ * @property {string} run - The run ID that produced the entry
+ * @property {string} time - ISO timestamp of when the entry was recorded
+ * @property {string} action - The world.queueWork function (e.g. 'claimUpdate')
+ * @property {string|null} id - The entity ID the edit targets (null for itemCreate)
+ * @property {string} [property] - The property ID for claim edits
+ * @property {Object} data - The data passed to world.queueWork
+ * @property {string} summary - The edit summary
+ * @property {*} before - The relevant value(s) on the entity when the plan was made
+ * @property {*} after - The value(s) the edit would result in
+ * @property {number|null} baseRevision - The entity revision the plan was made against
+ * @property {string|null} handler - The event handler that queued the edit (e.g. 'processor:url-normalizer'),
+ *   or a comma separated list of handlers for batched edits
+ */
+
+const defaultPlanFile = () => path.join(DATA_DIR, 'plans', `${RUN_ID}.jsonl`);
+
+let planFile = null;
+if (process.env.WORLD_PLAN) {
+    planFile = ['1', 'true'].includes(process.env.WORLD_PLAN) ? defaultPlanFile() : process.env.WORLD_PLAN;
+}
+
+const recordedByAction = {};
+
+/**
+ * @returns {boolean} True if edits should be recorded rather than made
+ */
+export function isPlanMode() {
+    return planFile !== null;
+}
+
+/**
+ * Enable plan mode for the rest of this process
+ * @param {string} [file] - Plan file path, defaults to a file named after the run ID
+ * @returns {string} The plan file path
+ */
+export function enablePlanMode(file = defaultPlanFile()) {
+    planFile = file;
+    console.log(`📝 Plan mode enabled, edits will be recorded to ${planFile}`);
+    return planFile;
+}
+
+/**
+ * @returns {string|null} The plan file path, or null if plan mode is not enabled
+ */
+export function getPlanFile() {
+    return planFile;
+}
+
+/**
+ * Get the entity ID an edit targets
+ * @param {string} action - The world.queueWork function name
+ * @param {Object} data - The data passed to world.queueWork
+ * @returns {string|null}
+ */
+export function entityIdForEdit(action, data) {
+    if (action === 'itemCreate') return null;
+    if (data.id) return data.id;
+    // referenceSet only has the claim GUID, which is prefixed with the entity ID
+    if (data.guid) return data.guid.split('$')[0].toUpperCase();
+    return null;
+}
+
+/**
+ * Check whether a plan or journal entry came from a handler
+ * Batched edits are attributed to every handler whose changes they include
+ * @param {{ handler: string|null }} entry - A plan or journal entry
+ * @param {string} handler - The handler name
+ * @returns {boolean}
+ */
+export function isFromHandler(entry, handler) {
+    return (entry.handler || '').split(', ').includes(handler);
+}
+
+const termValue = (entity, type, language) => entity?.[type]?.[language]?.value ?? null;
+const aliasValues = (entity, language) => (entity?.aliases?.[language] || []).map(a => a.value);
+const propertyValues = (entity, property) => (entity?.claims?.[property] || []).map(claimValueFrom);
+const findClaim = (entity, guid) => {
+    for (const claims of Object.values(entity?.claims || {})) {
+        const claim = claims.find(c => c.id === guid);
+        if (claim) return claim;
+    }
+    return null;
+};
+
+/**
+ * Describe the change an edit makes to an entity
+ * @param {string} action - The world.queueWork function name
+ * @param {Object} data - The data passed to world.queueWork
+ * @param {Object|null} entity - The entity as it currently is
+ * @param {Object|null} [entityAfter] - The entity after the edit, if it has been made
+ * @returns {{ before: *, after: * }}
+ */
+export function describeChange(action, data, entity, entityAfter = null) {
+    const asList = (value) => Array.isArray(value) ? value : [value];
+    switch (action) {
+        case 'itemCreate':
+            return { before: null, after: { labels: data.labels, descriptions: data.descriptions, aliases: data.aliases, claims: data.claims } };
+        case 'labelSet':
+            return { before: termValue(entity, 'labels', data.language), after: data.value };
+        case 'descriptionSet':
+            return { before: termValue(entity, 'descriptions', data.language), after: data.value };
+        case 'aliasAdd': {
+            const before = aliasValues(entity, data.language);
+            return { before, after: [...before, ...asList(data.value).filter(v => !before.includes(v))] };
+        }
+        case 'aliasRemove': {
+            const before = aliasValues(entity, data.language);
+            return { before, after: before.filter(v => !asList(data.value).includes(v)) };
+        }
+        case 'claimCreate': {
+            const before = propertyValues(entity, data.property);
+            return { before, after: [...before, data.value] };
+        }
+        case 'claimEnsure':
+            return { before: propertyValues(entity, data.property), after: [data.value] };
+        case 'claimUpdate':
+            return { before: data.oldValue, after: data.newValue };
+        case 'claimRemove':
+            if (data.claim) {
+                const claim = findClaim(entity, data.claim);
+                return { before: claim ? claimValueFrom(claim) : null, after: null };
+            }
+            return { before: data.value ?? null, after: null };
+        case 'referenceSet': {
+            const claim = findClaim(entity, data.guid);
+            return { before: claim?.references || [], after: data.snaks };
+        }
+        case 'referenceRemove': {
+            const references = findClaim(entity, data.guid)?.references || [];
+            const hashes = asList(data.hash);
+            return { before: references, after: references.filter(r => !hashes.includes(r.hash)) };
+        }
+        case 'entityEdit': {
+            // Batched edits touch several terms and properties, so describe all of them
+            const before = touchedState(entity, data);
+            return { before, after: entityAfter ? touchedState(entityAfter, data) : applyEditToState(before, data) };
+        }
+        default:
+            return { before: null, after: null };
+    }
+}
+
+/**
+ * Record an intended edit to the plan file
+ * @param {Object} options
+ * @param {string} options.action - The world.queueWork function name
+ * @param {Object} options.data - The data passed to world.queueWork
+ * @param {Object} options.requestConfig - The request config passed to world.queueWork
+ * @param {Object|null} options.entity - The entity as it currently is, if it exists
+ * @param {string|null} [options.handler] - The event handler that queued the edit
+ * @returns {PlanEntry}
+ */
+export function recordPlanEntry({ action, data, requestConfig, entity, handler = null }) {
+    const entry = {
+        run: RUN_ID,
+        time: new Date().toISOString(),
+        action,
+        id: entityIdForEdit(action, data),
+        ...(data.property && { property: data.property }),
+        data,
+        summary: requestConfig.summary,
+        ...describeChange(action, data, entity),
+        baseRevision: entity?.lastrevid ?? null,
+        handler,
+    };
+    appendJsonLine(planFile, entry);
+    recordedByAction[action] = (recordedByAction[action] || 0) + 1;
+    return entry;
+}
+
+/**
+ * Read all entries from a plan file
+ * @param {string} file - The plan file path
+ * @returns {PlanEntry[]}
+ */
+export function readPlan(file) {
+    return readJsonLines(file);
+}
+
+// Summarise what was recorded when the run ends
+process.on('exit', () => {
+    if (!isPlanMode()) return;
+    const total = Object.values(recordedByAction).reduce((a, b) => a + b, 0);
+    console.log('');
+    console.log(`📝 Recorded ${total} planned edits to ${planFile}`);
+    for (const [action, count] of Object.entries(recordedByAction)) {
+        console.log(`   ${action}: ${count}`);
+    }
+});
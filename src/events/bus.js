@@ -5,14 +5,22 @@
  * 1. run.tidy-world - Initial trigger to start the tidy process
  * 2. wiki.discovered - A wiki URL has been found and needs checking
  * 3. wiki.alive - Wiki is alive and responding
- * 4. wiki.dead - Wiki appears to be dead/offline
+ * 4. wiki.dead - Wiki appears to be dead/offline, or wiki.skipped - Wiki opted out of crawling or robots.txt disallows us,
+ *    or wiki.redirected - Wiki redirects to another domain
  * 5. wiki.data.{type} - Data has been fetched (siteinfo, manifest, inception, etc.)
  * 6. edit.claim.{action} - Edit actions to be queued (ensure, update, create)
  * 7. edit.label.set - Label edit to be queued
  * 8. edit.description.set - Description edit to be queued
+ *
+ * Importers (see src/importer.js) have their own pipeline:
+ * import.candidate → import.exists, or import.new → import.valid or import.failed; and import.removed
  */
 
 import EventEmitter from 'node:events';
+import { AsyncLocalStorage } from 'node:async_hooks';
+
+// Tracks which registered handler the current code is running on behalf of
+const handlerContext = new AsyncLocalStorage();
 
 /**
  * @typedef {Object} WikiContext
@@ -41,6 +49,8 @@ export const Events = {
     WIKI_DISCOVERED: 'wiki.discovered',
     WIKI_ALIVE: 'wiki.alive',
     WIKI_DEAD: 'wiki.dead',
+    WIKI_SKIPPED: 'wiki.skipped',
+    WIKI_REDIRECTED: 'wiki.redirected',
     WIKI_CONTEXT_READY: 'wiki.context-ready',
     
     // Data fetched events
@@ -55,6 +65,14 @@ export const Events = {
     DATA_PAGE_META: 'wiki.data.page-meta',
     DATA_WB_METADATA: 'wiki.data.wb-metadata',
     
+    // Import events
+    IMPORT_CANDIDATE: 'import.candidate',
+    IMPORT_EXISTS: 'import.exists',
+    IMPORT_NEW: 'import.new',
+    IMPORT_VALID: 'import.valid',
+    IMPORT_FAILED: 'import.failed',
+    IMPORT_REMOVED: 'import.removed',
+    
     // Edit events
     EDIT_CLAIM_ENSURE: 'edit.claim.ensure',
     EDIT_CLAIM_UPDATE: 'edit.claim.update',
@@ -90,7 +108,7 @@ class EventBus extends EventEmitter {
         }
         
         handlers.set(handlerName, handler);
-        this.on(event, handler);
+        this.on(event, (...args) => handlerContext.run(handlerName, () => handler(...args)));
         
         return this;
     }
@@ -124,6 +142,26 @@ class EventBus extends EventEmitter {
     }
 }
 
+/**
+ * Get the name of the registered handler the current code was called from
+ * Work queued via the tracked queues keeps the name of the handler that queued it
+ * @returns {string|null} Handler name (e.g. 'processor:url-normalizer') or null
+ */
+export function currentHandler() {
+    return handlerContext.getStore() || null;
+}
+
+/**
+ * Run a function as if it was called from the named handler
+ * Used when work collected from several handlers is later done in one go
+ * @param {string} handlerName - Handler name to attribute the work to
+ * @param {Function} fn - The function to run
+ * @returns {*} The return value of fn
+ */
+export function runAsHandler(handlerName, fn) {
+    return handlerContext.run(handlerName, fn);
+}
+
 // Singleton event bus instance
 const eventBus = new EventBus();
 
@@ -0,0 +1,209 @@
+/**
+ * Failure History - The failed checks of each wiki, to tell an outage from a wiki that is gone
+ *
+ * tidy-world appends every failed main page check to a JSONL file, and a recovery when a wiki that
+ * failed before responds again. The failures since the last recovery are a wiki's current streak.
+ * Each failure is one of two kinds, which are counted against their own thresholds:
+ * - 'gone' - The domain no longer resolves
+ * - 'transient' - Anything else: timeouts, TLS and connection errors, 5xx and other unexpected responses
+ *
+ * A wiki is considered offline once its streak has enough failures spanning enough days, as set in
+ * config/wiki-lifecycle.json (or the file in WORLD_WIKI_LIFECYCLE). Any failure counts towards the
+ * transient threshold, only consecutive 'gone' failures towards the (usually lower) gone threshold.
+ *
+ * The file defaults to .data/failures.jsonl and can be moved with WORLD_FAILURES.
+ */
+
+import dns from 'dns';
+import fs from 'fs';
+import path from 'path';
+import process from 'process';
+import { fileURLToPath } from 'url';
+import { appendJsonLine, readJsonLines } from './jsonl.js';
+import { DATA_DIR, RUN_ID } from './general.js';
+
+/**
+ * @typedef {Object} FailureRecord
+ * @property {string} item - The wikibase.world item ID
+ * @property {string} site - The wiki URL
+ * @property {'gone'|'transient'|'recovered'} kind
+ * @property {string|null} reason - Why the check failed, null for recoveries
+ * @property {string} checked - ISO timestamp of the check
+ * @property {string} run - The run ID that made the check
+ */
+
+/**
+ * @typedef {Object} FailureStreak
+ * @property {number} failures - Failed checks since the last recovery
+ * @property {number} gone - Consecutive 'gone' failures at the end of the streak
+ * @property {string|null} since - ISO timestamp of the first failure of the streak
+ * @property {string|null} goneSince - ISO timestamp of the first of the consecutive 'gone' failures
+ * @property {string|null} last - ISO timestamp of the latest failure
+ * @property {string|null} reason - The reason of the latest failure
+ */
+
+/**
+ * @typedef {Object} Threshold
+ * @property {number} failures - Failed checks needed
+ * @property {number} days - Days the failed checks must span
+ */
+
+const DEFAULT_THRESHOLDS_FILE = fileURLToPath(new URL('../config/wiki-lifecycle.json', import.meta.url));
+
+/**
+ * @typedef {Object} DeletionPolicy
+ * @property {number} sightings - Times a wiki must be reported deleted before it is marked
+ * @property {number} graceDays - Days the reports must span
+ * @property {number} maxPercent - A run reporting more than this share of a source's wikis deleted marks none of them
+ * @property {number} minCap - The most wikis that may be reported deleted at once is never below this
+ */
+
+/**
+ * Load a wiki lifecycle config file
+ * @param {string} file
+ * @returns {{ gone: Threshold, transient: Threshold, deletion: DeletionPolicy }}
+ */
+export function loadThresholds(file) {
+    const config = JSON.parse(fs.readFileSync(file, 'utf8'));
+    return {
+        gone: { failures: 3, days: 7, ...config.gone },
+        transient: { failures: 6, days: 30, ...config.transient },
+        deletion: { sightings: 2, graceDays: 14, maxPercent: 5, minCap: 3, ...config.deletion },
+    };
+}
+
+export const thresholds = loadThresholds(process.env.WORLD_WIKI_LIFECYCLE || DEFAULT_THRESHOLDS_FILE);
+
+let failuresFile = process.env.WORLD_FAILURES || path.join(DATA_DIR, 'failures.jsonl');
+
+// Records since the last recovery, by item, loaded on first use
+let streaks = null;
+
+/**
+ * @returns {string} The failures file path
+ */
+export function getFailuresFile() {
+    return failuresFile;
+}
+
+/**
+ * Use another failures file, read again on next use (for tests)
+ * @param {string} file
+ */
+export function setFailuresFile(file) {
+    failuresFile = file;
+    streaks = null;
+}
+
+/**
+ * Read the records of each item's current streak from a failures file
+ * @param {string} [file]
+ * @returns {Map<string, FailureRecord[]>}
+ */
+export function loadFailures(file = failuresFile) {
+    const current = new Map();
+    for (const record of readJsonLines(file)) {
+        if (record.kind === 'recovered') current.delete(record.item);
+        else current.set(record.item, [...(current.get(record.item) || []), record]);
+    }
+    return current;
+}
+
+const currentStreaks = () => {
+    if (streaks === null) streaks = loadFailures();
+    return streaks;
+};
+
+/**
+ * Tell a wiki whose domain no longer exists from one that is failing for now
+ * @param {string} site - The wiki URL
+ * @param {string} reason - Why the check failed, e.g. 'No response' or 'HTTP 503'
+ * @returns {Promise<'gone'|'transient'>}
+ */
+export async function classifyFailure(site, reason) {
+    // A server answered, so the domain still exists
+    if (/^HTTP \d+$/.test(reason)) return 'transient';
+    try {
+        await dns.promises.lookup(new URL(site).hostname);
+        return 'transient';
+    } catch (error) {
+        // ENOTFOUND is a definite answer that the name does not exist, EAI_AGAIN and others are not
+        return error.code === 'ENOTFOUND' ? 'gone' : 'transient';
+    }
+}
+
+/**
+ * Record a failed check of a wiki
+ * @param {{ item: string, site: string }} wiki
+ * @param {'gone'|'transient'} kind
+ * @param {string} reason
+ * @returns {FailureStreak} The streak including this failure
+ */
+export function recordFailure(wiki, kind, reason) {
+    /** @type {FailureRecord} */
+    const record = { item: wiki.item, site: wiki.site, kind, reason, checked: new Date().toISOString(), run: RUN_ID };
+    // Loaded before appending, so the record is not read back in as well
+    const current = currentStreaks();
+    appendJsonLine(failuresFile, record);
+    current.set(wiki.item, [...(current.get(wiki.item) || []), record]);
+    return failureStreak(wiki.item);
+}
+
+/**
+ * Record that a wiki responds again, ending its streak
+ * Nothing is written for a wiki without failures, so the file only grows with failures
+ * @param {{ item: string, site: string }} wiki
+ * @returns {boolean} Whether the wiki had failed before
+ */
+export function recordRecovery(wiki) {
+    const current = currentStreaks();
+    if (!current.has(wiki.item)) return false;
+    appendJsonLine(failuresFile, { item: wiki.item, site: wiki.site, kind: 'recovered', reason: null, checked: new Date().toISOString(), run: RUN_ID });
+    current.delete(wiki.item);
+    return true;
+}
+
+/**
+ * Get the current streak of failed checks of a wiki
+ * @param {string} item
+ * @returns {FailureStreak}
+ */
+export function failureStreak(item) {
+    const records = currentStreaks().get(item) || [];
+    let gone = 0;
+    while (gone < records.length && records[records.length - 1 - gone].kind === 'gone') gone++;
+    return {
+        failures: records.length,
+        gone,
+        since: records[0]?.checked ?? null,
+        goneSince: gone > 0 ? records[records.length - gone].checked : null,
+        last: records[records.length - 1]?.checked ?? null,
+        reason: records[records.length - 1]?.reason ?? null,
+    };
+}
+
+/**
+ * Check whether a streak of failures means the wiki is offline
+ * @param {FailureStreak} streak
+ * @param {{ gone: Threshold, transient: Threshold }} [limits]
+ * @returns {'gone'|'transient'|null} The threshold that was reached, or null
+ */
+export function offlineBy(streak, limits = thresholds) {
+    const spans = (count, since, threshold) => count >= threshold.failures
+        && Date.parse(streak.last) - Date.parse(since) >= threshold.days * 86400 * 1000;
+    if (streak.gone > 0 && spans(streak.gone, streak.goneSince, limits.gone)) return 'gone';
+    if (streak.failures > 0 && spans(streak.failures, streak.since, limits.transient)) return 'transient';
+    return null;
+}
+
+/**
+ * Rewrite the failures file with only the current streaks, dropping those that ended in a recovery
+ * @param {string} [file]
+ */
+export function compactFailures(file = failuresFile) {
+    if (!fs.existsSync(file)) return;
+    const records = [...loadFailures(file).values()].flat();
+    const temporary = `${file}.${process.pid}.tmp`;
+    fs.writeFileSync(temporary, records.map(record => JSON.stringify(record) + '\n').join(''));
+    fs.renameSync(temporary, file);
+}
@@ -1,75 +1,136 @@
-import NodeFetchCache, { FileSystemCache } from 'node-fetch-cache';
+import { fetchWithFixtures, fixtureMode, UnrecordedRequestError } from './fixtures.js';
+import { acquireHostSlot, retryDelayFor, logHostStats as logRequestsPerHost } from './rate-limit.js';
+import { checkCrawlPermission, logCrawlSkips } from './robots.js';
+import { fetchWithCache, logCacheStats } from './http-cache.js';
+import { HEADERS } from './general.js';
+import { registry } from './registry.js';
 
-const fetchCachedInternal = NodeFetchCache.create({
-    cache: new FileSystemCache({
-        cacheDirectory: './.cache',
-        ttl: 60*30,
-    }),
+// The registry's own Wikibase is where the bot works, not a third-party wiki that is crawled
+const OWN_HOSTS = new Set([registry.instance, registry.sparqlEndpoint].map(url => new URL(url).host));
+
+/**
+ * Check the opt-out list and robots.txt for a URL before requesting it
+ * @param {string} url
+ * @returns {Promise<import('./robots.js').CrawlPermission>}
+ */
+const crawlPermission = (url) => checkCrawlPermission(url, {
+    userAgent: HEADERS['User-Agent'],
+    fetchRobots: (robotsUrl) => fetchThroughCache(robotsUrl, { headers: HEADERS }, 'robots.txt', false),
+    // Replayed fixtures were only recorded for requests robots.txt allowed
+    checkRobots: !OWN_HOSTS.has(new URL(url).host) && fixtureMode() !== 'replay',
 });
-const fetchuc = async (url, options) => {
-    const controller = new AbortController();
-    const timeoutId = setTimeout(() => controller.abort(), 10000);
-    try {
+
+/**
+ * Make a request within the host's rate limits, retrying when the host asks us to slow down or has a server error
+ * @param {string} url
+ * @param {Object} options - fetch options
+ * @param {string} name - 'fetchc' or 'fetchuc', for logs
+ * @param {boolean} [checkCrawl=true] - Whether to check the opt-out list and robots.txt first
+ * @returns {Promise<Response|null>} null when the URL must not be crawled
+ */
+const fetchPolitely = async (url, options, name, checkCrawl = true) => {
+    if (checkCrawl) {
+        const { allowed, reason } = await crawlPermission(url);
+        if (!allowed) {
+            console.log(`🚫 Skipping ${name} url (${reason}):`, url);
+            return null;
+        }
+    }
+    // Replayed fixtures are final responses and do not touch the network
+    if (fixtureMode() === 'replay') {
+        return fetchWithFixtures(fetch, url, options);
+    }
+    for (let attempt = 0; ; attempt++) {
+        const release = await acquireHostSlot(url);
+        const controller = new AbortController();
+        const timeoutId = setTimeout(() => controller.abort(), 10000);
         let response;
-        do {
-            response = await fetch(url, { ...options, signal: controller.signal });
-            if (response.status === 429) {
-                console.log('↩️⏸️ 429 Too Many Requests, retrying in 10 seconds for fetchuc url:', url);
-                await new Promise(resolve => setTimeout(resolve, 10000)); //60s
-                console.log('↩️ Retrying now for fetchuc url:', url);
-            }
-        } while (response.status === 429);
-        return response;
+        try {
+            response = await fetchWithFixtures(fetch, url, { ...options, signal: controller.signal });
+        } finally {
+            clearTimeout(timeoutId);
+            release();
+        }
+        const delay = retryDelayFor(url, response, attempt);
+        if (delay === null) return response;
+        console.log(`↩️⏸️ ${response.status} ${response.statusText}, retrying in ${Math.ceil(delay / 1000)} seconds for ${name} url:`, url);
+        await new Promise(resolve => setTimeout(resolve, delay));
+        console.log(`↩️ Retrying now for ${name} url:`, url);
+    }
+};
+
+/**
+ * Make a request via the response cache, and politely over the network when the cache can not answer it
+ * @param {string} url
+ * @param {Object} options - fetch options
+ * @param {string} name - For logs
+ * @param {boolean} [checkCrawl=true] - Whether to check the opt-out list and robots.txt first
+ * @returns {Promise<Response|null>}
+ */
+const fetchThroughCache = (url, options, name, checkCrawl = true) => {
+    const network = (requestUrl, requestOptions) => fetchPolitely(requestUrl, requestOptions, name, checkCrawl);
+    // Fixtures record and replay what comes off the network, so they skip the cache
+    if (fixtureMode() !== null) return network(url, options);
+    return fetchWithCache(network, url, options);
+};
+
+// Original fetchuc implementation, which is not cached
+const originalFetchuc = async (url, options) => {
+    try {
+        return await fetchPolitely(url, options, 'fetchuc');
     } catch (error) {
+        // Replaying fixtures must fail loudly rather than look like a wiki that is down
+        if (error instanceof UnrecordedRequestError) throw error;
         if (error.name === 'AbortError') {
             console.error('Fetch aborted for fetchuc url:', url);
         } else {
             console.error('Fetch error for fetchuc url:', url, error);
         }
         return null;
-    } finally {
-        clearTimeout(timeoutId);
     }
 }
 
-// Original fetchc implementation
+// Original fetchc implementation, which uses cached responses until the TTL of their request class
 const originalFetchc = async (url, options) => {
-    const controller = new AbortController();
-    const timeoutId = setTimeout(() => controller.abort(), 10000);
     try {
-        let response;
-        do {
-            response = await fetchCachedInternal(url, { ...options, signal: controller.signal });
-            if (response.status === 429) {
-                console.log('↩️⏸️ 429 Too Many Requests, retrying in 10 seconds for fetchc url:', url);
-                await new Promise(resolve => setTimeout(resolve, 10000)); //60s
-                console.log('↩️ Retrying now for fetchc url:', url);
-            }
-        } while (response.status === 429);
-        return response;
+        return await fetchThroughCache(url, options, 'fetchc');
     } catch (error) {
+        // Replaying fixtures must fail loudly rather than look like a wiki that is down
+        if (error instanceof UnrecordedRequestError) throw error;
         if (error.name === 'AbortError') {
             console.error('Fetch aborted for fetchc url:', url);
         } else {
             console.error('Fetch error for fetchc url:', url, error);
         }
         return null;
-    } finally {
-        clearTimeout(timeoutId);
     }
 };
 
-// currentFetchc initially points to the original implementation
+// Log requests per host, requests skipped by the crawl policy, and response cache use
+const logHostStats = () => {
+    logRequestsPerHost();
+    logCrawlSkips();
+    logCacheStats();
+};
+
+// currentFetchc and currentFetchuc initially point to the original implementations
 let currentFetchc = originalFetchc;
+let currentFetchuc = originalFetchuc;
 
-// Exported fetchc that will be used by other modules
+// Exported fetchc and fetchuc that will be used by other modules
 const fetchc = async (url, options) => {
     return currentFetchc(url, options);
 };
+const fetchuc = async (url, options) => {
+    return currentFetchuc(url, options);
+};
 
-// Exported function to set a mock implementation for fetchc
+// Exported functions to set a mock implementation for fetchc and fetchuc (null restores the original)
 const setMockFetchc = (mockFunction) => {
-    currentFetchc = mockFunction;
+    currentFetchc = mockFunction || originalFetchc;
+};
+const setMockFetchuc = (mockFunction) => {
+    currentFetchuc = mockFunction || originalFetchuc;
 };
 
-export { fetchuc, fetchc, setMockFetchc };
\ No newline at end of file
+export { fetchuc, fetchc, setMockFetchc, setMockFetchuc, logHostStats, crawlPermission };
@@ -0,0 +1,176 @@
+/**
+ * HTTP Fixtures - Record fetchc/fetchuc responses to a directory and replay them back
+ *
+ * In record mode every request made through fetchc or fetchuc is written to a fixture file,
+ * with the response status, headers, body and final URL after redirects.
+ * In replay mode responses are served from the fixture files and nothing goes to the network;
+ * requests that were not recorded throw an UnrecordedRequestError.
+ *
+ * Fixture mode is process-wide and can be enabled with:
+ * - The WORLD_FIXTURES_RECORD or WORLD_FIXTURES_REPLAY environment variable, set to the fixture directory
+ * - enableFixtureRecording() or enableFixtureReplay() from tests
+ *
+ * Fixtures are stored as <dir>/<host>/<path>-<hash>.json, one file per request.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import process from 'process';
+
+/**
+ * @typedef {Object} Fixture
+ * @property {{ method: string, url: string, body?: string }} request - The request, without headers
+ * @property {{ status: number, statusText: string, url: string, redirected: boolean, headers: Object<string, string>, body: string }} response
+ * @property {string} recorded - ISO timestamp of when the fixture was recorded
+ */
+
+export class UnrecordedRequestError extends Error {
+    constructor(method, url, file) {
+        super(`No recorded fixture for ${method} ${url} (expected ${file})`);
+        this.name = 'UnrecordedRequestError';
+        this.url = url;
+    }
+}
+
+let mode = null;
+let fixtureDir = null;
+if (process.env.WORLD_FIXTURES_REPLAY) {
+    mode = 'replay';
+    fixtureDir = process.env.WORLD_FIXTURES_REPLAY;
+} else if (process.env.WORLD_FIXTURES_RECORD) {
+    mode = 'record';
+    fixtureDir = process.env.WORLD_FIXTURES_RECORD;
+}
+
+const unrecorded = [];
+
+// The recorded body is already decoded, so headers describing the encoded body are not kept
+const BODY_ENCODING_HEADERS = new Set(['content-encoding', 'content-length', 'transfer-encoding']);
+
+/**
+ * @returns {'record'|'replay'|null}
+ */
+export function fixtureMode() {
+    return mode;
+}
+
+/**
+ * Record every fetchc/fetchuc response for the rest of this process
+ * @param {string} dir - The fixture directory
+ */
+export function enableFixtureRecording(dir) {
+    mode = 'record';
+    fixtureDir = dir;
+    console.log(`📼 Recording HTTP fixtures to ${dir}`);
+}
+
+/**
+ * Serve fetchc/fetchuc responses from recorded fixtures for the rest of this process
+ * @param {string} dir - The fixture directory
+ */
+export function enableFixtureReplay(dir) {
+    mode = 'replay';
+    fixtureDir = dir;
+    unrecorded.length = 0;
+}
+
+/**
+ * Go back to making real requests
+ */
+export function disableFixtures() {
+    mode = null;
+    fixtureDir = null;
+}
+
+/**
+ * Requests made in replay mode that had no fixture, so tests can fail on them even where callers swallow errors
+ * @returns {string[]} "METHOD url" for each unrecorded request
+ */
+export function unrecordedRequests() {
+    return [...unrecorded];
+}
+
+/**
+ * Get the fixture file for a request
+ * @param {string} dir - The fixture directory
+ * @param {string} method
+ * @param {string} url
+ * @param {string} [body]
+ * @returns {string}
+ */
+export function fixtureFile(dir, method, url, body) {
+    const parsed = new URL(url);
+    const hash = crypto.createHash('sha1').update(`${method} ${url}\n${body || ''}`).digest('hex').slice(0, 12);
+    const slug = (parsed.pathname + parsed.search).replace(/[^a-zA-Z0-9._-]+/g, '_').replace(/^_+|_+$/g, '').slice(0, 80);
+    return path.join(dir, parsed.host.replace(/:/g, '_'), `${slug || 'index'}-${hash}.json`);
+}
+
+/**
+ * Get the headers of a response that still apply once its body has been read and decoded
+ * @param {Response} response
+ * @returns {Object<string, string>}
+ */
+export function decodedBodyHeaders(response) {
+    return Object.fromEntries([...response.headers.entries()].filter(([name]) => !BODY_ENCODING_HEADERS.has(name)));
+}
+
+/**
+ * Build a fetch Response from a recorded response
+ * @param {Fixture['response']} recorded - The body may also be a Buffer
+ * @returns {Response}
+ */
+export function responseFrom(recorded) {
+    const hasBody = ![101, 204, 205, 304].includes(recorded.status);
+    const response = new Response(hasBody ? recorded.body : null, {
+        status: recorded.status,
+        statusText: recorded.statusText,
+        headers: recorded.headers,
+    });
+    // url and redirected can not be passed to the Response constructor
+    Object.defineProperty(response, 'url', { value: recorded.url });
+    Object.defineProperty(response, 'redirected', { value: recorded.redirected });
+    return response;
+}
+
+/**
+ * Make a request through the fixture mode, if one is enabled
+ * @param {Function} fetchFn - The fetch implementation to use for real requests
+ * @param {string} url
+ * @param {Object} [options] - fetch options
+ * @returns {Promise<Response>}
+ */
+export async function fetchWithFixtures(fetchFn, url, options = {}) {
+    if (mode === null) return fetchFn(url, options);
+
+    const method = (options.method || 'GET').toUpperCase();
+    const body = typeof options.body === 'string' ? options.body : undefined;
+    const file = fixtureFile(fixtureDir, method, String(url), body);
+
+    if (mode === 'replay') {
+        if (!fs.existsSync(file)) {
+            unrecorded.push(`${method} ${url}`);
+            throw new UnrecordedRequestError(method, String(url), file);
+        }
+        return responseFrom(JSON.parse(fs.readFileSync(file, 'utf8')).response);
+    }
+
+    const response = await fetchFn(url, options);
+    /** @type {Fixture} */
+    const fixture = {
+        request: { method, url: String(url), ...(body !== undefined && { body }) },
+        response: {
+            status: response.status,
+            statusText: response.statusText,
+            url: response.url || String(url),
+            redirected: Boolean(response.redirected),
+            headers: decodedBodyHeaders(response),
+            body: await response.text(),
+        },
+        recorded: new Date().toISOString(),
+    };
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    fs.writeFileSync(file, JSON.stringify(fixture, null, 2) + '\n');
+    // The body has been read, so hand back a fresh response
+    return responseFrom(fixture.response);
+}
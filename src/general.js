@@ -1,8 +1,67 @@
 import PQueue from 'p-queue';
 import EventEmitter from 'node:events';
+import { AsyncResource, AsyncLocalStorage } from 'node:async_hooks';
+import process from 'process';
 
 const HEADERS = { 'User-Agent': 'Addshore Addbot wikibase.world' };
 
+// Local directory for data that outlives a single run (plans, journals, state)
+const DATA_DIR = process.env.WORLD_DATA_DIR || './.data';
+
+// Identifier for this process, used to tie recorded edits back to a run
+const RUN_ID = process.env.WORLD_RUN_ID || new Date().toISOString().replace(/[:.]/g, '-') + '-' + Math.random().toString(36).substr(2, 4);
+
+// The unit of work (e.g. a wiki item) that queued jobs belong to, see runInScope
+const scopeContext = new AsyncLocalStorage();
+const scopeJobs = new Map(); // Outstanding work per scope
+const failedScopes = new Set();
+
+// Persists jobs that have a checkpoint description, see src/checkpoint.js
+let checkpointer = null;
+
+const enterScope = (scope) => {
+    scopeJobs.set(scope, (scopeJobs.get(scope) || 0) + 1);
+};
+const leaveScope = (scope, failed) => {
+    if (failed) failedScopes.add(scope);
+    const remaining = scopeJobs.get(scope) - 1;
+    if (remaining > 0) {
+        scopeJobs.set(scope, remaining);
+        return;
+    }
+    scopeJobs.delete(scope);
+    // A scope with a job that threw is not processed, so a resumed run tries it again
+    if (!failedScopes.delete(scope)) checkpointer?.scopeDone(scope);
+};
+
+/**
+ * Run a function with every job it queues, directly or through follow-up jobs and events, counted
+ * towards a scope. Once the function and all of those jobs finished without throwing, the
+ * checkpointer marks the scope processed.
+ * @param {string} scope - e.g. the wiki item ID
+ * @param {Function} fn
+ * @returns {Promise<*>} The return value of fn
+ */
+const runInScope = (scope, fn) => scopeContext.run(scope, async () => {
+    enterScope(scope);
+    let failed = true;
+    try {
+        const result = await fn();
+        failed = false;
+        return result;
+    } finally {
+        leaveScope(scope, failed);
+    }
+});
+
+/**
+ * Set the object that persists queued jobs (null to stop)
+ * @param {{ jobQueued: function(Object): string, jobDone: function(string): void, scopeDone: function(string): void }|null} newCheckpointer
+ */
+const setCheckpointer = (newCheckpointer) => {
+    checkpointer = newCheckpointer;
+};
+
 // Create wrapper queues that track job names
 const createTrackedQueue = (name, concurrency) => {
     const queue = new PQueue({concurrency});
@@ -22,16 +81,30 @@ const createTrackedQueue = (name, concurrency) => {
         
         jobs.set(jobId, { name: jobName, active: false });
         
+        // Jobs with a checkpoint description (e.g. edits) are persisted until they finish
+        const checkpointId = options?.checkpoint && checkpointer ? checkpointer.jobQueued(options.checkpoint) : null;
+        const scope = scopeContext.getStore();
+        if (scope !== undefined) enterScope(scope);
+        
+        // Run the job in the async context it was queued from, so event handler names survive the queue
+        const boundFn = AsyncResource.bind(fn);
         const wrappedFn = async () => {
             jobs.set(jobId, { name: jobName, active: true });
+            let failed = true;
             try {
-                return await fn();
+                const result = await boundFn();
+                failed = false;
+                return result;
             } finally {
                 jobs.delete(jobId);
+                if (checkpointId !== null) checkpointer?.jobDone(checkpointId);
+                if (scope !== undefined) leaveScope(scope, failed);
             }
         };
         
-        return originalAdd(wrappedFn, options);
+        const queueOptions = { ...options };
+        delete queueOptions.checkpoint;
+        return originalAdd(wrappedFn, queueOptions);
     };
     
     queue.getJobNames = () => {
@@ -83,6 +156,7 @@ const queueStats = () => {
 };
 
 // Log queue stats every 30 seconds if there are pending items
+// (unref'd so the timer alone does not keep the process, or a test run, alive)
 setInterval(() => {
     const stats = queueStats();
     const totalPending = stats.many.pending + stats.four.pending + stats.one.pending;
@@ -93,6 +167,6 @@ setInterval(() => {
         console.log(`   four: ${stats.four.size}(${stats.four.pending}) - active: [${stats.four.jobs.active.join(', ') || 'none'}] pending: [${stats.four.jobs.pending.slice(0, 3).join(', ') || 'none'}${stats.four.jobs.pending.length > 3 ? ` +${stats.four.jobs.pending.length - 3} more` : ''}]`);
         console.log(`   one:  ${stats.one.size}(${stats.one.pending}) - active: [${stats.one.jobs.active.join(', ') || 'none'}] pending: [${stats.one.jobs.pending.slice(0, 3).join(', ') || 'none'}${stats.one.jobs.pending.length > 3 ? ` +${stats.one.jobs.pending.length - 3} more` : ''}]`);
     }
-}, 30000);
+}, 30000).unref();
 
-export { queues, ee, HEADERS, queueStats };
\ No newline at end of file
+export { queues, ee, HEADERS, DATA_DIR, RUN_ID, queueStats, runInScope, setCheckpointer };
\ No newline at end of file
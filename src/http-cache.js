@@ -0,0 +1,225 @@
+/**
+ * HTTP Cache - Response cache with conditional requests for fetchc
+ *
+ * GET responses are stored on disk with their ETag and Last-Modified validators:
+ * - <dir>/entries/<host>/<hash of url>.json - status, headers, final URL and validators of the last response
+ * - <dir>/bodies/<sha256 of body> - response bodies, stored once however many URLs return them
+ *
+ * An entry younger than the TTL of its request class is served without a request. Older entries are
+ * revalidated with If-None-Match / If-Modified-Since, so an unchanged resource costs a 304 rather than
+ * its full body. Only successful responses are stored. fetchuc is not cached.
+ *
+ * Request classes (e.g. siteinfo, SPARQL, robots.txt) are matched by URL and each has its own TTL,
+ * anything else (such as HTML main pages) gets the default TTL.
+ * They are loaded from config/cache-ttls.json, or the file set in the WORLD_CACHE_TTLS environment variable.
+ * The cache lives in ./.cache/http, or the directory set in WORLD_CACHE_DIR.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import { Buffer } from 'buffer';
+import { fileURLToPath } from 'url';
+import process from 'process';
+import { responseFrom, decodedBodyHeaders } from './fixtures.js';
+
+/**
+ * @typedef {Object} RequestClass
+ * @property {string} name
+ * @property {RegExp} match - Tested against the full URL, the first class that matches is used
+ * @property {number} ttlSeconds - How long a response is used before it is revalidated
+ */
+
+/**
+ * @typedef {Object} CacheEntry
+ * @property {string} url - The requested URL
+ * @property {number} status
+ * @property {string} statusText
+ * @property {string} finalUrl - The URL after redirects
+ * @property {boolean} redirected
+ * @property {Object<string, string>} headers
+ * @property {string|null} etag
+ * @property {string|null} lastModified
+ * @property {string} bodyHash - sha256 of the body, the name of its file in bodies/
+ * @property {number} storedAt - When the response was last fetched or revalidated, in ms
+ */
+
+const DEFAULT_TTLS_FILE = fileURLToPath(new URL('../config/cache-ttls.json', import.meta.url));
+
+/**
+ * Load a cache TTLs config file
+ * @param {string} file
+ * @returns {{ defaultTtlSeconds: number, classes: RequestClass[] }}
+ */
+export function loadCacheTtls(file) {
+    const config = JSON.parse(fs.readFileSync(file, 'utf8'));
+    return {
+        defaultTtlSeconds: config.defaultTtlSeconds ?? 1800,
+        classes: (config.classes || []).map(({ name, match, ttlSeconds }) => ({ name, match: new RegExp(match), ttlSeconds })),
+    };
+}
+
+let ttls = loadCacheTtls(process.env.WORLD_CACHE_TTLS || DEFAULT_TTLS_FILE);
+let cacheDir = process.env.WORLD_CACHE_DIR || './.cache/http';
+const stats = new Map();
+
+/**
+ * Get the request class of a URL
+ * @param {string} url
+ * @returns {{ name: string, ttlSeconds: number }}
+ */
+export function requestClass(url) {
+    const match = ttls.classes.find(cls => cls.match.test(url));
+    return match ? { name: match.name, ttlSeconds: match.ttlSeconds } : { name: 'default', ttlSeconds: ttls.defaultTtlSeconds };
+}
+
+const statsFor = (className) => {
+    if (!stats.has(className)) stats.set(className, { hits: 0, revalidated: 0, misses: 0 });
+    return stats.get(className);
+};
+
+const sha = (algorithm, data) => crypto.createHash(algorithm).update(data).digest('hex');
+
+const entryFile = (url) => path.join(cacheDir, 'entries', new URL(url).host.replace(/:/g, '_'), `${sha('sha1', url)}.json`);
+const bodyFile = (hash) => path.join(cacheDir, 'bodies', hash.slice(0, 2), hash);
+
+/**
+ * Read the cache entry for a URL, null if there is none or its body is missing
+ * @param {string} url
+ * @returns {CacheEntry|null}
+ */
+const readEntry = (url) => {
+    try {
+        const entry = JSON.parse(fs.readFileSync(entryFile(url), 'utf8'));
+        return fs.existsSync(bodyFile(entry.bodyHash)) ? entry : null;
+    } catch {
+        return null;
+    }
+};
+
+const writeEntry = (entry) => {
+    const file = entryFile(entry.url);
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    fs.writeFileSync(file, JSON.stringify(entry, null, 2) + '\n');
+};
+
+/**
+ * Build a Response from a cache entry
+ * @param {CacheEntry} entry
+ * @returns {Response}
+ */
+const responseFromEntry = (entry) => responseFrom({
+    status: entry.status,
+    statusText: entry.statusText,
+    url: entry.finalUrl,
+    redirected: entry.redirected,
+    headers: entry.headers,
+    body: fs.readFileSync(bodyFile(entry.bodyHash)),
+});
+
+/**
+ * Whether a response may be stored: a successful one, that the server does not say must not be stored
+ * @param {Response} response
+ * @returns {boolean}
+ */
+const isStorable = (response) => response.status >= 200 && response.status < 300
+    && !/no-store/i.test(response.headers.get('cache-control') || '');
+
+/**
+ * Make a GET request through the cache
+ * @param {function(string, Object): Promise<Response|null>} fetchFn - Makes the real request
+ * @param {string} url
+ * @param {Object} [options] - fetch options
+ * @returns {Promise<Response|null>}
+ */
+export async function fetchWithCache(fetchFn, url, options = {}) {
+    url = String(url);
+    if ((options.method && options.method.toUpperCase() !== 'GET') || options.body) {
+        return fetchFn(url, options);
+    }
+    const cls = requestClass(url);
+    const classStats = statsFor(cls.name);
+    const entry = readEntry(url);
+
+    if (entry && Date.now() - entry.storedAt < cls.ttlSeconds * 1000) {
+        classStats.hits++;
+        return responseFromEntry(entry);
+    }
+
+    const headers = { ...options.headers };
+    if (entry?.etag) headers['If-None-Match'] = entry.etag;
+    if (entry?.lastModified) headers['If-Modified-Since'] = entry.lastModified;
+    const response = await fetchFn(url, { ...options, headers });
+    if (!response) return response;
+
+    if (response.status === 304 && entry) {
+        classStats.revalidated++;
+        entry.etag = response.headers.get('etag') || entry.etag;
+        entry.lastModified = response.headers.get('last-modified') || entry.lastModified;
+        entry.storedAt = Date.now();
+        writeEntry(entry);
+        return responseFromEntry(entry);
+    }
+
+    classStats.misses++;
+    if (!isStorable(response)) return response;
+
+    const body = Buffer.from(await response.arrayBuffer());
+    const bodyHash = sha('sha256', body);
+    if (!fs.existsSync(bodyFile(bodyHash))) {
+        fs.mkdirSync(path.dirname(bodyFile(bodyHash)), { recursive: true });
+        fs.writeFileSync(bodyFile(bodyHash), body);
+    }
+    /** @type {CacheEntry} */
+    const stored = {
+        url,
+        status: response.status,
+        statusText: response.statusText,
+        finalUrl: response.url || url,
+        redirected: Boolean(response.redirected),
+        headers: decodedBodyHeaders(response),
+        etag: response.headers.get('etag'),
+        lastModified: response.headers.get('last-modified'),
+        bodyHash,
+        storedAt: Date.now(),
+    };
+    writeEntry(stored);
+    // The body has been read, so hand back a fresh response
+    return responseFromEntry(stored);
+}
+
+/**
+ * @returns {Object<string, { hits: number, revalidated: number, misses: number }>} Cache stats by request class
+ */
+export function cacheStats() {
+    return Object.fromEntries(stats);
+}
+
+/**
+ * Log how often each request class was served from the cache in this run
+ */
+export function logCacheStats() {
+    if (stats.size === 0) return;
+    const total = { hits: 0, revalidated: 0, misses: 0 };
+    for (const s of stats.values()) {
+        total.hits += s.hits;
+        total.revalidated += s.revalidated;
+        total.misses += s.misses;
+    }
+    console.log('');
+    console.log(`💾 Response cache: ${total.hits} hits, ${total.revalidated} revalidated (304), ${total.misses} misses`);
+    for (const [name, s] of stats) {
+        console.log(`   ${name}: ${s.hits} hits, ${s.revalidated} revalidated, ${s.misses} misses`);
+    }
+}
+
+/**
+ * Use another cache directory and TTLs, and reset the stats (for tests)
+ * @param {string} dir
+ * @param {{ defaultTtlSeconds: number, classes: RequestClass[] }} [newTtls]
+ */
+export function setHttpCache(dir, newTtls = ttls) {
+    cacheDir = dir;
+    ttls = newTtls;
+    stats.clear();
+}
@@ -0,0 +1,470 @@
+/**
+ * Importer - Shared pipeline for importing wikis from a source, such as the wikibase.cloud API
+ *
+ * A source (see src/importers/) only supplies what is particular to it:
+ * - list - the candidate wikis it knows of
+ * - describe - the labels and claims of an item for a new wiki
+ * - enrich - optional, what it knows of a wiki that may be missing from its existing item, such as its host
+ * - update - optional changes to the item of a wiki that already exists
+ * - removed - optional, the known wikis it no longer lists
+ * And optionally resolve, to follow redirects before matching, validate, in place of the default
+ * checkOnlineAndWikibase check, and matches, to apply a filter other than by substring of the candidate ID.
+ *
+ * The importer matches candidates to existing items with world.wikiIndex(), checks new wikis are
+ * online Wikibases, creates their items with P1 and P3, enriches the items of known wikis (see enrichExisting),
+ * marks removed wikis as permanently offline, checkpoints per candidate (so --resume works) and prints statistics.
+ *
+ * Deletions are never marked straight away (see src/deletions.js). Removed wikis are probed, and only those
+ * that do not respond as a Wikibase are reported deleted, as are wikis a source reports with context.reportDeleted.
+ * When a source no longer lists too many wikis at once, the whole deletion pass is skipped without probing any.
+ * Otherwise, at the end of the run the reports are dropped if there are too many of them at once, or else recorded,
+ * marking the wikis that were reported for longer than the grace period.
+ *
+ * Events (see src/events/bus.js): import.candidate → import.exists | import.new → import.valid | import.failed,
+ * and import.removed for each removed wiki
+ */
+
+import { simplifyClaims } from 'wikibase-sdk';
+import { world } from './world.js';
+import { fetchuc, logHostStats } from './fetch.js';
+import { queues, HEADERS, runInScope } from './general.js';
+import { enableCheckpoints, wasProcessed, finishCheckpoints } from './checkpoint.js';
+import { checkOnlineAndWikibase, actionApiFromPage } from './site.js';
+import { fetchSiteInfo, siteinfoUrl } from './jobs/fetchers/siteinfo.js';
+import { ensureClaimExists } from './claims/helpers.js';
+import { recordDeleted, endDeletionStreak, deletionDue, exceedsCap } from './deletions.js';
+import { thresholds } from './failures.js';
+import { eventBus, Events } from './events/bus.js';
+import { wikiKey, wikiDomain } from './wiki-url.js';
+import { P, Q } from './registry.js';
+
+/**
+ * @typedef {Object} ImportCandidate
+ * @property {string} id - Identifies the wiki within the source, and is its checkpoint scope, e.g. its domain
+ * @property {string} site - The URL of the wiki, checked when new and used for P1
+ * @property {string[]} [otherSites] - Other URLs the wiki may be known by, e.g. from before a redirect
+ * @property {Object} [data] - Anything else from the source
+ */
+
+/**
+ * @typedef {Object} ImportDescription
+ * @property {Object} labels - e.g. { en: 'example.org' }
+ * @property {Object} [descriptions]
+ * @property {Object} [aliases]
+ * @property {Object} [claims] - Claims besides P1 and P3
+ * @property {string} summary - The edit summary of the item creation
+ */
+
+/**
+ * @typedef {Object} EnrichFacts
+ * @property {string} [host] - The host item (P2)
+ * @property {string} [mainPage] - The main page URL (P49), by default from the siteinfo of the wiki
+ * @property {Object} [claims] - Other values by property, such as IDs in the source, e.g. { P54: '123' }
+ */
+
+/**
+ * @typedef {Object} ImportContext
+ * @property {string} [filter] - The filter given on the command line
+ * @property {Object} stats - Counters, printed at the end
+ * @property {Object} queues - The shared queues
+ * @property {function(ImportCandidate): void} add - Add a candidate, for list
+ * @property {function({item: string, site: string}, string, {reason: string, summary?: string}): Promise<void>} reportDeleted - Report
+ *  a known wiki deleted, to be marked with the given activity status once the deletion policy allows
+ * @property {function({item: string, site: string}): void} reportPresent - Report a known wiki is there, ending any reports of its deletion
+ */
+
+/**
+ * @typedef {Object} ImportSource
+ * @property {string} name - e.g. cloud, used for the checkpoint (import-cloud) and handler names
+ * @property {string} title - e.g. wikibase.cloud
+ * @property {string} icon - An emoji for the logs
+ * @property {Object} [statLabels] - Labels of the stats the source counts itself, by key
+ * @property {function(ImportContext): Promise<void>} list - Add every candidate with context.add, throw if the list could not be loaded
+ * @property {function(ImportCandidate, ImportContext): Promise<ImportCandidate|null>} [resolve] - null if it failed
+ * @property {function(ImportCandidate, ImportContext): Promise<{result: *, text: string, skipped?: boolean}>} [validate]
+ * @property {function(ImportCandidate, ImportContext): ImportDescription|Promise<ImportDescription>} describe
+ * @property {function(ImportCandidate, ImportContext): EnrichFacts|Promise<EnrichFacts>} [enrich]
+ * @property {function(ImportCandidate, string, ImportContext): number|void|Promise<number|void>} [update] - Called with the existing
+ *  item ID after it is enriched, returning the number of changes made if it counts them
+ * @property {function(ImportCandidate[], ImportContext): Promise<Array<{item: string, site: string}>>} [removed]
+ * @property {string} [removedSummary] - The edit summary for marking a removed wiki permanently offline, once its deletion is due
+ * @property {function(ImportCandidate, string): boolean} [matches] - Whether a candidate matches the filter
+ */
+
+// Labels of the stats counted for every source
+const STAT_LABELS = {
+    listed: 'Listed',
+    filtered: 'Filtered',
+    existing: 'Existing',
+    new: 'New created',
+    skipped: 'Skipped',
+    failed: 'Failed',
+    enriched: 'Existing enriched',
+    removed: 'Marked removed',
+    awaiting: 'Awaiting deletion',
+};
+
+// Stats only printed for sources that can report deletions
+const DELETION_STATS = ['removed', 'awaiting'];
+
+/**
+ * Wait for all queues to be idle
+ */
+export async function waitForQueues() {
+    let lastSize = -1;
+    let stableCount = 0;
+
+    while (stableCount < 3) {
+        const currentSize = queues.many.size + queues.many.pending +
+                           queues.four.size + queues.four.pending +
+                           queues.one.size + queues.one.pending;
+
+        if (currentSize === 0 && lastSize === 0) {
+            stableCount++;
+        } else {
+            stableCount = 0;
+        }
+
+        lastSize = currentSize;
+        await new Promise(resolve => setTimeout(resolve, 500));
+    }
+}
+
+/**
+ * The main page of a wiki, from its siteinfo
+ * @param {string} site
+ * @param {Object} simpleClaims - Of its item, for the action API (P6)
+ * @returns {Promise<{url: string, sourceUrl: string}|null>}
+ */
+async function mainPageFromSiteinfo(site, simpleClaims) {
+    let actionApi = simpleClaims[P.actionApi]?.[0];
+    if (!actionApi) {
+        const response = await fetchuc(site, { headers: HEADERS }).catch(() => null);
+        actionApi = response?.ok ? actionApiFromPage(await response.text()) : null;
+    }
+    if (!actionApi) return null;
+    const base = (await fetchSiteInfo(actionApi))?.general.base;
+    return base ? { url: base, sourceUrl: siteinfoUrl(actionApi) } : null;
+}
+
+/**
+ * Add what an importer knows of a wiki to its existing item, when the item does not have it yet
+ * - the host (P2), main page (P49) and other claims of the facts, through ensureClaimExists
+ * - the domains of the other sites the wiki is known by, as English aliases
+ * Without a main page in the facts, it comes from the siteinfo of the wiki, if the item has none.
+ * @param {Object} options
+ * @param {string} options.item - The existing item ID
+ * @param {string} options.site - The URL of the wiki
+ * @param {string[]} [options.otherSites] - Other URLs of the wiki, e.g. from before a redirect
+ * @param {EnrichFacts} [options.facts]
+ * @param {string} options.from - Where the facts are from, for edit summaries, e.g. wikibase.cloud
+ * @param {Object} [options.queue] - For the edits, by default queues.one
+ * @returns {Promise<number>} The number of changes queued
+ */
+export async function enrichExisting({ item, site, otherSites = [], facts = {}, from, queue = queues.one }) {
+    const entity = await world.getEntity(item);
+    if (!entity) {
+        console.log(`   ❌ Item ${item} does not exist`);
+        return 0;
+    }
+    const wiki = { item, entity, simpleClaims: simplifyClaims(entity.claims || {}) };
+
+    const claims = { ...facts.claims };
+    if (facts.host) claims[P.host] = facts.host;
+    const missing = Object.entries(claims).filter(([property, value]) => value !== undefined && !wiki.simpleClaims[property]);
+    for (const [property, value] of missing) {
+        ensureClaimExists({ queue, wiki, property, value, summary: `Add [[Property:${property}]] for ${site} from ${from}` });
+    }
+
+    let mainPageAdded = false;
+    if (!wiki.simpleClaims[P.mainPage]) {
+        const mainPage = facts.mainPage ? { url: facts.mainPage } : await mainPageFromSiteinfo(site, wiki.simpleClaims);
+        if (mainPage) {
+            ensureClaimExists({
+                queue,
+                wiki,
+                property: P.mainPage,
+                value: mainPage.url,
+                summary: `Add [[Property:${P.mainPage}]] for ${site} from ${mainPage.sourceUrl ? 'its siteinfo' : from}`,
+                sourceUrl: mainPage.sourceUrl,
+            });
+            mainPageAdded = true;
+        }
+    }
+
+    // Domains the wiki is known by besides those of its URLs, such as the one it redirected from
+    // (compared by key, so www. makes no difference)
+    const urlDomains = (wiki.simpleClaims[P.url] || []).map(url => wikiKey(wikiDomain(url)));
+    const known = [entity.labels?.en?.value, ...(entity.aliases?.en || []).map(alias => alias.value)];
+    const aliases = [...new Set(otherSites.map(wikiDomain))]
+        .filter(domain => domain && !urlDomains.includes(wikiKey(domain)) && !known.includes(domain));
+    for (const value of aliases) {
+        world.queueWork.aliasAdd(queue, { id: item, language: 'en', value }, { summary: `Add alias ${value}, a domain of ${site} known to ${from}` }, { entity });
+    }
+
+    return missing.length + (mainPageAdded ? 1 : 0) + aliases.length;
+}
+
+/**
+ * Print final statistics, those of the source first
+ * @param {ImportSource} source
+ * @param {Object} stats
+ */
+function printStats(source, stats) {
+    console.log('');
+    console.log('📊 Import Statistics:');
+    for (const [key, label] of Object.entries({ ...source.statLabels, ...STAT_LABELS })) {
+        if (DELETION_STATS.includes(key) && !source.removed && !stats[key]) continue;
+        console.log(`   ${(label + ':').padEnd(18)}${stats[key] || 0}`);
+    }
+}
+
+/**
+ * Register the handlers of the import pipeline
+ * @param {ImportSource} source
+ * @param {ImportContext} context
+ * @param {import('./wiki-url.js').WikiIndex} wikiIndex
+ */
+function setupEventFlow(source, context, wikiIndex) {
+    const { stats } = context;
+    // Keys of the wikis queued for creation, so a wiki listed twice is only created once
+    const creating = new Set();
+
+    eventBus.register(Events.IMPORT_CANDIDATE, `${source.name}:check-exists`, (candidate) => {
+        queues.many.add(async () => {
+            const resolved = source.resolve ? await source.resolve(candidate, context) : candidate;
+            if (!resolved) {
+                stats.failed++;
+                return;
+            }
+            const existingItemId = wikiIndex.find(resolved.site, ...(resolved.otherSites || []));
+            if (existingItemId) {
+                eventBus.emit(Events.IMPORT_EXISTS, { candidate: resolved, existingItemId });
+            } else {
+                eventBus.emit(Events.IMPORT_NEW, resolved);
+            }
+        }, { jobName: `check-exists:${candidate.id}` });
+    });
+
+    eventBus.register(Events.IMPORT_EXISTS, `${source.name}:update-existing`, ({ candidate, existingItemId }) => {
+        stats.existing++;
+        queues.four.add(async () => {
+            const changes = await enrichExisting({
+                item: existingItemId,
+                site: candidate.site,
+                otherSites: candidate.otherSites,
+                facts: source.enrich ? await source.enrich(candidate, context) : {},
+                from: source.title,
+            }) + ((source.update && await source.update(candidate, existingItemId, context)) || 0);
+            if (changes > 0) {
+                console.log(`   ✅ Enriched ${existingItemId} (${candidate.site}) with ${changes} changes`);
+                stats.enriched++;
+            } else if (!source.update) {
+                console.log(`   ⏭️ ${candidate.id}: already exists (${existingItemId})`);
+            }
+        }, { jobName: `update-existing:${candidate.id}` });
+    });
+
+    eventBus.register(Events.IMPORT_NEW, `${source.name}:validate-new`, (candidate) => {
+        queues.four.add(async () => {
+            const { result, text, skipped } = source.validate
+                ? await source.validate(candidate, context)
+                : await checkOnlineAndWikibase(candidate.site);
+            if (!result) {
+                console.log(`   ${skipped ? '⏭️' : '❌'} ${candidate.id}: ${text}`);
+                stats[skipped ? 'skipped' : 'failed']++;
+                eventBus.emit(Events.IMPORT_FAILED, { candidate, reason: text, skipped: !!skipped });
+                return;
+            }
+            eventBus.emit(Events.IMPORT_VALID, candidate);
+        }, { jobName: `validate:${candidate.id}` });
+    });
+
+    eventBus.register(Events.IMPORT_VALID, `${source.name}:create-new`, (candidate) => {
+        const key = wikiKey(candidate.site);
+        if (creating.has(key)) {
+            console.log(`   ⏭️ ${candidate.id}: already queued for creation`);
+            return;
+        }
+        creating.add(key);
+        queues.four.add(async () => {
+            const { labels, descriptions = {}, aliases = {}, claims = {}, summary } = await source.describe(candidate, context);
+            world.queueWork.itemCreate(queues.one, {
+                labels,
+                ...(Object.keys(descriptions).length > 0 && { descriptions }),
+                ...(Object.keys(aliases).length > 0 && { aliases }),
+                claims: {
+                    [P.url]: candidate.site,
+                    [P.instanceOf]: Q.wikibaseSite,
+                    ...claims,
+                },
+            }, { summary });
+
+            console.log(`   🆕 Queued new wiki: ${candidate.site}`);
+            stats.new++;
+        }, { jobName: `create-new:${candidate.id}` });
+    });
+
+    eventBus.register(Events.IMPORT_REMOVED, `${source.name}:probe-removed`, (wiki) => {
+        queues.four.add(async () => {
+            // Not being listed is not enough, the wiki itself must be gone too
+            const { result, text } = await checkOnlineAndWikibase(wiki.site);
+            if (result) {
+                console.log(`   ⚠️ ${wiki.site} (${wiki.item}) is no longer listed by ${source.title}, but still responds as a Wikibase`);
+                context.reportPresent(wiki);
+                return;
+            }
+            await context.reportDeleted(wiki, Q.offlinePermanently, {
+                reason: `no longer listed by ${source.title}, and ${text.replace(/^❌ /, '')}`,
+                summary: source.removedSummary || `Set [[Property:${P.activityStatus}]] to [[Item:${Q.offlinePermanently}]] as ${source.title} no longer lists it`,
+            });
+        }, { jobName: `probe-removed:${wiki.item}` });
+    });
+}
+
+/**
+ * Record the deletions reported in a run, and mark those that are due
+ * @param {ImportSource} source
+ * @param {Array<{wiki: {item: string, site: string}, status: string, reason: string, summary?: string}>} deleted
+ * @param {number} total - The wikis of the source, listed or removed
+ * @param {Object} stats
+ */
+function markDeleted(source, deleted, total, stats) {
+    if (deleted.length === 0) return;
+    const policy = thresholds.deletion;
+    if (exceedsCap(deleted.length, total, policy)) {
+        console.log(`🛑 ${deleted.length} of ${total} ${source.title} wikis look deleted at once, more than ${policy.maxPercent}%, so none are recorded or marked. Check the source before the next run.`);
+        return;
+    }
+
+    console.log(`🗑️ ${deleted.length} ${source.title} wikis look deleted`);
+    for (const { wiki, status, reason, summary } of deleted) {
+        const streak = recordDeleted(wiki, source.name, status, reason);
+        if (!deletionDue(streak, policy)) {
+            console.log(`   ⏳ ${wiki.site} (${wiki.item}) ${reason}; reported ${streak.sightings} times since ${streak.since.split('T')[0]}, waiting for the ${policy.graceDays} day grace period`);
+            stats.awaiting++;
+            continue;
+        }
+        world.queueWork.claimEnsure(
+            queues.one,
+            { id: wiki.item, property: P.activityStatus, value: status },
+            { summary: `${summary || `Set [[Property:${P.activityStatus}]] to [[Item:${status}]]`}, reported by ${source.title} since ${streak.since.split('T')[0]}` }
+        );
+        endDeletionStreak(wiki, source.name, 'marked');
+        console.log(`   🗑️ Marked as deleted: ${wiki.site} (${wiki.item}) → ${P.activityStatus}=${status}`);
+        stats.removed++;
+    }
+}
+
+/**
+ * Import the wikis of a source, waiting until all of its edits were made
+ * @param {ImportSource} source
+ * @param {Object} [options]
+ * @param {string} [options.filter] - Only import candidates matching this
+ * @param {boolean} [options.resume] - Continue an interrupted import, see enableCheckpoints
+ * @returns {Promise<Object>} The stats
+ */
+export async function runImport(source, { filter, resume = false } = {}) {
+    console.log(`${source.icon} Starting ${source.title} import`);
+    if (filter !== undefined) {
+        console.log(`🚀 Running with filter: ${filter}`);
+    }
+    console.log('');
+
+    console.log('🌍 Loading world context...');
+    const wikiIndex = await world.wikiIndex();
+    console.log(`   Found ${wikiIndex.size} known wikis`);
+
+    const matches = source.matches || ((candidate, text) => candidate.id.includes(text));
+    const listed = [];
+    const deleted = [];
+    let removedCount = 0;
+    let deletionsSkipped = false;
+    const stats = Object.fromEntries(Object.keys({ ...source.statLabels, ...STAT_LABELS }).map(key => [key, 0]));
+    const context = {
+        filter,
+        stats,
+        queues,
+        add(candidate) {
+            listed.push(candidate);
+            stats.listed++;
+            if (filter !== undefined && !matches(candidate, filter)) return;
+            if (wasProcessed(candidate.id)) return;
+            stats.filtered++;
+            runInScope(candidate.id, () => eventBus.emit(Events.IMPORT_CANDIDATE, candidate));
+        },
+        async reportDeleted(wiki, status, { reason, summary }) {
+            const entity = await world.getEntity(wiki.item);
+            if (!entity) {
+                console.log(`   ❌ Item ${wiki.item} does not exist`);
+                return;
+            }
+            const current = simplifyClaims(entity.claims || {})[P.activityStatus] || [];
+            if (current.includes(status) || current.includes(Q.offlinePermanently)) {
+                console.log(`   ⏭️ ${wiki.site} already marked as ${current[0]}`);
+                endDeletionStreak(wiki, source.name, 'marked');
+                return;
+            }
+            deleted.push({ wiki, status, reason, summary });
+        },
+        reportPresent(wiki) {
+            if (endDeletionStreak(wiki, source.name, 'present')) {
+                console.log(`   📈 ${wiki.site} is there again after being reported deleted`);
+            }
+        },
+    };
+    setupEventFlow(source, context, wikiIndex);
+
+    console.log('');
+    console.log('📋 Event Handlers:');
+    for (const event of Object.values(Events).filter(event => event.startsWith('import.'))) {
+        const handlers = eventBus.getHandlers(event);
+        if (handlers.length > 0) {
+            console.log(`   ${event}: ${handlers.join(', ')}`);
+        }
+    }
+    console.log('');
+
+    // Queue the edits an interrupted run did not get to
+    const pending = enableCheckpoints(`import-${source.name}`, { resume });
+    await world.resumeJobs(pending, queues.one);
+
+    console.log(`📥 Listing ${source.title} wikis...`);
+    queues.many.add(async () => {
+        try {
+            await source.list(context);
+        } catch (e) {
+            // Without the full list, every known wiki would look removed
+            console.log(`   ❌ Failed to list ${source.title} wikis: ${e.message}`);
+            return;
+        }
+        console.log(`   📋 Processing ${stats.filtered} wikis (from ${stats.listed} listed)`);
+
+        if (!source.removed || listed.length === 0) return;
+        console.log('🔍 Checking for removed wikis...');
+        const removed = (await source.removed(listed, context)).filter(wiki => filter === undefined || wiki.site.includes(filter));
+        removedCount = removed.length;
+        // A truncated list makes many wikis look removed, which is no reason to probe them all
+        const policy = thresholds.deletion;
+        if (exceedsCap(removed.length, listed.length + removed.length, policy)) {
+            console.log(`🛑 ${removed.length} of ${listed.length + removed.length} ${source.title} wikis are no longer listed at once, more than ${policy.maxPercent}%, so none are probed, recorded or marked. Check the source before the next run.`);
+            deletionsSkipped = true;
+            return;
+        }
+        for (const wiki of removed) {
+            eventBus.emit(Events.IMPORT_REMOVED, wiki);
+        }
+    }, { jobName: `list-${source.name}` });
+
+    await waitForQueues();
+    if (!deletionsSkipped) markDeleted(source, deleted, listed.length + removedCount, stats);
+    await waitForQueues();
+    finishCheckpoints();
+
+    printStats(source, stats);
+    logHostStats();
+
+    console.log('');
+    console.log('✅ All processing complete!');
+    return stats;
+}
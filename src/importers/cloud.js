@@ -0,0 +1,219 @@
+/**
+ * wikibase.cloud Source - The wikis listed by the wikibase.cloud API
+ *
+ * New wikis are created with their cloud ID (P54), host and main page, and existing ones get whichever
+ * of those they are missing. Known cloud wikis that the API no longer lists were probably deleted. Those that do not
+ * respond as a Wikibase either are marked permanently offline once the deletion policy allows (see src/deletions.js).
+ *
+ * Existing cloud wikis are reconciled with the API on each run:
+ * - Known wikis are matched by their cloud ID too, so a wiki that moved to a custom domain gets the new
+ *   domain as its URL (P1), with the old one deprecated and its domain kept as an alias
+ * - The label follows the sitename, with the old label kept as an alias
+ * - The statistics of the API go into the statistics claims that siteinfo is used for
+ *
+ * The API can be moved with WORLD_CLOUD_API_URL, e.g. to a fake for tests.
+ */
+
+import process from 'process';
+import { simplifyClaims } from 'wikibase-sdk';
+import { fetchuc } from '../fetch.js';
+import { world } from '../world.js';
+import { sourceFor } from '../claims/helpers.js';
+import { ensureStatistics } from '../jobs/processors/siteinfo/statistics.js';
+import { wikiKey, wikiDomain } from '../wiki-url.js';
+import { registry, P, Q } from '../registry.js';
+
+const CLOUD_API_URL = process.env.WORLD_CLOUD_API_URL || 'https://www.wikibase.cloud/api/wiki?sort=pages&direction=desc&page=1&per_page=99999';
+
+// The known cloud wikis, loaded when listing
+let knownWikis = [];
+// Item IDs by cloud ID
+const itemsByCloudId = new Map();
+
+/**
+ * Check if wiki name should be ignored (test wikis, etc.)
+ * @param {string} name
+ * @returns {boolean}
+ */
+export function shouldIgnoreName(name) {
+    const lowerName = name.toLowerCase();
+    const ignoredPatterns = ['test', 'testwiki', 'wikibase', 'testing'];
+
+    return (
+        ignoredPatterns.includes(lowerName) ||
+        ignoredPatterns.some(pattern => /^\d+$/.test(lowerName.replace(pattern, '')) && lowerName.startsWith(pattern)) ||
+        /^\d+$/.test(lowerName)
+    );
+}
+
+/**
+ * List the wikis of the API, newest first
+ * @param {import('../importer.js').ImportContext} context
+ */
+export async function list(context) {
+    const response = await fetchuc(CLOUD_API_URL);
+    const data = await response.json();
+
+    if (data.meta.per_page !== 99999) {
+        throw new Error(`API per_page is ${data.meta.per_page}, expected 99999`);
+    }
+    if (data.meta.to > 99999) {
+        throw new Error('API returned more than 99999 results');
+    }
+
+    const [cloudWikis, cloudIds] = await Promise.all([world.sparql.cloudWikis(), world.sparql.cloudIds()]);
+    knownWikis = cloudWikis;
+    itemsByCloudId.clear();
+    for (const { item, cloudId } of cloudIds) {
+        itemsByCloudId.set(`${cloudId}`, [...(itemsByCloudId.get(`${cloudId}`) || []), item]);
+    }
+
+    const wikis = data.data.sort((a, b) => b.id - a.id);
+    console.log(`   Found ${wikis.length} wikis in API`);
+    for (const wiki of wikis) {
+        context.add({ id: wiki.domain, site: `https://${wiki.domain}`, data: wiki });
+    }
+}
+
+/**
+ * Also look a wiki up by the URLs of the items with its cloud ID, for wikis that moved to a custom domain
+ * @param {import('../importer.js').ImportCandidate} candidate
+ * @returns {import('../importer.js').ImportCandidate}
+ */
+export function resolve(candidate) {
+    const items = itemsByCloudId.get(`${candidate.data.id}`) || [];
+    const otherSites = knownWikis.filter(wiki => items.includes(wiki.item)).map(wiki => wiki.site);
+    return otherSites.length > 0 ? { ...candidate, otherSites } : candidate;
+}
+
+/**
+ * @param {import('../importer.js').ImportCandidate} candidate
+ * @returns {import('../importer.js').ImportDescription}
+ */
+export function describe({ site, data: wiki }) {
+    const ignoreName = shouldIgnoreName(wiki.sitename);
+    return {
+        labels: ignoreName ? { en: wiki.domain } : { en: wiki.sitename },
+        aliases: ignoreName ? {} : { en: [wiki.domain] },
+        claims: {
+            [P.host]: Q.hostWikibaseCloud,
+            [P.activityStatus]: Q.active,
+            [P.mainPage]: site + '/wiki/Main_Page',
+            [P.wikibaseCloudId]: `${wiki.id}`,
+        },
+        summary: `Importing ${site} from [[Item:${Q.hostWikibaseCloud}]] active wikis list`,
+    };
+}
+
+/**
+ * What the API tells of a known wiki
+ * @param {import('../importer.js').ImportCandidate} candidate
+ * @returns {import('../importer.js').EnrichFacts}
+ */
+export function enrich({ site, data: wiki }) {
+    return {
+        host: Q.hostWikibaseCloud,
+        mainPage: site + '/wiki/Main_Page',
+        claims: { [P.wikibaseCloudId]: `${wiki.id}` },
+    };
+}
+
+/**
+ * Reconcile a known wiki with the API: its URL, label and statistics
+ * @param {import('../importer.js').ImportCandidate} candidate
+ * @param {string} item
+ * @param {import('../importer.js').ImportContext} context
+ * @returns {Promise<number>} The number of changes, besides statistics
+ */
+export async function update({ site, data: wiki }, item, { queues }) {
+    const entity = await world.getEntity(item);
+    if (!entity) return 0;
+    const simpleClaims = simplifyClaims(entity.claims || {});
+    const label = entity.labels?.en?.value;
+    const newLabel = shouldIgnoreName(wiki.sitename) ? label : wiki.sitename;
+    // Names the item has once the label follows the sitename
+    const aliases = [newLabel, ...(entity.aliases?.en || []).map(alias => alias.value)];
+    const addAlias = (value, summary) => {
+        if (!value || aliases.includes(value)) return 0;
+        aliases.push(value);
+        world.queueWork.aliasAdd(queues.one, { id: item, language: 'en', value }, { summary }, { entity });
+        return 1;
+    };
+    let changes = 0;
+
+    // Found by its cloud ID, so the API domain is the one it moved to
+    const urls = simpleClaims[P.url] || [];
+    if (!urls.some(url => wikiKey(url) === wikiKey(site))) {
+        const today = new Date().toISOString().split('T')[0];
+        if (!('endTime' in registry.properties)) {
+            console.log(`   ⚠️ The ${registry.name} registry config has no endTime property, so ${urls.join(', ')} are deprecated without an end time`);
+        }
+        const deprecated = urls.map(url => ({
+            value: url,
+            rank: 'deprecated',
+            ...('endTime' in registry.properties && { qualifiers: { [P.endTime]: today } }),
+        }));
+        world.queueWork.desiredState(queues.one, {
+            id: item,
+            claims: {
+                [P.url]: {
+                    mode: 'include',
+                    values: [{ value: site, source: sourceFor(CLOUD_API_URL) }, ...deprecated],
+                    summaryAdd: `Add [[Property:${P.url}]] claim for {new}, the domain of the [[Item:${Q.hostWikibaseCloud}]] wiki`,
+                },
+            },
+        }, { summary: `Deprecate [[Property:${P.url}]] claims for ${urls.join(', ')}, as the [[Item:${Q.hostWikibaseCloud}]] wiki moved to ${site}` });
+        console.log(`   🔀 ${urls.join(', ')} (${item}) moved to ${site}`);
+        changes++;
+        for (const url of urls) {
+            changes += addAlias(wikiDomain(url), `Add alias ${wikiDomain(url)}, the domain of the wiki before it moved to ${wiki.domain}`);
+        }
+    }
+
+    // The old label stays findable as an alias
+    if (newLabel !== label) {
+        world.queueWork.labelSet(
+            queues.one,
+            { id: item, language: 'en', value: newLabel },
+            { summary: `Set label to "${newLabel}", the sitename of the [[Item:${Q.hostWikibaseCloud}]] wiki` },
+            { entity }
+        );
+        console.log(`   🏷️ ${item} label "${label}" → "${newLabel}"`);
+        changes += 1 + addAlias(label, `Add alias "${label}", the label of the wiki before it was renamed to "${newLabel}"`);
+    }
+
+    if (wiki.wiki_site_stats) {
+        ensureStatistics({
+            wiki: { item, entity, simpleClaims },
+            statistics: wiki.wiki_site_stats,
+            queues,
+            sourceUrl: CLOUD_API_URL,
+            source: 'wikibase.cloud API',
+        });
+    }
+    return changes;
+}
+
+/**
+ * Known cloud wikis that the API no longer lists, by URL or cloud ID
+ * @param {import('../importer.js').ImportCandidate[]} listed
+ * @returns {Promise<Array<{item: string, site: string}>>}
+ */
+export async function removed(listed) {
+    const listedKeys = new Set(listed.map(candidate => wikiKey(candidate.site)));
+    const listedItems = new Set(listed.flatMap(candidate => itemsByCloudId.get(`${candidate.data.id}`) || []));
+    return knownWikis.filter(wiki => !listedKeys.has(wikiKey(wiki.site)) && !listedItems.has(wiki.item));
+}
+
+export default {
+    name: 'cloud',
+    title: 'wikibase.cloud',
+    icon: '☁️',
+    list,
+    resolve,
+    describe,
+    enrich,
+    update,
+    removed,
+    removedSummary: `Set [[Property:${P.activityStatus}]] to [[Item:${Q.offlinePermanently}]] for deleted [[Item:${Q.hostWikibaseCloud}]] Wikibase`,
+};
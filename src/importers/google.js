@@ -0,0 +1,129 @@
+/**
+ * Google Source - Wikibases found by searching Google (through SerpAPI) for their special pages
+ *
+ * Requires SERPAPI_KEY. Search results only tell a domain, so known wikis only get what the
+ * importer finds itself, such as their main page.
+ */
+
+import { getJson } from 'serpapi';
+import process from 'process';
+import { wikiDomain } from '../wiki-url.js';
+import { P, Q } from '../registry.js';
+
+// Wikibase special pages to search for
+const SPECIAL_PAGES = [
+    "NewItem",
+    "NewProperty",
+];
+
+// Domains to ignore in search results
+const DOMAINS_TO_IGNORE = [
+    "wikidata.org",
+    "openstreetmap.org",
+    "wikimedia.org",
+    "mediawiki.org",
+    "wikipedia.org",
+    "wikinews.org",
+    "wikifunctions.org",
+    "github.com",
+    "githubusercontent.com",
+    "nist.gov",
+    "withgoogle.com",
+    "reddit.com",
+    "facebook.com",
+    "instagram.com",
+    "twitter.com",
+    "amazon.com",
+    "mozilla.org",
+    "learningwikibase.com",
+    "translatewiki.net",
+    "addshore.com",
+    "cisa.gov",
+    "tiktok.com",
+    "sony.jp",
+    "books.jq",
+    "quora.com",
+    "mail-archive.com",
+    "mitre.org",
+    "linkedin.com",
+    "medium.com",
+    "wikimedia.de",
+    "readthedocs.io",
+    "amazonaws.com",
+    "youtube.com",
+    "wikibase.cloud", // We have an API for that
+];
+
+/**
+ * Build search term for SerpAPI
+ * @returns {string}
+ */
+export function buildSearchTerm() {
+    const pages = SPECIAL_PAGES.map(page => `"Special:${page}"`).join(" OR ");
+    const sites = DOMAINS_TO_IGNORE.map(site => `-site:${site}`).join(" ");
+    return `(${pages}) ${sites}`;
+}
+
+/**
+ * SerpAPI configuration
+ * @param {string} query
+ * @returns {Object}
+ */
+function getSerpConfig(query) {
+    return {
+        engine: "google",
+        api_key: process.env.SERPAPI_KEY,
+        q: query,
+        location: "Austin, Texas",
+        num: 100,
+        nfpr: 1,
+    };
+}
+
+/**
+ * List the unique domains of the search results
+ * @param {import('../importer.js').ImportContext} context
+ */
+export async function list(context) {
+    console.log(`   Search term: ${buildSearchTerm().substring(0, 80)}...`);
+    const response = await getJson(getSerpConfig(buildSearchTerm()));
+    if (!response.organic_results) {
+        throw new Error('No organic results in response');
+    }
+
+    context.stats.searchResults = response.organic_results.length;
+    console.log(`   Found ${context.stats.searchResults} search results`);
+
+    const domains = [...new Set(response.organic_results.map(result => wikiDomain(result.link)).filter(Boolean))];
+    console.log(`   Extracted ${domains.length} unique domains`);
+    for (const domain of domains) {
+        context.add({ id: domain, site: `https://${domain}` });
+    }
+}
+
+/**
+ * @param {import('../importer.js').ImportCandidate} candidate
+ * @returns {import('../importer.js').ImportDescription}
+ */
+export function describe({ id: domain, site }) {
+    return {
+        labels: { en: domain },
+        claims: {
+            [P.activityStatus]: Q.active,
+        },
+        summary: `Importing ${site} from Google search`,
+    };
+}
+
+export default {
+    name: 'google',
+    title: 'Google search',
+    icon: '🔍',
+    statLabels: {
+        searchResults: 'Search results',
+    },
+    list,
+    describe,
+    // The filter is a domain
+    matches: (candidate, filter) => candidate.id === filter,
+};
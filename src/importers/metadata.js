@@ -0,0 +1,130 @@
+/**
+ * wikibase-metadata Source - The wikis known to https://wikibase-metadata.toolforge.org
+ *
+ * Metadata IDs are scanned from 1 until 50 in a row are missing. New wikis are created with their
+ * metadata ID (P53), and existing ones get their metadata ID and action API (P6) if they are missing.
+ */
+
+import { wasProcessed } from '../checkpoint.js';
+import { metadatalookup } from '../metadata.js';
+import { wikiDomain } from '../wiki-url.js';
+import { P, Q } from '../registry.js';
+
+const MAX_CONSECUTIVE_MISSING = 50;
+const MAX_ID = 1000000;
+
+/**
+ * Add the wiki of a metadata entry
+ * @param {number} id
+ * @param {Object} data
+ * @param {import('../importer.js').ImportContext} context
+ */
+function addEntry(id, data, context) {
+    const baseUrl = data.urls?.baseUrl;
+    if (!baseUrl) {
+        console.log(`   ⏭️ ID ${id}: no baseUrl`);
+        context.stats.invalidUrl++;
+        return;
+    }
+    if (!wikiDomain(baseUrl)) {
+        console.log(`   ⏭️ ID ${id}: invalid baseUrl (${baseUrl})`);
+        context.stats.invalidUrl++;
+        return;
+    }
+    context.add({ id: `${id}`, site: baseUrl, data });
+}
+
+/**
+ * Scan the metadata IDs, or only the one given as the filter
+ * @param {import('../importer.js').ImportContext} context
+ */
+export async function list(context) {
+    const { stats } = context;
+    if (context.filter) {
+        const id = parseInt(context.filter);
+        stats.scanned++;
+        const data = await metadatalookup(id);
+        if (data) {
+            stats.found++;
+            addEntry(id, data, context);
+        } else {
+            console.log(`   ❌ ID ${id} does not exist`);
+            stats.missing++;
+        }
+        return;
+    }
+
+    let consecutiveMissing = 0;
+    for (let id = 1; id < MAX_ID; id++) {
+        // Processed by the interrupted run, so it exists
+        if (wasProcessed(`${id}`)) {
+            consecutiveMissing = 0;
+            continue;
+        }
+        stats.scanned++;
+
+        const data = await metadatalookup(id);
+        if (!data) {
+            consecutiveMissing++;
+            stats.missing++;
+            if (id % 100 === 0 || consecutiveMissing >= MAX_CONSECUTIVE_MISSING) {
+                console.log(`   📍 Scanned ${id} IDs (${stats.found} found, ${consecutiveMissing} consecutive missing)`);
+            }
+            if (consecutiveMissing >= MAX_CONSECUTIVE_MISSING) {
+                console.log(`   🛑 Reached ${MAX_CONSECUTIVE_MISSING} consecutive missing entries, stopping scan`);
+                break;
+            }
+            continue;
+        }
+
+        consecutiveMissing = 0;
+        stats.found++;
+        addEntry(id, data, context);
+    }
+    console.log(`   📍 Scan complete: ${stats.scanned} IDs scanned, ${stats.found} found`);
+}
+
+/**
+ * @param {import('../importer.js').ImportCandidate} candidate
+ * @returns {import('../importer.js').ImportDescription}
+ */
+export function describe({ site, data }) {
+    return {
+        // The URL without its protocol
+        labels: { en: site.split('//')[1] },
+        claims: {
+            [P.activityStatus]: Q.active,
+            [P.wikibaseMetadataId]: data.id,
+        },
+        summary: `Importing ${site} from https://wikibase-metadata.toolforge.org`,
+    };
+}
+
+/**
+ * What the metadata tells of a known wiki
+ * @param {import('../importer.js').ImportCandidate} candidate
+ * @returns {import('../importer.js').EnrichFacts}
+ */
+export function enrich({ data }) {
+    return {
+        claims: {
+            [P.wikibaseMetadataId]: data.id,
+            [P.actionApi]: data.urls?.actionApi || undefined,
+        },
+    };
+}
+
+export default {
+    name: 'metadata',
+    title: 'wikibase-metadata.toolforge.org',
+    icon: '📚',
+    statLabels: {
+        scanned: 'IDs scanned',
+        found: 'Entries found',
+        missing: 'Missing entries',
+        invalidUrl: 'Invalid URLs',
+    },
+    list,
+    describe,
+    enrich,
+};
@@ -0,0 +1,168 @@
+/**
+ * Miraheze Source - The Wikibase wikis on Miraheze
+ *
+ * Wikis are looked up after following redirects, as some moved to a custom domain, which known wikis
+ * get their miraheze.org domain as an alias for. Their activity status (P13) comes from the banners
+ * on the main page: deleted, closed for dormancy, or active. Known wikis with a deleted or closed banner
+ * are reported to the importer, which only marks them once the deletion policy allows (see src/deletions.js).
+ */
+
+import { world } from '../world.js';
+import { fetchuc, crawlPermission } from '../fetch.js';
+import { HEADERS } from '../general.js';
+import { wikiDomain } from '../wiki-url.js';
+import { P, Q } from '../registry.js';
+
+const LIST_URL = 'https://www.irccloud.com/pastebin/raw/cOYehYeA/wr.php';
+
+/**
+ * List the wikis of the Miraheze wiki list
+ * @param {import('../importer.js').ImportContext} context
+ */
+export async function list(context) {
+    const response = await fetchuc(LIST_URL, { headers: HEADERS });
+    if (!response) throw new Error(`Failed to fetch the Miraheze wiki list ${LIST_URL}`);
+    const text = await response.text();
+    // Match lines like 'aftertheendwiki' =>
+    const dbNames = [...text.matchAll(/'([a-z0-9]+)wiki'\s*=>/g)].map(m => m[1]);
+    console.log(`   Found ${dbNames.length} wikis in list`);
+    for (const db of dbNames) {
+        context.add({ id: `${db}.miraheze.org`, site: `https://${db}.miraheze.org`, data: { db } });
+    }
+}
+
+/**
+ * Follow the redirects of a wiki, to find it by its custom domain
+ * @param {import('../importer.js').ImportCandidate} candidate
+ * @returns {Promise<import('../importer.js').ImportCandidate|null>}
+ */
+export async function resolve(candidate) {
+    const { allowed, reason } = await crawlPermission(candidate.site);
+    if (!allowed) {
+        console.log(`   🚫 Skipping ${candidate.site} (${reason})`);
+        return null;
+    }
+    const response = await fetchuc(candidate.site, { headers: HEADERS });
+    if (!response) {
+        console.log(`   ❌ Failed to fetch ${candidate.site}`);
+        return null;
+    }
+    const html = await response.text();
+    return {
+        ...candidate,
+        site: `https://${wikiDomain(response.url || candidate.site)}`,
+        otherSites: [candidate.site],
+        data: { ...candidate.data, html },
+    };
+}
+
+/**
+ * Check the main page mentions Wikibase
+ * @param {import('../importer.js').ImportCandidate} candidate
+ */
+export async function validate({ site, data }) {
+    if (!data.html.includes('wikibase') && !data.html.includes('Wikibase')) {
+        return { result: false, text: 'does not appear to be a Wikibase wiki', skipped: true };
+    }
+    return { result: true, text: site };
+}
+
+/**
+ * Get wiki status from banners on the main page
+ * @param {string} db
+ * @returns {Promise<string|null>} The activity status item ID, or null if the main page could not or may not be fetched
+ */
+async function getWikiStatus(db) {
+    const url = `https://${db}.miraheze.org/wiki/Main_Page?uselang=en`;
+    const { allowed, reason } = await crawlPermission(url);
+    if (!allowed) {
+        console.log(`   🚫 Not checking the main page of ${db} (${reason})`);
+        return null;
+    }
+    const response = await fetchuc(url, { headers: HEADERS });
+    if (!response) {
+        console.log(`   ⚠️ Failed to fetch main page for ${db}`);
+        return null;
+    }
+    const text = await response.text();
+
+    // Check if wiki is deleted
+    if (text.includes("<title>Wiki deleted</title>") || text.includes("<h1><b>Wiki deleted</b></h1>")) {
+        return Q.offlinePermanently;
+    }
+
+    // Check if wiki is closed due to dormancy
+    if (text.includes("This wiki has been automatically closed because there have been") ||
+        text.includes('Dormancy Policy">closed</a>')) {
+        return Q.closed;
+    }
+
+    return Q.active;
+}
+
+/**
+ * @param {import('../importer.js').ImportCandidate} candidate
+ * @returns {Promise<import('../importer.js').ImportDescription>}
+ */
+export async function describe({ id, site, data }) {
+    const finalDomain = wikiDomain(site);
+    const moved = finalDomain !== id;
+    return {
+        labels: { en: finalDomain },
+        aliases: moved ? { en: [id] } : {},
+        claims: {
+            [P.host]: Q.hostMiraheze,
+            [P.activityStatus]: await getWikiStatus(data.db) ?? Q.active,
+        },
+        summary: `Importing ${finalDomain} from Miraheze list: ${LIST_URL}`,
+    };
+}
+
+/**
+ * What is known of every Miraheze wiki
+ * @param {import('../importer.js').ImportCandidate} candidate
+ * @returns {import('../importer.js').EnrichFacts}
+ */
+export function enrich({ site }) {
+    return {
+        host: Q.hostMiraheze,
+        mainPage: site + '/wiki/Main_Page',
+    };
+}
+
+/**
+ * Ensure the activity status of a known wiki, reporting deleted and closed ones to the importer
+ * @param {import('../importer.js').ImportCandidate} candidate
+ * @param {string} item
+ * @param {import('../importer.js').ImportContext} context
+ */
+export async function update({ site, data }, item, { queues, reportDeleted, reportPresent }) {
+    const status = await getWikiStatus(data.db);
+    if (status === null) return;
+    if (status !== Q.active) {
+        await reportDeleted({ item, site }, status, {
+            reason: status === Q.closed ? 'has a dormancy closed banner' : 'has a "Wiki deleted" banner',
+            summary: `Set activity [[Property:${P.activityStatus}]] for Miraheze wiki to [[Item:${status}]] based on banners`,
+        });
+        return;
+    }
+    reportPresent({ item, site });
+    world.queueWork.claimEnsure(
+        queues.one,
+        { id: item, property: P.activityStatus, value: status },
+        { summary: `Set activity [[Property:${P.activityStatus}]] for Miraheze wiki to [[Item:${status}]] based on banners` }
+    );
+    console.log(`   ✅ Ensured activity for existing wiki: ${wikiDomain(site)} (${item}) → ${P.activityStatus}=${status}`);
+}
+
+export default {
+    name: 'miraheze',
+    title: 'Miraheze',
+    icon: '🔄',
+    list,
+    resolve,
+    validate,
+    describe,
+    enrich,
+    update,
+};
@@ -0,0 +1,330 @@
+/**
+ * Records Source - Wikis described by the records of a CSV, JSON or JSONL file, such as a partner's spreadsheet
+ *
+ * A mapping says which column (or JSON field) holds each part of an item:
+ *   {
+ *     "url": "Wiki URL",
+ *     "labels": { "en": "Name" },
+ *     "descriptions": { "en": "Description" },
+ *     "aliases": { "en": { "column": "Other names", "split": ";" } },
+ *     "claims": {
+ *       "host": { "column": "Host", "values": { "wikibase.cloud": "Q8", "Miraheze": "Q118" } },
+ *       "inception": "Founded",
+ *       "sparqlEndpoint": "SPARQL endpoint",
+ *       "wikibaseMetadataId": "Metadata ID"
+ *     }
+ *   }
+ * Claims are keyed by registry property name. A column is either its name, or an object with the column,
+ * a separator to split multiple values on, and values to translate cell values (such as host names to items).
+ * Without a mapping, the columns url, label, description and aliases (split on ;) are used, and any
+ * column named after a registry property.
+ *
+ * Records that do not map to valid values are reported by row and left out. The rest are checked
+ * against the live wiki: new wikis are created with everything mapped, and existing items get
+ * labels, descriptions, aliases and claims they do not have yet.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { simplifyClaims } from 'wikibase-sdk';
+import { world } from '../world.js';
+import { checkOnlineAndWikibase } from '../site.js';
+import { readJsonLines } from '../jsonl.js';
+import { parseWikiUrl, wikiKey } from '../wiki-url.js';
+import { registry, P } from '../registry.js';
+
+// Kinds of value, by registry property name; the rest are strings
+const VALUE_KINDS = {
+    item: ['host', 'instanceOf', 'activityStatus', 'entityTypes', 'wikiTools', 'linksTo', 'linkedFrom'],
+    time: ['inception'],
+    url: ['url', 'actionApi', 'queryServiceUi', 'sparqlEndpoint', 'mainPage'],
+    quantity: ['propertyCount', 'editCount', 'userCount', 'activeUserCount', 'pageCount', 'maxItemId'],
+};
+
+/**
+ * @typedef {Object} MappedRecord
+ * @property {number} row - The row of the record in the file, from 1 (after any CSV header)
+ * @property {string} site - The URL of the wiki
+ * @property {Object} labels - Labels by language
+ * @property {Object} descriptions - Descriptions by language
+ * @property {Object} aliases - Lists of aliases by language
+ * @property {Object} claims - Lists of values by property ID
+ */
+
+/**
+ * Parse CSV text, with quoted cells that may contain commas, quotes ("") and line breaks
+ * @param {string} text
+ * @returns {Object[]} A record per line, keyed by the cells of the header line
+ */
+export function parseCsv(text) {
+    const lines = [];
+    let cells = [];
+    let cell = '';
+    let quoted = false;
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+        if (quoted) {
+            if (char === '"' && text[i + 1] === '"') {
+                cell += '"';
+                i++;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                cell += char;
+            }
+        } else if (char === '"') {
+            quoted = true;
+        } else if (char === ',') {
+            cells.push(cell);
+            cell = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && text[i + 1] === '\n') i++;
+            lines.push([...cells, cell]);
+            cells = [];
+            cell = '';
+        } else {
+            cell += char;
+        }
+    }
+    if (cell !== '' || cells.length > 0) lines.push([...cells, cell]);
+
+    const [header = [], ...rows] = lines.filter(line => line.some(value => value.trim() !== ''));
+    const columns = header.map(column => column.trim());
+    return rows.map(row => Object.fromEntries(columns.map((column, i) => [column, row[i] ?? ''])));
+}
+
+/**
+ * Read the records of a file, by its extension
+ * @param {string} file - .csv, .json (an array of records) or .jsonl
+ * @returns {Object[]}
+ */
+export function readRecords(file) {
+    const extension = path.extname(file).toLowerCase();
+    if (extension === '.csv') {
+        return parseCsv(fs.readFileSync(file, 'utf8'));
+    }
+    if (extension === '.jsonl' || extension === '.ndjson') {
+        return readJsonLines(file);
+    }
+    if (extension === '.json') {
+        const records = JSON.parse(fs.readFileSync(file, 'utf8'));
+        if (!Array.isArray(records)) throw new Error(`${file} is not a JSON array of records`);
+        return records;
+    }
+    throw new Error(`Unknown record file type ${extension}, expected .csv, .json or .jsonl`);
+}
+
+/**
+ * The mapping used without one: columns named after the parts of an item, or registry properties
+ * @param {Object[]} records
+ * @returns {Object}
+ */
+export function defaultMapping(records) {
+    const columns = new Set(records.flatMap(record => Object.keys(record)));
+    return {
+        url: 'url',
+        labels: { en: 'label' },
+        descriptions: { en: 'description' },
+        aliases: { en: { column: 'aliases', split: ';' } },
+        claims: Object.fromEntries(Object.keys(registry.properties)
+            .filter(name => name !== 'url' && columns.has(name))
+            .map(name => [name, name])),
+    };
+}
+
+/**
+ * Check a mapping only refers to known registry properties
+ * @param {Object} mapping
+ * @returns {Object} The mapping
+ */
+export function checkMapping(mapping) {
+    if (!mapping.url) throw new Error('The mapping has no url column');
+    const unknown = Object.keys(mapping.claims || {}).filter(name => !(name in registry.properties));
+    if (unknown.length > 0) {
+        throw new Error(`The mapping has claims for unknown registry properties: ${unknown.join(', ')}`);
+    }
+    return mapping;
+}
+
+/**
+ * The non-empty values of a mapped column
+ * @param {Object} record
+ * @param {string|{column: string, split?: string, values?: Object}} field
+ * @returns {string[]}
+ */
+function fieldValues(record, field) {
+    const { column, split, values } = typeof field === 'string' ? { column: field } : field;
+    const raw = record[column];
+    const cells = Array.isArray(raw) ? raw : [raw];
+    return cells
+        .filter(value => value !== undefined && value !== null)
+        .flatMap(value => split ? String(value).split(split) : [String(value)])
+        .map(value => value.trim())
+        .filter(Boolean)
+        .map(value => values?.[value] ?? value);
+}
+
+/**
+ * Convert a cell to the value of a registry property
+ * @param {string} name - The registry property name
+ * @param {string} value
+ * @returns {{ value?: string|number, error?: string }}
+ */
+function propertyValue(name, value) {
+    if (VALUE_KINDS.item.includes(name)) {
+        return /^Q\d+$/.test(value) ? { value } : { error: `${name} "${value}" is not an item ID, map it to one with "values"` };
+    }
+    if (VALUE_KINDS.time.includes(name)) {
+        return /^\d{4}(-\d{2}(-\d{2})?)?$/.test(value) ? { value } : { error: `${name} "${value}" is not a date like 2020-01-31` };
+    }
+    if (VALUE_KINDS.url.includes(name)) {
+        return /^https?:\/\/[^\s]+$/.test(value) ? { value } : { error: `${name} "${value}" is not a URL` };
+    }
+    if (VALUE_KINDS.quantity.includes(name)) {
+        return /^\d+$/.test(value) ? { value: Number(value) } : { error: `${name} "${value}" is not a number` };
+    }
+    return { value };
+}
+
+/**
+ * Map a record to the parts of an item
+ * @param {Object} record
+ * @param {Object} mapping
+ * @param {number} row
+ * @returns {{ record?: MappedRecord, errors: string[] }}
+ */
+export function mapRecord(record, mapping, row) {
+    const errors = [];
+    const [url] = fieldValues(record, mapping.url);
+    const parsed = url ? parseWikiUrl(url) : null;
+    if (!parsed) {
+        errors.push(url ? `"${url}" is not a wiki URL` : 'no URL');
+    }
+
+    const byLanguage = (fields = {}, first) => Object.fromEntries(Object.entries(fields)
+        .map(([language, field]) => [language, fieldValues(record, field)])
+        .filter(([, values]) => values.length > 0)
+        .map(([language, values]) => [language, first ? values[0] : values]));
+
+    const claims = {};
+    for (const [name, field] of Object.entries(mapping.claims || {})) {
+        for (const cell of fieldValues(record, field)) {
+            const { value, error } = propertyValue(name, cell);
+            if (error) {
+                errors.push(error);
+                continue;
+            }
+            const property = registry.properties[name];
+            claims[property] = [...(claims[property] || []), value];
+        }
+    }
+
+    if (errors.length > 0) return { errors };
+    return {
+        record: {
+            row,
+            site: parsed.url,
+            labels: byLanguage(mapping.labels, true),
+            descriptions: byLanguage(mapping.descriptions, true),
+            aliases: byLanguage(mapping.aliases, false),
+            claims,
+        },
+        errors,
+    };
+}
+
+/**
+ * Make a source of the records of a file
+ * @param {Object} options
+ * @param {string} options.file - The CSV, JSON or JSONL file
+ * @param {Object} [options.mapping] - See above, by default defaultMapping
+ * @param {string} [options.hostQid] - A host (P2) for records that do not map one
+ * @returns {import('../importer.js').ImportSource}
+ */
+export function recordsSource({ file, mapping, hostQid }) {
+    const name = path.basename(file);
+    return {
+        name: 'records',
+        title: name,
+        icon: '📄',
+        statLabels: {
+            records: 'Records',
+            invalid: 'Invalid records',
+        },
+
+        async list(context) {
+            const records = readRecords(file);
+            const fields = checkMapping(mapping || defaultMapping(records));
+            context.stats.records = records.length;
+            const rowsByKey = new Map();
+            records.forEach((raw, i) => {
+                const { record, errors } = mapRecord(raw, fields, i + 1);
+                if (record && rowsByKey.has(wikiKey(record.site))) {
+                    errors.push(`the same wiki as row ${rowsByKey.get(wikiKey(record.site))}`);
+                }
+                if (errors.length > 0) {
+                    console.log(`   ⏭️ Row ${i + 1}: ${errors.join('; ')}`);
+                    context.stats.invalid++;
+                    return;
+                }
+                rowsByKey.set(wikiKey(record.site), record.row);
+                if (hostQid && !record.claims[P.host]) record.claims[P.host] = [hostQid];
+                context.add({ id: wikiKey(record.site), site: record.site, data: record });
+            });
+        },
+
+        describe({ site, data: record }) {
+            return {
+                labels: { en: parseWikiUrl(site).domain, ...record.labels },
+                descriptions: record.descriptions,
+                aliases: record.aliases,
+                claims: record.claims,
+                summary: `Importing ${site} from ${name} (row ${record.row})`,
+            };
+        },
+
+        // Only adds what the item does not have yet, the item is trusted over the file
+        async update({ id, site, data: record }, item, { queues }) {
+            const { result, text } = await checkOnlineAndWikibase(site);
+            if (!result) {
+                console.log(`   ❌ ${id}: not enriching ${item}, ${text}`);
+                return 0;
+            }
+            const entity = await world.getEntity(item);
+            if (!entity) return 0;
+
+            const summary = `Add data for ${site} from ${name} (row ${record.row})`;
+            let changes = 0;
+            for (const [language, value] of Object.entries(record.labels)) {
+                if (entity.labels?.[language]) continue;
+                world.queueWork.labelSet(queues.one, { id: item, language, value }, { summary }, { entity });
+                changes++;
+            }
+            for (const [language, value] of Object.entries(record.descriptions)) {
+                if (entity.descriptions?.[language]) continue;
+                world.queueWork.descriptionSet(queues.one, { id: item, language, value }, { summary }, { entity });
+                changes++;
+            }
+            for (const [language, values] of Object.entries(record.aliases)) {
+                const known = [entity.labels?.[language]?.value, ...(entity.aliases?.[language] || []).map(alias => alias.value)];
+                for (const value of values.filter(value => !known.includes(value))) {
+                    world.queueWork.aliasAdd(queues.one, { id: item, language, value }, { summary }, { entity });
+                    changes++;
+                }
+            }
+            const simpleClaims = simplifyClaims(entity.claims || {});
+            const missing = Object.entries(record.claims).filter(([property]) => !simpleClaims[property]?.length);
+            if (missing.length > 0) {
+                world.queueWork.desiredState(queues.one, {
+                    id: item,
+                    claims: Object.fromEntries(missing.map(([property, values]) => [property, {
+                        mode: 'ifEmpty',
+                        values: values.map(value => ({ value })),
+                    }])),
+                }, { summary });
+                changes += missing.length;
+            }
+            return changes;
+        },
+    };
+}
@@ -2,12 +2,32 @@
  * Entity Counts Fetcher - Fetches property and item counts from the wiki
  * 
  * Subscribes to: wiki.data.siteinfo (needs namespace info)
- * Emits: wiki.data.property-count, wiki.data.max-item-id
+ * Emits: wiki.data.property-count, wiki.data.max-item-id (with the API URL they were counted from)
  */
 
 import { eventBus, Events } from '../../events/bus.js';
 import { fetchc } from '../../fetch.js';
 import { HEADERS } from '../../general.js';
+import { recordFetch } from '../../state.js';
+
+/**
+ * @param {string} actionApi - The action API URL
+ * @param {number} namespaceId - The namespace ID to list
+ * @param {string} [continueToken] - apcontinue from the previous page
+ * @returns {string} The allpages API URL
+ */
+export function allPagesUrl(actionApi, namespaceId, continueToken = '') {
+    return `${actionApi}?action=query&list=allpages&apnamespace=${namespaceId}&aplimit=500&format=json${continueToken ? `&apcontinue=${continueToken}` : ''}`;
+}
+
+/**
+ * @param {string} actionApi - The action API URL
+ * @param {number} namespaceId - The namespace ID
+ * @returns {string} The API URL of the latest page creation in a namespace
+ */
+export function lastCreatedUrl(actionApi, namespaceId) {
+    return `${actionApi}?action=query&list=logevents&lenamespace=${namespaceId}&letype=create&lelimit=1&leprop=title&format=json`;
+}
 
 /**
  * Get the count of pages in a namespace
@@ -21,7 +41,7 @@ export async function getPageCount(actionApi, namespaceId, limit = 10000) {
     let continueToken = '';
     
     do {
-        const url = `${actionApi}?action=query&list=allpages&apnamespace=${namespaceId}&aplimit=500&format=json${continueToken ? `&apcontinue=${continueToken}` : ''}`;
+        const url = allPagesUrl(actionApi, namespaceId, continueToken);
         
         try {
             const response = await fetchc(url, { headers: HEADERS });
@@ -53,7 +73,7 @@ export async function getPageCount(actionApi, namespaceId, limit = 10000) {
  */
 export async function getMaxEntityId(actionApi, namespaceId) {
     try {
-        const url = `${actionApi}?action=query&list=logevents&lenamespace=${namespaceId}&letype=create&lelimit=1&leprop=title&format=json`;
+        const url = lastCreatedUrl(actionApi, namespaceId);
         const response = await fetchc(url, { headers: HEADERS });
         if (!response) return null;
         
@@ -99,8 +119,9 @@ export function register(queues) {
         if (propertyNsId) {
             queue.many.add(async () => {
                 const count = await getPageCount(wiki.actionApi, propertyNsId, 20 * 500);
+                recordFetch(wiki.item, 'property-count', count);
                 if (count !== null) {
-                    eventBus.emit(Events.DATA_PROPERTY_COUNT, { wiki, propertyCount: count, queues: queue });
+                    eventBus.emit(Events.DATA_PROPERTY_COUNT, { wiki, propertyCount: count, apiUrl: allPagesUrl(wiki.actionApi, propertyNsId), queues: queue });
                 }
             }, { jobName: `fetch:property-count:${wiki.item}` });
         }
@@ -110,12 +131,13 @@ export function register(queues) {
         if (itemNsId) {
             queue.many.add(async () => {
                 const maxId = await getMaxEntityId(wiki.actionApi, itemNsId);
+                recordFetch(wiki.item, 'max-item-id', maxId);
                 if (maxId !== null) {
-                    eventBus.emit(Events.DATA_MAX_ITEM_ID, { wiki, maxItemId: maxId, queues: queue });
+                    eventBus.emit(Events.DATA_MAX_ITEM_ID, { wiki, maxItemId: maxId, apiUrl: lastCreatedUrl(wiki.actionApi, itemNsId), queues: queue });
                 }
             }, { jobName: `fetch:max-item-id:${wiki.item}` });
         }
     });
 }
 
-export default { register, getPageCount, getMaxEntityId };
+export default { register, getPageCount, getMaxEntityId, allPagesUrl, lastCreatedUrl };
@@ -8,6 +8,7 @@
 import { eventBus, Events } from '../../events/bus.js';
 import { fetchc } from '../../fetch.js';
 import { HEADERS } from '../../general.js';
+import { recordFetch } from '../../state.js';
 
 // Domains to ignore when collecting external links
 const IGNORED_DOMAINS = [
@@ -17,6 +18,16 @@ const IGNORED_DOMAINS = [
     'commons.wikimedia.org',
 ];
 
+/**
+ * @param {string} actionApi - The action API URL
+ * @param {string} [continueToken] - Continue from an earlier response
+ * @returns {string} The exturlusage request URL, the first one is the reference URL for links found
+ */
+export function externalLinksUrl(actionApi, continueToken = '') {
+    const url = `${actionApi}?format=json&action=query&list=exturlusage&euprotocol=https&eulimit=500&eunamespace=120|122&euprop=url`;
+    return continueToken ? `${url}&eucontinue=${continueToken}` : url;
+}
+
 /**
  * Fetch external links from item and property namespaces
  * @param {string} actionApi - The action API URL
@@ -30,13 +41,8 @@ export async function fetchExternalLinks(actionApi, maxIterations = 350) {
     
     do {
         loops++;
-        let url = `${actionApi}?format=json&action=query&list=exturlusage&euprotocol=https&eulimit=500&eunamespace=120|122&euprop=url`;
-        if (continueToken) {
-            url += `&eucontinue=${continueToken}`;
-        }
-        
         try {
-            const response = await fetchc(url, { headers: HEADERS });
+            const response = await fetchc(externalLinksUrl(actionApi, continueToken), { headers: HEADERS });
             if (!response) break;
             
             const data = await response.json();
@@ -85,10 +91,12 @@ export function register(queues) {
         
         queues.many.add(async () => {
             const domains = await fetchExternalLinks(wiki.actionApi);
+            recordFetch(wiki.item, 'external-links', [...domains].sort());
             if (domains.size > 0) {
                 eventBus.emit(Events.DATA_EXTERNAL_LINKS, { 
                     wiki, 
                     externalLinkDomains: [...domains],
+                    apiUrl: externalLinksUrl(wiki.actionApi),
                     worldContext,
                     queues 
                 });
@@ -97,4 +105,4 @@ export function register(queues) {
     });
 }
 
-export default { register, fetchExternalLinks, IGNORED_DOMAINS };
+export default { register, fetchExternalLinks, externalLinksUrl, IGNORED_DOMAINS };
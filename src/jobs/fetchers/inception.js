@@ -8,6 +8,7 @@
 import { eventBus, Events } from '../../events/bus.js';
 import { fetchc } from '../../fetch.js';
 import { HEADERS } from '../../general.js';
+import { recordFetch } from '../../state.js';
 
 /**
  * Fetch inception date from a wiki's action API
@@ -46,6 +47,7 @@ export function register(queues) {
         
         queues.many.add(async () => {
             const inception = await fetchInceptionDate(wiki.actionApi);
+            recordFetch(wiki.item, 'inception', inception);
             if (inception) {
                 eventBus.emit(Events.DATA_INCEPTION, { wiki, inception, queues });
             }
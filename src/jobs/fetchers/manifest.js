@@ -8,6 +8,7 @@
 import { eventBus, Events } from '../../events/bus.js';
 import { fetchc } from '../../fetch.js';
 import { HEADERS } from '../../general.js';
+import { recordFetch } from '../../state.js';
 
 /**
  * Fetch Wikibase manifest from REST API
@@ -37,6 +38,7 @@ export function register(queues) {
         
         queues.many.add(async () => {
             const manifest = await fetchManifest(wiki.restApi);
+            recordFetch(wiki.item, 'manifest', manifest);
             if (manifest) {
                 eventBus.emit(Events.DATA_MANIFEST, { wiki, manifest, queues });
             }
@@ -8,6 +8,7 @@
 import { eventBus, Events } from '../../events/bus.js';
 import { fetchc } from '../../fetch.js';
 import { HEADERS } from '../../general.js';
+import { recordFetch } from '../../state.js';
 
 /**
  * @typedef {Object} SiteInfoResult
@@ -16,6 +17,25 @@ import { HEADERS } from '../../general.js';
  * @property {Object} statistics - Site statistics (pages, edits, users, etc.)
  */
 
+/**
+ * @param {string} actionApi - The action API URL
+ * @returns {string} The siteinfo request URL, also the reference URL for claims based on it
+ */
+export function siteinfoUrl(actionApi) {
+    return actionApi + '?action=query&meta=siteinfo&siprop=general|namespaces|statistics&format=json';
+}
+
+/**
+ * The parts of siteinfo that identify a wiki, and stay the same when it moves to another domain
+ * Recorded in the state store, so a wiki that redirects somewhere can be recognised there
+ * @param {SiteInfoResult} siteinfo
+ * @returns {{ sitename: string, wikiid: string }|null}
+ */
+export function siteIdentity(siteinfo) {
+    const { sitename, wikiid } = siteinfo?.general || {};
+    return sitename || wikiid ? { sitename: sitename || null, wikiid: wikiid || null } : null;
+}
+
 /**
  * Fetch siteinfo from a wiki's action API
  * @param {string} actionApi - The action API URL
@@ -23,8 +43,7 @@ import { HEADERS } from '../../general.js';
  */
 export async function fetchSiteInfo(actionApi) {
     try {
-        const url = actionApi + '?action=query&meta=siteinfo&siprop=general|namespaces|statistics&format=json';
-        const response = await fetchc(url, { headers: HEADERS });
+        const response = await fetchc(siteinfoUrl(actionApi), { headers: HEADERS });
         if (!response) return null;
         
         const data = await response.json();
@@ -51,6 +70,8 @@ export function register(queues) {
         
         queues.many.add(async () => {
             const siteinfo = await fetchSiteInfo(wiki.actionApi);
+            recordFetch(wiki.item, 'siteinfo', siteinfo);
+            recordFetch(wiki.item, 'identity', siteIdentity(siteinfo));
             if (siteinfo) {
                 eventBus.emit(Events.DATA_SITEINFO, { wiki, siteinfo, queues });
             }
@@ -58,4 +79,4 @@ export function register(queues) {
     });
 }
 
-export default { register, fetchSiteInfo };
+export default { register, fetchSiteInfo, siteinfoUrl, siteIdentity };
@@ -7,6 +7,7 @@
  * To use this template:
  * 1. Copy this file to the appropriate processor directory
  * 2. Rename the file and update the constants
+ *    (add the property to config/registries/*.json if it is new)
  * 3. Implement the process function
  * 4. Add the processor to the directory's index.js
  */
@@ -15,9 +16,10 @@ import { eventBus, Events } from '../../../events/bus.js';
 import { ensureStringClaim } from '../../../claims/helpers.js';
 // import { ensureNumericClaim } from '../../../claims/helpers.js'; // Uncomment for numeric claims
 // import { world } from '../../../world.js'; // Uncomment if you need direct world access
+import { P } from '../../../registry.js';
 
 // Configuration - update these for your processor
-const PROPERTY = 'P99';           // The property ID this processor handles
+const PROPERTY = P.example;       // The property this processor handles, by name in the registry config
 const PROPERTY_NAME = 'Example';   // Human-readable name for summaries
 
 /**
@@ -7,15 +7,16 @@
 
 import { eventBus, Events } from '../../../events/bus.js';
 import { ensureNumericClaim } from '../../../claims/helpers.js';
+import { P } from '../../../registry.js';
 
-const PROPERTY = 'P67';
+const PROPERTY = P.maxItemId;
 const PROPERTY_NAME = 'max item ID';
 
 /**
  * Process max item ID
- * @param {Object} context - { wiki, maxItemId, queues }
+ * @param {Object} context - { wiki, maxItemId, apiUrl, queues }
  */
-export function process({ wiki, maxItemId, queues }) {
+export function process({ wiki, maxItemId, apiUrl, queues }) {
     if (maxItemId === null || maxItemId === undefined) return;
     
     ensureNumericClaim({
@@ -23,6 +24,7 @@ export function process({ wiki, maxItemId, queues }) {
         wiki,
         property: PROPERTY,
         value: maxItemId,
+        sourceUrl: apiUrl,
         summaryAdd: `Add [[Property:${PROPERTY}]] claim for ${maxItemId} based on the last created item`,
         summaryUpdate: `Update [[Property:${PROPERTY}]] claim from {old} to {new} (delta: {delta}) based on the last created item`
     });
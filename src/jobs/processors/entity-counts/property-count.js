@@ -7,15 +7,16 @@
 
 import { eventBus, Events } from '../../../events/bus.js';
 import { ensureNumericClaim } from '../../../claims/helpers.js';
+import { P } from '../../../registry.js';
 
-const PROPERTY = 'P58';
+const PROPERTY = P.propertyCount;
 const PROPERTY_NAME = 'number of properties';
 
 /**
  * Process property count
- * @param {Object} context - { wiki, propertyCount, queues }
+ * @param {Object} context - { wiki, propertyCount, apiUrl, queues }
  */
-export function process({ wiki, propertyCount, queues }) {
+export function process({ wiki, propertyCount, apiUrl, queues }) {
     if (propertyCount === null || propertyCount === undefined) return;
     
     ensureNumericClaim({
@@ -23,6 +24,7 @@ export function process({ wiki, propertyCount, queues }) {
         wiki,
         property: PROPERTY,
         value: propertyCount,
+        sourceUrl: apiUrl,
         summaryAdd: `Add [[Property:${PROPERTY}]] claim for ${propertyCount} based on ${PROPERTY_NAME} in the property namespace`,
         summaryUpdate: `Update [[Property:${PROPERTY}]] claim from {old} to {new} (delta: {delta}) based on ${PROPERTY_NAME} in the property namespace`
     });
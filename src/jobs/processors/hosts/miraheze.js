@@ -7,13 +7,14 @@
  */
 
 import { eventBus, Events } from '../../../events/bus.js';
-import { world } from '../../../world.js';
+import { ensureStringClaim } from '../../../claims/helpers.js';
+import { P, Q } from '../../../registry.js';
 
 // Known reverse DNS for Wikitide (Miraheze)
 const REVERSE_WIKITIDE = "cp37.wikitide.net";
 
 // QID for Miraheze
-const HOST_QID = 'Q118';
+const HOST_QID = Q.hostMiraheze;
 
 /**
  * Check if wiki is hosted on Miraheze
@@ -39,13 +40,15 @@ export function process({ wiki, queues }) {
     if (!isHosted) return;
     
     // P2 (Host) -> Q118 (Miraheze)
-    if (!wiki.simpleClaims.P2 || wiki.simpleClaims.P2[0] !== HOST_QID) {
-        world.queueWork.claimEnsure(
-            queues.one,
-            { id: wiki.item, property: 'P2', value: HOST_QID },
-            { summary: `Add [[Property:P2]] claim for [[Item:${HOST_QID}]] based on [[Property:P1]] of ${wiki.site} ${reason}` }
-        );
-    }
+    ensureStringClaim({
+        queue: queues.one,
+        wiki,
+        property: P.host,
+        value: HOST_QID,
+        summaryAdd: `Add [[Property:${P.host}]] claim for [[Item:${HOST_QID}]] based on [[Property:${P.url}]] of ${wiki.site} ${reason}`,
+        summaryUpdate: `Update [[Property:${P.host}]] claim from [[Item:{old}]] to [[Item:{new}]] based on [[Property:${P.url}]] of ${wiki.site} ${reason}`,
+        sourceUrl: wiki.site,
+    });
 }
 
 /**
@@ -7,15 +7,16 @@
  */
 
 import { eventBus, Events } from '../../../events/bus.js';
-import { world } from '../../../world.js';
+import { ensureStringClaim } from '../../../claims/helpers.js';
 import { fetchc } from '../../../fetch.js';
 import { HEADERS } from '../../../general.js';
+import { P, Q } from '../../../registry.js';
 
 // Known reverse DNS for Professional Wiki
 const REVERSE_WBWIKI = "server-108-138-217-36.lhr61.r.cloudfront.net";
 
 // QID for Professional Wiki / The Wikibase Consultancy
-const HOST_QID = 'Q7';
+const HOST_QID = Q.hostProfessionalWiki;
 
 /**
  * Check if page contains Professional Wiki hosting logo
@@ -63,13 +64,15 @@ export async function process({ wiki, queues }) {
     if (!isHosted) return;
     
     // P2 (Host) -> Q7 (The Wikibase Consultancy)
-    if (!wiki.simpleClaims.P2 || wiki.simpleClaims.P2[0] !== HOST_QID) {
-        world.queueWork.claimEnsure(
-            queues.one,
-            { id: wiki.item, property: 'P2', value: HOST_QID },
-            { summary: `Add [[Property:P2]] claim for [[Item:${HOST_QID}]] ${reason}` }
-        );
-    }
+    ensureStringClaim({
+        queue: queues.one,
+        wiki,
+        property: P.host,
+        value: HOST_QID,
+        summaryAdd: `Add [[Property:${P.host}]] claim for [[Item:${HOST_QID}]] ${reason}`,
+        summaryUpdate: `Update [[Property:${P.host}]] claim from [[Item:{old}]] to [[Item:{new}]] ${reason}`,
+        sourceUrl: wiki.site,
+    });
 }
 
 /**
@@ -13,17 +13,19 @@
 
 import { eventBus, Events } from '../../../events/bus.js';
 import { world } from '../../../world.js';
+import { ensureStringClaim } from '../../../claims/helpers.js';
+import { P, Q } from '../../../registry.js';
 
 // Known reverse DNS for wikibase.cloud
 const REVERSE_CLOUD = "221.76.141.34.bc.googleusercontent.com";
 
-// QIDs
-const HOST_QID = 'Q8';           // wikibase.cloud
-const QUERY_SERVICE_QID = 'Q285'; // Query service
-const CRADLE_QID = 'Q287';        // Cradle
-const QUICKSTATEMENTS_QID = 'Q286'; // QuickStatements
-const ITEM_ENTITY_QID = 'Q51';    // Item entity type
-const PROPERTY_ENTITY_QID = 'Q52'; // Property entity type
+// Items, by name in the registry config
+const HOST_QID = Q.hostWikibaseCloud;
+const QUERY_SERVICE_QID = Q.toolQueryService;
+const CRADLE_QID = Q.toolCradle;
+const QUICKSTATEMENTS_QID = Q.toolQuickStatements;
+const ITEM_ENTITY_QID = Q.entityTypeItem;
+const PROPERTY_ENTITY_QID = Q.entityTypeProperty;
 
 /**
  * Check if wiki is hosted on wikibase.cloud
@@ -52,108 +54,110 @@ export function process({ wiki, queues }) {
     const queue = queues.one;
     
     // P2 (Host) -> Q8 (Wikibase.cloud)
-    if (!wiki.simpleClaims.P2 || wiki.simpleClaims.P2[0] !== HOST_QID) {
-        world.queueWork.claimEnsure(
-            queue,
-            { id: wiki.item, property: 'P2', value: HOST_QID },
-            { summary: `Add [[Property:P2]] claim for [[Item:${HOST_QID}]] based on [[Property:P1]] of ${wiki.site} ${reason}` }
-        );
-    }
+    ensureStringClaim({
+        queue: queue,
+        wiki,
+        property: P.host,
+        value: HOST_QID,
+        summaryAdd: `Add [[Property:${P.host}]] claim for [[Item:${HOST_QID}]] based on [[Property:${P.url}]] of ${wiki.site} ${reason}`,
+        summaryUpdate: `Update [[Property:${P.host}]] claim from [[Item:{old}]] to [[Item:{new}]] based on [[Property:${P.url}]] of ${wiki.site} ${reason}`,
+        sourceUrl: wiki.site,
+    });
     
     // P7 (Query Service UI)
-    const hasQueryUi = wiki.simpleClaims.P7?.length <= 1 && 
-        (wiki.simpleClaims.P7?.includes(protocolledDomain + '/query') || 
-         wiki.simpleClaims.P7?.includes(protocolledDomain + '/query/'));
-    if (!wiki.simpleClaims.P7 || !hasQueryUi) {
+    const hasQueryUi = wiki.simpleClaims[P.queryServiceUi]?.length <= 1 && 
+        (wiki.simpleClaims[P.queryServiceUi]?.includes(protocolledDomain + '/query') || 
+         wiki.simpleClaims[P.queryServiceUi]?.includes(protocolledDomain + '/query/'));
+    if (!wiki.simpleClaims[P.queryServiceUi] || !hasQueryUi) {
         world.queueWork.claimEnsure(
             queue,
-            { id: wiki.item, property: 'P7', value: protocolledDomain + '/query' },
-            { summary: `Add [[Property:P7]] claim for ${protocolledDomain}/query as it is known for [[Item:${HOST_QID}]] hosted wikis` }
+            { id: wiki.item, property: P.queryServiceUi, value: protocolledDomain + '/query' },
+            { summary: `Add [[Property:${P.queryServiceUi}]] claim for ${protocolledDomain}/query as it is known for [[Item:${HOST_QID}]] hosted wikis` }
         );
     }
     
     // P8 (SPARQL Endpoint)
-    const hasSparqlEndpoint = wiki.simpleClaims.P8?.length <= 1 && 
-        wiki.simpleClaims.P8?.[0] === protocolledDomain + '/query/sparql';
-    if (!wiki.simpleClaims.P8 || !hasSparqlEndpoint) {
+    const hasSparqlEndpoint = wiki.simpleClaims[P.sparqlEndpoint]?.length <= 1 && 
+        wiki.simpleClaims[P.sparqlEndpoint]?.[0] === protocolledDomain + '/query/sparql';
+    if (!wiki.simpleClaims[P.sparqlEndpoint] || !hasSparqlEndpoint) {
         world.queueWork.claimEnsure(
             queue,
-            { id: wiki.item, property: 'P8', value: protocolledDomain + '/query/sparql' },
-            { summary: `Add [[Property:P8]] claim for ${protocolledDomain}/query/sparql as it is known for [[Item:${HOST_QID}]] hosted wikis` }
+            { id: wiki.item, property: P.sparqlEndpoint, value: protocolledDomain + '/query/sparql' },
+            { summary: `Add [[Property:${P.sparqlEndpoint}]] claim for ${protocolledDomain}/query/sparql as it is known for [[Item:${HOST_QID}]] hosted wikis` }
         );
     }
     
     // P49 (Main Page URL)
-    const hasMainPage = wiki.simpleClaims.P49?.length <= 1 && 
-        wiki.simpleClaims.P49?.[0] === protocolledDomain + '/wiki/Main_Page';
-    if (!wiki.simpleClaims.P49 || !hasMainPage) {
+    const hasMainPage = wiki.simpleClaims[P.mainPage]?.length <= 1 && 
+        wiki.simpleClaims[P.mainPage]?.[0] === protocolledDomain + '/wiki/Main_Page';
+    if (!wiki.simpleClaims[P.mainPage] || !hasMainPage) {
         world.queueWork.claimEnsure(
             queue,
-            { id: wiki.item, property: 'P49', value: protocolledDomain + '/wiki/Main_Page' },
-            { summary: `Add [[Property:P49]] claim for ${protocolledDomain}/wiki/Main_Page as it is known for [[Item:${HOST_QID}]] hosted wikis` }
+            { id: wiki.item, property: P.mainPage, value: protocolledDomain + '/wiki/Main_Page' },
+            { summary: `Add [[Property:${P.mainPage}]] claim for ${protocolledDomain}/wiki/Main_Page as it is known for [[Item:${HOST_QID}]] hosted wikis` }
         );
     }
     
     // P37 (Wiki tools) - Query Service
-    if (!wiki.simpleClaims.P37 || !wiki.simpleClaims.P37.includes(QUERY_SERVICE_QID)) {
-        world.queueWork.claimEnsure(
+    if (!wiki.simpleClaims[P.wikiTools] || !wiki.simpleClaims[P.wikiTools].includes(QUERY_SERVICE_QID)) {
+        world.queueWork.claimInclude(
             queue,
             { 
                 id: wiki.item, 
-                property: 'P37', 
+                property: P.wikiTools, 
                 value: QUERY_SERVICE_QID, 
                 qualifiers: {
-                    'P7': protocolledDomain + '/query', 
-                    'P8': protocolledDomain + '/query/sparql'
+                    [P.queryServiceUi]: protocolledDomain + '/query', 
+                    [P.sparqlEndpoint]: protocolledDomain + '/query/sparql'
                 } 
             },
-            { summary: `Add [[Property:P37]] claim for [[Item:${QUERY_SERVICE_QID}]] based on the fact it is a wikibase.cloud wiki` }
+            { summary: `Add [[Property:${P.wikiTools}]] claim for [[Item:${QUERY_SERVICE_QID}]] based on the fact it is a wikibase.cloud wiki` }
         );
     }
     
     // P37 (Wiki tools) - Cradle
-    if (!wiki.simpleClaims.P37 || !wiki.simpleClaims.P37.includes(CRADLE_QID)) {
-        world.queueWork.claimEnsure(
+    if (!wiki.simpleClaims[P.wikiTools] || !wiki.simpleClaims[P.wikiTools].includes(CRADLE_QID)) {
+        world.queueWork.claimInclude(
             queue,
             { 
                 id: wiki.item, 
-                property: 'P37', 
+                property: P.wikiTools, 
                 value: CRADLE_QID, 
-                qualifiers: { 'P1': protocolledDomain + '/tools/cradle' } 
+                qualifiers: { [P.url]: protocolledDomain + '/tools/cradle' } 
             },
-            { summary: `Add [[Property:P37]] claim for [[Item:${CRADLE_QID}]] based on the fact it is a wikibase.cloud wiki` }
+            { summary: `Add [[Property:${P.wikiTools}]] claim for [[Item:${CRADLE_QID}]] based on the fact it is a wikibase.cloud wiki` }
         );
     }
     
     // P37 (Wiki tools) - QuickStatements
-    if (!wiki.simpleClaims.P37 || !wiki.simpleClaims.P37.includes(QUICKSTATEMENTS_QID)) {
-        world.queueWork.claimEnsure(
+    if (!wiki.simpleClaims[P.wikiTools] || !wiki.simpleClaims[P.wikiTools].includes(QUICKSTATEMENTS_QID)) {
+        world.queueWork.claimInclude(
             queue,
             { 
                 id: wiki.item, 
-                property: 'P37', 
+                property: P.wikiTools, 
                 value: QUICKSTATEMENTS_QID, 
-                qualifiers: { 'P1': protocolledDomain + '/tools/quickstatements' } 
+                qualifiers: { [P.url]: protocolledDomain + '/tools/quickstatements' } 
             },
-            { summary: `Add [[Property:P37]] claim for [[Item:${QUICKSTATEMENTS_QID}]] based on the fact it is a wikibase.cloud wiki` }
+            { summary: `Add [[Property:${P.wikiTools}]] claim for [[Item:${QUICKSTATEMENTS_QID}]] based on the fact it is a wikibase.cloud wiki` }
         );
     }
     
     // P12 (Entity types) - Items
-    if (!wiki.simpleClaims.P12 || !wiki.simpleClaims.P12.includes(ITEM_ENTITY_QID)) {
-        world.queueWork.claimEnsure(
+    if (!wiki.simpleClaims[P.entityTypes] || !wiki.simpleClaims[P.entityTypes].includes(ITEM_ENTITY_QID)) {
+        world.queueWork.claimInclude(
             queue,
-            { id: wiki.item, property: 'P12', value: ITEM_ENTITY_QID },
-            { summary: `Add [[Property:P12]] claim for [[Item:${ITEM_ENTITY_QID}]] based on the fact it is a wikibase.cloud wiki` }
+            { id: wiki.item, property: P.entityTypes, value: ITEM_ENTITY_QID },
+            { summary: `Add [[Property:${P.entityTypes}]] claim for [[Item:${ITEM_ENTITY_QID}]] based on the fact it is a wikibase.cloud wiki` }
         );
     }
     
     // P12 (Entity types) - Properties
-    if (!wiki.simpleClaims.P12 || !wiki.simpleClaims.P12.includes(PROPERTY_ENTITY_QID)) {
-        world.queueWork.claimEnsure(
+    if (!wiki.simpleClaims[P.entityTypes] || !wiki.simpleClaims[P.entityTypes].includes(PROPERTY_ENTITY_QID)) {
+        world.queueWork.claimInclude(
             queue,
-            { id: wiki.item, property: 'P12', value: PROPERTY_ENTITY_QID },
-            { summary: `Add [[Property:P12]] claim for [[Item:${PROPERTY_ENTITY_QID}]] based on the fact it is a wikibase.cloud wiki` }
+            { id: wiki.item, property: P.entityTypes, value: PROPERTY_ENTITY_QID },
+            { summary: `Add [[Property:${P.entityTypes}]] claim for [[Item:${PROPERTY_ENTITY_QID}]] based on the fact it is a wikibase.cloud wiki` }
         );
     }
 }
@@ -7,6 +7,7 @@ import { registerAllEntityCountProcessors } from './entity-counts/index.js';
 import { registerAllHostProcessors } from './hosts/index.js';
 import { registerAllWikiProcessors } from './wiki/index.js';
 import inceptionProcessor from './inception.js';
+import observationsProcessor from './observations.js';
 
 /**
  * Register all processors with the event bus
@@ -23,6 +24,8 @@ export function registerAllProcessors() {
     // Register standalone processors
     inceptionProcessor.register();
     console.log(`📅 Registered inception processor`);
+    observationsProcessor.register();
+    console.log(`📈 Registered observations processor`);
     
     console.log('✅ All processors registered');
     console.log('');
@@ -33,6 +36,6 @@ export * from './siteinfo/index.js';
 export * from './entity-counts/index.js';
 export * from './hosts/index.js';
 export * from './wiki/index.js';
-export { inceptionProcessor };
+export { inceptionProcessor, observationsProcessor };
 
 export default { registerAllProcessors };
@@ -0,0 +1,43 @@
+/**
+ * Observations Processor - Records every fetched statistic to the local time series store
+ * 
+ * Subscribes to: wiki.context-ready, wiki.data.siteinfo, wiki.data.property-count, wiki.data.max-item-id
+ * Makes no edits, see src/observations.js
+ */
+
+import { eventBus, Events } from '../../events/bus.js';
+import { recordObservation } from '../../observations.js';
+import statisticsProcessor from './siteinfo/statistics.js';
+
+/**
+ * Record the site statistics from siteinfo, one metric per statistics field
+ * @param {Object} context - { wiki, siteinfo }
+ */
+export function processSiteinfo({ wiki, siteinfo }) {
+    const statistics = siteinfo?.statistics;
+    if (!statistics) return;
+    
+    for (const config of statisticsProcessor.STATISTICS_CONFIG) {
+        const value = statistics[config.statField];
+        if (value === undefined || value === null) continue;
+        recordObservation(wiki, config.statField, Number(value));
+    }
+}
+
+/**
+ * Register the processor with the event bus
+ */
+export function register() {
+    eventBus.register(Events.WIKI_CONTEXT_READY, 'processor:observations', ({ wiki }) => {
+        if (wiki.mwVersion) recordObservation(wiki, 'mediawiki-version', wiki.mwVersion);
+    });
+    eventBus.register(Events.DATA_SITEINFO, 'processor:observations', processSiteinfo);
+    eventBus.register(Events.DATA_PROPERTY_COUNT, 'processor:observations', ({ wiki, propertyCount }) => {
+        recordObservation(wiki, 'property-count', propertyCount);
+    });
+    eventBus.register(Events.DATA_MAX_ITEM_ID, 'processor:observations', ({ wiki, maxItemId }) => {
+        recordObservation(wiki, 'max-item-id', maxItemId);
+    });
+}
+
+export default { register, processSiteinfo };
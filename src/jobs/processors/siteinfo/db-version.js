@@ -7,8 +7,10 @@
 
 import { eventBus, Events } from '../../../events/bus.js';
 import { ensureStringClaim } from '../../../claims/helpers.js';
+import { P } from '../../../registry.js';
+import { siteinfoUrl } from '../../fetchers/siteinfo.js';
 
-const PROPERTY = 'P70';
+const PROPERTY = P.databaseVersion;
 const PROPERTY_NAME = 'database version';
 
 /**
@@ -25,7 +27,8 @@ export function process({ wiki, siteinfo, queues }) {
         property: PROPERTY,
         value: dbversion,
         summaryAdd: `Add [[Property:${PROPERTY}]] claim for ${dbversion} based on ${PROPERTY_NAME} from siteinfo`,
-        summaryUpdate: `Update [[Property:${PROPERTY}]] claim from {old} to {new} based on ${PROPERTY_NAME} from siteinfo`
+        summaryUpdate: `Update [[Property:${PROPERTY}]] claim from {old} to {new} based on ${PROPERTY_NAME} from siteinfo`,
+        sourceUrl: siteinfoUrl(wiki.actionApi),
     });
 }
 
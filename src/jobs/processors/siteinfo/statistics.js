@@ -11,41 +11,46 @@
 
 import { eventBus, Events } from '../../../events/bus.js';
 import { ensureNumericClaim } from '../../../claims/helpers.js';
+import { P } from '../../../registry.js';
+import { siteinfoUrl } from '../../fetchers/siteinfo.js';
 
 /**
  * Configuration for each statistic property
  */
 const STATISTICS_CONFIG = [
     {
-        property: 'P62',
+        property: P.pageCount,
         statField: 'pages',
         name: 'number of pages'
     },
     {
-        property: 'P59',
+        property: P.editCount,
         statField: 'edits',
         name: 'number of edits'
     },
     {
-        property: 'P60',
+        property: P.userCount,
         statField: 'users',
         name: 'number of users'
     },
     {
-        property: 'P61',
+        property: P.activeUserCount,
         statField: 'activeusers',
         name: 'number of active users'
     }
 ];
 
 /**
- * Process site statistics from siteinfo
- * @param {Object} context - { wiki, siteinfo, queues }
+ * Ensure the statistics claims of a wiki
+ * Also used for statistics from elsewhere than siteinfo, such as the wikibase.cloud API
+ * @param {Object} options
+ * @param {Object} options.wiki - Wiki context with item and simpleClaims
+ * @param {Object} options.statistics - In the form of siteinfo statistics, e.g. { pages: 1200, edits: 5400 }
+ * @param {Object} options.queues
+ * @param {string} options.sourceUrl - Where the statistics were retrieved from
+ * @param {string} [options.source='mediawiki statistics'] - For edit summaries
  */
-export function process({ wiki, siteinfo, queues }) {
-    const statistics = siteinfo?.statistics;
-    if (!statistics) return;
-    
+export function ensureStatistics({ wiki, statistics, queues, sourceUrl, source = 'mediawiki statistics' }) {
     for (const config of STATISTICS_CONFIG) {
         const value = statistics[config.statField];
         if (value === undefined || value === null) continue;
@@ -55,12 +60,23 @@ export function process({ wiki, siteinfo, queues }) {
             wiki,
             property: config.property,
             value: Number(value),
-            summaryAdd: `Add [[Property:${config.property}]] claim for ${value} based on ${config.name} in the wiki (mediawiki statistics)`,
-            summaryUpdate: `Update [[Property:${config.property}]] claim from {old} to {new} (delta: {delta}) based on ${config.name} in the wiki (mediawiki statistics)`
+            sourceUrl,
+            summaryAdd: `Add [[Property:${config.property}]] claim for ${value} based on ${config.name} in the wiki (${source})`,
+            summaryUpdate: `Update [[Property:${config.property}]] claim from {old} to {new} (delta: {delta}) based on ${config.name} in the wiki (${source})`
         });
     }
 }
 
+/**
+ * Process site statistics from siteinfo
+ * @param {Object} context - { wiki, siteinfo, queues }
+ */
+export function process({ wiki, siteinfo, queues }) {
+    const statistics = siteinfo?.statistics;
+    if (!statistics) return;
+    ensureStatistics({ wiki, statistics, queues, sourceUrl: siteinfoUrl(wiki.actionApi) });
+}
+
 /**
  * Register the processor with the event bus
  */
@@ -68,4 +84,4 @@ export function register() {
     eventBus.register(Events.DATA_SITEINFO, 'processor:statistics', process);
 }
 
-export default { register, process, STATISTICS_CONFIG };
+export default { register, process, ensureStatistics, STATISTICS_CONFIG };
@@ -7,9 +7,10 @@
 
 import { eventBus, Events } from '../../../events/bus.js';
 import { world } from '../../../world.js';
+import { P, Q } from '../../../registry.js';
 
-const PROPERTY = 'P13';
-const ACTIVE_QID = 'Q54';
+const PROPERTY = P.activityStatus;
+const ACTIVE_QID = Q.active;
 
 /**
  * Process activity status for wiki
@@ -18,7 +19,8 @@ const ACTIVE_QID = 'Q54';
 export function process({ wiki, queues }) {
     // If the item does not have a P13 claim, then ensure P13 -> Q54 (active)
     // Note: This doesn't change existing claims, as redirects are followed
-    if (!wiki.simpleClaims.P13) {
+    // Wikis going offline and coming back are handled by the lifecycle processor
+    if (!wiki.simpleClaims[PROPERTY]) {
         world.queueWork.claimEnsure(
             queues.one,
             { id: wiki.item, property: PROPERTY, value: ACTIVE_QID },
@@ -7,6 +7,8 @@ import activityStatusProcessor from './activity-status.js';
 import labelsDescriptionsProcessor from './labels-descriptions.js';
 import urlNormalizerProcessor from './url-normalizer.js';
 import wikiLinksProcessor from './wiki-links.js';
+import lifecycleProcessor from './lifecycle.js';
+import redirectProcessor from './redirect.js';
 
 export const processors = [
     mediawikiVersionProcessor,
@@ -14,6 +16,8 @@ export const processors = [
     labelsDescriptionsProcessor,
     urlNormalizerProcessor,
     wikiLinksProcessor,
+    lifecycleProcessor,
+    redirectProcessor,
 ];
 
 /**
@@ -32,6 +36,8 @@ export {
     labelsDescriptionsProcessor,
     urlNormalizerProcessor,
     wikiLinksProcessor,
+    lifecycleProcessor,
+    redirectProcessor,
 };
 
 export default { registerAllWikiProcessors, processors };
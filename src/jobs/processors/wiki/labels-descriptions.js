@@ -63,7 +63,8 @@ export function process({ wiki, queues }) {
             world.queueWork.aliasRemove(
                 queues.one,
                 { id: wiki.item, language: 'en', value: alias },
-                { summary: `Remove en alias "Main Page - " as its a bad alias` }
+                { summary: `Remove en alias "Main Page - " as its a bad alias` },
+                { entity: wiki.entity }
             );
         }
     });
@@ -107,7 +108,8 @@ export function process({ wiki, queues }) {
         world.queueWork.descriptionSet(
             queues.one,
             { id: wiki.item, language: 'en', value: wiki.metaDescription },
-            { summary: `Add en description from Main Page HTML` }
+            { summary: `Add en description from Main Page HTML` },
+            { entity: wiki.entity }
         );
     }
 }
@@ -0,0 +1,87 @@
+/**
+ * Wiki Lifecycle Processor - Marks wikis offline after sustained failures, and active when they are back
+ *
+ * Subscribes to: wiki.dead, wiki.alive, wiki.context-ready
+ * Property: P13 (activity status)
+ *
+ * Failed checks are kept in the local failure history (see src/failures.js). Once a wiki's failures
+ * reach a threshold, P13 is set to Q72 (indefinitely offline). tidy-world keeps checking those wikis,
+ * and P13 is set back to Q54 (active) when one responds with MediaWiki again.
+ */
+
+import { eventBus, Events } from '../../../events/bus.js';
+import { ensureStringClaim } from '../../../claims/helpers.js';
+import { classifyFailure, recordFailure, recordRecovery, offlineBy } from '../../../failures.js';
+import { P, Q } from '../../../registry.js';
+
+const PROPERTY = P.activityStatus;
+const ACTIVE_QID = Q.active;
+const OFFLINE_QID = Q.offlineIndefinitely;
+
+/**
+ * Record a failed check, and mark the wiki offline once its failures reach a threshold
+ * @param {Object} context - { wiki, reason, queues }
+ */
+export function processDead({ wiki, reason, queues }) {
+    queues.many.add(async () => {
+        const kind = await classifyFailure(wiki.site, reason);
+        const streak = recordFailure(wiki, kind, reason);
+        console.log(`📉 ${wiki.site} has failed ${streak.failures} checks since ${streak.since.split('T')[0]} (${kind})`);
+
+        // Wikis already marked offline are only checked to notice them coming back
+        const by = wiki.offline ? null : offlineBy(streak);
+        if (!by) return;
+
+        const basis = by === 'gone'
+            ? `as its domain has not resolved in ${streak.gone} checks since ${streak.goneSince.split('T')[0]}`
+            : `after ${streak.failures} failed checks since ${streak.since.split('T')[0]} (last: ${streak.reason})`;
+        // The claims of a wiki that does not respond are not loaded, so the planner decides what to change
+        ensureStringClaim({
+            queue: queues.one,
+            wiki: { item: wiki.item, simpleClaims: {} },
+            property: PROPERTY,
+            value: OFFLINE_QID,
+            summaryAdd: `Add [[Property:${PROPERTY}]] claim for [[Item:${OFFLINE_QID}]] ${basis}`,
+            summaryUpdate: `Update [[Property:${PROPERTY}]] claim from [[Item:{old}]] to [[Item:{new}]] ${basis}`,
+        });
+    }, { jobName: `lifecycle:${wiki.item}` });
+}
+
+/**
+ * End the failure streak of a wiki that responds again
+ * @param {Object} context - { wiki }
+ */
+export function processAlive({ wiki }) {
+    if (recordRecovery(wiki)) {
+        console.log(`📈 ${wiki.site} responds again after failed checks`);
+    }
+}
+
+/**
+ * Mark a wiki that was indefinitely offline as active again
+ * @param {Object} context - { wiki, queues }
+ */
+export function processContextReady({ wiki, queues }) {
+    if (!wiki.simpleClaims[PROPERTY]?.includes(OFFLINE_QID)) return;
+
+    ensureStringClaim({
+        queue: queues.one,
+        wiki,
+        property: PROPERTY,
+        value: ACTIVE_QID,
+        summaryAdd: `Add [[Property:${PROPERTY}]] claim for [[Item:${ACTIVE_QID}]] as it responds with MediaWiki again`,
+        summaryUpdate: `Update [[Property:${PROPERTY}]] claim from [[Item:{old}]] to [[Item:{new}]] as it responds with MediaWiki again`,
+        sourceUrl: wiki.site,
+    });
+}
+
+/**
+ * Register the processor with the event bus
+ */
+export function register() {
+    eventBus.register(Events.WIKI_DEAD, 'processor:lifecycle', processDead);
+    eventBus.register(Events.WIKI_ALIVE, 'processor:lifecycle', processAlive);
+    eventBus.register(Events.WIKI_CONTEXT_READY, 'processor:lifecycle', processContextReady);
+}
+
+export default { register, processDead, processAlive, processContextReady, PROPERTY, ACTIVE_QID, OFFLINE_QID };
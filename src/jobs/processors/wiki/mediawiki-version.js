@@ -7,8 +7,9 @@
 
 import { eventBus, Events } from '../../../events/bus.js';
 import { ensureStringClaim } from '../../../claims/helpers.js';
+import { P } from '../../../registry.js';
 
-const PROPERTY = 'P57';
+const PROPERTY = P.mediawikiVersion;
 const PROPERTY_NAME = 'MediaWiki version';
 
 /**
@@ -25,7 +26,8 @@ export function process({ wiki, queues }) {
         property: PROPERTY,
         value: mwVersion,
         summaryAdd: `Add [[Property:${PROPERTY}]] claim for ${mwVersion}, extracted from home page meta data`,
-        summaryUpdate: `Update [[Property:${PROPERTY}]] claim from {old} to {new}, extracted from home page meta data`
+        summaryUpdate: `Update [[Property:${PROPERTY}]] claim from {old} to {new}, extracted from home page meta data`,
+        sourceUrl: wiki.site,
     });
 }
 
@@ -0,0 +1,138 @@
+/**
+ * Redirect Processor - Moves wikis that redirect to a new domain
+ *
+ * Subscribes to: wiki.redirected
+ * Properties:
+ *   - P1 (URL) - the new URL, with the old one kept as deprecated (and an end time qualifier,
+ *     if the registry has an endTime property)
+ *   - The old domain is added as an English alias
+ *
+ * The wiki at the new domain must be the same Wikibase:
+ * - Its siteinfo sitename and wikiid match those last recorded for the item (see siteIdentity),
+ *   or, if none were recorded, its sitename matches the item's label
+ * - Its siteinfo server, if given, is on the new domain
+ * A new domain that already has its own item is reported as a possible duplicate, and nothing is changed.
+ */
+
+import { eventBus, Events } from '../../../events/bus.js';
+import { world } from '../../../world.js';
+import { fetchuc } from '../../../fetch.js';
+import { HEADERS } from '../../../general.js';
+import { hashData, stateFor } from '../../../state.js';
+import { actionApiFromPage } from '../../../site.js';
+import { fetchSiteInfo, siteIdentity, siteinfoUrl } from '../../fetchers/siteinfo.js';
+import { sourceFor } from '../../../claims/helpers.js';
+import { registry, P } from '../../../registry.js';
+
+const PROPERTY = P.url;
+
+/**
+ * The URL of a wiki after it moved: the new origin for a wiki known by its domain, otherwise where it redirected to
+ * @param {string} site - The old URL
+ * @param {string} finalUrl - Where it redirected to
+ * @returns {string}
+ */
+export function movedSite(site, finalUrl) {
+    const old = new URL(site);
+    const moved = new URL(finalUrl);
+    if (old.pathname === '/') {
+        return site.endsWith('/') ? `${moved.origin}/` : moved.origin;
+    }
+    return moved.origin + moved.pathname;
+}
+
+/**
+ * Check that the wiki at the new domain is the one the item is about
+ * @param {Object} entity - The wiki's item
+ * @param {import('../../fetchers/siteinfo.js').SiteInfoResult} siteinfo - Siteinfo from the new domain
+ * @param {string} newHost
+ * @returns {string|null} Why it is not the same wiki, or null if it is
+ */
+export function differsFrom(entity, siteinfo, newHost) {
+    const server = siteinfo.general?.server;
+    if (server && new URL(server, `https://${newHost}`).host !== newHost) {
+        return `its server is ${server}`;
+    }
+    const identity = siteIdentity(siteinfo);
+    const recorded = stateFor(entity.id).identity;
+    if (recorded?.hash) {
+        return recorded.hash === hashData(identity) ? null : `its sitename or wikiid (${identity?.sitename}, ${identity?.wikiid}) differ from those recorded`;
+    }
+    const label = entity.labels?.en?.value;
+    return identity?.sitename && identity.sitename === label ? null : `its sitename ${identity?.sitename} is not the label ${label}`;
+}
+
+/**
+ * Process a wiki that redirected to another domain
+ * @param {Object} context - { wiki, finalUrl, responseText, worldContext, queues }, with the run's wikiIndex in worldContext
+ */
+export function process({ wiki, finalUrl, responseText, worldContext, queues }) {
+    queues.many.add(async () => {
+        const newSite = movedSite(wiki.site, finalUrl);
+        const newHost = new URL(newSite).host;
+        const oldDomain = new URL(wiki.site).hostname;
+
+        const actionApi = actionApiFromPage(responseText);
+        const siteinfo = actionApi ? await fetchSiteInfo(actionApi) : null;
+        if (!siteinfo) {
+            console.log(`❌ ${wiki.site} redirects to ${newSite}, which has no siteinfo to check it is the same wiki`);
+            return;
+        }
+        const { entities } = await fetchuc(world.sdk.getEntities({ ids: [wiki.item] }), { headers: HEADERS })
+            .then(res => res?.json() || { entities: {} });
+        const entity = entities?.[wiki.item];
+        if (!entity) return;
+
+        const difference = differsFrom(entity, siteinfo, newHost);
+        if (difference) {
+            console.log(`❌ ${wiki.site} redirects to ${newSite}, which does not look like the same wiki: ${difference}`);
+            return;
+        }
+        const existing = worldContext.wikiIndex.find(newSite);
+        if (existing && existing !== wiki.item) {
+            console.log(`⚠️ ${wiki.site} (${wiki.item}) moved to ${newSite}, which already has its own item ${existing}, possible duplicate`);
+            return;
+        }
+        // So another wiki moving to the same domain later in the run is caught too
+        worldContext.wikiIndex.add(newSite, wiki.item);
+
+        console.log(`🔀 ${wiki.site} moved to ${newSite}`);
+        const today = new Date().toISOString().split('T')[0];
+        const old = { value: wiki.site, rank: 'deprecated' };
+        if ('endTime' in registry.properties) {
+            old.qualifiers = { [P.endTime]: today };
+        } else {
+            console.log(`⚠️ The ${registry.name} registry config has no endTime property, so ${wiki.site} is deprecated without an end time`);
+        }
+        world.queueWork.desiredState(queues.one, {
+            id: wiki.item,
+            claims: {
+                [PROPERTY]: {
+                    // Any other URLs, such as those of earlier moves, are left alone
+                    mode: 'include',
+                    values: [{ value: newSite, source: sourceFor(siteinfoUrl(actionApi)) }, old],
+                    summaryAdd: `Add [[Property:${PROPERTY}]] claim for {new}, as ${wiki.site} redirects there`,
+                },
+            },
+        }, { summary: `Deprecate [[Property:${PROPERTY}]] claim for ${wiki.site}, as it redirects to ${newSite}` });
+
+        const aliases = (entity.aliases?.en || []).map(alias => alias.value);
+        if (!aliases.includes(oldDomain) && entity.labels?.en?.value !== oldDomain) {
+            world.queueWork.aliasAdd(
+                queues.one,
+                { id: wiki.item, language: 'en', value: oldDomain },
+                { summary: `Add alias ${oldDomain}, the domain of the wiki before it moved to ${newHost}` },
+                { entity }
+            );
+        }
+    }, { jobName: `redirect:${wiki.item}` });
+}
+
+/**
+ * Register the processor with the event bus
+ */
+export function register() {
+    eventBus.register(Events.WIKI_REDIRECTED, 'processor:redirect', process);
+}
+
+export default { register, process, movedSite, differsFrom, PROPERTY };
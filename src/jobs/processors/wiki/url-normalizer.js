@@ -9,8 +9,9 @@ import { eventBus, Events } from '../../../events/bus.js';
 import { world } from '../../../world.js';
 import { fetchc } from '../../../fetch.js';
 import { HEADERS } from '../../../general.js';
+import { P } from '../../../registry.js';
 
-const PROPERTY = 'P1';
+const PROPERTY = P.url;
 
 /**
  * Check if URL can be shortened
@@ -54,15 +55,15 @@ export function process({ wiki, response, queues }) {
         }
         
         // Check for multiple P1 claims
-        if (wiki.simpleClaims.P1?.length > 1) {
-            console.log(`❌ The item ${wiki.item} has more than 1 P1 claim`);
+        if (wiki.simpleClaims[PROPERTY]?.length > 1) {
+            console.log(`❌ The item ${wiki.item} has more than 1 ${PROPERTY} claim`);
             return;
         }
         
         world.queueWork.claimUpdate(
             queues.one,
             { id: wiki.item, property: PROPERTY, oldValue: wiki.site, newValue: shorterUrl },
-            { summary: 'Shorten Main_Page URL for consistency in [[Property:P1]] usage' }
+            { summary: `Shorten Main_Page URL for consistency in [[Property:${PROPERTY}]] usage` }
         );
     }, { jobName: `normalize-url:${wiki.item}` });
 }
@@ -8,19 +8,20 @@
  */
 
 import { eventBus, Events } from '../../../events/bus.js';
-import { world } from '../../../world.js';
+import { ensureClaimIncludes } from '../../../claims/helpers.js';
+import { registry, P } from '../../../registry.js';
 
-const LINKS_TO_PROPERTY = 'P55';
-const LINKED_FROM_PROPERTY = 'P56';
+const LINKS_TO_PROPERTY = P.linksTo;
+const LINKED_FROM_PROPERTY = P.linkedFrom;
 
-// Items to skip linking from (wikibase.world itself, registry)
-const SKIP_SOURCE_ITEMS = ['Q3', 'Q58'];
+// Items to skip linking from (e.g. the registry itself)
+const SKIP_SOURCE_ITEMS = registry.skipLinkSources;
 
 /**
  * Process wiki links based on external link domains
- * @param {Object} context - { wiki, externalLinkDomains, worldContext, queues }
+ * @param {Object} context - { wiki, externalLinkDomains, apiUrl, worldContext, queues }
  */
-export function process({ wiki, externalLinkDomains, worldContext, queues }) {
+export function process({ wiki, externalLinkDomains, apiUrl, worldContext, queues }) {
     if (!worldContext || !externalLinkDomains?.length) return;
     
     const { worldWikiDomains, worldWikiItems } = worldContext;
@@ -47,18 +48,24 @@ export function process({ wiki, externalLinkDomains, worldContext, queues }) {
         if (SKIP_SOURCE_ITEMS.includes(wiki.item)) continue;
         
         // Add "links to" claim
-        world.queueWork.claimEnsure(
-            queues.four,
-            { id: wiki.item, property: LINKS_TO_PROPERTY, value: qid },
-            { summary: `Add [[Property:${LINKS_TO_PROPERTY}]] via "External Identifiers" and "URLs" to [[Item:${qid}]]` }
-        );
+        ensureClaimIncludes({
+            queue: queues.four,
+            wiki,
+            property: LINKS_TO_PROPERTY,
+            value: qid,
+            summary: `Add [[Property:${LINKS_TO_PROPERTY}]] via "External Identifiers" and "URLs" to [[Item:${qid}]]`,
+            sourceUrl: apiUrl,
+        });
         
-        // Add "linked from" claim on target
-        world.queueWork.claimEnsure(
-            queues.four,
-            { id: qid, property: LINKED_FROM_PROPERTY, value: wiki.item },
-            { summary: `Add [[Property:${LINKED_FROM_PROPERTY}]] via "External Identifiers" and "URLs" from [[Item:${wiki.item}]]` }
-        );
+        // Add "linked from" claim on target, whose claims are not known here so the planner decides
+        ensureClaimIncludes({
+            queue: queues.four,
+            wiki: { item: qid, simpleClaims: {} },
+            property: LINKED_FROM_PROPERTY,
+            value: wiki.item,
+            summary: `Add [[Property:${LINKED_FROM_PROPERTY}]] via "External Identifiers" and "URLs" from [[Item:${wiki.item}]]`,
+            sourceUrl: apiUrl,
+        });
     }
 }
 
@@ -0,0 +1,37 @@
+/**
+ * JSONL Helpers - Append-only JSON Lines files used for local run data
+ */
+
+import fs from 'fs';
+import path from 'path';
+
+const knownDirectories = new Set();
+
+/**
+ * Append a single entry to a JSONL file, creating the directory if needed
+ * @param {string} file - Path of the JSONL file
+ * @param {Object} entry - The entry to append
+ */
+export function appendJsonLine(file, entry) {
+    const directory = path.dirname(file);
+    if (!knownDirectories.has(directory)) {
+        fs.mkdirSync(directory, { recursive: true });
+        knownDirectories.add(directory);
+    }
+    fs.appendFileSync(file, JSON.stringify(entry) + '\n');
+}
+
+/**
+ * Read all entries from a JSONL file
+ * @param {string} file - Path of the JSONL file
+ * @returns {Object[]} The entries, or an empty array if the file does not exist
+ */
+export function readJsonLines(file) {
+    if (!fs.existsSync(file)) {
+        return [];
+    }
+    return fs.readFileSync(file, 'utf8')
+        .split('\n')
+        .filter(line => line.trim() !== '')
+        .map(line => JSON.parse(line));
+}
@@ -0,0 +1,141 @@
+/**
+ * Observations - Time series of the statistics fetched from each wiki
+ *
+ * Claims such as the number of pages are only edited when a value changes a lot, so every value
+ * fetched by tidy-world is also appended to a local JSONL file, whether or not it leads to an edit.
+ * Each observation is one metric of one wiki at one time:
+ * - pages, edits, users, activeusers - from the siteinfo statistics
+ * - property-count, max-item-id - from the entity counts fetcher
+ * - mediawiki-version - from the main page meta data
+ *
+ * The file defaults to .data/observations.jsonl and can be moved with WORLD_OBSERVATIONS.
+ * cmd/observations.js queries and exports it as JSON or CSV, per wiki or aggregated by period.
+ */
+
+import path from 'path';
+import process from 'process';
+import { appendJsonLine, readJsonLines } from './jsonl.js';
+import { DATA_DIR, RUN_ID } from './general.js';
+
+/**
+ * @typedef {Object} Observation
+ * @property {string} item - The wikibase.world item ID
+ * @property {string} site - The wiki URL
+ * @property {string} metric - e.g. 'pages' or 'mediawiki-version'
+ * @property {number|string} value
+ * @property {string} observed - ISO timestamp
+ * @property {string} run - The run ID that made the observation
+ */
+
+const INTERVALS = {
+    day: (date) => date.slice(0, 10),
+    month: (date) => date.slice(0, 7),
+    year: (date) => date.slice(0, 4),
+};
+
+let observationsFile = process.env.WORLD_OBSERVATIONS || path.join(DATA_DIR, 'observations.jsonl');
+
+/**
+ * @returns {string} The observations file path
+ */
+export function getObservationsFile() {
+    return observationsFile;
+}
+
+/**
+ * Use another observations file (for tests)
+ * @param {string} file
+ */
+export function setObservationsFile(file) {
+    observationsFile = file;
+}
+
+/**
+ * Record a value fetched from a wiki
+ * @param {{ item: string, site: string }} wiki
+ * @param {string} metric
+ * @param {number|string} value
+ * @returns {Observation}
+ */
+export function recordObservation(wiki, metric, value) {
+    /** @type {Observation} */
+    const observation = { item: wiki.item, site: wiki.site, metric, value, observed: new Date().toISOString(), run: RUN_ID };
+    appendJsonLine(observationsFile, observation);
+    return observation;
+}
+
+/**
+ * Read observations, oldest first
+ * @param {Object} [filter]
+ * @param {string} [filter.item] - Only this wiki item
+ * @param {string} [filter.metric] - Only this metric
+ * @param {string} [filter.since] - Only observations at or after this ISO date
+ * @param {string} [filter.until] - Only observations before this ISO date
+ * @param {string} [file]
+ * @returns {Observation[]}
+ */
+export function queryObservations({ item, metric, since, until } = {}, file = observationsFile) {
+    return readJsonLines(file)
+        .filter(o => item === undefined || o.item === item)
+        .filter(o => metric === undefined || o.metric === metric)
+        .filter(o => since === undefined || o.observed >= since)
+        .filter(o => until === undefined || o.observed < until)
+        .sort((a, b) => a.observed.localeCompare(b.observed));
+}
+
+/**
+ * Aggregate observations across wikis by period
+ * Each wiki counts with its latest value up to the end of a period, so a wiki that was not observed
+ * in a period still adds to its totals. Numeric metrics are summed, others counted per value.
+ * @param {Observation[]} observations - Oldest first, as returned by queryObservations
+ * @param {'day'|'month'|'year'} [interval]
+ * @returns {Array<{ period: string, metric: string, value: string|null, wikis: number, total: number|null }>}
+ */
+export function aggregateObservations(observations, interval = 'month') {
+    const periodOf = INTERVALS[interval];
+    if (!periodOf) throw new Error(`Unknown interval ${interval}, expected one of ${Object.keys(INTERVALS).join(', ')}`);
+
+    const latest = new Map(); // metric → item → value
+    const rows = [];
+    const flush = (period) => {
+        for (const [metric, values] of latest) {
+            const all = [...values.values()];
+            if (all.every(value => typeof value === 'number')) {
+                rows.push({ period, metric, value: null, wikis: all.length, total: all.reduce((sum, value) => sum + value, 0) });
+                continue;
+            }
+            const counts = new Map();
+            all.forEach(value => counts.set(String(value), (counts.get(String(value)) || 0) + 1));
+            for (const [value, wikis] of [...counts].sort(([a], [b]) => a.localeCompare(b, undefined, { numeric: true }))) {
+                rows.push({ period, metric, value, wikis, total: null });
+            }
+        }
+    };
+
+    let period = null;
+    for (const observation of observations) {
+        const observationPeriod = periodOf(observation.observed);
+        if (period !== null && observationPeriod !== period) flush(period);
+        period = observationPeriod;
+        if (!latest.has(observation.metric)) latest.set(observation.metric, new Map());
+        latest.get(observation.metric).set(observation.item, observation.value);
+    }
+    if (period !== null) flush(period);
+    return rows;
+}
+
+/**
+ * Format rows as CSV, with a header of the keys of the first row
+ * @param {Object[]} rows
+ * @returns {string}
+ */
+export function toCsv(rows) {
+    if (rows.length === 0) return '';
+    const columns = Object.keys(rows[0]);
+    const cell = (value) => {
+        if (value === null || value === undefined) return '';
+        const text = String(value);
+        return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    };
+    return [columns.join(','), ...rows.map(row => columns.map(column => cell(row[column])).join(','))].join('\n') + '\n';
+}
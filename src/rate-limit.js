@@ -0,0 +1,250 @@
+/**
+ * Host Rate Limiting - Politeness budgets for requests made via fetchc and fetchuc
+ *
+ * Every request waits for a slot from two limiters:
+ * - One per host, or per farm for hosts listed in the budgets config (e.g. all *.wikibase.cloud wikis share one)
+ * - One per resolved IP address, so wikis behind the same load balancer share a budget even when not listed
+ *
+ * A budget is a maximum number of concurrent requests and a minimum interval between request starts.
+ * Budgets are loaded from config/host-budgets.json, or the file set in the WORLD_HOST_BUDGETS environment variable.
+ *
+ * Responses that ask us to slow down pause the host: 429 and 503 honour Retry-After, otherwise
+ * 429 and 5xx responses back off exponentially. Request counts per host are kept for logHostStats().
+ */
+
+import fs from 'fs';
+import dns from 'dns';
+import { fileURLToPath } from 'url';
+import process from 'process';
+
+/**
+ * @typedef {Object} Budget
+ * @property {number} concurrency - Maximum concurrent requests
+ * @property {number} intervalMs - Minimum time between the starts of two requests
+ */
+
+/**
+ * @typedef {Object} HostBudgets
+ * @property {Budget} default - Budget for each host not listed in hosts
+ * @property {Budget} ip - Budget for each resolved IP address
+ * @property {Object<string, Budget>} hosts - Budgets for a host and its subdomains, which share it
+ * @property {{ max: number, rateLimitedDelayMs: number, serverErrorDelayMs: number, maxDelayMs: number }} retries
+ */
+
+const DEFAULT_BUDGETS_FILE = fileURLToPath(new URL('../config/host-budgets.json', import.meta.url));
+
+/**
+ * Load a host budgets config file
+ * @param {string} file
+ * @returns {HostBudgets}
+ */
+export function loadHostBudgets(file) {
+    const config = JSON.parse(fs.readFileSync(file, 'utf8'));
+    return {
+        default: { concurrency: 2, intervalMs: 200, ...config.default },
+        ip: { concurrency: 4, intervalMs: 100, ...config.ip },
+        hosts: config.hosts || {},
+        retries: { max: 4, rateLimitedDelayMs: 10000, serverErrorDelayMs: 2000, maxDelayMs: 120000, ...config.retries },
+    };
+}
+
+let budgets = loadHostBudgets(process.env.WORLD_HOST_BUDGETS || DEFAULT_BUDGETS_FILE);
+
+/**
+ * Limits concurrent requests and the rate they start at, and can be paused
+ */
+export class Limiter {
+    /**
+     * @param {Budget} budget
+     */
+    constructor({ concurrency, intervalMs }) {
+        this.concurrency = concurrency;
+        this.intervalMs = intervalMs;
+        this.active = 0;
+        this.nextStart = 0;
+        this.pausedUntil = 0;
+        this.waiting = [];
+        this.timer = null;
+    }
+
+    /**
+     * Wait for a slot
+     * @returns {Promise<Function>} Resolves with a function that releases the slot
+     */
+    acquire() {
+        return new Promise(resolve => {
+            this.waiting.push(resolve);
+            this.schedule();
+        });
+    }
+
+    /**
+     * Start no new requests for a while
+     * @param {number} ms
+     */
+    pause(ms) {
+        this.pausedUntil = Math.max(this.pausedUntil, Date.now() + ms);
+    }
+
+    schedule() {
+        if (this.timer) return;
+        while (this.waiting.length > 0 && this.active < this.concurrency) {
+            const wait = Math.max(this.nextStart, this.pausedUntil) - Date.now();
+            if (wait > 0) {
+                this.timer = setTimeout(() => {
+                    this.timer = null;
+                    this.schedule();
+                }, wait);
+                return;
+            }
+            this.active++;
+            this.nextStart = Date.now() + this.intervalMs;
+            let released = false;
+            this.waiting.shift()(() => {
+                if (released) return;
+                released = true;
+                this.active--;
+                this.schedule();
+            });
+        }
+    }
+}
+
+const limiters = new Map();
+const addresses = new Map();
+const stats = new Map();
+
+const limiterFor = (key, budget) => {
+    if (!limiters.has(key)) limiters.set(key, new Limiter(budget));
+    return limiters.get(key);
+};
+
+/**
+ * Get the budget key for a host: the matching hosts entry (shared by its subdomains), or the host itself
+ * @param {string} host - Hostname, without port
+ * @returns {{ key: string, budget: Budget }}
+ */
+export function budgetFor(host) {
+    const match = Object.keys(budgets.hosts)
+        .filter(entry => host === entry || host.endsWith(`.${entry}`))
+        .sort((a, b) => b.length - a.length)[0];
+    return match ? { key: `farm:${match}`, budget: budgets.hosts[match] } : { key: `host:${host}`, budget: budgets.default };
+}
+
+/**
+ * Resolve a hostname once per process, null if it does not resolve
+ * @param {string} hostname
+ * @returns {Promise<string|null>}
+ */
+const resolveAddress = (hostname) => {
+    if (!addresses.has(hostname)) {
+        addresses.set(hostname, dns.promises.lookup(hostname).then(result => result.address).catch(() => null));
+    }
+    return addresses.get(hostname);
+};
+
+const statsFor = (host) => {
+    if (!stats.has(host)) stats.set(host, { requests: 0, rateLimited: 0, serverErrors: 0, waitedMs: 0 });
+    return stats.get(host);
+};
+
+/**
+ * Wait for a request slot for a URL from both its host and IP limiters
+ * @param {string} url
+ * @returns {Promise<Function>} Resolves with a function that releases the slots
+ */
+export async function acquireHostSlot(url) {
+    const { host, hostname } = new URL(url);
+    const started = Date.now();
+    const { key, budget } = budgetFor(hostname);
+    const releaseHost = await limiterFor(key, budget).acquire();
+    const address = await resolveAddress(hostname);
+    const releaseIp = address ? await limiterFor(`ip:${address}`, budgets.ip).acquire() : () => {};
+    const hostStats = statsFor(host);
+    hostStats.requests++;
+    hostStats.waitedMs += Date.now() - started;
+    return () => {
+        releaseIp();
+        releaseHost();
+    };
+}
+
+/**
+ * Parse a Retry-After header
+ * @param {string|null} value - Seconds, or an HTTP date
+ * @returns {number|null} Milliseconds to wait
+ */
+export function parseRetryAfter(value) {
+    if (!value) return null;
+    if (/^\d+$/.test(value.trim())) return parseInt(value, 10) * 1000;
+    const date = Date.parse(value);
+    return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+/**
+ * Decide whether a response should be retried, and pause its host if so
+ * @param {string} url
+ * @param {Response} response
+ * @param {number} attempt - Retries made so far
+ * @returns {number|null} Milliseconds to wait before retrying, or null to use the response as it is
+ */
+export function retryDelayFor(url, response, attempt) {
+    const { status } = response;
+    const rateLimited = status === 429;
+    const serverError = status >= 500 && status <= 599;
+    if (!rateLimited && !serverError) return null;
+
+    const hostStats = statsFor(new URL(url).host);
+    if (rateLimited) hostStats.rateLimited++; else hostStats.serverErrors++;
+    if (attempt >= budgets.retries.max) return null;
+
+    const retryAfter = (rateLimited || status === 503) ? parseRetryAfter(response.headers?.get?.('retry-after')) : null;
+    const base = rateLimited ? budgets.retries.rateLimitedDelayMs : budgets.retries.serverErrorDelayMs;
+    const delay = Math.min(retryAfter ?? base * 2 ** attempt, budgets.retries.maxDelayMs);
+
+    const { hostname } = new URL(url);
+    const { key, budget } = budgetFor(hostname);
+    limiterFor(key, budget).pause(delay);
+    return delay;
+}
+
+/**
+ * @returns {Object<string, { requests: number, rateLimited: number, serverErrors: number, waitedMs: number }>} Stats by host
+ */
+export function hostStats() {
+    return Object.fromEntries(stats);
+}
+
+/**
+ * Log how many requests each host received in this run
+ * @param {number} [limit=15] - How many of the busiest hosts to list
+ */
+export function logHostStats(limit = 15) {
+    const hosts = [...stats.entries()].sort((a, b) => b[1].requests - a[1].requests);
+    if (hosts.length === 0) return;
+    const total = hosts.reduce((sum, [, s]) => sum + s.requests, 0);
+    console.log('');
+    console.log(`🌐 Requests per host (${total} requests to ${hosts.length} hosts):`);
+    for (const [host, s] of hosts.slice(0, limit)) {
+        const throttled = s.rateLimited + s.serverErrors > 0 ? ` (429: ${s.rateLimited}, 5xx: ${s.serverErrors})` : '';
+        console.log(`   ${host}: ${s.requests}${throttled}`);
+    }
+    if (hosts.length > limit) {
+        const rest = hosts.slice(limit);
+        console.log(`   ... and ${rest.length} more hosts (${rest.reduce((sum, [, s]) => sum + s.requests, 0)} requests)`);
+    }
+    const throttledHosts = hosts.slice(limit).filter(([, s]) => s.rateLimited > 0);
+    for (const [host, s] of throttledHosts) {
+        console.log(`   ⚠️ ${host} rate limited us ${s.rateLimited} times`);
+    }
+}
+
+/**
+ * Replace the budgets, and forget existing limiters and stats (for tests)
+ * @param {HostBudgets} newBudgets
+ */
+export function setHostBudgets(newBudgets) {
+    budgets = newBudgets;
+    limiters.clear();
+    stats.clear();
+}
@@ -0,0 +1,90 @@
+/**
+ * Registry - The Wikibase the bot maintains, and the IDs of the properties and items it uses
+ *
+ * Processors and cmd scripts refer to properties and items by name (e.g. P.url, Q.hostWikibaseCloud)
+ * rather than by ID, so the same code can run against wikibase.world, a staging registry or a local
+ * Wikibase for testing.
+ *
+ * The registry is loaded from a JSON config file, config/registries/wikibase.world.json by default,
+ * or the file set in the WORLD_REGISTRY environment variable.
+ */
+
+import fs from 'fs';
+import { fileURLToPath } from 'url';
+import process from 'process';
+
+/**
+ * @typedef {Object} RegistryConfig
+ * @property {string} name - Human readable name of the registry
+ * @property {string} instance - Base URL of the Wikibase
+ * @property {string} [sparqlEndpoint] - SPARQL endpoint, defaults to <instance>/query/sparql
+ * @property {string} [conceptBaseUri] - Base of the concept URIs used in SPARQL, defaults to the instance
+ * @property {Object<string, string>} properties - Property IDs by name
+ * @property {Object<string, string>} items - Item IDs by name
+ * @property {string[]} [skipLinkSources] - Items that should not get links to other wikis (e.g. the registry itself)
+ */
+
+const DEFAULT_REGISTRY_FILE = fileURLToPath(new URL('../config/registries/wikibase.world.json', import.meta.url));
+
+/**
+ * Load and validate a registry config file
+ * @param {string} file - Path to the JSON config file
+ * @returns {RegistryConfig}
+ */
+export function loadRegistry(file) {
+    const config = JSON.parse(fs.readFileSync(file, 'utf8'));
+    for (const key of ['instance', 'properties', 'items']) {
+        if (!config[key]) {
+            throw new Error(`Registry config ${file} is missing "${key}"`);
+        }
+    }
+    const instance = config.instance.replace(/\/$/, '');
+    return {
+        skipLinkSources: [],
+        ...config,
+        name: config.name || new URL(instance).hostname,
+        instance,
+        sparqlEndpoint: config.sparqlEndpoint || `${instance}/query/sparql`,
+        conceptBaseUri: (config.conceptBaseUri || instance).replace(/\/$/, ''),
+    };
+}
+
+/**
+ * Wrap an ID map so that unknown names throw rather than silently give undefined
+ * @param {Object<string, string>} ids - IDs by name
+ * @param {string} kind - 'property' or 'item', for error messages
+ * @param {string} file - The config file, for error messages
+ * @returns {Object<string, string>}
+ */
+function strictIds(ids, kind, file) {
+    return new Proxy(ids, {
+        get(target, name) {
+            if (typeof name !== 'string' || name in target || name === 'then' || name === 'toJSON') {
+                return target[name];
+            }
+            throw new Error(`Unknown ${kind} "${name}" in registry config ${file}`);
+        },
+    });
+}
+
+const registryFile = process.env.WORLD_REGISTRY || DEFAULT_REGISTRY_FILE;
+
+/** @type {RegistryConfig} */
+const registry = loadRegistry(registryFile);
+
+/** Property IDs by name, e.g. P.activityStatus */
+const P = strictIds(registry.properties, 'property', registryFile);
+
+/** Item IDs by name, e.g. Q.hostWikibaseCloud */
+const Q = strictIds(registry.items, 'item', registryFile);
+
+/**
+ * SPARQL prefixes for the registry's concept URIs
+ * @returns {string}
+ */
+export function sparqlPrefixes() {
+    return `PREFIX wdt: <${registry.conceptBaseUri}/prop/direct/>
+    PREFIX wd: <${registry.conceptBaseUri}/entity/>`;
+}
+
+export { registry, registryFile, P, Q };
@@ -0,0 +1,217 @@
+/**
+ * Crawl Policy - robots.txt rules and the crawl opt-out list for requests made via fetchc and fetchuc
+ *
+ * Before a request to a third-party wiki is made:
+ * - Hosts on the opt-out list (and their subdomains) are never requested, so an operator who asks us
+ *   to stop crawling their wiki is honoured by every script
+ * - robots.txt is fetched once per origin, and the rules for our User-Agent (or for * when no group
+ *   names us) are applied, with the longest matching Allow or Disallow rule winning
+ *
+ * A robots.txt that is missing (4xx) or cannot be fetched allows everything. RFC 9309 would assume a full
+ * disallow when it is unreachable, but then dead wikis could never be told apart from wikis that opted out.
+ *
+ * The opt-out list is loaded from config/crawl-opt-out.json, or the file set in the WORLD_CRAWL_OPT_OUT
+ * environment variable. Skipped requests are counted per host for logCrawlSkips().
+ */
+
+import fs from 'fs';
+import { fileURLToPath } from 'url';
+import process from 'process';
+
+/**
+ * @typedef {Object} OptOut
+ * @property {string} domain - Host that must not be crawled, along with its subdomains
+ * @property {string} [requested] - Date the operator asked us to stop
+ * @property {string} [note] - Who asked, and where
+ */
+
+/**
+ * @typedef {Object} RobotsRule
+ * @property {boolean} allow
+ * @property {string} path - Path pattern, which may use * and a trailing $
+ */
+
+/**
+ * @typedef {Object} CrawlPermission
+ * @property {boolean} allowed
+ * @property {'opt-out'|'robots.txt'} [reason] - Why the request is not allowed
+ */
+
+const DEFAULT_OPT_OUT_FILE = fileURLToPath(new URL('../config/crawl-opt-out.json', import.meta.url));
+
+// robots.txt files larger than this are only read up to this size, as RFC 9309 allows
+const MAX_ROBOTS_BYTES = 500 * 1024;
+
+/**
+ * Load a crawl opt-out list
+ * @param {string} file
+ * @returns {OptOut[]}
+ */
+export function loadOptOuts(file) {
+    const config = JSON.parse(fs.readFileSync(file, 'utf8'));
+    return (config.domains || []).map(entry => ({ ...entry, domain: entry.domain.toLowerCase() }));
+}
+
+let optOuts = loadOptOuts(process.env.WORLD_CRAWL_OPT_OUT || DEFAULT_OPT_OUT_FILE);
+const robotsByOrigin = new Map();
+const skips = new Map();
+
+/**
+ * Find the opt-out entry covering a host
+ * @param {string} hostname
+ * @returns {OptOut|undefined}
+ */
+export function optOutFor(hostname) {
+    const host = hostname.toLowerCase();
+    return optOuts.find(entry => host === entry.domain || host.endsWith(`.${entry.domain}`));
+}
+
+/**
+ * Parse robots.txt into groups of user agents and their rules
+ * @param {string} text
+ * @returns {{ agents: string[], rules: RobotsRule[] }[]}
+ */
+export function parseRobotsTxt(text) {
+    const groups = [];
+    let group = null;
+    for (const rawLine of text.slice(0, MAX_ROBOTS_BYTES).split(/\r\n|\r|\n/)) {
+        const line = rawLine.replace(/#.*$/, '').trim();
+        const match = line.match(/^([A-Za-z-]+)\s*:\s*(.*)$/);
+        if (!match) continue;
+        const field = match[1].toLowerCase();
+        const value = match[2].trim();
+        if (field === 'user-agent') {
+            // Consecutive User-agent lines share the rules that follow them
+            if (!group || group.rules.length > 0) {
+                group = { agents: [], rules: [] };
+                groups.push(group);
+            }
+            group.agents.push(value.toLowerCase());
+        } else if ((field === 'allow' || field === 'disallow') && group) {
+            // An empty Disallow allows everything, which is the same as having no rule
+            if (value === '') continue;
+            group.rules.push({ allow: field === 'allow', path: value });
+        }
+    }
+    return groups;
+}
+
+/**
+ * Get the rules that apply to a User-Agent: those of every group naming it, otherwise those for *
+ * @param {{ agents: string[], rules: RobotsRule[] }[]} groups
+ * @param {string} userAgent - e.g. 'Addshore Addbot wikibase.world', which groups for "Addbot" match
+ * @returns {RobotsRule[]}
+ */
+export function rulesForAgent(groups, userAgent) {
+    const ua = userAgent.toLowerCase();
+    const named = groups.filter(group => group.agents.some(agent => agent !== '*' && ua.includes(agent)));
+    const chosen = named.length > 0 ? named : groups.filter(group => group.agents.includes('*'));
+    return chosen.flatMap(group => group.rules);
+}
+
+/**
+ * Check whether a robots.txt path pattern matches a path
+ * @param {string} pattern
+ * @param {string} path - Path and query of the URL
+ * @returns {boolean}
+ */
+const patternMatches = (pattern, path) => {
+    const anchored = pattern.endsWith('$');
+    const source = (anchored ? pattern.slice(0, -1) : pattern)
+        .split('*')
+        .map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&'))
+        .join('.*');
+    return new RegExp(`^${source}${anchored ? '$' : ''}`).test(path);
+};
+
+/**
+ * Check whether the rules allow a path, the longest matching rule winning and Allow winning ties
+ * @param {RobotsRule[]} rules
+ * @param {string} path - Path and query of the URL
+ * @returns {boolean}
+ */
+export function isPathAllowed(rules, path) {
+    if (path === '/robots.txt') return true;
+    let best = null;
+    for (const rule of rules) {
+        if (!patternMatches(rule.path, path)) continue;
+        if (!best || rule.path.length > best.path.length || (rule.path.length === best.path.length && rule.allow)) {
+            best = rule;
+        }
+    }
+    return best ? best.allow : true;
+}
+
+/**
+ * Get the rules for an origin, fetching its robots.txt once per process
+ * @param {string} origin
+ * @param {string} userAgent
+ * @param {function(string): Promise<Response|null>} fetchRobots - Fetches a robots.txt URL
+ * @returns {Promise<RobotsRule[]>}
+ */
+const robotsRulesFor = (origin, userAgent, fetchRobots) => {
+    if (!robotsByOrigin.has(origin)) {
+        robotsByOrigin.set(origin, (async () => {
+            const response = await fetchRobots(`${origin}/robots.txt`).catch(() => null);
+            if (!response || !response.ok) return [];
+            const text = await response.text().catch(() => '');
+            return rulesForAgent(parseRobotsTxt(text), userAgent);
+        })());
+    }
+    return robotsByOrigin.get(origin);
+};
+
+/**
+ * Decide whether a URL may be requested
+ * @param {string} url
+ * @param {Object} options
+ * @param {string} options.userAgent - The User-Agent requests are made with
+ * @param {function(string): Promise<Response|null>} options.fetchRobots - Fetches a robots.txt URL
+ * @param {boolean} [options.checkRobots=true] - Whether to apply robots.txt, as well as the opt-out list
+ * @returns {Promise<CrawlPermission>}
+ */
+export async function checkCrawlPermission(url, { userAgent, fetchRobots, checkRobots = true }) {
+    const { origin, host, hostname, pathname, search } = new URL(url);
+    let reason = null;
+    if (optOutFor(hostname)) {
+        reason = 'opt-out';
+    } else if (checkRobots) {
+        const rules = await robotsRulesFor(origin, userAgent, fetchRobots);
+        if (!isPathAllowed(rules, pathname + search)) reason = 'robots.txt';
+    }
+    if (!reason) return { allowed: true };
+
+    if (!skips.has(host)) skips.set(host, { 'opt-out': 0, 'robots.txt': 0 });
+    skips.get(host)[reason]++;
+    return { allowed: false, reason };
+}
+
+/**
+ * @returns {Object<string, { 'opt-out': number, 'robots.txt': number }>} Skipped requests by host
+ */
+export function crawlSkips() {
+    return Object.fromEntries(skips);
+}
+
+/**
+ * Log the hosts that requests were skipped for in this run
+ */
+export function logCrawlSkips() {
+    if (skips.size === 0) return;
+    console.log('');
+    console.log(`🚫 Requests skipped for ${skips.size} hosts:`);
+    for (const [host, counts] of skips) {
+        const reasons = Object.entries(counts).filter(([, count]) => count > 0).map(([reason, count]) => `${reason}: ${count}`);
+        console.log(`   ${host}: ${reasons.join(', ')}`);
+    }
+}
+
+/**
+ * Replace the opt-out list, and forget fetched robots.txt files and skip counts (for tests)
+ * @param {OptOut[]} newOptOuts
+ */
+export function setCrawlPolicy(newOptOuts) {
+    optOuts = newOptOuts.map(entry => ({ ...entry, domain: entry.domain.toLowerCase() }));
+    robotsByOrigin.clear();
+    skips.clear();
+}
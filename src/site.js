@@ -115,8 +115,21 @@ const actionAPIgetMaxEntityIdInt = async (actionApi, namespaceId) => {
     return parseInt(lastEntityIdInt);
 }
 
+/**
+ * Get the action API URL from the EditURI link of a MediaWiki page
+ * @param {string} responseText
+ * @returns {string|null}
+ */
+const actionApiFromPage = (responseText) => {
+    const matches = responseText.match(/<link rel="EditURI" type="application\/rsd\+xml" href="(.+?)"/)
+    if (!matches) return null
+    const apiUrl = matches[1].replace('?action=rsd', '')
+    return apiUrl.startsWith('//') ? 'https:' + apiUrl : apiUrl
+}
+
 export {
     checkOnlineAndWikibase,
+    actionApiFromPage,
     actionApigetPageCount,
     actionAPIgetMaxEntityIdInt,
     hasHostedByProfessionalWikiLogo,
@@ -0,0 +1,166 @@
+/**
+ * State Store - When each wiki was last checked, and what was found
+ *
+ * Every check made by tidy-world is appended to a JSONL state file, one record per wiki item and check:
+ * - 'alive' - The main page check, with result 'alive', 'dead', 'redirected' or 'skipped'
+ * - One per fetcher (e.g. 'siteinfo', 'manifest'), with result 'ok', or 'empty' when nothing was fetched
+ *
+ * Each record has a hash of the fetched data, so a change in a wiki can be told apart from a re-check.
+ * The latest record for an item and check wins; compactState() drops the older ones.
+ *
+ * tidy-world --stale-after uses the 'alive' check to only process wikis that were not checked recently.
+ * The state file defaults to .data/state.jsonl and can be moved with WORLD_STATE.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import process from 'process';
+import { appendJsonLine, readJsonLines } from './jsonl.js';
+import { DATA_DIR, RUN_ID } from './general.js';
+
+/**
+ * @typedef {Object} StateRecord
+ * @property {string} item - The wikibase.world item ID
+ * @property {string} check - 'alive', or the name of the fetcher
+ * @property {string} result - e.g. 'alive', 'dead', 'redirected', 'skipped', 'ok' or 'empty'
+ * @property {string|null} hash - sha1 of the fetched data, null when there was none
+ * @property {string} checked - ISO timestamp of the check
+ * @property {string} run - The run ID that made the check
+ */
+
+let stateFile = process.env.WORLD_STATE || path.join(DATA_DIR, 'state.jsonl');
+
+// Latest record by item, then by check, loaded on first use
+let state = null;
+
+/**
+ * @returns {string} The state file path
+ */
+export function getStateFile() {
+    return stateFile;
+}
+
+/**
+ * Read the latest record for each item and check from a state file
+ * @param {string} [file]
+ * @returns {Map<string, Map<string, StateRecord>>}
+ */
+export function loadState(file = stateFile) {
+    const latest = new Map();
+    for (const record of readJsonLines(file)) {
+        if (!latest.has(record.item)) latest.set(record.item, new Map());
+        latest.get(record.item).set(record.check, record);
+    }
+    return latest;
+}
+
+const currentState = () => {
+    if (state === null) state = loadState();
+    return state;
+};
+
+/**
+ * Hash fetched data, so that unchanged data can be recognised
+ * @param {*} data
+ * @returns {string|null}
+ */
+export function hashData(data) {
+    if (data === null || data === undefined) return null;
+    const text = typeof data === 'string' ? data : JSON.stringify(data);
+    return crypto.createHash('sha1').update(text).digest('hex');
+}
+
+/**
+ * Record the outcome of a check of a wiki
+ * @param {string} item - The wikibase.world item ID
+ * @param {string} check - 'alive', or the name of the fetcher
+ * @param {string} result - e.g. 'alive', 'dead', 'ok' or 'empty'
+ * @param {*} [data] - The fetched data, which is hashed rather than stored
+ * @returns {StateRecord}
+ */
+export function recordCheck(item, check, result, data = null) {
+    /** @type {StateRecord} */
+    const record = { item, check, result, hash: hashData(data), checked: new Date().toISOString(), run: RUN_ID };
+    appendJsonLine(stateFile, record);
+    const latest = currentState();
+    if (!latest.has(item)) latest.set(item, new Map());
+    latest.get(item).set(check, record);
+    return record;
+}
+
+/**
+ * Record the outcome of a fetcher, 'ok' when it fetched something and 'empty' when it did not
+ * @param {string} item - The wikibase.world item ID
+ * @param {string} fetcher - The name of the fetcher
+ * @param {*} data - The fetched data; null, undefined or an empty array when nothing was fetched
+ * @returns {StateRecord}
+ */
+export function recordFetch(item, fetcher, data) {
+    const empty = data === null || data === undefined || (Array.isArray(data) && data.length === 0);
+    return recordCheck(item, fetcher, empty ? 'empty' : 'ok', empty ? null : data);
+}
+
+/**
+ * Get the latest records for an item
+ * @param {string} item
+ * @returns {Object<string, StateRecord>} Records by check
+ */
+export function stateFor(item) {
+    return Object.fromEntries(currentState().get(item) || []);
+}
+
+/**
+ * Parse a duration such as 7d, 12h, 30m or 45s (a plain number is seconds)
+ * @param {string} value
+ * @returns {number|null} Milliseconds, or null if it can not be parsed
+ */
+export function parseDuration(value) {
+    const match = String(value).trim().match(/^(\d+(?:\.\d+)?)([dhms]?)$/);
+    if (!match) return null;
+    const unit = { d: 86400, h: 3600, m: 60, s: 1, '': 1 }[match[2]];
+    return Math.round(parseFloat(match[1]) * unit * 1000);
+}
+
+/**
+ * Select the wikis that were not checked within a time, never checked wikis first and then the oldest
+ * @param {{ item: string }[]} wikis
+ * @param {number} staleAfterMs
+ * @param {number} [now]
+ * @returns {{ stale: Object[], fresh: Object[], neverChecked: number }}
+ */
+export function selectStaleWikis(wikis, staleAfterMs, now = Date.now()) {
+    const checkedAt = (wiki) => {
+        const checked = currentState().get(wiki.item)?.get('alive')?.checked;
+        return checked ? Date.parse(checked) : null;
+    };
+    const stale = [];
+    const fresh = [];
+    for (const wiki of wikis) {
+        const checked = checkedAt(wiki);
+        if (checked !== null && now - checked < staleAfterMs) fresh.push(wiki); else stale.push(wiki);
+    }
+    stale.sort((a, b) => (checkedAt(a) ?? 0) - (checkedAt(b) ?? 0));
+    return { stale, fresh, neverChecked: stale.filter(wiki => checkedAt(wiki) === null).length };
+}
+
+/**
+ * Rewrite the state file with only the latest record for each item and check
+ * @param {string} [file]
+ */
+export function compactState(file = stateFile) {
+    if (!fs.existsSync(file)) return;
+    const records = [...loadState(file).values()].flatMap(checks => [...checks.values()]);
+    const temporary = `${file}.${process.pid}.tmp`;
+    fs.writeFileSync(temporary, records.map(record => JSON.stringify(record) + '\n').join(''));
+    fs.renameSync(temporary, file);
+}
+
+/**
+ * Use another state file, read again on next use (for tests)
+ * @param {string} file
+ */
+export function setStateFile(file) {
+    stateFile = file;
+    state = null;
+}
@@ -0,0 +1,148 @@
+/**
+ * Wiki URLs - One way to tell which wiki a user-supplied URL or domain is about
+ *
+ * Any of these are the same wiki, with the key example.org:
+ *   example.org, https://www.example.org/, http://example.org/wiki/Main_Page, https://EXAMPLE.org/w/index.php?title=X
+ *
+ * - Scheme - ignored, as most wikis answer on both http and https
+ * - Host - lowercased, with IDNs in their punycode form, a trailing dot and a leading www. removed
+ * - Port - kept, unless it is the default for the scheme
+ * - Script path - the /w of /w/index.php, and entry points such as index.php and api.php, are removed
+ * - Article path - /wiki and any page title after it are removed
+ * Anything left of the path is kept, for wikis that are not at the root of their host.
+ *
+ * Importers look up existing items in a WikiIndex of every wiki item, see world.wikiIndex.
+ */
+
+// Entry points of MediaWiki, and anything after them
+const ENTRY_POINT = /\/(index|api|load|rest)\.php(\/.*)?$/i;
+// The conventional article path, with any page title
+const ARTICLE_PATH = /\/wiki(\/.*)?$/i;
+// The conventional script path
+const SCRIPT_PATH = /\/w$/i;
+
+/**
+ * @typedef {Object} WikiUrl
+ * @property {string} key - Identifies the wiki, e.g. example.org or example.org:8080/mywiki
+ * @property {string} scheme - http or https
+ * @property {string} domain - The host name, e.g. www.example.org
+ * @property {string} port - The port, or '' for the default of the scheme
+ * @property {string} basePath - The path of the wiki on its host, without a trailing slash, usually ''
+ * @property {string} url - The URL of the wiki, e.g. https://www.example.org
+ */
+
+/**
+ * Parse a URL or bare domain into the parts that identify a wiki
+ * @param {string} input - e.g. https://example.org/wiki/Main_Page or example.org
+ * @returns {WikiUrl|null} null if it is not an http(s) URL of a host
+ */
+export function parseWikiUrl(input) {
+    if (typeof input !== 'string' || !input.trim()) return null;
+    let text = input.trim();
+    if (text.startsWith('//')) {
+        text = `https:${text}`;
+    } else if (!/^[a-z][a-z0-9+.-]*:\/\//i.test(text)) {
+        text = `https://${text}`;
+    }
+
+    let parsed;
+    try {
+        parsed = new URL(text);
+    } catch {
+        return null;
+    }
+    if (!['http:', 'https:'].includes(parsed.protocol)) return null;
+
+    const domain = parsed.hostname.toLowerCase().replace(/\.$/, '');
+    // Bare words such as Q123 parse as hosts too
+    if (!domain.includes('.') && !domain.includes(':') && domain !== 'localhost') return null;
+
+    const basePath = parsed.pathname
+        .replace(ENTRY_POINT, '')
+        .replace(/\/+$/, '')
+        .replace(ARTICLE_PATH, '')
+        .replace(/\/+$/, '')
+        .replace(SCRIPT_PATH, '');
+    const scheme = parsed.protocol.slice(0, -1);
+    const port = parsed.port;
+    const hostAndPort = port ? `${domain}:${port}` : domain;
+
+    return {
+        key: `${hostAndPort.replace(/^www\./, '')}${basePath}`,
+        scheme,
+        domain,
+        port,
+        basePath,
+        url: `${scheme}://${hostAndPort}${basePath}`,
+    };
+}
+
+/**
+ * The key identifying the wiki of a URL or domain, see parseWikiUrl
+ * @param {string} input
+ * @returns {string|null}
+ */
+export function wikiKey(input) {
+    return parseWikiUrl(input)?.key || null;
+}
+
+/**
+ * The host name of a URL or domain, as used for DNS
+ * @param {string} input
+ * @returns {string|null}
+ */
+export function wikiDomain(input) {
+    return parseWikiUrl(input)?.domain || null;
+}
+
+/**
+ * Exact lookup of wiki items by the key of their URLs
+ */
+export class WikiIndex {
+    /**
+     * @param {Array<{item: string, site: string}>} [wikis] - e.g. from world.sparql.wikisAll()
+     */
+    constructor(wikis = []) {
+        this.items = new Map();
+        for (const { item, site } of wikis) {
+            this.add(site, item);
+        }
+    }
+
+    /**
+     * Add a wiki, keeping the first item seen for a key
+     * @param {string} site - A URL or domain of the wiki
+     * @param {string} item - Its item ID
+     * @returns {string|null} The key, or null if the site is not a URL
+     */
+    add(site, item) {
+        const key = wikiKey(site);
+        if (key && !this.items.has(key)) this.items.set(key, item);
+        return key;
+    }
+
+    /**
+     * Find the item of a wiki
+     * @param {...string} sites - URLs or domains of the wiki, e.g. before and after redirects
+     * @returns {string|null} The item ID of the first one known
+     */
+    find(...sites) {
+        for (const site of sites) {
+            const item = this.items.get(wikiKey(site));
+            if (item) return item;
+        }
+        return null;
+    }
+
+    /**
+     * @param {...string} sites
+     * @returns {boolean}
+     */
+    has(...sites) {
+        return this.find(...sites) !== null;
+    }
+
+    get size() {
+        return this.items.size;
+    }
+}
@@ -3,25 +3,35 @@ import { WBK } from 'wikibase-sdk'
 import { simplifySparqlResults, minimizeSimplifiedSparqlResults } from 'wikibase-sdk'
 import { fetchuc } from './../src/fetch.js';
 import { HEADERS } from './../src/general.js';
+import { registry, sparqlPrefixes, P, Q } from './../src/registry.js';
+import { currentHandler, runAsHandler } from './../src/events/bus.js';
+import { claimValueFrom, formatValue, valuesMatch } from './../src/claims/values.js';
+import { isPlanMode, recordPlanEntry, entityIdForEdit, describeChange } from './../src/edits/plan.js';
+import { checkPlanEntry } from './../src/edits/apply.js';
+import { recordJob, completeJob } from './../src/checkpoint.js';
+import { recordJournalEntry, revisionFromResponse } from './../src/edits/journal.js';
+import { isBatchMode, isBatchable, addToBatch, takeBatches, buildEntityEdit, combineSummaries } from './../src/edits/batch.js';
+import { planDesiredState } from './../src/claims/desired.js';
+import { WikiIndex } from './../src/wiki-url.js';
 import dotenv from 'dotenv'
 import process from 'process';
 
 dotenv.config()
 
-// Require the environment variables
-if (!process.env.WORLD_USERNAME || !process.env.WORLD_PASSWORD) {
+// Require the environment variables (not needed when only recording a plan)
+if (!isPlanMode() && (!process.env.WORLD_USERNAME || !process.env.WORLD_PASSWORD)) {
     throw new Error('Missing WORLD_USERNAME or WORLD_PASSWORD')
 }
 
-// Setup config and constants
-const WORLD_INSTANCE = 'https://wikibase.world'
+// Setup config and constants, the instance comes from the registry config (see src/registry.js)
+const WORLD_INSTANCE = registry.instance
 const WORLD_USERNAME = process.env.WORLD_USERNAME
 const WORLD_PASSWORD = process.env.WORLD_PASSWORD
 
 // Setup services
 const worldSDK = WBK({
     instance: WORLD_INSTANCE,
-    sparqlEndpoint: WORLD_INSTANCE + '/query/sparql'
+    sparqlEndpoint: registry.sparqlEndpoint
 })
 const worldEdit = WBEdit({
     instance: WORLD_INSTANCE,
@@ -88,94 +98,210 @@ const retryOnTransientError = async (callback, name, attempt = 1) => {
     }
 }
 
+/**
+ * Fetch a single entity from wikibase.world
+ * @param {string} id - The entity ID
+ * @returns {Promise<Object|null>} The raw entity, or null if it could not be fetched
+ */
+const getEntity = async (id) => {
+    const response = await fetchuc(worldSDK.getEntities({ ids: [ id ] }), { headers: HEADERS })
+    if (!response) return null
+    const json = await response.json().catch(() => null)
+    const entity = json?.entities?.[id]
+    if (!entity || entity.missing !== undefined) return null
+    return entity
+}
+
+// In plan mode nothing changes on wikibase.world, so each entity only needs fetching once
+const planSnapshots = new Map()
+const getEntitySnapshot = (id) => {
+    if (!planSnapshots.has(id)) {
+        planSnapshots.set(id, getEntity(id))
+    }
+    return planSnapshots.get(id)
+}
+
+/**
+ * Fetch an entity to base changes on, which in plan mode is its snapshot, as the planned edits are not made
+ * @param {string} id - The entity ID
+ * @returns {Promise<Object|null>}
+ */
+const getEntityToChange = (id) => isPlanMode() ? getEntitySnapshot(id) : getEntity(id)
+
+/**
+ * Whether undoing an edit needs the entity as it was before it, which the edit response does not give
+ * Claim creates, updates and value removals, and references, are undone from their data and response alone
+ * @param {string} action - The world.queueWork function name
+ * @param {Object} data - The data passed to world.queueWork
+ * @returns {boolean}
+ */
+const needsEntityBefore = (action, data) => ['labelSet', 'descriptionSet', 'aliasAdd', 'aliasRemove', 'entityEdit'].includes(action)
+    || (action === 'claimRemove' && Boolean(data.claim))
+
+/**
+ * Make an edit and record it to the journal, or record it to the plan when running in plan mode
+ * @param {string} action - The world.queueWork function name
+ * @param {Object} data - The data passed to world.queueWork
+ * @param {Object} requestConfig - The request config passed to world.queueWork
+ * @param {Function} callback - Makes the edit via wikibase-edit
+ * @param {string} name - Log text for the edit
+ * @param {Object|null} [entity] - The entity the edit was planned against, if the caller fetched it
+ */
+const performEdit = async (action, data, requestConfig, callback, name, entity = null) => {
+    const id = entityIdForEdit(action, data)
+    if (isPlanMode()) {
+        const snapshot = id ? await getEntitySnapshot(id) : null
+        recordPlanEntry({ action, data, requestConfig, entity: snapshot, handler: currentHandler() })
+        return
+    }
+
+    // The entity as it was before the edit gives the journal its old values, it is only
+    // fetched here when the caller did not have it and the edit could not be undone without it
+    const before = entity ?? (id && needsEntityBefore(action, data) ? await getEntity(id) : null)
+    const response = await retryOnTransientError(callback, name)
+    if (!response) return response
+
+    // Entity edits respond with the whole entity they produced, which batched edits are journaled with
+    const entityAfter = action === 'entityEdit' ? response.entity ?? null : null
+    const revision = revisionFromResponse(response)
+    recordJournalEntry({ action, data, requestConfig, entity: before, entityAfter, response, revision, handler: currentHandler() })
+    return response
+}
+
+/**
+ * Describe a queued edit for the checkpoint, so an interrupted run can queue it again
+ * @returns {Omit<import('./checkpoint.js').CheckpointJob, 'id'>}
+ */
+const checkpointOf = (action, data, requestConfig, kind = 'edit') => ({ kind, action, data, summary: requestConfig.summary, handler: currentHandler() })
+
+/**
+ * Collect a change into its entity's batch when running in batch mode
+ * @returns {boolean} True if the change was collected, and should not be queued
+ */
+const collectIntoBatch = (action, data, requestConfig) => {
+    if (!isBatchMode() || !isBatchable(action)) return false
+    // Batched changes are only edited when the batches are flushed, so they are checkpointed until then
+    const checkpointId = recordJob(checkpointOf(action, data, requestConfig, 'batch'))
+    addToBatch({ action, data, requestConfig, handler: currentHandler(), checkpointId })
+    return true
+}
+
 const world = {
     sdk: worldSDK,
+    getEntity: getEntityToChange,
     edit: worldEdit,
     sparql: {},
+    // The edit functions return their queued job, which resolves to the wikibase-edit response
+    // (undefined when the edit was skipped, batched or only recorded to a plan)
+    // claimEnsure, claimInclude and desiredState below return theirs too, which resolves once they queued their edits
     queueWork: {
         itemCreate: async (queue, data, requestConfig) => {
             data.type = 'item'
             const jobName = `itemCreate: ${requestConfig.summary}`;
-            queue.add(async () => {
+            return queue.add(async () => {
                 const logText = `🖊️ Creating item: ${requestConfig.summary}`
                 console.log(logText)
-                await retryOnTransientError(() => worldEdit.entity.create(data, requestConfig), logText)
-            }, { jobName });
+                return performEdit('itemCreate', data, requestConfig, () => worldEdit.entity.create(data, requestConfig), logText)
+            }, { jobName, checkpoint: checkpointOf('itemCreate', data, requestConfig) });
         },
-        labelSet: async (queue, data, requestConfig) => {
+        labelSet: async (queue, data, requestConfig, { entity } = {}) => {
+            if (collectIntoBatch('labelSet', data, requestConfig)) return
             const jobName = `labelSet: ${data.id}`;
-            queue.add(async () => {
+            return queue.add(async () => {
                 const logText = `🖊️ Setting label for ${data.id} in ${data.language} to ${data.value}: ${requestConfig.summary}`
                 console.log(logText)
-                await retryOnTransientError(() => worldEdit.label.set(data, requestConfig), logText)
-            }, { jobName });
+                return performEdit('labelSet', data, requestConfig, () => worldEdit.label.set(data, requestConfig), logText, entity)
+            }, { jobName, checkpoint: checkpointOf('labelSet', data, requestConfig) });
         },
-        descriptionSet: async (queue, data, requestConfig) => {
+        descriptionSet: async (queue, data, requestConfig, { entity } = {}) => {
+            if (collectIntoBatch('descriptionSet', data, requestConfig)) return
             const jobName = `descriptionSet: ${data.id}`;
-            queue.add(async () => {
+            return queue.add(async () => {
                 if (data.value.length > 250) {
                     console.warn(`⚠️ Description for ${data.id} in ${data.language} is too long (${data.value.length} characters): ${requestConfig.summary}`)
                     return
                 }
                 const logText = `🖊️ Setting description for ${data.id} in ${data.language} to ${data.value}: ${requestConfig.summary}`
                 console.log(logText)
-                await retryOnTransientError(() => worldEdit.description.set(data, requestConfig), logText)
-            }, { jobName });
+                return performEdit('descriptionSet', data, requestConfig, () => worldEdit.description.set(data, requestConfig), logText, entity)
+            }, { jobName, checkpoint: checkpointOf('descriptionSet', data, requestConfig) });
         },
-        aliasAdd: async (queue, data, requestConfig) => {
+        aliasAdd: async (queue, data, requestConfig, { entity } = {}) => {
+            if (collectIntoBatch('aliasAdd', data, requestConfig)) return
             const jobName = `aliasAdd: ${data.id}`;
-            queue.add(async () => {
+            return queue.add(async () => {
                 const logText = `🖊️ Adding alias for ${data.id} in ${data.language} as ${data.value}: ${requestConfig.summary}`
                 console.log(logText)
-                await retryOnTransientError(() => worldEdit.alias.add(data, requestConfig), logText)
-            }, { jobName });
+                return performEdit('aliasAdd', data, requestConfig, () => worldEdit.alias.add(data, requestConfig), logText, entity)
+            }, { jobName, checkpoint: checkpointOf('aliasAdd', data, requestConfig) });
         },
-        aliasRemove: async (queue, data, requestConfig) => {
+        aliasRemove: async (queue, data, requestConfig, { entity } = {}) => {
+            if (collectIntoBatch('aliasRemove', data, requestConfig)) return
             const jobName = `aliasRemove: ${data.id}`;
-            queue.add(async () => {
+            return queue.add(async () => {
                 const logText = `🖊️ Removing alias for ${data.id} in ${data.language} as ${data.value}: ${requestConfig.summary}`
                 console.log(logText)
-                await retryOnTransientError(() => worldEdit.alias.remove(data, requestConfig), logText)
-            }, { jobName });
+                return performEdit('aliasRemove', data, requestConfig, () => worldEdit.alias.remove(data, requestConfig), logText, entity)
+            }, { jobName, checkpoint: checkpointOf('aliasRemove', data, requestConfig) });
         },
         claimUpdate: async (queue, data, requestConfig) => {
+            if (collectIntoBatch('claimUpdate', data, requestConfig)) return
             const jobName = `claimUpdate: ${data.id}/${data.property}`;
-            queue.add(async () => {
+            return queue.add(async () => {
                 const logText = `🖊️ Updating claim for ${data.id} with ${data.property} from ${data.oldValue} to ${data.newValue}: ${requestConfig.summary}`
                 console.log(logText)
-                await retryOnTransientError(() => worldEdit.claim.update(data, requestConfig), logText)
-            }, { jobName });
+                return performEdit('claimUpdate', data, requestConfig, () => worldEdit.claim.update(data, requestConfig), logText)
+            }, { jobName, checkpoint: checkpointOf('claimUpdate', data, requestConfig) });
         },
         claimCreate: async (queue, data, requestConfig) => {
+            if (collectIntoBatch('claimCreate', data, requestConfig)) return
             const jobName = `claimCreate: ${data.id}/${data.property}`;
-            queue.add(async () => {
+            return queue.add(async () => {
                 const logText = `🖊️ Creating claim for ${data.id} with ${data.property} as ${data.value}: ${requestConfig.summary}`
                 console.log(logText)
-                await retryOnTransientError(() => worldEdit.claim.create(data, requestConfig), logText)
-            }, { jobName });
+                return performEdit('claimCreate', data, requestConfig, () => worldEdit.claim.create(data, requestConfig), logText)
+            }, { jobName, checkpoint: checkpointOf('claimCreate', data, requestConfig) });
         },
-        claimRemove: async (queue, data, requestConfig) => {
+        claimRemove: async (queue, data, requestConfig, { entity } = {}) => {
+            if (collectIntoBatch('claimRemove', data, requestConfig)) return
             const jobName = `claimRemove: ${data.id}/${data.property || data.claim}`;
-            queue.add(async () => {
+            return queue.add(async () => {
                 const target = data.claim ? data.claim : data.value
                 const logText = `🖊️ Removing claim for ${data.id} (${target}) ${data.property ? 'property ' + data.property : ''}: ${requestConfig.summary}`
                 console.log(logText)
                 // If a specific claim GUID is provided, prefer removing by GUID for precision
                 if (data.claim) {
                     // wikibase-edit expects the full claim ID (e.g., Q123$UUID) under the `claim` key
-                    await retryOnTransientError(() => worldEdit.claim.remove({ guid: data.claim }, requestConfig), logText)
+                    return performEdit('claimRemove', data, requestConfig, () => worldEdit.claim.remove({ guid: data.claim }, requestConfig), logText, entity)
                 } else {
-                    await retryOnTransientError(() => worldEdit.claim.remove(data, requestConfig), logText)
+                    return performEdit('claimRemove', data, requestConfig, () => worldEdit.claim.remove(data, requestConfig), logText, entity)
                 }
-            }, { jobName });
+            }, { jobName, checkpoint: checkpointOf('claimRemove', data, requestConfig) });
         },
         referenceSet: async (queue, data, requestConfig) => {
             const jobName = `referenceSet: ${data.guid}`;
-            queue.add(async () => {
+            return queue.add(async () => {
                 const logText = `🖊️ Setting reference for ${data.guid}: ${requestConfig.summary}`
                 console.log(logText)
-                await retryOnTransientError(() => worldEdit.reference.set(data, requestConfig), logText)
-            }, { jobName });
+                return performEdit('referenceSet', data, requestConfig, () => worldEdit.reference.set(data, requestConfig), logText)
+            }, { jobName, checkpoint: checkpointOf('referenceSet', data, requestConfig) });
+        },
+        referenceRemove: async (queue, data, requestConfig) => {
+            const jobName = `referenceRemove: ${data.guid}`;
+            return queue.add(async () => {
+                const logText = `🖊️ Removing reference ${data.hash} from ${data.guid}: ${requestConfig.summary}`
+                console.log(logText)
+                return performEdit('referenceRemove', data, requestConfig, () => worldEdit.reference.remove(data, requestConfig), logText)
+            }, { jobName, checkpoint: checkpointOf('referenceRemove', data, requestConfig) });
+        },
+        entityEdit: async (queue, data, requestConfig, { entity } = {}) => {
+            const jobName = `entityEdit: ${data.id}`;
+            return queue.add(async () => {
+                const touched = [...Object.keys(data.labels || {}), ...Object.keys(data.descriptions || {}), ...Object.keys(data.aliases || {}), ...Object.keys(data.claims || {})]
+                const logText = `🖊️ Editing ${data.id} (${[...new Set(touched)].join(', ')}): ${requestConfig.summary}`
+                console.log(logText)
+                return performEdit('entityEdit', data, requestConfig, () => worldEdit.entity.edit(data, requestConfig), logText, entity)
+            }, { jobName, checkpoint: checkpointOf('entityEdit', data, requestConfig) });
         },
     }
 }
@@ -185,11 +311,10 @@ const world = {
  */
 world.sparql.wikisAll = async () => {
     const sparqlQuery = `
-    PREFIX wdt: <https://wikibase.world/prop/direct/>
-    PREFIX wd: <https://wikibase.world/entity/>
+    ${sparqlPrefixes()}
     SELECT ?item ?site WHERE {
-      ?item wdt:P3 wd:Q10.  
-      ?item wdt:P1 ?site.
+      ?item wdt:${P.instanceOf} wd:${Q.wikibaseSite}.
+      ?item wdt:${P.url} ?site.
     }
     `
     const url = world.sdk.sparqlQuery(sparqlQuery)
@@ -202,18 +327,24 @@ world.sparql.wikisAll = async () => {
     return minimizeSimplifiedSparqlResults(simplifySparqlResults(raw))
 }
 
+/**
+ * Index every wiki item, including offline ones, by the key of its URLs (see src/wiki-url.js)
+ * Importers use this to find the items of the wikis they see
+ * @returns {Promise<WikiIndex>}
+ */
+world.wikiIndex = async () => new WikiIndex(await world.sparql.wikisAll())
+
 /**
  * @returns {Array<{item: string, site: string}>}
  */
 world.sparql.wikis = async () => {
     const sparqlQuery = `
-    PREFIX wdt: <https://wikibase.world/prop/direct/>
-    PREFIX wd: <https://wikibase.world/entity/>
+    ${sparqlPrefixes()}
     SELECT ?item ?site WHERE {
-      ?item wdt:P3 wd:Q10.  
-      ?item wdt:P1 ?site.
-      FILTER NOT EXISTS { ?item wdt:P13 wd:Q57 } # Ignore permanently offline instances
-      FILTER NOT EXISTS { ?item wdt:P13 wd:Q72 } # Ignore indefinitely offline instances
+      ?item wdt:${P.instanceOf} wd:${Q.wikibaseSite}.
+      ?item wdt:${P.url} ?site.
+      FILTER NOT EXISTS { ?item wdt:${P.activityStatus} wd:${Q.offlinePermanently} } # Ignore permanently offline instances
+      FILTER NOT EXISTS { ?item wdt:${P.activityStatus} wd:${Q.offlineIndefinitely} } # Ignore indefinitely offline instances
     }
     `
     const url = world.sdk.sparqlQuery(sparqlQuery)
@@ -226,17 +357,40 @@ world.sparql.wikis = async () => {
     return minimizeSimplifiedSparqlResults(simplifySparqlResults(raw))
 }
 
+/**
+ * Wikis marked indefinitely offline, which are checked to notice them coming back
+ * @returns {Array<{item: string, site: string}>}
+ */
+world.sparql.offlineWikis = async () => {
+    const sparqlQuery = `
+    ${sparqlPrefixes()}
+    SELECT ?item ?site WHERE {
+      ?item wdt:${P.instanceOf} wd:${Q.wikibaseSite}.
+      ?item wdt:${P.url} ?site.
+      ?item wdt:${P.activityStatus} wd:${Q.offlineIndefinitely}.
+      FILTER NOT EXISTS { ?item wdt:${P.activityStatus} wd:${Q.offlinePermanently} } # Ignore permanently offline instances
+    }
+    `
+    const url = world.sdk.sparqlQuery(sparqlQuery)
+    const response = await fetchuc(url, { headers: HEADERS })
+    if (!response) {
+        console.error('❌ Failed to fetch offlineWikis from SPARQL')
+        return []
+    }
+    const raw = await response.json()
+    return minimizeSimplifiedSparqlResults(simplifySparqlResults(raw))
+}
+
 /**
  * @returns {Array<{item: string, site: string}>}
  */
 world.sparql.cloudWikis = async () => {
     const sparqlQuery = `
-    PREFIX wdt: <https://wikibase.world/prop/direct/>
-    PREFIX wd: <https://wikibase.world/entity/>
+    ${sparqlPrefixes()}
     SELECT ?item ?site WHERE {
-      ?item wdt:P3 wd:Q10.  
-      ?item wdt:P2 wd:Q8. # wikibase.cloud host
-      ?item wdt:P1 ?site.
+      ?item wdt:${P.instanceOf} wd:${Q.wikibaseSite}.
+      ?item wdt:${P.host} wd:${Q.hostWikibaseCloud}. # wikibase.cloud host
+      ?item wdt:${P.url} ?site.
     }
     `
     const url = world.sdk.sparqlQuery(sparqlQuery)
@@ -249,47 +403,40 @@ world.sparql.cloudWikis = async () => {
     return minimizeSimplifiedSparqlResults(simplifySparqlResults(raw))
 }
 
+/**
+ * The wikibase.cloud IDs (P54) of wiki items, to find cloud wikis that moved to a custom domain
+ * @returns {Array<{item: string, cloudId: string}>}
+ */
+world.sparql.cloudIds = async () => {
+    const sparqlQuery = `
+    ${sparqlPrefixes()}
+    SELECT ?item ?cloudId WHERE {
+      ?item wdt:${P.instanceOf} wd:${Q.wikibaseSite}.
+      ?item wdt:${P.wikibaseCloudId} ?cloudId.
+    }
+    `
+    const url = world.sdk.sparqlQuery(sparqlQuery)
+    const response = await fetchuc(url, { headers: HEADERS })
+    if (!response) {
+        console.error('❌ Failed to fetch cloudIds from SPARQL')
+        return []
+    }
+    const raw = await response.json()
+    return minimizeSimplifiedSparqlResults(simplifySparqlResults(raw))
+}
+
 world.queueWork.claimEnsure = async (queue, data, requestConfig) => {
+    if (collectIntoBatch('claimEnsure', data, requestConfig)) return
     const jobName = `claimEnsure: ${data.id}/${data.property}`;
-    queue.add(async () => {
+    return queue.add(async () => {
         // Get the entity from data.id
-        const url = world.sdk.getEntities({ids: [ data.id ]})
-        const response = await fetchuc(url, { headers: HEADERS })
-        if (!response) {
-            console.error(`❌ Failed to fetch entities for ${data.id}: ${requestConfig.summary}`)
+        const entity = await getEntityToChange(data.id)
+        if (!entity) {
+            console.error(`❌ Failed to fetch entity for ${data.id}: ${requestConfig.summary}`)
             return
         }
-        const json = await response.json()
-        if (!json || !json.entities) {
-            console.error(`❌ Failed to parse entities for ${data.id}: ${requestConfig.summary}`)
-            return
-        }
-        const { entities } = json
         // Work with the raw claims so we can remove specific GUIDs rather than bluntly removing by value
-        const rawClaims = entities[data.id].claims && entities[data.id].claims[data.property] ? entities[data.id].claims[data.property] : []
-
-        // Helper to extract a comparable value from a claim mainsnak
-        const claimValueFrom = (claim) => {
-            try {
-                const dv = claim.mainsnak && claim.mainsnak.datavalue
-                if (!dv) return null
-                if (dv.type === 'wikibase-entityid') return dv.value && dv.value.id
-                return dv.value
-            } catch {
-                return null
-            }
-        }
-
-        const formatValue = (v) => {
-            if (v === null || v === undefined) return 'null'
-            if (typeof v === 'object') {
-                // Quantity objects have amount and unit
-                if ('amount' in v) return `${v.amount}`
-                // datavalue objects or other objects - stringify minimally
-                try { return JSON.stringify(v) } catch { return String(v) }
-            }
-            return String(v)
-        }
+        const rawClaims = entity.claims && entity.claims[data.property] ? entity.claims[data.property] : []
 
         const fullClaims = rawClaims.map(c => ({ guid: c.id, value: claimValueFrom(c) }))
 
@@ -301,22 +448,7 @@ world.queueWork.claimEnsure = async (queue, data, requestConfig) => {
         }
 
         const desired = data.value
-        const desiredClaims = fullClaims.filter(c => {
-            // Compare primitive and simple objects (e.g. quantity.amount vs number)
-            try {
-                if (typeof c.value === 'object' && c.value !== null && 'amount' in c.value) {
-                    // quantity object - compare numeric values
-                    const a = parseInt(String(c.value.amount).replace('+',''), 10)
-                    const b = typeof desired === 'object' && desired !== null && 'amount' in desired
-                        ? parseInt(String(desired.amount).replace('+',''), 10)
-                        : parseInt(String(desired), 10)
-                    return a === b
-                }
-                return c.value === desired
-            } catch {
-                return false
-            }
-        })
+        const desiredClaims = fullClaims.filter(c => valuesMatch(c.value, desired))
 
         // If we already have the desired value present in one or more claims
         if (desiredClaims.length >= 1) {
@@ -327,7 +459,7 @@ world.queueWork.claimEnsure = async (queue, data, requestConfig) => {
                 if (c.guid !== keepGuid) {
                     removed++
                     console.log(`🖊️ claimEnsure remove duplicate: ${data.id} ${data.property} (${c.guid}) (keeping ${keepGuid})`)
-                    world.queueWork.claimRemove(queue, { id: data.id, claim: c.guid }, requestConfig)
+                    world.queueWork.claimRemove(queue, { id: data.id, claim: c.guid }, requestConfig, { entity })
                 }
             }
             if (removed > 0) console.log(`🖊️ claimEnsure kept existing ${data.id} ${data.property} → ${formatValue(desired)} (removed ${removed} duplicates)`)
@@ -345,10 +477,129 @@ world.queueWork.claimEnsure = async (queue, data, requestConfig) => {
         // Multiple existing claims and none match desired: remove them all by GUID then create the canonical claim
         console.log(`🖊️ claimEnsure normalize: ${data.id} ${data.property} removing ${fullClaims.length} claims then creating ${formatValue(desired)}`)
         for (const c of fullClaims) {
-            world.queueWork.claimRemove(queue, { id: data.id, claim: c.guid }, requestConfig)
+            world.queueWork.claimRemove(queue, { id: data.id, claim: c.guid }, requestConfig, { entity })
         }
         world.queueWork.claimCreate(queue, data, requestConfig)
-    }, { jobName });
+    }, { jobName, checkpoint: checkpointOf('claimEnsure', data, requestConfig) });
+}
+
+/**
+ * Ensure a multi-value property includes a value, leaving its other values alone
+ */
+world.queueWork.claimInclude = async (queue, data, requestConfig) => {
+    if (collectIntoBatch('claimInclude', data, requestConfig)) return
+    const jobName = `claimInclude: ${data.id}/${data.property}`;
+    return queue.add(async () => {
+        const entity = await getEntityToChange(data.id)
+        if (!entity) {
+            console.error(`❌ Failed to fetch entity for ${data.id}: ${requestConfig.summary}`)
+            return
+        }
+        const values = (entity.claims?.[data.property] || []).map(claimValueFrom)
+        if (values.some(v => valuesMatch(v, data.value))) return
+        console.log(`🖊️ claimInclude add: ${data.id} ${data.property} → ${formatValue(data.value)} : ${requestConfig.summary}`)
+        world.queueWork.claimCreate(queue, data, requestConfig)
+    }, { jobName, checkpoint: checkpointOf('claimInclude', data, requestConfig) });
+}
+
+/**
+ * Bring an item to a declared desired state, planned against the entity as it is when the job runs
+ * @param {Object} queue - The queue to add the work to
+ * @param {{ id: string, claims: Object<string, import('./claims/desired.js').DesiredProperty> }} data - The item and its desired state by property
+ * @param {Object} requestConfig - Request config, whose summary is used when a property has no more specific one
+ */
+world.queueWork.desiredState = async (queue, data, requestConfig) => {
+    if (collectIntoBatch('desiredState', data, requestConfig)) return
+    const jobName = `desiredState: ${data.id}/${Object.keys(data.claims).join(',')}`;
+    return queue.add(async () => {
+        const entity = await getEntityToChange(data.id)
+        if (!entity) {
+            console.error(`❌ Failed to fetch entity for ${data.id}: ${requestConfig.summary}`)
+            return
+        }
+        const { claims, summaries, dropped } = planDesiredState(entity, [{ claims: data.claims, summary: requestConfig.summary, handler: currentHandler() }])
+        for (const { property, reason } of dropped) {
+            console.log(`❌ The item ${data.id} ${property} ${reason}`)
+        }
+        if (Object.keys(claims).length === 0) return
+        world.queueWork.entityEdit(queue, { id: data.id, claims }, { summary: combineSummaries(summaries) }, { entity })
+    }, { jobName, checkpoint: checkpointOf('desiredState', data, requestConfig) });
+}
+
+/**
+ * Make one entity.edit per entity for all changes collected in batch mode
+ * Each edit is attributed to all handlers whose changes it includes
+ * @param {Object} queue - The queue to add the edits to
+ */
+world.flushBatches = async (queue) => {
+    const batches = takeBatches()
+    if (batches.length === 0) return
+    console.log(`📦 Flushing batched changes for ${batches.length} entities`)
+    for (const [id, changes] of batches) {
+        queue.add(async () => {
+            const entity = await getEntityToChange(id)
+            if (!entity) {
+                console.error(`❌ Failed to fetch entity for ${id}, dropping ${changes.length} batched changes`)
+                return
+            }
+            const { data, summary, changes: made, dropped } = buildEntityEdit(entity, changes)
+            for (const { change, reason } of dropped) {
+                console.log(`⚠️ Dropped batched ${change.action} for ${id} from ${change.handler}: ${reason}`)
+            }
+            // From here on the entity edit, if any, carries the changes in the checkpoint
+            const handOver = () => changes.forEach(change => completeJob(change.checkpointId))
+            if (made.length === 0) {
+                console.log(`⏭️ Nothing to change for ${id} after batching ${changes.length} changes`)
+                handOver()
+                return
+            }
+            const handlers = [...new Set(made.map(c => c.handler).filter(Boolean))].sort()
+            runAsHandler(handlers.join(', '), () => world.queueWork.entityEdit(queue, data, { summary }, { entity }))
+            handOver()
+        }, { jobName: `flushBatch: ${id}` })
+    }
+}
+
+// These check the entity themselves when they run, so can be queued again as they are
+const SELF_CHECKING_ACTIONS = ['claimEnsure', 'claimInclude', 'desiredState']
+
+/**
+ * Queue the pending jobs of an interrupted run again, see enableCheckpoints
+ * Edits that were already made before the run stopped are skipped, by checking each against the entity as it is now
+ * @param {import('./checkpoint.js').CheckpointJob[]} jobs - Pending jobs from the checkpoint
+ * @param {Object} queue - The queue to add the edits to
+ */
+world.resumeJobs = async (jobs, queue) => {
+    if (jobs.length === 0) return
+    console.log(`⏯️ Queueing ${jobs.length} pending edits from the interrupted run`)
+
+    // Known wikis are only needed to check item creations
+    let wikiIndex
+    if (jobs.some(job => job.action === 'itemCreate')) {
+        wikiIndex = await world.wikiIndex()
+    }
+
+    for (const job of jobs) {
+        if (typeof world.queueWork[job.action] !== 'function') {
+            console.warn(`⚠️ Dropping pending ${job.action} ${job.id}: unknown action`)
+            completeJob(job.id)
+            continue
+        }
+        // Batched changes had not been edited yet, and are batched again
+        if (job.kind === 'edit' && !SELF_CHECKING_ACTIONS.includes(job.action)) {
+            const id = entityIdForEdit(job.action, job.data)
+            const entity = id ? await getEntity(id) : null
+            const entry = { ...job, id, ...describeChange(job.action, job.data, entity), baseRevision: null }
+            const { status, reason } = checkPlanEntry(entry, entity, { wikiIndex })
+            if (status !== 'pending') {
+                console.log(`⏭️ Skipping pending ${job.action} ${id || ''}: ${reason}`)
+                completeJob(job.id)
+                continue
+            }
+        }
+        runAsHandler(job.handler, () => world.queueWork[job.action](queue, job.data, { summary: job.summary }))
+        completeJob(job.id)
+    }
 }
 
 export { world }
\ No newline at end of file
@@ -0,0 +1,90 @@
+/* eslint-env mocha */
+/* global describe, it */
+import { expect } from 'chai';
+import { checkPlanEntry, noteAppliedEntry } from '../src/edits/apply.js';
+import { WikiIndex } from '../src/wiki-url.js';
+
+const stringClaim = (id, property, value) => ({
+    id,
+    mainsnak: { snaktype: 'value', property, datavalue: { type: 'string', value } },
+});
+
+const entityWith = (lastrevid, claims = {}) => ({ id: 'Q1', lastrevid, claims, labels: {}, aliases: {} });
+
+describe('checkPlanEntry', function () {
+    const update = {
+        action: 'claimUpdate',
+        id: 'Q1',
+        property: 'P57',
+        data: { id: 'Q1', property: 'P57', oldValue: '1.39.0', newValue: '1.43.0' },
+        before: '1.39.0',
+        after: '1.43.0',
+        baseRevision: 10,
+    };
+
+    it('is pending when the entity still has the old value', function () {
+        const entity = entityWith(10, { P57: [stringClaim('Q1$a', 'P57', '1.39.0')] });
+        expect(checkPlanEntry(update, entity).status).to.equal('pending');
+    });
+
+    it('is satisfied when the entity already has the new value', function () {
+        const entity = entityWith(11, { P57: [stringClaim('Q1$a', 'P57', '1.43.0')] });
+        expect(checkPlanEntry(update, entity).status).to.equal('satisfied');
+    });
+
+    it('is a conflict when the value changed to something else since the plan', function () {
+        const entity = entityWith(12, { P57: [stringClaim('Q1$a', 'P57', '1.42.0')] });
+        expect(checkPlanEntry(update, entity).status).to.equal('conflict');
+    });
+
+    it('is a conflict when the entity no longer exists', function () {
+        expect(checkPlanEntry(update, null).status).to.equal('conflict');
+    });
+
+    it('is satisfied when a removed claim GUID is already gone', function () {
+        const entry = { action: 'claimRemove', id: 'Q1', data: { id: 'Q1', claim: 'Q1$b' }, before: 'x', baseRevision: 10 };
+        const entity = entityWith(11, { P57: [stringClaim('Q1$a', 'P57', '1.43.0')] });
+        expect(checkPlanEntry(entry, entity).status).to.equal('satisfied');
+    });
+
+    it('is satisfied when the reference is already on the claim', function () {
+        const entry = { action: 'referenceSet', id: 'Q1', data: { guid: 'Q1$a', snaks: { P21: 'https://example.org/api' } }, baseRevision: 10 };
+        const claim = stringClaim('Q1$a', 'P5', 'x');
+        claim.references = [{ snaks: { P21: [{ snaktype: 'value', property: 'P21', datavalue: { type: 'string', value: 'https://example.org/api' } }] } }];
+        expect(checkPlanEntry(entry, entityWith(11, { P5: [claim] })).status).to.equal('satisfied');
+    });
+
+    it('is satisfied when a planned item already exists by P1', function () {
+        const entry = { action: 'itemCreate', id: null, data: { claims: { P1: 'https://example.org' } } };
+        const wikiIndex = new WikiIndex([{ item: 'Q2', site: 'https://example.org' }]);
+        expect(checkPlanEntry(entry, null, { wikiIndex }).status).to.equal('satisfied');
+        expect(checkPlanEntry(entry, null).status).to.equal('pending');
+    });
+
+    it('finds a planned item by the key of its URL, not the exact string', function () {
+        const entry = { action: 'itemCreate', id: null, data: { claims: { P1: 'https://www.Example.org/' } } };
+        const wikiIndex = new WikiIndex([{ item: 'Q2', site: 'http://example.org' }]);
+        expect(checkPlanEntry(entry, null, { wikiIndex })).to.deep.equal({ status: 'satisfied', reason: 'an item for https://www.Example.org/ already exists (Q2)' });
+    });
+
+    it('expects the values removed by earlier entries of the same plan', function () {
+        const planned = entityWith(10, { P57: [stringClaim('Q1$a', 'P57', '1.39.0'), stringClaim('Q1$b', 'P57', '1.40.0')] });
+        const removals = ['Q1$a', 'Q1$b'].map(claim => ({ action: 'claimRemove', id: 'Q1', data: { id: 'Q1', claim }, baseRevision: 10 }));
+        const create = { action: 'claimCreate', id: 'Q1', property: 'P57', data: { id: 'Q1', property: 'P57', value: '1.43.0' }, before: ['1.39.0', '1.40.0'], baseRevision: 10 };
+
+        const progress = new Map();
+        noteAppliedEntry(progress, removals[0], planned, { pageinfo: { lastrevid: 11 } });
+        noteAppliedEntry(progress, removals[1], entityWith(11, { P57: [planned.claims.P57[1]] }), { pageinfo: { lastrevid: 12 } });
+
+        expect(checkPlanEntry(create, entityWith(12), { progress })).to.deep.equal({ status: 'pending', reason: 'P57 unchanged since plan' });
+        expect(checkPlanEntry(create, entityWith(12)).status).to.equal('conflict');
+    });
+
+    it('takes the revision reached by the plan\'s own edits as unchanged', function () {
+        const progress = new Map([['Q1', { baseRevision: 10, revision: 12, removed: {}, added: {} }]]);
+        const entry = { action: 'claimCreate', id: 'Q1', property: 'P57', data: { id: 'Q1', property: 'P57', value: '1.43.0' }, before: ['1.39.0'], baseRevision: 10 };
+        const entity = entityWith(12, { P57: [stringClaim('Q1$c', 'P57', '1.42.0')] });
+        expect(checkPlanEntry(entry, entity, { progress }).status).to.equal('pending');
+        expect(checkPlanEntry(entry, entityWith(13, entity.claims), { progress }).status).to.equal('conflict');
+    });
+});
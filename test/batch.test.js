@@ -0,0 +1,91 @@
+/* eslint-env mocha */
+/* global describe, it */
+import { expect } from 'chai';
+import { buildEntityEdit, combineSummaries, touchedState, applyEditToState, sameState, inverseEntityEdit } from '../src/edits/batch.js';
+
+const itemClaim = (id, property, value) => ({
+    id,
+    mainsnak: { snaktype: 'value', property, datatype: 'wikibase-item', datavalue: { type: 'wikibase-entityid', value: { 'entity-type': 'item', id: value } } },
+    rank: 'normal',
+});
+const urlClaim = (id, property, value) => ({
+    id,
+    mainsnak: { snaktype: 'value', property, datatype: 'url', datavalue: { type: 'string', value } },
+    rank: 'normal',
+});
+const change = (action, data, handler = 'processor:a', summary = `${action} ${data.property || data.language}`) => ({ action, data: { id: 'Q1', ...data }, summary, handler });
+
+describe('buildEntityEdit', function () {
+    it('combines changes to several properties into one edit', function () {
+        const entity = { id: 'Q1', claims: { P7: [urlClaim('Q1$a', 'P7', 'https://a.example/old')] } };
+        const { data, summary, changes } = buildEntityEdit(entity, [
+            change('claimEnsure', { property: 'P2', value: 'Q8' }),
+            change('claimEnsure', { property: 'P7', value: 'https://a.example/query' }),
+            change('claimInclude', { property: 'P37', value: 'Q285' }),
+            change('claimInclude', { property: 'P37', value: 'Q287' }),
+        ]);
+        expect(changes).to.have.length(4);
+        expect(data.claims.P2).to.deep.equal([{ value: 'Q8' }]);
+        expect(data.claims.P7).to.deep.equal([{ id: 'Q1$a', value: 'https://a.example/query', rank: 'normal', qualifiers: {}, references: [] }]);
+        expect(data.claims.P37.map(c => c.value)).to.deep.equal(['Q285', 'Q287']);
+        expect(summary).to.equal('claimEnsure P2; claimEnsure P7; claimInclude P37');
+    });
+
+    it('resolves conflicting ensures in favour of the value already present', function () {
+        const entity = { id: 'Q1', claims: { P13: [itemClaim('Q1$a', 'P13', 'Q54')] } };
+        const { changes, dropped } = buildEntityEdit(entity, [
+            change('claimEnsure', { property: 'P13', value: 'Q72' }, 'processor:a'),
+            change('claimEnsure', { property: 'P13', value: 'Q54' }, 'processor:b'),
+        ]);
+        expect(changes).to.have.length(0);
+        expect(dropped.map(d => d.change.data.value)).to.deep.equal(['Q72']);
+    });
+
+    it('otherwise resolves conflicting ensures by handler name', function () {
+        const { data, dropped } = buildEntityEdit({ id: 'Q1', claims: {} }, [
+            change('claimEnsure', { property: 'P13', value: 'Q54' }, 'processor:b'),
+            change('claimEnsure', { property: 'P13', value: 'Q72' }, 'processor:a'),
+        ]);
+        expect(data.claims.P13).to.deep.equal([{ value: 'Q72' }]);
+        expect(dropped.map(d => d.change.handler)).to.deep.equal(['processor:b']);
+    });
+
+    it('skips changes the entity already has', function () {
+        const entity = { id: 'Q1', labels: { en: { language: 'en', value: 'Wiki' } }, claims: { P12: [itemClaim('Q1$a', 'P12', 'Q51')] } };
+        const { data, changes } = buildEntityEdit(entity, [
+            change('labelSet', { language: 'en', value: 'Wiki' }),
+            change('claimInclude', { property: 'P12', value: 'Q51' }),
+        ]);
+        expect(changes).to.have.length(0);
+        expect(data).to.deep.equal({ id: 'Q1' });
+    });
+});
+
+describe('combineSummaries', function () {
+    it('drops duplicates and shortens long summaries', function () {
+        expect(combineSummaries(['a', 'b', 'a'])).to.equal('a; b');
+        const long = Array.from({ length: 20 }, (_, i) => `${i} ${'x'.repeat(40)}`);
+        const summary = combineSummaries(long);
+        expect(summary.length).to.be.at.most(500);
+        expect(summary).to.match(/\(\+\d+ more\)$/);
+    });
+});
+
+describe('inverseEntityEdit', function () {
+    it('restores the touched state from before a batched edit', function () {
+        const before = { id: 'Q1', labels: {}, claims: { P7: [urlClaim('Q1$a', 'P7', 'https://a.example/old')] } };
+        const edit = { id: 'Q1', labels: { en: 'Wiki' }, claims: { P7: [{ id: 'Q1$a', value: 'https://a.example/query' }], P2: [{ value: 'Q8' }] } };
+        const after = { id: 'Q1', labels: { en: { language: 'en', value: 'Wiki' } }, claims: {
+            P7: [urlClaim('Q1$a', 'P7', 'https://a.example/query')],
+            P2: [itemClaim('Q1$b', 'P2', 'Q8')],
+        } };
+        const beforeState = touchedState(before, edit);
+        const afterState = touchedState(after, edit);
+        expect(sameState(applyEditToState(beforeState, edit), afterState)).to.equal(true);
+
+        const restore = inverseEntityEdit(beforeState, afterState);
+        expect(restore.labels).to.deep.equal({ en: null });
+        expect(restore.claims.P2).to.deep.equal([{ id: 'Q1$b', remove: true }]);
+        expect(restore.claims.P7[0]).to.include({ id: 'Q1$a', value: 'https://a.example/old' });
+    });
+});
@@ -0,0 +1,66 @@
+/* eslint-env mocha */
+/* global describe, it, before, after */
+import { expect } from 'chai';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { queues, runInScope } from '../src/general.js';
+import { enableCheckpoints, readCheckpoint, wasProcessed, finishCheckpoints } from '../src/checkpoint.js';
+
+const editJob = (value) => ({ kind: 'edit', action: 'labelSet', data: { id: 'Q1', language: 'en', value }, summary: 'test', handler: null });
+
+describe('checkpoints', function () {
+    let dir;
+    let file;
+
+    before(function () {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'world-checkpoint-'));
+        file = path.join(dir, 'test.jsonl');
+    });
+
+    after(function () {
+        finishCheckpoints();
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    it('keeps unfinished jobs pending, and marks scopes processed once all their jobs finished', async function () {
+        enableCheckpoints('test', { file });
+        let release;
+        const gate = new Promise(resolve => { release = resolve; });
+
+        const done = runInScope('Q1', () => queues.one.add(async () => {}, { jobName: 'done', checkpoint: editJob('done') }));
+        const waiting = runInScope('Q2', async () => {
+            // A follow-up job queued from a job still counts towards the scope
+            await queues.many.add(async () => {
+                queues.one.add(() => gate, { jobName: 'waiting', checkpoint: editJob('waiting') });
+            }, { jobName: 'follow-up' });
+        });
+        const failing = runInScope('Q3', () => queues.many.add(async () => { throw new Error('failed'); }, { jobName: 'failing' }));
+        await Promise.all([done, waiting, failing.catch(() => null)]);
+
+        const interrupted = readCheckpoint(file);
+        expect(interrupted.processed).to.deep.equal(['Q1']);
+        expect(interrupted.pending.map(job => job.data.value)).to.deep.equal(['waiting']);
+        expect(interrupted.pending[0]).to.include({ kind: 'edit', action: 'labelSet', summary: 'test' });
+
+        release();
+        await new Promise(resolve => setTimeout(resolve, 10));
+        expect(readCheckpoint(file).processed).to.deep.equal(['Q1', 'Q2']);
+    });
+
+    it('resumes the pending jobs and processed scopes of an interrupted run', function () {
+        fs.appendFileSync(file, JSON.stringify({ type: 'job', id: 'old-1', ...editJob('left over') }) + '\n');
+
+        const pending = enableCheckpoints('test', { resume: true, file });
+        expect(pending.map(job => job.id)).to.deep.equal(['old-1']);
+        expect(wasProcessed('Q2')).to.equal(true);
+        expect(wasProcessed('Q3')).to.equal(false);
+        // The new checkpoint starts with what was carried over
+        expect(readCheckpoint(file).pending.map(job => job.id)).to.deep.equal(['old-1']);
+
+        finishCheckpoints();
+        expect(fs.existsSync(file)).to.equal(false);
+        expect(enableCheckpoints('test', { file })).to.deep.equal([]);
+        expect(wasProcessed('Q2')).to.equal(false);
+    });
+});
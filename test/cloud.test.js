@@ -0,0 +1,61 @@
+/* eslint-env mocha */
+/* global describe, it, before, after */
+import { expect } from 'chai';
+import { BASE_REGISTRY, startFakeWorld, runCommand, removeTempDirs } from './support/run-command.js';
+
+const { properties: P, items: Q } = BASE_REGISTRY;
+
+describe('wikibase.cloud import against a fake Wikibase', function () {
+    this.timeout(90000);
+    let fake;
+    let wikiUrl;
+
+    before(async function () {
+        ({ fake, wikiUrl } = await startFakeWorld());
+    });
+
+    after(async function () {
+        await fake.close();
+        removeTempDirs();
+    });
+
+    it('reconciles a known wiki that moved to a custom domain with the API', async function () {
+        const oldSite = `${wikiUrl}/cloud-old`;
+        const id = fake.addItem({
+            labels: { en: 'Old Name' },
+            claims: {
+                [P.url]: oldSite,
+                [P.instanceOf]: Q.wikibaseSite,
+                [P.host]: Q.hostWikibaseCloud,
+                [P.wikibaseCloudId]: '7',
+                [P.pageCount]: 100,
+            },
+        });
+        const api = `${wikiUrl}/cloud-api`;
+        fake.pages['/cloud-api'] = JSON.stringify({
+            meta: { per_page: 99999, to: 1 },
+            data: [{ id: 7, domain: 'custom.example', sitename: 'New Name', wiki_site_stats: { pages: 5000, edits: 20000 } }],
+        });
+
+        await runCommand(fake, 'cmd/import-cloud.js', [], { WORLD_CLOUD_API_URL: api });
+
+        const entity = fake.getEntity(id);
+        expect(entity.labels.en.value).to.equal('New Name');
+        // The old label and domain stay findable, and the new domain is the URL rather than an alias
+        expect(entity.aliases.en.map(alias => alias.value)).to.have.members(['localhost', 'Old Name']);
+
+        const urls = entity.claims[P.url];
+        expect(urls.map(claim => ({ value: claim.mainsnak.datavalue.value, rank: claim.rank }))).to.have.deep.members([
+            { value: oldSite, rank: 'deprecated' },
+            { value: 'https://custom.example', rank: 'normal' },
+        ]);
+        expect(urls.find(claim => claim.rank === 'deprecated').qualifiers[P.endTime]).to.have.length(1);
+        const added = urls.find(claim => claim.rank === 'normal');
+        expect(added.references[0].snaks[P.referenceUrl][0].datavalue.value).to.equal(api);
+
+        expect(fake.claimValues(id, P.pageCount)).to.deep.equal([5000]);
+        expect(fake.claimValues(id, P.editCount)).to.deep.equal([20000]);
+        expect(entity.claims[P.pageCount][0].references[0].snaks[P.referenceUrl][0].datavalue.value).to.equal(api);
+        expect(fake.claimValues(id, P.mainPage)).to.deep.equal(['https://custom.example/wiki/Main_Page']);
+    });
+});
@@ -0,0 +1,59 @@
+/* eslint-env mocha */
+/* global describe, it, before, after */
+import { expect } from 'chai';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { setDeletionsFile, getDeletionsFile, recordDeleted, endDeletionStreak, deletionStreak, deletionDue, exceedsCap } from '../src/deletions.js';
+
+describe('deletion history', function () {
+    const originalFile = getDeletionsFile();
+    const policy = { sightings: 2, graceDays: 14, maxPercent: 5, minCap: 3 };
+    const day = 86400 * 1000;
+    let dir;
+
+    before(function () {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'world-deletions-'));
+        setDeletionsFile(path.join(dir, 'deletions.jsonl'));
+    });
+
+    after(function () {
+        setDeletionsFile(originalFile);
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    it('only marks a wiki reported deleted over the grace period, per source', function () {
+        const now = Date.now();
+        const report = (item, source, daysAgo, status = 'Q57') => ({ item, site: `https://${item}.example`, source, status, reason: 'no longer listed', checked: new Date(now - daysAgo * day).toISOString() });
+        const lines = [
+            report('Q1', 'cloud', 20), report('Q1', 'cloud', 1),
+            report('Q2', 'cloud', 20), { ...report('Q2', 'cloud', 10), status: 'present' }, report('Q2', 'cloud', 1),
+            report('Q3', 'miraheze', 3, 'Q1345'), report('Q3', 'miraheze', 0, 'Q1345'),
+            report('Q1', 'miraheze', 20),
+        ];
+        fs.appendFileSync(getDeletionsFile(), lines.map(line => JSON.stringify(line) + '\n').join(''));
+        setDeletionsFile(getDeletionsFile());
+
+        expect(deletionDue(deletionStreak('Q1', 'cloud'), policy)).to.equal(true);
+        // Being there in between starts the grace period again
+        expect(deletionStreak('Q2', 'cloud')).to.include({ sightings: 1 });
+        expect(deletionDue(deletionStreak('Q2', 'cloud'), policy)).to.equal(false);
+        // Reported enough times, but not over enough days
+        expect(deletionStreak('Q3', 'miraheze')).to.include({ sightings: 2, status: 'Q1345' });
+        expect(deletionDue(deletionStreak('Q3', 'miraheze'), policy)).to.equal(false);
+        expect(deletionDue(deletionStreak('Q1', 'miraheze'), policy)).to.equal(false);
+
+        const wiki = { item: 'Q1', site: 'https://Q1.example' };
+        expect(endDeletionStreak(wiki, 'cloud', 'marked')).to.equal(true);
+        expect(endDeletionStreak(wiki, 'cloud', 'marked')).to.equal(false);
+        expect(recordDeleted(wiki, 'cloud', 'Q57', 'no longer listed')).to.include({ sightings: 1, status: 'Q57' });
+    });
+
+    it('caps the share of wikis that may be reported deleted at once', function () {
+        expect(exceedsCap(50, 1000, policy)).to.equal(false);
+        expect(exceedsCap(51, 1000, policy)).to.equal(true);
+        // Small sources may always lose a few
+        expect(exceedsCap(3, 10, policy)).to.equal(false);
+        expect(exceedsCap(4, 10, policy)).to.equal(true);
+    });
+});
@@ -0,0 +1,126 @@
+/* eslint-env mocha */
+/* global describe, it */
+import { expect } from 'chai';
+import { planDesiredState } from '../src/claims/desired.js';
+
+const snak = (property, datatype, datavalue) => ({ snaktype: 'value', property, datatype, datavalue });
+const stringClaim = (id, property, value, extra = {}) => ({
+    id,
+    mainsnak: snak(property, 'string', { type: 'string', value }),
+    rank: 'normal',
+    ...extra,
+});
+const quantityClaim = (id, property, amount) => ({
+    id,
+    mainsnak: snak(property, 'quantity', { type: 'quantity', value: { amount: `+${amount}`, unit: '1' } }),
+    rank: 'normal',
+});
+const datedClaim = (id, property, amount, date, rank) => ({
+    ...quantityClaim(id, property, amount),
+    rank,
+    qualifiers: { P99: [snak('P99', 'time', { type: 'time', value: { time: `+${date}T00:00:00Z`, timezone: 0, before: 0, after: 0, precision: 11, calendarmodel: 'http://www.wikidata.org/entity/Q1985727' } })] },
+});
+const entityWith = (claims) => ({ id: 'Q1', claims });
+const history = (value, date) => ({
+    P62: { mode: 'history', pointInTime: 'P99', values: [{ value, qualifiers: { P99: date }, references: [{ P21: 'https://a.example/w/api.php', P22: date }] }], summaryAdd: 'Add {new}', summaryUpdate: 'Update from {old} to {new}' },
+});
+const sourced = (retrieved) => ({ references: [{ hash: 'h', snaks: {
+    P21: [snak('P21', 'url', { type: 'string', value: 'https://a.example/w/api.php' })],
+    P22: [snak('P22', 'time', { type: 'time', value: { time: `+${retrieved}T00:00:00Z`, timezone: 0, before: 0, after: 0, precision: 11, calendarmodel: 'http://www.wikidata.org/entity/Q1985727' } })],
+} }] });
+const source = { url: 'https://a.example/w/api.php', retrieved: '2025-06-01', refreshDays: 90 };
+const declare = (claims, handler = 'processor:a', summary = 'summary') => ({ claims, summary, handler });
+
+describe('planDesiredState', function () {
+    it('replaces a differing single value in place, keeping its GUID', function () {
+        const entity = entityWith({ P68: [stringClaim('Q1$a', 'P68', '8.1.0')] });
+        const { claims, summaries } = planDesiredState(entity, [declare({
+            P68: { values: [{ value: '8.2.0' }], summaryUpdate: 'Update from {old} to {new}' },
+        })]);
+        expect(claims.P68).to.deep.equal([{ id: 'Q1$a', value: '8.2.0', rank: 'normal', qualifiers: {}, references: [] }]);
+        expect(summaries).to.deep.equal(['Update from 8.1.0 to 8.2.0']);
+    });
+
+    it('plans nothing when the entity already has the declared state', function () {
+        const entity = entityWith({ P68: [stringClaim('Q1$a', 'P68', '8.2.0')], P62: [quantityClaim('Q1$b', 'P62', 1000)] });
+        const { claims, declarations } = planDesiredState(entity, [declare({
+            P68: { values: [{ value: '8.2.0' }] },
+            P62: { values: [{ value: 1200, threshold: 0.5 }] },
+        })]);
+        expect(claims).to.deep.equal({});
+        expect(declarations).to.have.length(0);
+    });
+
+    it('adds missing qualifiers and references to an existing value', function () {
+        const entity = entityWith({ P37: [stringClaim('Q1$a', 'P37', 'Q287')] });
+        const { claims } = planDesiredState(entity, [declare({
+            P37: { mode: 'include', values: [{ value: 'Q287', qualifiers: { P1: 'https://a.example/tools/cradle' }, references: [{ P21: 'https://a.example' }] }] },
+        })]);
+        expect(claims.P37).to.have.length(1);
+        expect(claims.P37[0]).to.include({ id: 'Q1$a', value: 'Q287' });
+        expect(claims.P37[0].qualifiers).to.deep.equal({ P1: ['https://a.example/tools/cradle'] });
+        expect(claims.P37[0].references).to.deep.equal([{ P21: 'https://a.example' }]);
+    });
+
+    it('removes undeclared values in exact mode with removeOthers but leaves them in include mode', function () {
+        const entity = entityWith({ P12: [stringClaim('Q1$a', 'P12', 'Q51'), stringClaim('Q1$b', 'P12', 'Q99')] });
+        const exact = planDesiredState(entity, [declare({ P12: { removeOthers: true, values: [{ value: 'Q51' }] } })]);
+        expect(exact.claims.P12).to.deep.equal([{ id: 'Q1$b', remove: true }]);
+        const include = planDesiredState(entity, [declare({ P12: { mode: 'include', values: [{ value: 'Q52' }] } })]);
+        expect(include.claims.P12).to.deep.equal([{ value: 'Q52' }]);
+    });
+
+    it('leaves a property with several values alone in exact mode, and reports it', function () {
+        const entity = entityWith({ P12: [stringClaim('Q1$a', 'P12', 'Q51'), stringClaim('Q1$b', 'P12', 'Q99')] });
+        const { claims, dropped } = planDesiredState(entity, [declare({ P12: { values: [{ value: 'Q52' }] } }, 'processor:a')]);
+        expect(claims).to.deep.equal({});
+        expect(dropped.map(d => [d.property, d.declaration.handler, d.reason])).to.deep.equal([['P12', 'processor:a', 'has 2 claims, which are left alone without removeOthers']]);
+    });
+
+    it('merges declarations and resolves conflicting exact values by handler', function () {
+        const { claims, dropped } = planDesiredState(entityWith({}), [
+            declare({ P13: { values: [{ value: 'Q72' }] } }, 'processor:b'),
+            declare({ P13: { values: [{ value: 'Q54' }] } }, 'processor:a'),
+            declare({ P12: { mode: 'include', values: [{ value: 'Q51' }] } }, 'processor:c'),
+            declare({ P12: { mode: 'include', values: [{ value: 'Q52' }] } }, 'processor:d'),
+        ]);
+        expect(claims.P13).to.deep.equal([{ value: 'Q54' }]);
+        expect(claims.P12).to.deep.equal([{ value: 'Q51' }, { value: 'Q52' }]);
+        expect(dropped.map(d => d.declaration.handler)).to.deep.equal(['processor:b']);
+    });
+
+    it('adds a new value to a history as the preferred statement, thinning older ones to one per month', function () {
+        const entity = entityWith({ P62: [
+            datedClaim('Q1$old', 'P62', 900, '2025-01-03', 'normal'),
+            datedClaim('Q1$jan', 'P62', 1000, '2025-01-28', 'normal'),
+            datedClaim('Q1$feb', 'P62', 1100, '2025-02-10', 'preferred'),
+        ] });
+        const { claims, summaries } = planDesiredState(entity, [declare(history(1200, '2025-03-01'))]);
+
+        expect(claims.P62[0]).to.deep.equal({ value: 1200, qualifiers: { P99: '2025-03-01' }, references: [{ P21: 'https://a.example/w/api.php', P22: '2025-03-01' }], rank: 'preferred' });
+        expect(claims.P62.slice(1).map(c => c.remove ? `${c.id} removed` : `${c.id} ${c.rank}`)).to.deep.equal(['Q1$feb normal', 'Q1$old removed']);
+        expect(summaries[0]).to.equal('Add 1200');
+    });
+
+    it('replaces the newest statement of a history from the same month, and leaves an unchanged value alone', function () {
+        const entity = entityWith({ P62: [datedClaim('Q1$mar', 'P62', 1100, '2025-03-01', 'preferred')] });
+        const { claims, summaries } = planDesiredState(entity, [declare(history(1200, '2025-03-20'))]);
+        expect(claims.P62).to.have.length(1);
+        expect(claims.P62[0]).to.include({ id: 'Q1$mar', value: 1200, rank: 'preferred' });
+        expect(claims.P62[0].qualifiers.P99).to.deep.equal(['2025-03-20']);
+        expect(summaries).to.deep.equal(['Update from 1100 to 1200']);
+
+        expect(planDesiredState(entity, [declare(history(1100, '2025-04-02'))]).claims).to.deep.equal({});
+    });
+
+    it('references the source of an unchanged value, refreshing only an outdated retrieved date', function () {
+        const plan = (claim) => planDesiredState(entityWith({ P68: [claim] }), [declare({ P68: { values: [{ value: '8.2.0', source }] } })]).claims;
+
+        expect(plan(stringClaim('Q1$a', 'P68', '8.2.0'))).to.deep.equal({ P68: [{ id: 'Q1$a', value: '8.2.0', rank: 'normal', qualifiers: {},
+            references: [{ P21: 'https://a.example/w/api.php', P22: '2025-06-01' }] }] });
+        expect(plan(stringClaim('Q1$a', 'P68', '8.2.0', sourced('2025-01-10'))).P68[0].references).to.deep.equal([
+            { P21: ['https://a.example/w/api.php'], P22: ['2025-06-01'] },
+        ]);
+        expect(plan(stringClaim('Q1$a', 'P68', '8.2.0', sourced('2025-04-10')))).to.deep.equal({});
+    });
+});
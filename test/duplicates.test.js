@@ -0,0 +1,22 @@
+/* eslint-env mocha */
+/* global describe, it */
+import { expect } from 'chai';
+import { findDuplicates, mergeProposals } from '../src/duplicates.js';
+
+describe('duplicates', function () {
+    it('ranks pairs sharing identifying facts, ignoring facts shared by many wikis', function () {
+        const pairs = findDuplicates([
+            { item: 'Q10', urls: ['https://a.wikibase.cloud'], cloudIds: ['7'], identity: 'x' },
+            { item: 'Q2', urls: ['http://www.a.wikibase.cloud/wiki/Main_Page'], cloudIds: ['7'], identity: 'x' },
+            { item: 'Q3', urls: ['https://aa.wikibase.cloud'], metadataIds: ['55'], identity: 'default' },
+            { item: 'Q4', urls: ['https://b.example'], metadataIds: ['55'], identity: 'default' },
+            { item: 'Q5', urls: ['https://c.example'], identity: 'default' },
+        ]);
+
+        expect(pairs.map(pair => pair.items)).to.deep.equal([['Q2', 'Q10'], ['Q3', 'Q4']]);
+        expect(pairs[0].evidence).to.deep.equal(['same url a.wikibase.cloud', 'same cloudId 7', 'same sitename and wikiid']);
+        expect(pairs[0].score).to.equal(113);
+        expect(pairs[1]).to.include({ score: 90 });
+        expect(mergeProposals(pairs.slice(1))).to.equal('* Merge [[Item:Q4]] into [[Item:Q3]] (score 90): same metadataId 55\n');
+    });
+});
@@ -0,0 +1,303 @@
+/* eslint-env mocha */
+/* global describe, it, before, after */
+import { expect } from 'chai';
+import fs from 'fs';
+import path from 'path';
+import { BASE_REGISTRY, SHIPPED_REGISTRY, startFakeWorld, runCommand, mainPage, tempDir, removeTempDirs } from './support/run-command.js';
+
+const { properties: P, items: Q } = BASE_REGISTRY;
+
+describe('end to end against a fake Wikibase', function () {
+    this.timeout(90000);
+    let fake;
+    let wikiUrl;
+    let statePath;
+
+    before(async function () {
+        ({ fake, wikiUrl } = await startFakeWorld());
+        // Shared between runs, as the state store is what carries over from one run to the next
+        statePath = path.join(tempDir('world-e2e-state-'), 'state.jsonl');
+    });
+
+    after(async function () {
+        await fake.close();
+        removeTempDirs();
+    });
+
+    it('records a plan without editing in plan mode', async function () {
+        const editsBefore = fake.edits.length;
+        const { dir } = await runCommand(fake, 'cmd/import-list.js', [wikiUrl], { WORLD_PLAN: 'plan.jsonl' });
+
+        expect(fake.edits.length).to.equal(editsBefore);
+        const plan = fs.readFileSync(path.join(dir, 'plan.jsonl'), 'utf8').trim().split('\n').map(line => JSON.parse(line));
+        expect(plan.map(entry => entry.action)).to.deep.equal(['itemCreate']);
+        expect(plan[0].data.claims[P.url]).to.equal(`${wikiUrl}/`);
+    });
+
+    it('records a plan with --dry-run, without needing credentials', async function () {
+        const editsBefore = fake.edits.length;
+        const { dir } = await runCommand(fake, 'cmd/import-list.js', [wikiUrl, '--dry-run'], { WORLD_USERNAME: '', WORLD_PASSWORD: '' });
+
+        expect(fake.edits.length).to.equal(editsBefore);
+        expect(fs.readdirSync(path.join(dir, '.data/plans'))).to.deep.equal(['e2e.jsonl']);
+    });
+
+    it('applies a plan, counting edits that fail apart from those applied', async function () {
+        const id = fake.addItem({ labels: { en: 'Planned Wiki' } });
+        const { lastrevid } = fake.getEntity(id);
+        const dir = tempDir('world-e2e-plan-');
+        const planFile = path.join(dir, 'plan.jsonl');
+        fs.writeFileSync(planFile, [
+            { action: 'labelSet', id, data: { id, language: 'de', value: 'Geplantes Wiki' }, summary: 'Planned label', before: null, after: 'Geplantes Wiki', baseRevision: lastrevid },
+            { action: 'claimCreate', id, property: 'P9999', data: { id, property: 'P9999', value: 'x' }, summary: 'Planned claim', before: [], after: ['x'], baseRevision: lastrevid },
+        ].map(entry => JSON.stringify(entry) + '\n').join(''));
+
+        const { stdout } = await runCommand(fake, 'cmd/apply-plan.js', [planFile]);
+
+        expect(fake.getEntity(id).labels.de.value).to.equal('Geplantes Wiki');
+        expect(stdout).to.match(/Applied: +1\n/);
+        expect(stdout).to.match(/Failed: +1\n/);
+    });
+
+    it('applies a plan that normalizes a property, expecting the removals made before its create', async function () {
+        const id = fake.addItem({ labels: { en: 'Normalized Wiki' }, claims: { [P.phpVersion]: ['8.1.0', '8.2.0'] } });
+        const { lastrevid, claims } = fake.getEntity(id);
+        const dir = tempDir('world-e2e-plan-');
+        const planFile = path.join(dir, 'plan.jsonl');
+        fs.writeFileSync(planFile, [
+            ...claims[P.phpVersion].map(claim => ({
+                action: 'claimRemove', id, data: { id, claim: claim.id }, summary: 'Normalize', before: claim.mainsnak.datavalue.value, after: null, baseRevision: lastrevid,
+            })),
+            { action: 'claimCreate', id, property: P.phpVersion, data: { id, property: P.phpVersion, value: '8.3.0' }, summary: 'Normalize', before: ['8.1.0', '8.2.0'], after: ['8.1.0', '8.2.0', '8.3.0'], baseRevision: lastrevid },
+        ].map(entry => JSON.stringify(entry) + '\n').join(''));
+
+        const { stdout } = await runCommand(fake, 'cmd/apply-plan.js', [planFile]);
+
+        expect(fake.claimValues(id, P.phpVersion)).to.deep.equal(['8.3.0']);
+        expect(stdout).to.match(/Applied: +3\n/);
+        expect(stdout).to.match(/Conflicts: +0\n/);
+    });
+
+    it('undoes a run, counting reverts that fail apart from those made', async function () {
+        const id = fake.addItem({ labels: { en: 'Undone Wiki', de: 'Neues Wiki' } });
+        const { lastrevid } = fake.getEntity(id);
+        const dir = tempDir('world-e2e-undo-');
+        const journalFile = path.join(dir, 'journal.jsonl');
+        fs.writeFileSync(journalFile, [
+            { action: 'labelSet', id, data: { id, language: 'de', value: 'Neues Wiki' }, before: 'Altes Wiki', after: 'Neues Wiki', revision: lastrevid, run: 'r1' },
+            { action: 'claimRemove', id, data: { id, property: 'P9999', value: 'x' }, before: ['x'], after: [], revision: lastrevid, run: 'r1' },
+        ].map(entry => JSON.stringify(entry) + '\n').join(''));
+
+        const { stdout } = await runCommand(fake, 'cmd/undo.js', ['--run=r1', `--journal=${journalFile}`]);
+
+        expect(fake.getEntity(id).labels.de.value).to.equal('Altes Wiki');
+        expect(stdout).to.match(/Reverted: +1\n/);
+        expect(stdout).to.match(/Failed: +1\n/);
+        expect(stdout).to.match(/Failed \(not reverted\):\n +claimRemove/);
+    });
+
+    it('imports a new wiki from a list', async function () {
+        const { dir } = await runCommand(fake, 'cmd/import-list.js', [wikiUrl]);
+
+        const created = fake.edits.filter(edit => edit.action === 'wbeditentity' && edit.summary.includes('Importing site localhost'));
+        expect(created).to.have.length(1);
+        const item = fake.getEntity(created[0].id);
+        expect(item.labels.en.value).to.equal('localhost');
+        expect(fake.claimValues(item.id, P.url)).to.deep.equal([`${wikiUrl}/`]);
+        expect(fake.claimValues(item.id, P.instanceOf)).to.deep.equal([Q.wikibaseSite]);
+
+        const journal = fs.readFileSync(path.join(dir, '.data/journal.jsonl'), 'utf8').trim().split('\n').map(line => JSON.parse(line));
+        expect(journal.map(entry => entry.action)).to.deep.equal(['itemCreate']);
+        expect(journal[0].created).to.deep.equal({ id: item.id });
+    });
+
+    it('tidies a known wiki with one edit per item', async function () {
+        const id = fake.addItem({
+            labels: { en: 'Fake Wiki' },
+            claims: { [P.url]: wikiUrl, [P.instanceOf]: Q.wikibaseSite, [P.phpVersion]: '8.1.0' },
+        });
+        const editsBefore = fake.edits.length;
+        const requestsBefore = fake.requests.length;
+
+        const { dir } = await runCommand(fake, 'cmd/tidy-world.js', [wikiUrl], { WORLD_STATE: statePath });
+
+        expect(fake.claimValues(id, P.phpVersion)).to.deep.equal(['8.2.7']);
+        expect(fake.claimValues(id, P.mediawikiVersion)).to.deep.equal(['1.41.0']);
+        expect(fake.claimValues(id, P.databaseType)).to.deep.equal(['mysql']);
+        expect(fake.claimValues(id, P.pageCount)).to.deep.equal([1200]);
+        const edits = fake.edits.slice(editsBefore).filter(edit => edit.id === id);
+        expect(edits).to.have.length(1);
+        const gets = fake.requests.slice(requestsBefore).filter(request => request.params.action === 'wbgetentities' && request.params.ids === id);
+        // Loading the wiki and flushing its batch, the edit is journaled without fetching the item again
+        expect(gets).to.have.length(2);
+
+        const state = fs.readFileSync(statePath, 'utf8').trim().split('\n').map(line => JSON.parse(line));
+        expect(state.filter(record => record.item === id).map(record => record.check)).to.include.members(['alive', 'siteinfo']);
+
+        // Statistics are observed whether or not they lead to an edit
+        const observations = fs.readFileSync(path.join(dir, '.data/observations.jsonl'), 'utf8').trim().split('\n').map(line => JSON.parse(line));
+        expect(observations.filter(o => o.item === id && o.metric === 'pages').map(o => o.value)).to.deep.equal([1200]);
+    });
+
+    it('skips wikis checked recently with --stale-after', async function () {
+        const requestsBefore = fake.requests.length;
+
+        const { stdout } = await runCommand(fake, 'cmd/tidy-world.js', [wikiUrl, '--stale-after=1d'], { WORLD_STATE: statePath });
+
+        expect(stdout).to.match(/0 wikis not checked within 1d \(0 never checked\), skipping \d+/);
+        // Only the SPARQL query for the list of wikis
+        expect(fake.requests.slice(requestsBefore).filter(request => request.path !== '/query/sparql')).to.deep.equal([]);
+    });
+
+    it('resumes an interrupted run, queueing its pending edits and skipping processed wikis', async function () {
+        const id = fake.addItem({ labels: { en: 'Resumed Wiki' }, claims: { [P.url]: wikiUrl, [P.instanceOf]: Q.wikibaseSite } });
+        const dataDir = tempDir('world-e2e-data-');
+        const checkpoint = path.join(dataDir, 'checkpoints', 'tidy-world.jsonl');
+        fs.mkdirSync(path.dirname(checkpoint));
+        fs.writeFileSync(checkpoint, [
+            { type: 'processed', scope: id },
+            { type: 'job', id: 'interrupted-0', kind: 'edit', action: 'labelSet', data: { id, language: 'de', value: 'Fortgesetztes Wiki' }, summary: 'Resumed label', handler: 'test' },
+        ].map(record => JSON.stringify(record) + '\n').join(''));
+
+        const { stdout } = await runCommand(fake, 'cmd/tidy-world.js', [wikiUrl, '--resume'], { WORLD_STATE: statePath, WORLD_DATA_DIR: dataDir });
+
+        expect(stdout).to.include('Skipping 1 wikis processed by the interrupted run');
+        expect(fake.getEntity(id).labels.de.value).to.equal('Fortgesetztes Wiki');
+        // The run completed, so there is nothing left to resume
+        expect(fs.existsSync(checkpoint)).to.equal(false);
+    });
+
+    it('moves a wiki that redirects to a new domain', async function () {
+        const oldSite = `${wikiUrl}/moved`;
+        const newSite = `http://127.0.0.1:${fake.port}/`;
+        fake.pages['/moved'] = { status: 301, headers: { Location: newSite } };
+        const id = fake.addItem({ labels: { en: 'Fake Wiki' }, claims: { [P.url]: oldSite, [P.instanceOf]: Q.wikibaseSite } });
+
+        await runCommand(fake, 'cmd/tidy-world.js', [oldSite]);
+
+        const urls = fake.getEntity(id).claims[P.url].map(claim => ({ value: claim.mainsnak.datavalue.value, rank: claim.rank }));
+        expect(urls).to.have.deep.members([{ value: oldSite, rank: 'deprecated' }, { value: newSite, rank: 'normal' }]);
+        const deprecated = fake.getEntity(id).claims[P.url].find(claim => claim.rank === 'deprecated');
+        expect(deprecated.qualifiers[P.endTime]).to.have.length(1);
+        expect(fake.getEntity(id).aliases.en.map(alias => alias.value)).to.deep.equal(['localhost']);
+    });
+
+    it('moves a wiki that redirects to a new domain when checking it is alive', async function () {
+        const oldSite = `${wikiUrl}/moved-alive`;
+        const newSite = `http://127.0.0.1:${fake.port}/alive`;
+        fake.pages['/moved-alive'] = { status: 301, headers: { Location: newSite } };
+        fake.pages['/alive'] = mainPage(wikiUrl);
+        const id = fake.addItem({ labels: { en: 'Fake Wiki' }, claims: { [P.url]: oldSite, [P.instanceOf]: Q.wikibaseSite } });
+
+        await runCommand(fake, 'cmd/tidy/check-alive.js', [oldSite]);
+
+        const urls = fake.getEntity(id).claims[P.url].map(claim => ({ value: claim.mainsnak.datavalue.value, rank: claim.rank }));
+        expect(urls).to.have.deep.members([{ value: oldSite, rank: 'deprecated' }, { value: newSite, rank: 'normal' }]);
+    });
+
+    it('moves a wiki without an end time, saying so, when the registry has no endTime property', async function () {
+        const oldSite = `${wikiUrl}/moved-untimed`;
+        const newSite = `http://127.0.0.1:${fake.port}/untimed`;
+        fake.pages['/moved-untimed'] = { status: 301, headers: { Location: newSite } };
+        fake.pages['/untimed'] = mainPage(wikiUrl);
+        const id = fake.addItem({ labels: { en: 'Fake Wiki' }, claims: { [P.url]: oldSite, [P.instanceOf]: Q.wikibaseSite } });
+        const registry = fake.writeRegistry(tempDir('world-e2e-registry-'), SHIPPED_REGISTRY);
+
+        const { stdout } = await runCommand(fake, 'cmd/tidy/check-alive.js', [oldSite], { WORLD_REGISTRY: registry });
+
+        expect(stdout).to.include(`⚠️ The fake registry config has no endTime property, so ${oldSite} is deprecated without an end time`);
+        const old = fake.getEntity(id).claims[P.url].find(claim => claim.mainsnak.datavalue.value === oldSite);
+        expect(old.rank).to.equal('deprecated');
+        expect(old.qualifiers || {}).to.deep.equal({});
+    });
+
+    it('skips sites robots.txt disallows', async function () {
+        fake.pages['/robots.txt'] = 'User-agent: *\nDisallow: /robots-private\n';
+        fake.pages['/robots-private'] = mainPage(wikiUrl);
+        const editsBefore = fake.edits.length;
+
+        const { stdout } = await runCommand(fake, 'cmd/import-list.js', [`${wikiUrl}/robots-private`]);
+
+        expect(fake.edits.length).to.equal(editsBefore);
+        expect(stdout).to.include(`🚫 Skipping ${wikiUrl}/robots-private (robots.txt)`);
+        expect(fake.requests.some(request => request.path === '/robots-private')).to.equal(false);
+    });
+
+    it('enriches a known wiki found again by an import', async function () {
+        const site = `${wikiUrl}/enrich`;
+        const oldSite = `http://127.0.0.1:${fake.port}/enrich-old`;
+        fake.pages['/enrich'] = mainPage(wikiUrl);
+        fake.pages['/enrich-old'] = { status: 301, headers: { Location: site } };
+        fake.pages['/enrich-list'] = `${oldSite}\n${oldSite}\n`;
+        fake.siteinfo.general.base = `${wikiUrl}/wiki/Main_Page`;
+        const id = fake.addItem({ labels: { en: 'Enriched Wiki' }, claims: { [P.url]: site, [P.instanceOf]: Q.wikibaseSite } });
+        const editsBefore = fake.edits.length;
+
+        await runCommand(fake, 'cmd/import-list.js', [`${wikiUrl}/enrich-list`, Q.hostWikibaseCloud]);
+
+        expect(fake.edits.slice(editsBefore).every(edit => edit.id === id)).to.equal(true);
+        expect(fake.claimValues(id, P.host)).to.deep.equal([Q.hostWikibaseCloud]);
+        expect(fake.claimValues(id, P.mainPage)).to.deep.equal([`${wikiUrl}/wiki/Main_Page`]);
+        expect(fake.getEntity(id).aliases.en.map(alias => alias.value)).to.deep.equal(['127.0.0.1']);
+    });
+
+    it('imports and enriches wikis from a mapped CSV file', async function () {
+        fake.pages['/records-new'] = mainPage(wikiUrl);
+        fake.pages['/records-known'] = mainPage(wikiUrl);
+        fake.pages['/w/index.php'] = '<div class="mw-version-ext-wikibase-WikibaseRepository">WikibaseRepository</div>';
+        const known = fake.addItem({ labels: { en: 'Known Wiki' }, claims: { [P.url]: `${wikiUrl}/records-known`, [P.instanceOf]: Q.wikibaseSite } });
+        const filesDir = tempDir('world-e2e-records-');
+        const csv = path.join(filesDir, 'wikis.csv');
+        fs.writeFileSync(csv, [
+            'Wiki,Name,About,Hosted by,Founded',
+            `${wikiUrl}/records-new,Records Wiki,"A wiki, from a spreadsheet",wikibase.cloud,2021-03-04`,
+            `${wikiUrl}/records-known,,A known wiki,,`,
+            `${wikiUrl}/records-bad,Bad Wiki,,,March 2021`,
+        ].join('\n'));
+        const mapping = path.join(filesDir, 'mapping.json');
+        fs.writeFileSync(mapping, JSON.stringify({
+            url: 'Wiki',
+            labels: { en: 'Name' },
+            descriptions: { en: 'About' },
+            claims: { host: { column: 'Hosted by', values: { 'wikibase.cloud': Q.hostWikibaseCloud } }, inception: 'Founded' },
+        }));
+
+        const { stdout } = await runCommand(fake, 'cmd/import-list.js', [csv, `--mapping=${mapping}`]);
+
+        const created = fake.edits.filter(edit => edit.action === 'wbeditentity' && edit.summary.includes('from wikis.csv (row 1)'));
+        expect(created).to.have.length(1);
+        const item = fake.getEntity(created[0].id);
+        expect(item.labels.en.value).to.equal('Records Wiki');
+        expect(item.descriptions.en.value).to.equal('A wiki, from a spreadsheet');
+        expect(fake.claimValues(item.id, P.host)).to.deep.equal([Q.hostWikibaseCloud]);
+        expect(fake.claimValues(item.id, P.inception)).to.deep.equal(['2021-03-04']);
+
+        expect(fake.getEntity(known).labels.en.value).to.equal('Known Wiki');
+        expect(fake.getEntity(known).descriptions.en.value).to.equal('A known wiki');
+        expect(stdout).to.include('Row 3: inception "March 2021" is not a date');
+    });
+
+    it('adds statistics as dated statements in history mode', async function () {
+        const site = `${wikiUrl}/history`;
+        fake.pages['/history'] = mainPage(wikiUrl);
+        const id = fake.addItem({ labels: { en: 'History Wiki' }, claims: { [P.url]: site, [P.instanceOf]: Q.wikibaseSite } });
+
+        await runCommand(fake, 'cmd/tidy-world.js', [site], { WORLD_STATISTICS_HISTORY: '1' });
+
+        const [claim] = fake.getEntity(id).claims[P.pageCount];
+        expect(claim.rank).to.equal('preferred');
+        expect(claim.qualifiers[P.pointInTime]).to.have.length(1);
+        expect(Object.keys(claim.references[0].snaks)).to.have.members([P.referenceUrl, P.retrieved]);
+    });
+
+    it('stops before doing anything in history mode with the shipped registry, which lacks its properties', async function () {
+        const registry = fake.writeRegistry(tempDir('world-e2e-registry-'), SHIPPED_REGISTRY);
+        const requestsBefore = fake.requests.length;
+
+        const error = await runCommand(fake, 'cmd/tidy-world.js', [wikiUrl], { WORLD_STATISTICS_HISTORY: '1', WORLD_REGISTRY: registry }).then(() => null, e => e);
+
+        expect(error?.message).to.include('❌ Statistics history needs properties missing from the fake registry config');
+        expect(error?.message).to.include('registry.json): pointInTime');
+        expect(fake.requests.length).to.equal(requestsBefore);
+    });
+});
@@ -0,0 +1,65 @@
+/* eslint-env mocha */
+/* global describe, it, before, after */
+import { expect } from 'chai';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { setFailuresFile, getFailuresFile, recordFailure, recordRecovery, failureStreak, offlineBy, compactFailures, loadFailures } from '../src/failures.js';
+
+describe('failure history', function () {
+    const originalFile = getFailuresFile();
+    const limits = { gone: { failures: 3, days: 7 }, transient: { failures: 6, days: 30 } };
+    const day = 86400 * 1000;
+    let dir;
+
+    before(function () {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'world-failures-'));
+        setFailuresFile(path.join(dir, 'failures.jsonl'));
+    });
+
+    after(function () {
+        setFailuresFile(originalFile);
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    it('counts the first failure recorded to a fresh file once', function () {
+        const wiki = { item: 'Q9', site: 'https://Q9.example' };
+        expect(recordFailure(wiki, 'gone', 'No response')).to.include({ failures: 1, gone: 1 });
+        expect(failureStreak('Q9')).to.include({ failures: 1 });
+        fs.rmSync(getFailuresFile());
+        setFailuresFile(getFailuresFile());
+    });
+
+    it('counts gone failures apart from transient ones, against their own thresholds', function () {
+        const now = Date.now();
+        const failure = (item, kind, daysAgo) => ({ item, site: `https://${item}.example`, kind, reason: 'No response', checked: new Date(now - daysAgo * day).toISOString() });
+        const lines = [
+            failure('Q1', 'transient', 40), failure('Q1', 'gone', 10), failure('Q1', 'gone', 5), failure('Q1', 'gone', 1),
+            failure('Q2', 'transient', 40), failure('Q2', 'gone', 30), failure('Q2', 'transient', 20),
+            failure('Q3', 'gone', 2), failure('Q3', 'gone', 1), failure('Q3', 'gone', 0),
+        ];
+        fs.appendFileSync(getFailuresFile(), lines.map(line => JSON.stringify(line) + '\n').join(''));
+        setFailuresFile(getFailuresFile());
+
+        expect(failureStreak('Q1')).to.include({ failures: 4, gone: 3 });
+        expect(offlineBy(failureStreak('Q1'), limits)).to.equal('gone');
+        // An outage in between breaks the run of gone failures, and there are too few for the transient threshold
+        expect(failureStreak('Q2')).to.include({ failures: 3, gone: 0 });
+        expect(offlineBy(failureStreak('Q2'), limits)).to.equal(null);
+        // Enough failures, but not spanning enough days
+        expect(offlineBy(failureStreak('Q3'), limits)).to.equal(null);
+        expect(offlineBy(failureStreak('Q4'), limits)).to.equal(null);
+    });
+
+    it('ends a streak on recovery and compacts recovered wikis away', function () {
+        const wiki = { item: 'Q1', site: 'https://Q1.example' };
+        expect(recordRecovery(wiki)).to.equal(true);
+        expect(recordRecovery(wiki)).to.equal(false);
+        expect(failureStreak('Q1')).to.include({ failures: 0, since: null });
+
+        expect(recordFailure(wiki, 'transient', 'HTTP 503')).to.include({ failures: 1, gone: 0, reason: 'HTTP 503' });
+        compactFailures();
+        expect([...loadFailures().keys()]).to.have.members(['Q1', 'Q2', 'Q3']);
+        expect(fs.readFileSync(getFailuresFile(), 'utf8').trim().split('\n')).to.have.length(7);
+    });
+});
@@ -0,0 +1,85 @@
+/* eslint-env mocha */
+/* global describe, it, before, after, afterEach */
+import { expect } from 'chai';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import http from 'http';
+import { fetchuc } from '../src/fetch.js';
+import { enableFixtureRecording, enableFixtureReplay, disableFixtures, unrecordedRequests, UnrecordedRequestError } from '../src/fixtures.js';
+import { fetchSiteInfo } from '../src/jobs/fetchers/siteinfo.js';
+import { fetchInceptionDate } from '../src/jobs/fetchers/inception.js';
+
+// A wiki that redirects its old main page and answers two action API queries
+const responses = {
+    '/old': { status: 302, headers: { Location: '/wiki/Main_Page' } },
+    '/wiki/Main_Page': { status: 200, headers: { 'Content-Type': 'text/html', 'X-Test': 'yes' }, body: '<html>Main Page</html>' },
+    '/w/api.php?action=query&meta=siteinfo&siprop=general|namespaces|statistics&format=json': {
+        status: 200, headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ query: { general: { phpversion: '8.1.2' }, statistics: { pages: 10 } } }),
+    },
+    '/w/api.php?action=query&list=logevents&ledir=newer&lelimit=1&format=json': {
+        status: 200, headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ query: { logevents: [{ timestamp: '2020-02-11T18:11:02Z' }] } }),
+    },
+};
+
+describe('HTTP fixtures', function () {
+    let server;
+    let base;
+    let dir;
+
+    before(async function () {
+        server = http.createServer((req, res) => {
+            const response = responses[decodeURIComponent(req.url)] || { status: 404, body: 'Not found' };
+            res.writeHead(response.status, response.headers);
+            res.end(response.body || '');
+        });
+        await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+        base = `http://127.0.0.1:${server.address().port}`;
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'world-fixtures-'));
+
+        // Record everything the tests replay, then take the wiki away
+        enableFixtureRecording(dir);
+        for (const url of Object.keys(responses)) {
+            await fetchuc(base + url);
+        }
+        await new Promise(resolve => server.close(resolve));
+    });
+
+    afterEach(function () {
+        disableFixtures();
+    });
+
+    after(function () {
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    it('replays a recorded response with its headers and final URL', async function () {
+        enableFixtureReplay(dir);
+        const response = await fetchuc(`${base}/old`);
+        expect(response.status).to.equal(200);
+        expect(response.url).to.equal(`${base}/wiki/Main_Page`);
+        expect(response.redirected).to.equal(true);
+        expect(response.headers.get('x-test')).to.equal('yes');
+        expect(await response.text()).to.equal('<html>Main Page</html>');
+    });
+
+    it('replays recorded wiki responses through the fetchers', async function () {
+        enableFixtureReplay(dir);
+        expect((await fetchSiteInfo(`${base}/w/api.php`)).general.phpversion).to.equal('8.1.2');
+        expect((await fetchInceptionDate(`${base}/w/api.php`)).date).to.equal('2020-02-11');
+        expect(unrecordedRequests()).to.deep.equal([]);
+    });
+
+    it('fails on requests that were not recorded', async function () {
+        enableFixtureReplay(dir);
+        let error = null;
+        await fetchuc(`${base}/not-recorded`).catch(e => { error = e; });
+        expect(error).to.be.instanceOf(UnrecordedRequestError);
+
+        // Fetchers swallow errors, so unrecorded requests are also listed
+        expect(await fetchSiteInfo(`${base}/elsewhere/api.php`)).to.equal(null);
+        expect(unrecordedRequests()).to.have.length(2);
+    });
+});
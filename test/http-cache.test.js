@@ -0,0 +1,101 @@
+/* eslint-env mocha */
+/* global describe, it, before, after */
+import { expect } from 'chai';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import http from 'http';
+import { fetchc, fetchuc } from '../src/fetch.js';
+import { setHttpCache, loadCacheTtls, cacheStats } from '../src/http-cache.js';
+
+describe('HTTP response cache', function () {
+    let server;
+    let base;
+    let dir;
+    const page = { etag: '"v1"', body: 'first version' };
+    const requests = [];
+
+    before(async function () {
+        server = http.createServer((req, res) => {
+            if (req.url === '/robots.txt') {
+                res.writeHead(404);
+                res.end();
+                return;
+            }
+            requests.push(`${req.url} ${req.headers['if-none-match'] || ''}`.trim());
+            if (req.url === '/missing') {
+                res.writeHead(404, { 'Content-Type': 'text/plain' });
+                res.end('not found');
+                return;
+            }
+            if (req.headers['if-none-match'] === page.etag) {
+                res.writeHead(304, { ETag: page.etag });
+                res.end();
+                return;
+            }
+            res.writeHead(200, { ETag: page.etag, 'Content-Type': 'text/plain' });
+            res.end(page.body);
+        });
+        await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+        base = `http://127.0.0.1:${server.address().port}`;
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'world-http-cache-'));
+        setHttpCache(dir, {
+            defaultTtlSeconds: 0,
+            classes: [
+                { name: 'page', match: /\/page/, ttlSeconds: 60 },
+                { name: 'stale', match: /\/stale/, ttlSeconds: 0 },
+            ],
+        });
+    });
+
+    after(async function () {
+        await new Promise(resolve => server.close(resolve));
+        fs.rmSync(dir, { recursive: true, force: true });
+        setHttpCache('./.cache/http', loadCacheTtls(new URL('../config/cache-ttls.json', import.meta.url)));
+    });
+
+    it('serves fetchc from the cache within the TTL of the request class', async function () {
+        expect(await (await fetchc(`${base}/page`)).text()).to.equal('first version');
+        const cached = await fetchc(`${base}/page`);
+        expect(cached.status).to.equal(200);
+        expect(cached.url).to.equal(`${base}/page`);
+        expect(await cached.text()).to.equal('first version');
+        expect(requests).to.deep.equal(['/page']);
+    });
+
+    it('revalidates with If-None-Match once the TTL has passed', async function () {
+        requests.length = 0;
+        expect(await (await fetchc(`${base}/stale`)).text()).to.equal('first version');
+        const revalidated = await fetchc(`${base}/stale`);
+        expect(revalidated.status).to.equal(200);
+        expect(await revalidated.text()).to.equal('first version');
+
+        page.etag = '"v2"';
+        page.body = 'second version';
+        expect(await (await fetchc(`${base}/stale`)).text()).to.equal('second version');
+        expect(requests).to.deep.equal(['/stale', '/stale "v1"', '/stale "v1"']);
+        expect(cacheStats().stale).to.deep.equal({ hits: 0, revalidated: 1, misses: 2 });
+    });
+
+    it('does not cache fetchuc', async function () {
+        requests.length = 0;
+        await fetchuc(`${base}/page`);
+        expect(await (await fetchuc(`${base}/page`)).text()).to.equal('second version');
+        expect(requests).to.deep.equal(['/page', '/page']);
+    });
+
+    it('does not store error responses', async function () {
+        requests.length = 0;
+        expect((await fetchc(`${base}/missing`)).status).to.equal(404);
+        expect((await fetchc(`${base}/missing`)).status).to.equal(404);
+        expect(requests).to.deep.equal(['/missing', '/missing']);
+    });
+
+    it('stores identical bodies once', async function () {
+        await fetchc(`${base}/page?copy=1`);
+        const bodies = fs.readdirSync(path.join(dir, 'bodies'), { recursive: true })
+            .filter(file => fs.statSync(path.join(dir, 'bodies', file)).isFile());
+        // The two versions of the page
+        expect(bodies).to.have.length(2);
+    });
+});
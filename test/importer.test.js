@@ -0,0 +1,136 @@
+/* eslint-env mocha */
+/* global describe, it, before, after */
+import { expect } from 'chai';
+import fs from 'fs';
+import path from 'path';
+import { BASE_REGISTRY, startFakeWorld, runCommand, mainPage, tempDir, removeTempDirs } from './support/run-command.js';
+
+const { properties: P, items: Q } = BASE_REGISTRY;
+
+describe('import pipeline against a fake Wikibase', function () {
+    this.timeout(90000);
+    let fake;
+    let wikiUrl;
+
+    before(async function () {
+        ({ fake, wikiUrl } = await startFakeWorld());
+        fake.pages['/w/index.php'] = '<div class="mw-version-ext-wikibase-WikibaseRepository">WikibaseRepository</div>';
+    });
+
+    after(async function () {
+        await fake.close();
+        removeTempDirs();
+    });
+
+    /**
+     * Run an import of a test source (see test/support/run-import.js)
+     * @returns {Promise<{ stdout: string, stats: Object }>}
+     */
+    const runTestImport = async (source, args = [], env = {}) => {
+        const file = path.join(tempDir('world-import-'), 'source.json');
+        fs.writeFileSync(file, JSON.stringify(source));
+        const { stdout } = await runCommand(fake, 'test/support/run-import.js', [file, ...args], env);
+        return { stdout, stats: JSON.parse(stdout.match(/^Stats: (.*)$/m)[1]) };
+    };
+
+    const createdFor = (site) => fake.edits.filter(edit => edit.action === 'wbeditentity' && edit.summary === `Importing ${site} from the test source`);
+
+    it('creates new wikis once, enriches known ones and skips those that are not Wikibases', async function () {
+        const newSite = `${wikiUrl}/import-new`;
+        const knownSite = `${wikiUrl}/import-known`;
+        fake.pages['/import-new'] = mainPage(wikiUrl);
+        fake.pages['/import-known'] = mainPage(wikiUrl);
+        const known = fake.addItem({ labels: { en: 'Known Wiki' }, claims: { [P.url]: knownSite, [P.instanceOf]: Q.wikibaseSite } });
+
+        const { stats } = await runTestImport({
+            candidates: [
+                { id: 'new', site: newSite },
+                { id: 'new-again', site: newSite },
+                { id: 'known', site: knownSite, otherSites: [`http://127.0.0.1:${fake.port}/import-known`] },
+                { id: 'missing', site: `${wikiUrl}/import-missing` },
+            ],
+            enrich: { host: Q.hostWikibaseCloud, mainPage: `${knownSite}/wiki/Main_Page` },
+        });
+
+        expect(stats).to.include({ listed: 4, filtered: 4, new: 1, existing: 1, enriched: 1, failed: 1 });
+        const created = createdFor(newSite);
+        expect(created).to.have.length(1);
+        const item = fake.getEntity(created[0].id);
+        expect(['new', 'new-again']).to.include(item.labels.en.value);
+        expect(fake.claimValues(item.id, P.url)).to.deep.equal([newSite]);
+        expect(fake.claimValues(item.id, P.instanceOf)).to.deep.equal([Q.wikibaseSite]);
+
+        expect(fake.claimValues(known, P.host)).to.deep.equal([Q.hostWikibaseCloud]);
+        expect(fake.claimValues(known, P.mainPage)).to.deep.equal([`${knownSite}/wiki/Main_Page`]);
+        expect(fake.getEntity(known).aliases.en.map(alias => alias.value)).to.deep.equal(['127.0.0.1']);
+        expect(createdFor(`${wikiUrl}/import-missing`)).to.deep.equal([]);
+    });
+
+    it('only imports the candidates matching the filter', async function () {
+        fake.pages['/import-filtered'] = mainPage(wikiUrl);
+        fake.pages['/import-unfiltered'] = mainPage(wikiUrl);
+
+        const { stats } = await runTestImport({
+            candidates: [
+                { id: 'import-filtered', site: `${wikiUrl}/import-filtered` },
+                { id: 'import-unfiltered', site: `${wikiUrl}/import-unfiltered` },
+            ],
+        }, ['import-filtered']);
+
+        expect(stats).to.include({ listed: 2, filtered: 1, new: 1 });
+        expect(createdFor(`${wikiUrl}/import-filtered`)).to.have.length(1);
+        expect(createdFor(`${wikiUrl}/import-unfiltered`)).to.deep.equal([]);
+    });
+
+    it('skips the candidates an interrupted import processed with --resume', async function () {
+        fake.pages['/import-processed'] = mainPage(wikiUrl);
+        fake.pages['/import-unprocessed'] = mainPage(wikiUrl);
+        const dataDir = tempDir('world-import-data-');
+        fs.mkdirSync(path.join(dataDir, 'checkpoints'));
+        fs.writeFileSync(path.join(dataDir, 'checkpoints', 'import-test.jsonl'), JSON.stringify({ type: 'processed', scope: 'processed' }) + '\n');
+
+        const { stdout, stats } = await runTestImport({
+            candidates: [
+                { id: 'processed', site: `${wikiUrl}/import-processed` },
+                { id: 'unprocessed', site: `${wikiUrl}/import-unprocessed` },
+            ],
+        }, ['--resume'], { WORLD_DATA_DIR: dataDir });
+
+        expect(stdout).to.include('1 already processed');
+        expect(stats).to.include({ listed: 2, filtered: 1, new: 1 });
+        expect(createdFor(`${wikiUrl}/import-processed`)).to.deep.equal([]);
+        expect(createdFor(`${wikiUrl}/import-unprocessed`)).to.have.length(1);
+    });
+
+    it('probes the wikis a source no longer lists, and records those that are gone', async function () {
+        const gone = fake.addItem({ labels: { en: 'Gone Wiki' }, claims: { [P.url]: `${wikiUrl}/import-gone`, [P.instanceOf]: Q.wikibaseSite } });
+
+        const { stats } = await runTestImport({
+            candidates: [{ id: 'listed', site: `${wikiUrl}/import-missing` }],
+            removed: [{ item: gone, site: `${wikiUrl}/import-gone` }],
+        }, [], { WORLD_DELETIONS: path.join(tempDir('world-import-deletions-'), 'deletions.jsonl') });
+
+        expect(fake.requests.some(request => request.path === '/import-gone')).to.equal(true);
+        // Reported once, so within the grace period
+        expect(stats).to.include({ awaiting: 1, removed: 0 });
+        expect(fake.claimValues(gone, P.activityStatus)).to.deep.equal([]);
+    });
+
+    it('skips the whole deletion pass when too many wikis are no longer listed at once', async function () {
+        const removed = ['a', 'b', 'c', 'd'].map(name => ({
+            item: fake.addItem({ labels: { en: `Delisted ${name}` }, claims: { [P.url]: `${wikiUrl}/import-delisted-${name}` } }),
+            site: `${wikiUrl}/import-delisted-${name}`,
+        }));
+        const deletions = path.join(tempDir('world-import-deletions-'), 'deletions.jsonl');
+
+        const { stdout, stats } = await runTestImport({
+            candidates: [{ id: 'listed', site: `${wikiUrl}/import-missing` }],
+            removed,
+        }, [], { WORLD_DELETIONS: deletions });
+
+        expect(stdout).to.include('🛑 4 of 5 Test wikis are no longer listed at once');
+        expect(fake.requests.some(request => request.path.startsWith('/import-delisted-'))).to.equal(false);
+        expect(stats).to.include({ awaiting: 0, removed: 0 });
+        expect(fs.existsSync(deletions)).to.equal(false);
+    });
+});
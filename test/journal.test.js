@@ -0,0 +1,71 @@
+/* eslint-env mocha */
+/* global describe, it */
+import { expect } from 'chai';
+import { inverseOfJournalEntry, revisionFromResponse } from '../src/edits/journal.js';
+
+describe('revisionFromResponse', function () {
+    it('reads the revision from entity and pageinfo responses', function () {
+        expect(revisionFromResponse({ entity: { lastrevid: 12 } })).to.equal(12);
+        expect(revisionFromResponse({ pageinfo: { lastrevid: 13 } })).to.equal(13);
+        expect(revisionFromResponse({ claim: { id: 'Q1$a' } })).to.equal(null);
+    });
+});
+
+describe('inverseOfJournalEntry', function () {
+    const base = { run: 'run-1', id: 'Q1', revision: 100, summary: 'test' };
+
+    it('swaps old and new values of a claim update', function () {
+        const inverse = inverseOfJournalEntry({
+            ...base,
+            action: 'claimUpdate',
+            data: { id: 'Q1', property: 'P1', oldValue: 'https://a.example/wiki/Main_Page', newValue: 'https://a.example' },
+        });
+        expect(inverse.action).to.equal('claimUpdate');
+        expect(inverse.data).to.deep.equal({ id: 'Q1', property: 'P1', oldValue: 'https://a.example', newValue: 'https://a.example/wiki/Main_Page' });
+        expect(inverse.baseRevision).to.equal(100);
+    });
+
+    it('links the undone revision in the summary, or names the edit when none was recorded', function () {
+        const entry = { ...base, action: 'claimUpdate', data: { id: 'Q1', property: 'P1', oldValue: 'a', newValue: 'b' } };
+        expect(inverseOfJournalEntry(entry).summary).to.equal('Undo [[Special:Diff/100]] (claimUpdate) from run run-1');
+        const inverse = inverseOfJournalEntry({ ...entry, revision: null });
+        expect(inverse.summary).to.equal('Undo claimUpdate on Q1 from run run-1');
+        expect(inverse.baseRevision).to.equal(null);
+    });
+
+    it('removes a created claim by its GUID', function () {
+        const inverse = inverseOfJournalEntry({
+            ...base,
+            action: 'claimCreate',
+            data: { id: 'Q1', property: 'P2', value: 'Q7' },
+            created: { guid: 'Q1$abc' },
+        });
+        expect(inverse.action).to.equal('claimRemove');
+        expect(inverse.data).to.deep.equal({ id: 'Q1', claim: 'Q1$abc' });
+    });
+
+    it('restores a removed claim with its qualifiers', function () {
+        const inverse = inverseOfJournalEntry({
+            ...base,
+            action: 'claimRemove',
+            data: { id: 'Q1', claim: 'Q1$abc' },
+            removedClaim: {
+                id: 'Q1$abc',
+                mainsnak: { snaktype: 'value', property: 'P37', datatype: 'wikibase-item', datavalue: { type: 'wikibase-entityid', value: { 'entity-type': 'item', id: 'Q287' } } },
+                qualifiers: { P1: [{ snaktype: 'value', property: 'P1', datatype: 'url', datavalue: { type: 'string', value: 'https://a.example/tools/cradle' } }] },
+                rank: 'normal',
+            },
+        });
+        expect(inverse.action).to.equal('claimCreate');
+        expect(inverse.data).to.deep.equal({ id: 'Q1', property: 'P37', value: 'Q287', qualifiers: { P1: ['https://a.example/tools/cradle'] } });
+    });
+
+    it('restores the previous label, or removes a new one', function () {
+        expect(inverseOfJournalEntry({ ...base, action: 'labelSet', data: { id: 'Q1', language: 'en', value: 'New' }, before: 'Old', after: 'New' }).data.value).to.equal('Old');
+        expect(inverseOfJournalEntry({ ...base, action: 'labelSet', data: { id: 'Q1', language: 'en', value: 'New' }, before: null, after: 'New' }).data.value).to.equal('');
+    });
+
+    it('does not revert item creation', function () {
+        expect(inverseOfJournalEntry({ ...base, action: 'itemCreate', data: {}, created: { id: 'Q1' } })).to.equal(null);
+    });
+});
@@ -0,0 +1,53 @@
+/* eslint-env mocha */
+/* global describe, it, before, after */
+import { expect } from 'chai';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { setObservationsFile, getObservationsFile, recordObservation, queryObservations, aggregateObservations, toCsv } from '../src/observations.js';
+
+describe('observations', function () {
+    const originalFile = getObservationsFile();
+    let dir;
+
+    before(function () {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'world-observations-'));
+        setObservationsFile(path.join(dir, 'observations.jsonl'));
+    });
+
+    after(function () {
+        setObservationsFile(originalFile);
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    it('records and queries observations by wiki and metric', function () {
+        const wiki = { item: 'Q1', site: 'https://one.example' };
+        recordObservation(wiki, 'pages', 120);
+        recordObservation(wiki, 'mediawiki-version', '1.41.0');
+        recordObservation({ item: 'Q2', site: 'https://two.example' }, 'pages', 30);
+
+        const pages = queryObservations({ item: 'Q1', metric: 'pages' });
+        expect(pages).to.have.length(1);
+        expect(pages[0]).to.include({ item: 'Q1', site: 'https://one.example', metric: 'pages', value: 120 });
+        expect(queryObservations({ metric: 'pages', until: '2000-01-01' })).to.deep.equal([]);
+    });
+
+    it('aggregates by period, carrying forward wikis not observed in a period', function () {
+        const observation = (item, metric, value, observed) => ({ item, site: `https://${item}.example`, metric, value, observed });
+        const rows = aggregateObservations([
+            observation('Q1', 'pages', 100, '2025-01-05T00:00:00Z'),
+            observation('Q2', 'pages', 10, '2025-01-20T00:00:00Z'),
+            observation('Q1', 'mediawiki-version', '1.39.0', '2025-01-20T00:00:00Z'),
+            observation('Q1', 'pages', 150, '2025-02-03T00:00:00Z'),
+            observation('Q1', 'mediawiki-version', '1.41.0', '2025-02-03T00:00:00Z'),
+        ], 'month');
+
+        expect(rows).to.deep.equal([
+            { period: '2025-01', metric: 'pages', value: null, wikis: 2, total: 110 },
+            { period: '2025-01', metric: 'mediawiki-version', value: '1.39.0', wikis: 1, total: null },
+            { period: '2025-02', metric: 'pages', value: null, wikis: 2, total: 160 },
+            { period: '2025-02', metric: 'mediawiki-version', value: '1.41.0', wikis: 1, total: null },
+        ]);
+        expect(toCsv(rows.slice(0, 1))).to.equal('period,metric,value,wikis,total\n2025-01,pages,,2,110\n');
+    });
+});
@@ -0,0 +1,70 @@
+/* eslint-env mocha */
+/* global describe, it, after */
+import { expect } from 'chai';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { entityIdForEdit, describeChange, recordPlanEntry, enablePlanMode, readPlan } from '../src/edits/plan.js';
+
+const stringClaim = (id, property, value) => ({
+    id,
+    mainsnak: { snaktype: 'value', property, datavalue: { type: 'string', value } },
+});
+
+const entity = {
+    id: 'Q1',
+    lastrevid: 10,
+    labels: { en: { language: 'en', value: 'Old Wiki' } },
+    aliases: { en: [{ language: 'en', value: 'old.example' }] },
+    claims: { P57: [stringClaim('Q1$a', 'P57', '1.39.0')] },
+};
+
+describe('entityIdForEdit', function () {
+    it('reads the ID from the data, or from the prefix of a claim GUID', function () {
+        expect(entityIdForEdit('labelSet', { id: 'Q1', language: 'en', value: 'Wiki' })).to.equal('Q1');
+        expect(entityIdForEdit('referenceSet', { guid: 'q2$abc', snaks: {} })).to.equal('Q2');
+    });
+
+    it('has no ID for items that do not exist yet', function () {
+        expect(entityIdForEdit('itemCreate', { id: 'Q1', labels: {} })).to.equal(null);
+    });
+});
+
+describe('describeChange', function () {
+    it('describes term changes against the current entity', function () {
+        expect(describeChange('labelSet', { id: 'Q1', language: 'en', value: 'New Wiki' }, entity)).to.deep.equal({ before: 'Old Wiki', after: 'New Wiki' });
+        expect(describeChange('aliasAdd', { id: 'Q1', language: 'en', value: ['old.example', 'new.example'] }, entity))
+            .to.deep.equal({ before: ['old.example'], after: ['old.example', 'new.example'] });
+    });
+
+    it('describes claim changes by their values', function () {
+        expect(describeChange('claimEnsure', { id: 'Q1', property: 'P57', value: '1.43.0' }, entity)).to.deep.equal({ before: ['1.39.0'], after: ['1.43.0'] });
+        expect(describeChange('claimCreate', { id: 'Q1', property: 'P57', value: '1.43.0' }, entity)).to.deep.equal({ before: ['1.39.0'], after: ['1.39.0', '1.43.0'] });
+        expect(describeChange('claimRemove', { id: 'Q1', claim: 'Q1$a' }, entity)).to.deep.equal({ before: '1.39.0', after: null });
+    });
+
+    it('describes a new item by its data', function () {
+        const data = { labels: { en: 'Wiki' }, claims: { P1: 'https://a.example' } };
+        expect(describeChange('itemCreate', data, null)).to.deep.equal({ before: null, after: { labels: data.labels, descriptions: undefined, aliases: undefined, claims: data.claims } });
+    });
+});
+
+describe('recordPlanEntry', function () {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'plan-'));
+
+    after(function () {
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    it('appends the edit with its change and the revision it was planned against', function () {
+        const file = enablePlanMode(path.join(dir, 'plan.jsonl'));
+        const data = { id: 'Q1', property: 'P57', value: '1.43.0' };
+        recordPlanEntry({ action: 'claimEnsure', data, requestConfig: { summary: 'Update version' }, entity, handler: 'processor:siteinfo' });
+
+        const [entry] = readPlan(file);
+        expect(entry).to.include({ action: 'claimEnsure', id: 'Q1', property: 'P57', summary: 'Update version', baseRevision: 10, handler: 'processor:siteinfo' });
+        expect(entry.data).to.deep.equal(data);
+        expect(entry.before).to.deep.equal(['1.39.0']);
+        expect(entry.after).to.deep.equal(['1.43.0']);
+    });
+});
@@ -0,0 +1,103 @@
+/* eslint-env mocha */
+/* global describe, it, before, after */
+import { expect } from 'chai';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import http from 'http';
+import { fetchuc } from '../src/fetch.js';
+import { Limiter, budgetFor, parseRetryAfter, setHostBudgets, loadHostBudgets, hostStats } from '../src/rate-limit.js';
+import { setHttpCache } from '../src/http-cache.js';
+
+const testBudgets = (retries = {}) => ({
+    default: { concurrency: 2, intervalMs: 0 },
+    ip: { concurrency: 4, intervalMs: 0 },
+    hosts: { 'wikibase.cloud': { concurrency: 1, intervalMs: 100 } },
+    retries: { max: 2, rateLimitedDelayMs: 50, serverErrorDelayMs: 20, maxDelayMs: 2000, ...retries },
+});
+
+describe('Limiter', function () {
+    it('spaces out request starts and limits concurrency', async function () {
+        const limiter = new Limiter({ concurrency: 1, intervalMs: 50 });
+        const starts = [];
+        await Promise.all([0, 1, 2].map(async () => {
+            const release = await limiter.acquire();
+            starts.push(Date.now());
+            setTimeout(release, 10);
+        }));
+        expect(starts[1] - starts[0]).to.be.at.least(45);
+        expect(starts[2] - starts[1]).to.be.at.least(45);
+    });
+});
+
+describe('host budgets', function () {
+    before(function () {
+        setHostBudgets(testBudgets());
+    });
+
+    it('shares a budget between the hosts of a farm', function () {
+        expect(budgetFor('a.wikibase.cloud').key).to.equal('farm:wikibase.cloud');
+        expect(budgetFor('b.wikibase.cloud').key).to.equal('farm:wikibase.cloud');
+        expect(budgetFor('example.org')).to.deep.equal({ key: 'host:example.org', budget: { concurrency: 2, intervalMs: 0 } });
+    });
+
+    it('parses Retry-After as seconds or a date', function () {
+        expect(parseRetryAfter('120')).to.equal(120000);
+        expect(parseRetryAfter(new Date(Date.now() + 5000).toUTCString())).to.be.within(3000, 5000);
+        expect(parseRetryAfter('soon')).to.equal(null);
+    });
+});
+
+describe('fetchuc retries', function () {
+    let server;
+    let base;
+    let cacheDir;
+    const failures = {};
+
+    before(async function () {
+        server = http.createServer((req, res) => {
+            const failure = failures[req.url];
+            if (failure && failure.remaining > 0) {
+                failure.remaining--;
+                res.writeHead(failure.status, failure.headers);
+                res.end('busy');
+                return;
+            }
+            res.writeHead(200);
+            res.end('ok');
+        });
+        await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+        base = `http://127.0.0.1:${server.address().port}`;
+        // Responses cached by earlier runs on the same port must not answer these requests
+        cacheDir = fs.mkdtempSync(path.join(os.tmpdir(), 'world-http-cache-'));
+        setHttpCache(cacheDir);
+    });
+
+    after(async function () {
+        await new Promise(resolve => server.close(resolve));
+        fs.rmSync(cacheDir, { recursive: true, force: true });
+        setHttpCache('./.cache/http');
+        setHostBudgets(loadHostBudgets(new URL('../config/host-budgets.json', import.meta.url)));
+    });
+
+    it('waits for Retry-After on 429', async function () {
+        setHostBudgets(testBudgets());
+        failures['/limited'] = { status: 429, headers: { 'Retry-After': '1' }, remaining: 1 };
+        const started = Date.now();
+        const response = await fetchuc(`${base}/limited`);
+        expect(await response.text()).to.equal('ok');
+        expect(Date.now() - started).to.be.at.least(950);
+        // The first request to the host also fetches its robots.txt
+        expect(hostStats()[new URL(base).host]).to.include({ requests: 3, rateLimited: 1 });
+    });
+
+    it('backs off on server errors and gives up after the retry limit', async function () {
+        setHostBudgets(testBudgets());
+        failures['/flaky'] = { status: 502, remaining: 2 };
+        expect((await fetchuc(`${base}/flaky`)).status).to.equal(200);
+
+        failures['/down'] = { status: 500, remaining: 10 };
+        expect((await fetchuc(`${base}/down`)).status).to.equal(500);
+        expect(hostStats()[new URL(base).host]).to.include({ requests: 6, serverErrors: 5 });
+    });
+});
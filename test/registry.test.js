@@ -0,0 +1,34 @@
+/* eslint-env mocha */
+/* global describe, it */
+import { expect } from 'chai';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { loadRegistry, P, Q } from '../src/registry.js';
+
+const writeConfig = (config) => {
+    const file = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'registry-')), 'registry.json');
+    fs.writeFileSync(file, JSON.stringify(config));
+    return file;
+};
+
+describe('registry', function () {
+    it('fills in defaults from the instance URL', function () {
+        const registry = loadRegistry(writeConfig({ instance: 'http://localhost:8080/', properties: { url: 'P1' }, items: {} }));
+        expect(registry.name).to.equal('localhost');
+        expect(registry.instance).to.equal('http://localhost:8080');
+        expect(registry.sparqlEndpoint).to.equal('http://localhost:8080/query/sparql');
+        expect(registry.conceptBaseUri).to.equal('http://localhost:8080');
+        expect(registry.skipLinkSources).to.deep.equal([]);
+    });
+
+    it('rejects configs without IDs', function () {
+        expect(() => loadRegistry(writeConfig({ instance: 'http://localhost:8080' }))).to.throw(/missing "properties"/);
+    });
+
+    it('throws for names that are not in the config', function () {
+        expect(P.activityStatus).to.equal('P13');
+        expect(Q.active).to.equal('Q54');
+        expect(() => P.noSuchProperty).to.throw(/Unknown property "noSuchProperty"/);
+    });
+});
@@ -0,0 +1,83 @@
+/* eslint-env mocha */
+/* global describe, it, before, after */
+import { expect } from 'chai';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import http from 'http';
+import { fetchuc } from '../src/fetch.js';
+import { parseRobotsTxt, rulesForAgent, isPathAllowed, setCrawlPolicy, loadOptOuts, crawlSkips } from '../src/robots.js';
+import { setHttpCache } from '../src/http-cache.js';
+
+const ROBOTS_TXT = `
+# Keep crawlers away from the scripts
+User-agent: *
+Disallow: /w/
+
+User-agent: Googlebot
+User-agent: Addbot
+Disallow: /w/index.php
+Disallow: /private
+Allow: /private/ok$
+`;
+
+describe('robots.txt rules', function () {
+    it('applies the group naming our User-Agent, longest match winning', function () {
+        const groups = parseRobotsTxt(ROBOTS_TXT);
+        expect(groups).to.have.length(2);
+        expect(groups[1].agents).to.deep.equal(['googlebot', 'addbot']);
+
+        const rules = rulesForAgent(groups, 'Addshore Addbot wikibase.world');
+        expect(isPathAllowed(rules, '/w/api.php?action=query')).to.equal(true);
+        expect(isPathAllowed(rules, '/w/index.php?title=Main_Page')).to.equal(false);
+        expect(isPathAllowed(rules, '/private/page')).to.equal(false);
+        expect(isPathAllowed(rules, '/private/ok')).to.equal(true);
+        expect(isPathAllowed(rules, '/private/ok/more')).to.equal(false);
+
+        const otherRules = rulesForAgent(groups, 'SomeOtherBot');
+        expect(isPathAllowed(otherRules, '/w/api.php')).to.equal(false);
+    });
+});
+
+describe('crawl policy in fetchuc', function () {
+    let server;
+    let base;
+    let cacheDir;
+    const requested = [];
+
+    before(async function () {
+        server = http.createServer((req, res) => {
+            requested.push(req.url);
+            res.writeHead(200);
+            res.end(req.url === '/robots.txt' ? ROBOTS_TXT : 'ok');
+        });
+        await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+        base = `http://127.0.0.1:${server.address().port}`;
+        // Responses cached by earlier runs on the same port must not answer these requests
+        cacheDir = fs.mkdtempSync(path.join(os.tmpdir(), 'world-http-cache-'));
+        setHttpCache(cacheDir);
+        setCrawlPolicy([]);
+    });
+
+    after(async function () {
+        await new Promise(resolve => server.close(resolve));
+        fs.rmSync(cacheDir, { recursive: true, force: true });
+        setHttpCache('./.cache/http');
+        setCrawlPolicy(loadOptOuts(new URL('../config/crawl-opt-out.json', import.meta.url)));
+    });
+
+    it('skips paths robots.txt disallows, fetching it once', async function () {
+        expect(await (await fetchuc(`${base}/w/api.php`)).text()).to.equal('ok');
+        expect(await fetchuc(`${base}/private/page`)).to.equal(null);
+        expect(requested).to.deep.equal(['/robots.txt', '/w/api.php']);
+        expect(crawlSkips()[new URL(base).host]).to.deep.equal({ 'opt-out': 0, 'robots.txt': 1 });
+    });
+
+    it('never requests hosts on the opt-out list', async function () {
+        setCrawlPolicy([{ domain: '127.0.0.1', requested: '2026-01-31' }]);
+        requested.length = 0;
+        expect(await fetchuc(`${base}/w/api.php`)).to.equal(null);
+        expect(requested).to.deep.equal([]);
+        expect(crawlSkips()[new URL(base).host]).to.include({ 'opt-out': 1 });
+    });
+});
@@ -0,0 +1,68 @@
+/* eslint-env mocha */
+/* global describe, it, before, after */
+import { expect } from 'chai';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { setStateFile, getStateFile, recordCheck, recordFetch, stateFor, selectStaleWikis, compactState, parseDuration, loadState } from '../src/state.js';
+
+describe('state store', function () {
+    const originalFile = getStateFile();
+    let dir;
+
+    before(function () {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'world-state-'));
+        setStateFile(path.join(dir, 'state.jsonl'));
+    });
+
+    after(function () {
+        setStateFile(originalFile);
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    it('parses durations', function () {
+        expect(parseDuration('7d')).to.equal(7 * 86400 * 1000);
+        expect(parseDuration('12h')).to.equal(12 * 3600 * 1000);
+        expect(parseDuration('90')).to.equal(90 * 1000);
+        expect(parseDuration('soon')).to.equal(null);
+    });
+
+    it('records checks and fetches with a hash of the data', function () {
+        recordCheck('Q1', 'alive', 'alive', '<html>Main Page</html>');
+        recordFetch('Q1', 'siteinfo', { general: { phpversion: '8.2.7' } });
+        recordFetch('Q1', 'external-links', []);
+
+        const state = stateFor('Q1');
+        expect(state.alive.result).to.equal('alive');
+        expect(state.siteinfo).to.include({ result: 'ok' });
+        expect(state.siteinfo.hash).to.match(/^[0-9a-f]{40}$/);
+        expect(state['external-links']).to.include({ result: 'empty', hash: null });
+    });
+
+    it('selects never checked wikis first, then the oldest, skipping recent ones', function () {
+        const now = Date.now();
+        const day = 86400 * 1000;
+        const lines = [
+            { item: 'Q2', check: 'alive', result: 'alive', checked: new Date(now - 10 * day).toISOString() },
+            { item: 'Q3', check: 'alive', result: 'dead', checked: new Date(now - 20 * day).toISOString() },
+            { item: 'Q4', check: 'alive', result: 'alive', checked: new Date(now - day).toISOString() },
+        ];
+        fs.appendFileSync(getStateFile(), lines.map(line => JSON.stringify(line) + '\n').join(''));
+        setStateFile(getStateFile());
+
+        const wikis = ['Q1', 'Q2', 'Q3', 'Q4', 'Q5'].map(item => ({ item }));
+        const { stale, fresh, neverChecked } = selectStaleWikis(wikis, 7 * day, now);
+        expect(stale.map(wiki => wiki.item)).to.deep.equal(['Q5', 'Q3', 'Q2']);
+        expect(fresh.map(wiki => wiki.item)).to.deep.equal(['Q1', 'Q4']);
+        expect(neverChecked).to.equal(1);
+    });
+
+    it('compacts the file to the latest record for each item and check', function () {
+        recordCheck('Q1', 'alive', 'dead', 'HTTP 500');
+        compactState();
+
+        const lines = fs.readFileSync(getStateFile(), 'utf8').trim().split('\n');
+        expect(lines).to.have.length(6);
+        expect(loadState().get('Q1').get('alive').result).to.equal('dead');
+    });
+});
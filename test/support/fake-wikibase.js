@@ -0,0 +1,633 @@
+/**
+ * Fake Wikibase - An in-process stand-in for a Wikibase, for end-to-end tests
+ *
+ * Implements the parts of the action API that wikibase-edit and wikibase-sdk use:
+ * - login (action=login and meta=tokens), with session cookies and CSRF tokens
+ * - wbgetentities, wbeditentity, wbcreateclaim, wbsetclaimvalue, wbsetclaim, wbremoveclaims,
+ *   wbsetreference, wbremovereferences, wbsetlabel, wbsetdescription and wbsetaliases
+ * - meta=siteinfo, so the fake can also be a wiki that tidy-world looks at
+ *
+ * And a minimal SPARQL endpoint at /query/sparql that understands the basic graph patterns used by
+ * world.sparql.* (triples with wdt: and wd: terms, and FILTER NOT EXISTS), evaluated against the
+ * truthy statements of the stored entities.
+ *
+ * Any other path is served from the `pages` option, so tests can put wiki main pages on the same server.
+ */
+
+import http from 'http';
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+
+const DEFAULT_CREDENTIALS = { username: 'Addbot', password: 'fake-password' };
+const COOKIE_PREFIX = 'fakewiki';
+const CALENDAR = 'http://www.wikidata.org/entity/Q1985727';
+
+// Datatypes of the registry properties, by name (see config/registries/)
+export const WORLD_DATATYPES = {
+    url: 'url',
+    host: 'wikibase-item',
+    instanceOf: 'wikibase-item',
+    inception: 'time',
+    actionApi: 'url',
+    queryServiceUi: 'url',
+    sparqlEndpoint: 'url',
+    entityTypes: 'wikibase-item',
+    activityStatus: 'wikibase-item',
+    referenceUrl: 'url',
+    retrieved: 'time',
+    wikiTools: 'wikibase-item',
+    mainPage: 'url',
+    wikibaseMetadataId: 'external-id',
+    wikibaseCloudId: 'external-id',
+    linksTo: 'wikibase-item',
+    linkedFrom: 'wikibase-item',
+    mediawikiVersion: 'string',
+    propertyCount: 'quantity',
+    editCount: 'quantity',
+    userCount: 'quantity',
+    activeUserCount: 'quantity',
+    pageCount: 'quantity',
+    maxItemId: 'quantity',
+    phpVersion: 'string',
+    databaseType: 'string',
+    databaseVersion: 'string',
+    pointInTime: 'time',
+    endTime: 'time',
+};
+
+// The datavalue type each datatype takes
+const VALUE_TYPES = {
+    'url': 'string',
+    'string': 'string',
+    'external-id': 'string',
+    'wikibase-item': 'wikibase-entityid',
+    'wikibase-property': 'wikibase-entityid',
+    'quantity': 'quantity',
+    'time': 'time',
+    'monolingualtext': 'monolingualtext',
+    'globe-coordinate': 'globecoordinate',
+};
+
+class ApiError extends Error {
+    constructor(code, info) {
+        super(info);
+        this.code = code;
+    }
+}
+
+const clone = (value) => JSON.parse(JSON.stringify(value));
+const hashOf = (value) => crypto.createHash('sha1').update(JSON.stringify(value)).digest('hex');
+const randomHex = (bytes) => crypto.randomBytes(bytes).toString('hex');
+
+/**
+ * Build a datavalue from a plain value, as tests write them when seeding entities
+ * @param {string} datatype
+ * @param {*} value - e.g. 'Q10', 'https://example.org', 42, '2020-01-31'
+ * @returns {Object}
+ */
+function datavalueFor(datatype, value) {
+    switch (datatype) {
+        case 'wikibase-item':
+        case 'wikibase-property':
+            return { type: 'wikibase-entityid', value: { 'entity-type': datatype.replace('wikibase-', ''), 'numeric-id': parseInt(value.slice(1), 10), id: value } };
+        case 'quantity':
+            return { type: 'quantity', value: typeof value === 'object' ? value : { amount: `${value < 0 ? '' : '+'}${value}`, unit: '1' } };
+        case 'time':
+            return { type: 'time', value: typeof value === 'object' ? value : { time: `+${value}T00:00:00Z`, timezone: 0, before: 0, after: 0, precision: 11, calendarmodel: CALENDAR } };
+        case 'monolingualtext':
+            return { type: 'monolingualtext', value };
+        default:
+            return { type: 'string', value };
+    }
+}
+
+/**
+ * Convert a datavalue to an RDF term, as the query service would
+ * @param {string} conceptBaseUri
+ * @param {string} datatype
+ * @param {Object} datavalue
+ * @returns {{ type: string, value: string }}
+ */
+function rdfTerm(conceptBaseUri, datatype, datavalue) {
+    switch (datavalue.type) {
+        case 'wikibase-entityid':
+            return { type: 'uri', value: `${conceptBaseUri}/entity/${datavalue.value.id}` };
+        case 'quantity':
+            return { type: 'literal', value: datavalue.value.amount.replace(/^\+/, '') };
+        case 'time':
+            return { type: 'literal', value: datavalue.value.time.replace(/^\+/, '') };
+        case 'monolingualtext':
+            return { type: 'literal', value: datavalue.value.text };
+        default:
+            return { type: datatype === 'url' ? 'uri' : 'literal', value: datavalue.value };
+    }
+}
+
+/**
+ * Start a fake Wikibase on a free local port
+ *
+ * Items are added with addItem() once it is listening, as their values often point at the fake itself.
+ * @param {Object} [options]
+ * @param {Object<string, string>} [options.properties] - Property datatypes by ID, e.g. { P1: 'url' }
+ * @param {Object<string, string|Object>} [options.pages] - Other responses by path, as HTML or { status, body, headers }
+ * @param {Object} [options.siteinfo] - The meta=siteinfo response, when the fake also plays a wiki
+ * @param {Object} [options.credentials] - The username and password that may log in
+ * @returns {Promise<FakeWikibase>}
+ */
+export async function startFakeWikibase(options = {}) {
+    const fake = new FakeWikibase(options);
+    await fake.listen();
+    return fake;
+}
+
+class FakeWikibase {
+    constructor({ properties = {}, pages = {}, siteinfo = null, credentials = DEFAULT_CREDENTIALS } = {}) {
+        this.entities = new Map();
+        this.pages = pages;
+        this.siteinfo = siteinfo;
+        this.credentials = credentials;
+        this.sessions = new Map();
+        this.requests = [];
+        this.edits = [];
+        this.revision = 0;
+        for (const [id, datatype] of Object.entries(properties)) {
+            this.entities.set(id, { type: 'property', id, datatype, labels: {}, descriptions: {}, aliases: {}, claims: {}, lastrevid: ++this.revision });
+        }
+        this.server = http.createServer((req, res) => this.handle(req, res));
+    }
+
+    async listen() {
+        await new Promise(resolve => this.server.listen(0, '127.0.0.1', resolve));
+        this.port = this.server.address().port;
+        this.url = `http://127.0.0.1:${this.port}`;
+    }
+
+    close() {
+        return new Promise(resolve => this.server.close(resolve));
+    }
+
+    /**
+     * Add an item, with claims given as plain values
+     * @param {Object} item - { id?, labels?, descriptions?, claims? }
+     * @returns {string} The item ID
+     */
+    addItem({ id, labels = {}, descriptions = {}, claims = {} }) {
+        const entity = { type: 'item', id: id || this.nextId('Q'), labels: {}, descriptions: {}, aliases: {}, claims: {}, sitelinks: {} };
+        for (const [language, value] of Object.entries(labels)) entity.labels[language] = { language, value };
+        for (const [language, value] of Object.entries(descriptions)) entity.descriptions[language] = { language, value };
+        for (const [property, values] of Object.entries(claims)) {
+            entity.claims[property] = (Array.isArray(values) ? values : [values]).map(value => this.normalizeClaim(entity.id, {
+                mainsnak: { snaktype: 'value', property, datavalue: datavalueFor(this.datatypeOf(property), value) },
+            }));
+        }
+        entity.lastrevid = ++this.revision;
+        this.entities.set(entity.id, entity);
+        return entity.id;
+    }
+
+    /**
+     * @param {string} id
+     * @returns {Object|undefined} A copy of the stored entity
+     */
+    getEntity(id) {
+        const entity = this.entities.get(id);
+        return entity && clone(entity);
+    }
+
+    /**
+     * Values of the statements for a property, simplified like wikibase-sdk's simplifyClaims
+     * @param {string} id
+     * @param {string} property
+     * @returns {Array}
+     */
+    claimValues(id, property) {
+        return (this.entities.get(id)?.claims[property] || []).map(claim => {
+            const { type, value } = claim.mainsnak.datavalue || {};
+            if (type === 'wikibase-entityid') return value.id;
+            if (type === 'quantity') return Number(value.amount);
+            if (type === 'time') return value.time.replace(/^\+/, '').replace('T00:00:00Z', '');
+            if (type === 'monolingualtext') return value.text;
+            return value;
+        });
+    }
+
+    /**
+     * Write a registry config pointing at the fake, based on an existing one
+     * @param {string} dir - Directory to write to
+     * @param {Object} base - The registry config to copy IDs from
+     * @returns {string} The file path
+     */
+    writeRegistry(dir, base) {
+        const file = path.join(dir, 'registry.json');
+        fs.writeFileSync(file, JSON.stringify({ ...base, name: 'fake', instance: this.url, sparqlEndpoint: `${this.url}/query/sparql`, conceptBaseUri: this.url }, null, 2));
+        return file;
+    }
+
+    nextId(prefix) {
+        const used = [...this.entities.keys()].filter(id => id.startsWith(prefix)).map(id => parseInt(id.slice(1), 10));
+        return `${prefix}${Math.max(0, ...used) + 1}`;
+    }
+
+    datatypeOf(property) {
+        const entity = this.entities.get(property);
+        if (!entity || entity.type !== 'property') {
+            throw new ApiError('modification-failed', `Property ${property} not found`);
+        }
+        return entity.datatype;
+    }
+
+    normalizeSnak(snak) {
+        const datatype = this.datatypeOf(snak.property);
+        const normalized = { snaktype: snak.snaktype || 'value', property: snak.property, datatype };
+        if (normalized.snaktype === 'value') {
+            if (!snak.datavalue || snak.datavalue.type !== VALUE_TYPES[datatype]) {
+                throw new ApiError('modification-failed', `Invalid value for ${snak.property} (${datatype}): ${JSON.stringify(snak.datavalue)}`);
+            }
+            normalized.datavalue = snak.datavalue;
+            if (snak.datavalue.type === 'wikibase-entityid') {
+                // Like Wikibase, store both forms of entity IDs, whichever was sent
+                const { value } = snak.datavalue;
+                const prefix = value['entity-type'] === 'property' ? 'P' : 'Q';
+                normalized.datavalue = { type: 'wikibase-entityid', value: {
+                    'entity-type': value['entity-type'] || 'item',
+                    'numeric-id': value['numeric-id'] ?? parseInt(value.id.slice(1), 10),
+                    id: value.id || `${prefix}${value['numeric-id']}`,
+                } };
+            }
+        }
+        normalized.hash = hashOf([normalized.snaktype, normalized.property, normalized.datavalue]);
+        return normalized;
+    }
+
+    normalizeSnaks(snaks = {}) {
+        if (Array.isArray(snaks)) {
+            // The API also takes a flat list of snaks, as wikibase-edit sends for references
+            const grouped = {};
+            snaks.forEach(snak => (grouped[snak.property] ||= []).push(snak));
+            snaks = grouped;
+        }
+        const normalized = {};
+        for (const [property, list] of Object.entries(snaks)) {
+            normalized[property] = list.map(snak => this.normalizeSnak({ ...snak, property }));
+        }
+        return normalized;
+    }
+
+    normalizeReference(reference) {
+        const snaks = this.normalizeSnaks(reference.snaks);
+        return { hash: hashOf(snaks), snaks, 'snaks-order': Object.keys(snaks) };
+    }
+
+    normalizeClaim(entityId, claim) {
+        const qualifiers = this.normalizeSnaks(claim.qualifiers);
+        return {
+            mainsnak: this.normalizeSnak(claim.mainsnak),
+            type: 'statement',
+            ...(Object.keys(qualifiers).length > 0 && { qualifiers, 'qualifiers-order': Object.keys(qualifiers) }),
+            id: claim.id || `${entityId}$${crypto.randomUUID().toUpperCase()}`,
+            rank: claim.rank || 'normal',
+            references: (claim.references || []).map(reference => this.normalizeReference(reference)),
+        };
+    }
+
+    findClaim(guid) {
+        const entity = this.entities.get(guid.split('$')[0]);
+        for (const claims of Object.values(entity?.claims || {})) {
+            const index = claims.findIndex(claim => claim.id === guid);
+            if (index !== -1) return { entity, claims, index, claim: claims[index] };
+        }
+        throw new ApiError('no-such-claim', `Could not find a claim with the GUID ${guid}`);
+    }
+
+    getEditableEntity(id) {
+        const entity = this.entities.get(id);
+        if (!entity) throw new ApiError('no-such-entity', `Could not find an entity with the ID "${id}"`);
+        return entity;
+    }
+
+    saveEntity(entity, action, params) {
+        entity.lastrevid = ++this.revision;
+        entity.modified = new Date().toISOString().replace(/\.\d+Z$/, 'Z');
+        this.entities.set(entity.id, entity);
+        this.edits.push({ action, id: entity.id, summary: params.summary, revision: entity.lastrevid });
+        return { pageinfo: { lastrevid: entity.lastrevid }, success: 1 };
+    }
+
+    setTerm(entity, kind, language, value) {
+        if (value === undefined || value === '') {
+            delete entity[kind][language];
+        } else {
+            entity[kind][language] = { language, value };
+        }
+    }
+
+    applyEntityData(entity, data) {
+        for (const kind of ['labels', 'descriptions']) {
+            for (const [language, term] of Object.entries(data[kind] || {})) {
+                this.setTerm(entity, kind, term.language || language, term.remove !== undefined ? undefined : term.value);
+            }
+        }
+        for (const [language, terms] of Object.entries(data.aliases || {})) {
+            const list = Array.isArray(terms) ? terms : [terms];
+            const incremental = list.some(term => term.add !== undefined || term.remove !== undefined);
+            let values = incremental ? (entity.aliases[language] || []).map(alias => alias.value) : [];
+            for (const term of list) {
+                if (term.remove !== undefined) values = values.filter(value => value !== term.value);
+                else if (!values.includes(term.value)) values.push(term.value);
+            }
+            entity.aliases[language] = values.map(value => ({ language, value }));
+            if (values.length === 0) delete entity.aliases[language];
+        }
+        const claimList = Array.isArray(data.claims) ? data.claims : Object.values(data.claims || {}).flat();
+        for (const claim of claimList) {
+            if (claim.remove !== undefined) {
+                const found = this.findClaim(claim.id);
+                found.claims.splice(found.index, 1);
+                continue;
+            }
+            const normalized = this.normalizeClaim(entity.id, claim);
+            const property = normalized.mainsnak.property;
+            const existing = claim.id ? this.findClaim(claim.id) : null;
+            if (existing) {
+                existing.claims[existing.index] = normalized;
+            } else {
+                entity.claims[property] = [...(entity.claims[property] || []), normalized];
+            }
+        }
+        for (const [property, claims] of Object.entries(entity.claims)) {
+            if (claims.length === 0) delete entity.claims[property];
+        }
+    }
+
+    // Action API handlers, by action name
+    actions = {
+        login: (params, session, res) => {
+            if (!params.lgtoken) {
+                const token = `${randomHex(20)}+\\`;
+                this.sessions.set(token, null);
+                res.setHeader('Set-Cookie', `${COOKIE_PREFIX}_login=${randomHex(16)}; path=/; HttpOnly`);
+                return { login: { result: 'NeedToken', token } };
+            }
+            if (!this.sessions.has(params.lgtoken) || params.lgname !== this.credentials.username || params.lgpassword !== this.credentials.password) {
+                return { login: { result: 'Failed', reason: 'Incorrect username or password entered.' } };
+            }
+            this.sessions.delete(params.lgtoken);
+            const sessionId = randomHex(16);
+            this.sessions.set(sessionId, { user: params.lgname, csrf: `${randomHex(20)}+\\` });
+            res.setHeader('Set-Cookie', [`${COOKIE_PREFIX}Session=${sessionId}; path=/; HttpOnly`, `${COOKIE_PREFIX}UserName=${params.lgname}; path=/`]);
+            return { login: { result: 'Success', lgusername: params.lgname } };
+        },
+        query: (params, session) => {
+            if (params.meta === 'tokens') {
+                return { batchcomplete: '', query: { tokens: { csrftoken: session ? session.csrf : '+\\' } } };
+            }
+            if (params.meta === 'siteinfo' && this.siteinfo) {
+                return { batchcomplete: '', query: clone(this.siteinfo) };
+            }
+            throw new ApiError('badvalue', `Unsupported query: ${new URLSearchParams(params)}`);
+        },
+        wbgetentities: (params) => {
+            const entities = {};
+            for (const id of (params.ids || '').split('|').filter(Boolean)) {
+                entities[id] = this.entities.has(id) ? clone(this.entities.get(id)) : { id, missing: '' };
+            }
+            return { entities, success: 1 };
+        },
+        wbeditentity: (params) => {
+            const data = JSON.parse(params.data || '{}');
+            let entity;
+            if (params.new) {
+                entity = { type: params.new, id: this.nextId(params.new === 'property' ? 'P' : 'Q'), labels: {}, descriptions: {}, aliases: {}, claims: {}, ...(params.new === 'property' ? { datatype: data.datatype } : { sitelinks: {} }) };
+            } else {
+                entity = clone(this.getEditableEntity(params.id));
+                if (params.clear) Object.assign(entity, { labels: {}, descriptions: {}, aliases: {}, claims: {} });
+            }
+            // Work on a copy, so a failing claim leaves the stored entity untouched
+            const previous = this.entities.get(entity.id);
+            this.entities.set(entity.id, entity);
+            try {
+                this.applyEntityData(entity, data);
+            } catch (error) {
+                if (previous) this.entities.set(entity.id, previous); else this.entities.delete(entity.id);
+                throw error;
+            }
+            this.saveEntity(entity, 'wbeditentity', params);
+            return { entity: clone(entity), success: 1 };
+        },
+        wbcreateclaim: (params) => {
+            const entity = this.getEditableEntity(params.entity);
+            const claim = this.normalizeClaim(entity.id, {
+                mainsnak: { snaktype: params.snaktype, property: params.property, ...(params.value !== undefined && { datavalue: { type: VALUE_TYPES[this.datatypeOf(params.property)], value: JSON.parse(params.value) } }) },
+            });
+            entity.claims[params.property] = [...(entity.claims[params.property] || []), claim];
+            return { ...this.saveEntity(entity, 'wbcreateclaim', params), claim: clone(claim) };
+        },
+        wbsetclaimvalue: (params) => {
+            const found = this.findClaim(params.claim);
+            const property = found.claim.mainsnak.property;
+            found.claim.mainsnak = this.normalizeSnak({ snaktype: params.snaktype, property, datavalue: { type: VALUE_TYPES[this.datatypeOf(property)], value: JSON.parse(params.value) } });
+            return { ...this.saveEntity(found.entity, 'wbsetclaimvalue', params), claim: clone(found.claim) };
+        },
+        wbsetclaim: (params) => {
+            const claim = JSON.parse(params.claim);
+            const entity = this.getEditableEntity(claim.id.split('$')[0]);
+            this.applyEntityData(entity, { claims: [claim] });
+            return { ...this.saveEntity(entity, 'wbsetclaim', params), claim: clone(this.findClaim(claim.id).claim) };
+        },
+        wbremoveclaims: (params) => {
+            const guids = params.claim.split('|');
+            const found = guids.map(guid => this.findClaim(guid));
+            found.forEach(({ claims, claim }) => claims.splice(claims.indexOf(claim), 1));
+            this.applyEntityData(found[0].entity, {});
+            return { ...this.saveEntity(found[0].entity, 'wbremoveclaims', params), claims: guids };
+        },
+        wbsetreference: (params) => {
+            const found = this.findClaim(params.statement);
+            const reference = this.normalizeReference({ snaks: JSON.parse(params.snaks) });
+            const index = params.reference ? found.claim.references.findIndex(r => r.hash === params.reference) : -1;
+            if (index === -1) found.claim.references.push(reference); else found.claim.references[index] = reference;
+            return { ...this.saveEntity(found.entity, 'wbsetreference', params), reference: clone(reference) };
+        },
+        wbremovereferences: (params) => {
+            const found = this.findClaim(params.statement);
+            const hashes = params.references.split('|');
+            found.claim.references = found.claim.references.filter(r => !hashes.includes(r.hash));
+            return this.saveEntity(found.entity, 'wbremovereferences', params);
+        },
+        wbsetlabel: (params) => this.setTermAction('labels', 'wbsetlabel', params),
+        wbsetdescription: (params) => this.setTermAction('descriptions', 'wbsetdescription', params),
+        wbsetaliases: (params) => {
+            const entity = this.getEditableEntity(params.id);
+            const split = (value) => value ? value.split('|') : [];
+            const terms = params.set !== undefined
+                ? split(params.set).map(value => ({ value }))
+                : [...split(params.add).map(value => ({ value, add: '' })), ...split(params.remove).map(value => ({ value, remove: '' }))];
+            this.applyEntityData(entity, { aliases: { [params.language]: terms } });
+            return { ...this.saveEntity(entity, 'wbsetaliases', params), entity: { id: entity.id, aliases: clone(entity.aliases) } };
+        },
+    };
+
+    setTermAction(kind, action, params) {
+        const entity = this.getEditableEntity(params.id);
+        this.setTerm(entity, kind, params.language, params.value);
+        return { ...this.saveEntity(entity, action, params), entity: { id: entity.id, [kind]: clone(entity[kind]) } };
+    }
+
+    sessionFrom(req) {
+        const match = (req.headers.cookie || '').match(new RegExp(`${COOKIE_PREFIX}Session=(\\w+)`));
+        return match ? this.sessions.get(match[1]) || null : null;
+    }
+
+    handleApi(req, res, params) {
+        const action = params.action;
+        const session = this.sessionFrom(req);
+        const handler = Object.hasOwn(this.actions, action) ? this.actions[action] : null;
+        if (!handler) {
+            throw new ApiError('badvalue', `Unrecognized value for parameter "action": ${action}`);
+        }
+        if (action.startsWith('wb') && action !== 'wbgetentities') {
+            if (req.method !== 'POST') throw new ApiError('mustbeposted', `The "${action}" module requires a POST request.`);
+            if (!session || params.token !== session.csrf) throw new ApiError('badtoken', 'Invalid CSRF token.');
+        }
+        return handler(params, session, res);
+    }
+
+    handleSparql(params) {
+        return evaluateSparql(params.query || '', this.truthyStatements(), this.url);
+    }
+
+    truthyStatements() {
+        const statements = [];
+        for (const entity of this.entities.values()) {
+            for (const [property, claims] of Object.entries(entity.claims)) {
+                const best = claims.some(c => c.rank === 'preferred') ? 'preferred' : 'normal';
+                for (const claim of claims.filter(c => c.rank === best && c.mainsnak.snaktype === 'value')) {
+                    statements.push({
+                        subject: { type: 'uri', value: `${this.url}/entity/${entity.id}` },
+                        property,
+                        object: rdfTerm(this.url, claim.mainsnak.datatype, claim.mainsnak.datavalue),
+                    });
+                }
+            }
+        }
+        return statements;
+    }
+
+    handle(req, res) {
+        let body = '';
+        req.on('data', chunk => { body += chunk; });
+        req.on('end', () => {
+            const url = new URL(req.url, this.url);
+            const params = Object.fromEntries([...url.searchParams, ...new URLSearchParams(body)]);
+            this.requests.push({ method: req.method, path: url.pathname, params });
+            const send = (status, payload, headers = {}) => {
+                res.writeHead(status, headers);
+                res.end(payload);
+            };
+            try {
+                if (url.pathname === '/w/api.php') {
+                    send(200, JSON.stringify(this.handleApi(req, res, params)), { 'Content-Type': 'application/json' });
+                } else if (url.pathname === '/query/sparql') {
+                    send(200, JSON.stringify(this.handleSparql(params)), { 'Content-Type': 'application/sparql-results+json' });
+                } else if (this.pages[url.pathname] !== undefined) {
+                    const page = typeof this.pages[url.pathname] === 'string' ? { body: this.pages[url.pathname] } : this.pages[url.pathname];
+                    send(page.status || 200, page.body || '', { 'Content-Type': 'text/html; charset=utf-8', ...page.headers });
+                } else {
+                    send(404, 'Not found', { 'Content-Type': 'text/plain' });
+                }
+            } catch (error) {
+                if (!(error instanceof ApiError)) {
+                    send(500, error.stack, { 'Content-Type': 'text/plain' });
+                } else if (url.pathname === '/query/sparql') {
+                    send(400, error.message, { 'Content-Type': 'text/plain' });
+                } else {
+                    send(200, JSON.stringify({ error: { code: error.code, info: error.message } }), { 'Content-Type': 'application/json' });
+                }
+            }
+        });
+    }
+}
+
+/**
+ * Evaluate the subset of SPARQL used by world.sparql.*
+ * @param {string} query
+ * @param {Array<{ subject: Object, property: string, object: Object }>} statements - Truthy statements
+ * @param {string} conceptBaseUri
+ * @returns {Object} SPARQL JSON results
+ */
+export function evaluateSparql(query, statements, conceptBaseUri) {
+    const prefixes = {};
+    const withoutPrefixes = query.replace(/PREFIX\s+(\w+):\s*<([^>]*)>/gi, (match, prefix, iri) => {
+        prefixes[prefix] = iri;
+        return '';
+    });
+    const text = withoutPrefixes.replace(/#[^\n]*/g, '');
+    const select = text.match(/SELECT\s+((?:\?\w+\s*)+)WHERE\s*\{([\s\S]*)\}\s*$/i);
+    if (!select) throw new ApiError('sparql', `Unsupported query: ${query}`);
+    const vars = select[1].trim().split(/\s+/).map(v => v.slice(1));
+    const patterns = parsePatterns(select[2], prefixes, conceptBaseUri);
+
+    const bindings = solve(patterns, [{}], statements).map(solution => Object.fromEntries(
+        vars.filter(v => solution[v]).map(v => [v, solution[v]])
+    ));
+    return { head: { vars }, results: { bindings } };
+}
+
+function parsePatterns(body, prefixes, conceptBaseUri) {
+    const patterns = [];
+    let rest = body.trim();
+    while (rest.length > 0) {
+        const filter = rest.match(/^FILTER\s+NOT\s+EXISTS\s*\{([^{}]*)\}\s*\.?/i);
+        if (filter) {
+            patterns.push({ notExists: parsePatterns(filter[1], prefixes, conceptBaseUri) });
+            rest = rest.slice(filter[0].length).trim();
+            continue;
+        }
+        const triple = rest.match(/^(\S+)\s+(\S+)\s+(\S+?)\s*(?:\.|(?=\})|$)/);
+        if (!triple) throw new ApiError('sparql', `Unsupported pattern: ${rest}`);
+        const [subject, predicate, object] = triple.slice(1).map(term => parseTerm(term, prefixes));
+        const property = predicate.value?.startsWith(`${conceptBaseUri}/prop/direct/`) ? predicate.value.split('/').pop() : null;
+        if (!property) throw new ApiError('sparql', `Unsupported predicate: ${triple[2]}`);
+        patterns.push({ subject, property, object });
+        rest = rest.slice(triple[0].length).trim();
+    }
+    return patterns;
+}
+
+function parseTerm(term, prefixes) {
+    if (term.startsWith('?')) return { variable: term.slice(1) };
+    if (term.startsWith('<')) return { type: 'uri', value: term.slice(1, -1) };
+    if (term.startsWith('"')) return { type: 'literal', value: term.slice(1, -1) };
+    const [prefix, local] = term.split(':');
+    if (prefixes[prefix] === undefined) throw new ApiError('sparql', `Unknown prefix: ${prefix}`);
+    return { type: 'uri', value: prefixes[prefix] + local };
+}
+
+function solve(patterns, solutions, statements) {
+    for (const pattern of patterns) {
+        if (pattern.notExists) {
+            solutions = solutions.filter(solution => solve(pattern.notExists, [solution], statements).length === 0);
+            continue;
+        }
+        const next = [];
+        for (const solution of solutions) {
+            for (const statement of statements.filter(s => s.property === pattern.property)) {
+                const bound = bind(solution, pattern.subject, statement.subject);
+                const complete = bound && bind(bound, pattern.object, statement.object);
+                if (complete) next.push(complete);
+            }
+        }
+        solutions = next;
+    }
+    return solutions;
+}
+
+function bind(solution, term, value) {
+    if (term.variable) {
+        const existing = solution[term.variable];
+        if (existing) return existing.type === value.type && existing.value === value.value ? solution : null;
+        return { ...solution, [term.variable]: value };
+    }
+    return term.type === value.type && term.value === value.value ? solution : null;
+}
@@ -0,0 +1,105 @@
+/**
+ * Run Command - Runs cmd scripts against the fake Wikibase, for end-to-end tests
+ *
+ * Each run gets its own working directory, so caches, plans and journals stay separate.
+ * The directories made here are kept until removeTempDirs.
+ */
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import process from 'process';
+import { execFile } from 'child_process';
+import { fileURLToPath } from 'url';
+import { startFakeWikibase, WORLD_DATATYPES } from './fake-wikibase.js';
+
+export const ROOT = fileURLToPath(new URL('../..', import.meta.url));
+export const SHIPPED_REGISTRY = JSON.parse(fs.readFileSync(path.join(ROOT, 'config/registries/wikibase.world.json'), 'utf8'));
+// Properties the shipped registry leaves out until their IDs on wikibase.world are confirmed, so the fake has its own
+const FAKE_ONLY_PROPERTIES = { pointInTime: 'P1001', endTime: 'P1002' };
+export const BASE_REGISTRY = { ...SHIPPED_REGISTRY, properties: { ...SHIPPED_REGISTRY.properties, ...FAKE_ONLY_PROPERTIES } };
+
+const tempDirs = [];
+
+/**
+ * Make a temporary directory, removed by removeTempDirs
+ * @param {string} prefix
+ * @returns {string}
+ */
+export function tempDir(prefix) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), prefix));
+    tempDirs.push(dir);
+    return dir;
+}
+
+/**
+ * Remove the temporary directories of the runs
+ */
+export function removeTempDirs() {
+    tempDirs.splice(0).forEach(dir => fs.rmSync(dir, { recursive: true, force: true }));
+}
+
+/**
+ * Start a fake with the properties and items of the registry, that also plays a wiki at wikiUrl
+ * @returns {Promise<{ fake: Object, wikiUrl: string }>}
+ */
+export async function startFakeWorld() {
+    const fake = await startFakeWikibase({
+        properties: Object.fromEntries(Object.entries(BASE_REGISTRY.properties).map(([name, id]) => [id, WORLD_DATATYPES[name]])),
+        siteinfo: {
+            general: { sitename: 'Fake Wiki', generator: 'MediaWiki 1.41.0', phpversion: '8.2.7', dbtype: 'mysql', dbversion: '10.11.2-MariaDB' },
+            namespaces: {},
+            statistics: { pages: 1200, edits: 5400, users: 30, activeusers: 4 },
+        },
+    });
+    for (const [name, id] of Object.entries(BASE_REGISTRY.items)) {
+        fake.addItem({ id, labels: { en: name } });
+    }
+    // The fake plays the wiki too; it is reached as localhost so it is not mistaken for the registry
+    const wikiUrl = `http://localhost:${fake.port}`;
+    fake.pages['/'] = mainPage(wikiUrl);
+    return { fake, wikiUrl };
+}
+
+/**
+ * Run a cmd script against the fake, in its own working directory
+ * @param {Object} fake
+ * @param {string} script - Relative to the repository
+ * @param {string[]} [args]
+ * @param {Object} [env]
+ * @returns {Promise<{ stdout: string, dir: string }>}
+ */
+export function runCommand(fake, script, args = [], env = {}) {
+    const dir = tempDir('world-e2e-');
+    const registry = fake.writeRegistry(dir, BASE_REGISTRY);
+    return new Promise((resolve, reject) => {
+        execFile(process.execPath, [path.join(ROOT, script), ...args], {
+            cwd: dir,
+            timeout: 60000,
+            env: {
+                PATH: process.env.PATH,
+                WORLD_REGISTRY: registry,
+                WORLD_USERNAME: fake.credentials.username,
+                WORLD_PASSWORD: fake.credentials.password,
+                WORLD_RUN_ID: 'e2e',
+                ...env,
+            },
+        }, (error, stdout, stderr) => {
+            if (error) {
+                reject(new Error(`${script} failed: ${error.message}\n${stdout}\n${stderr}`));
+            } else {
+                resolve({ stdout, dir });
+            }
+        });
+    });
+}
+
+/**
+ * A MediaWiki main page; kept to one line, as import-list treats multi-line responses as lists of sites
+ * @param {string} url - The wiki, for its EditURI
+ * @returns {string}
+ */
+export const mainPage = (url) => '<!DOCTYPE html><html><head><title>Fake Wiki</title>' +
+    '<meta name="generator" content="MediaWiki 1.41.0"/>' +
+    `<link rel="EditURI" type="application/rsd+xml" href="${url}/w/api.php?action=rsd"/>` +
+    '</head><body>Powered by Wikibase</body></html>';
@@ -0,0 +1,45 @@
+/**
+ * Run Import - Runs the import pipeline with a source described by a JSON file, for end-to-end tests
+ *
+ * Usage:
+ *   node test/support/run-import.js source.json [filter] [--resume]
+ *
+ * The JSON file has:
+ * - candidates - listed by the source, each { id, site, otherSites? }
+ * - removed - known wikis the source no longer lists, each { item, site }
+ * - enrich - the facts of every known wiki, e.g. { host: 'Q8' }
+ */
+
+import fs from 'fs';
+import process from 'process';
+import { runImport } from '../../src/importer.js';
+
+const args = process.argv.slice(2);
+const { candidates = [], removed, enrich = {} } = JSON.parse(fs.readFileSync(args[0], 'utf8'));
+
+const source = {
+    name: 'test',
+    title: 'Test',
+    icon: '🧪',
+
+    async list(context) {
+        candidates.forEach(candidate => context.add(candidate));
+    },
+
+    describe({ id, site }) {
+        return { labels: { en: id }, summary: `Importing ${site} from the test source` };
+    },
+
+    enrich() {
+        return enrich;
+    },
+
+    ...(removed && { removed: async () => removed }),
+};
+
+const stats = await runImport(source, {
+    filter: args.slice(1).find(a => !a.startsWith('--')),
+    resume: args.includes('--resume'),
+});
+console.log(`Stats: ${JSON.stringify(stats)}`);
+process.exit(0);
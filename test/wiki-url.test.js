@@ -0,0 +1,39 @@
+/* eslint-env mocha */
+/* global describe, it */
+import { expect } from 'chai';
+import { parseWikiUrl, wikiKey, WikiIndex } from '../src/wiki-url.js';
+
+describe('wiki URLs', function () {
+    it('gives the same key to every form of a wiki URL or domain', function () {
+        const forms = [
+            'a.wikibase.cloud', 'https://a.wikibase.cloud', 'http://a.wikibase.cloud/', 'https://www.A.wikibase.cloud:443/wiki/Main_Page',
+            'a.wikibase.cloud/w/index.php?title=Special:Version', '//a.wikibase.cloud/w/api.php', 'https://a.wikibase.cloud./index.php/Main_Page',
+        ];
+        expect(new Set(forms.map(wikiKey))).to.deep.equal(new Set(['a.wikibase.cloud']));
+        expect(wikiKey('https://aa.wikibase.cloud')).to.equal('aa.wikibase.cloud');
+        expect(wikiKey('http://localhost:8080/wiki/')).to.equal('localhost:8080');
+        expect(wikiKey('https://example.org/mywiki/w/index.php')).to.equal('example.org/mywiki');
+        expect(wikiKey('https://bücher.example/wiki/Start')).to.equal('xn--bcher-kva.example');
+        expect(wikiKey('Q123')).to.equal(null);
+        expect(wikiKey('ftp://example.org')).to.equal(null);
+
+        expect(parseWikiUrl('http://www.Example.org:8080/wiki/Main_Page')).to.deep.equal({
+            key: 'example.org:8080', scheme: 'http', domain: 'www.example.org', port: '8080', basePath: '', url: 'http://www.example.org:8080',
+        });
+    });
+
+    it('finds items by any form of their URLs, before or after a redirect', function () {
+        const index = new WikiIndex([
+            { item: 'Q1', site: 'https://a.example/wiki/Main_Page' },
+            { item: 'Q2', site: 'http://a.example' },
+            { item: 'Q3', site: 'https://b.example/mywiki' },
+        ]);
+        expect(index.size).to.equal(2);
+        expect(index.find('www.a.example')).to.equal('Q1');
+        expect(index.find('https://b.example')).to.equal(null);
+        expect(index.find('https://c.example', 'b.example/mywiki/wiki/X')).to.equal('Q3');
+
+        index.add('c.example', 'Q4');
+        expect(index.has('https://c.example/')).to.equal(true);
+    });
+});